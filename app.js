@@ -15,6 +15,9 @@ const notificationsRouter = require('./routes/notifications');
 const savedJobsRouter = require('./routes/savedJobs');
 const supportRouter = require('./routes/support');
 const { router: paymentsRouter } = require('./routes/payments');
+const promoCodesRouter = require('./routes/promoCodes');
+const subscriptionsRouter = require('./routes/subscriptions');
+const invoicesRouter = require('./routes/invoices');
 
 function createApp() {
   const app = express();
@@ -37,6 +40,9 @@ function createApp() {
   app.use('/api/saved-jobs', savedJobsRouter);
   app.use('/api/support', supportRouter);
   app.use('/api', paymentsRouter);
+  app.use('/api/promo-codes', promoCodesRouter);
+  app.use('/api/subscriptions', subscriptionsRouter);
+  app.use('/api/invoices', invoicesRouter);
 
   app.use('/api/admin', require('./routes/admin/dashboard'));
   app.use('/api/admin/providers', require('./routes/admin/providers'));
@@ -47,8 +53,10 @@ function createApp() {
   app.use('/api/admin/bookings', require('./routes/admin/bookings'));
   app.use('/api/admin/categories', require('./routes/admin/categories'));
   app.use('/api/admin/services', require('./routes/admin/services'));
+  app.use('/api/admin/promo-codes', require('./routes/admin/promoCodes'));
   app.use('/api/admin/customers', require('./routes/admin/customers'));
   app.use('/api/admin/audit-logs', require('./routes/admin/auditLogs'));
+  app.use('/api/admin/blocks', require('./routes/admin/blocks'));
 
   app.use((req, res) => res.status(404).json({ error: `Endpoint ${req.url} not found` }));
   // eslint-disable-next-line no-unused-vars
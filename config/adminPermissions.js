@@ -0,0 +1,54 @@
+// config/adminPermissions.js — Admin permission catalogue (scopes stored in adminUsers.permissions)
+//
+// An admin's `permissions` array may hold exact scopes ('finance:write'), group wildcards ('finance:*')
+// or the superuser wildcard '*'. Admin documents without a permissions array keep full access.
+
+const ADMIN_PERMISSIONS = [
+  { key: 'dashboard:read', group: 'dashboard', label: 'View dashboard stats and revenue' },
+  { key: 'providers:read', group: 'providers', label: 'View providers' },
+  { key: 'providers:verify', group: 'providers', label: 'Verify providers' },
+  { key: 'providers:suspend', group: 'providers', label: 'Suspend or reactivate providers' },
+  { key: 'workers:review', group: 'workers', label: 'Review worker registrations' },
+  { key: 'customers:read', group: 'customers', label: 'View customers and their transactions' },
+  { key: 'bookings:read', group: 'bookings', label: 'View bookings' },
+  { key: 'bookings:write', group: 'bookings', label: 'Change booking status' },
+  { key: 'catalog:read', group: 'catalog', label: 'View categories and services' },
+  { key: 'catalog:edit', group: 'catalog', label: 'Edit categories and services' },
+  { key: 'finance:read', group: 'finance', label: 'View ledgers, payments and settlements' },
+  { key: 'finance:write', group: 'finance', label: 'Verify payments, adjust dues and settle payouts' },
+  { key: 'support:read', group: 'support', label: 'View support tickets' },
+  { key: 'support:reply', group: 'support', label: 'Reply to and close support tickets' },
+  { key: 'cms:read', group: 'cms', label: 'View CMS content and subscription plans' },
+  { key: 'cms:edit', group: 'cms', label: 'Edit CMS content and subscription plans' },
+  { key: 'promo:read', group: 'promo', label: 'View promo codes and redemptions' },
+  { key: 'promo:write', group: 'promo', label: 'Create, edit and retire promo codes' },
+  { key: 'promo:email', group: 'promo', label: 'Send email campaigns' },
+  { key: 'moderation:read', group: 'moderation', label: 'View user blocks' },
+  { key: 'audit:read', group: 'audit', label: 'View the admin audit log' },
+  { key: 'system:users', group: 'system', label: 'Manage admin users and their permissions' },
+  { key: 'system:backup', group: 'system', label: 'Trigger backups' },
+];
+
+const PERMISSION_KEYS = new Set(ADMIN_PERMISSIONS.map((p) => p.key));
+const PERMISSION_GROUPS = new Set(ADMIN_PERMISSIONS.map((p) => p.group));
+
+// Does the admin document grant `scope`?
+function hasAdminPermission(adminDoc, scope) {
+  if (!adminDoc) return false;
+  const granted = Array.isArray(adminDoc.permissions) ? adminDoc.permissions : ['*'];
+  if (granted.includes('*') || granted.includes(scope)) return true;
+  const [group] = String(scope).split(':');
+  return granted.includes(`${group}:*`);
+}
+
+// Returns the entries of `permissions` that are not a known scope, group wildcard or '*'
+function findUnknownPermissions(permissions = []) {
+  return permissions.filter((p) => {
+    const key = String(p);
+    if (key === '*' || PERMISSION_KEYS.has(key)) return false;
+    const [group, action] = key.split(':');
+    return !(action === '*' && PERMISSION_GROUPS.has(group));
+  });
+}
+
+module.exports = { ADMIN_PERMISSIONS, hasAdminPermission, findUnknownPermissions };
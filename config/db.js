@@ -24,6 +24,8 @@ async function connectDB() {
   collections.applications           = db.collection('applications');
   collections.browseJobs             = db.collection('browseJobs');
   collections.messages               = db.collection('messages');
+  collections.attachments            = db.collection('attachments');
+  collections.conversations          = db.collection('conversations');
   collections.notifications          = db.collection('notifications');
   collections.savedJobs              = db.collection('savedJobs');
   collections.reviews                = db.collection('reviews');
@@ -52,6 +54,18 @@ async function connectDB() {
   collections.supportMessages        = db.collection('supportMessages');
   collections.ledgers                = db.collection('ledgers');
   collections.additionalCharges      = db.collection('additionalCharges');
+  collections.phoneVerifications     = db.collection('phoneVerifications');
+  collections.paymentCallbacks       = db.collection('paymentCallbacks');
+  collections.payoutItems            = db.collection('payoutItems');
+  collections.ledgerBalances         = db.collection('ledgerBalances');
+  collections.feeSchedules           = db.collection('feeSchedules');
+  collections.platformSettings       = db.collection('platformSettings');
+  collections.promoCodeUsage         = db.collection('promoCodeUsage');
+  collections.promoRedemptions       = db.collection('promoRedemptions');
+  collections.invoices               = db.collection('invoices');
+  collections.counters               = db.collection('counters');
+  collections.refunds                = db.collection('refunds');
+  collections.cashDeposits           = db.collection('cashDeposits');
 
   await createIndexes(collections);
   await runMigrations(collections);
@@ -68,6 +82,8 @@ async function createIndexes(col) {
 
   await col.applications.createIndex({ jobId: 1 });
   await col.applications.createIndex({ workerId: 1 });
+  await col.applications.createIndex({ workerId: 1, createdAt: -1 });
+  await col.applications.createIndex({ workerId: 1, status: 1, completedAt: -1 });
   await col.applications.createIndex({ clientId: 1 });
   await col.applications.createIndex({ workerEmail: 1 });
   await col.applications.createIndex({ clientEmail: 1 });
@@ -81,6 +97,13 @@ async function createIndexes(col) {
   await col.messages.createIndex({ senderId: 1 });
   await col.messages.createIndex({ recipientId: 1 });
   await col.messages.createIndex({ jobId: 1 });
+  await col.messages.createIndex({ conversationId: 1, updatedAt: 1 });
+  await col.attachments.createIndex({ conversationId: 1, createdAt: -1 });
+  await col.conversations.createIndex({ participants: 1, lastMessageAt: -1, _id: -1 });
+  await col.attachments.createIndex({ senderId: 1, messageId: 1 });
+  await col.blockedUsers.createIndex({ blockerId: 1, blockedId: 1 }, { unique: true });
+  await col.blockedUsers.createIndex({ blockedId: 1 });
+  await col.blockedUsers.createIndex({ createdAt: -1 });
 
   await col.supportTickets.createIndex({ userId: 1, updatedAt: -1 });
   await col.supportTickets.createIndex({ userRole: 1, status: 1, updatedAt: -1 });
@@ -100,12 +123,47 @@ async function createIndexes(col) {
 
   await col.browseJobs.createIndex({ conversationId: 1 });
   await col.browseJobs.createIndex({ targetWorkerId: 1, isPrivate: 1 });
+  await col.browseJobs.createIndex({ isPrivate: 1, offerStatus: 1, expiresAt: 1 });
 
   await col.workerJobRequests.createIndex({ conversationId: 1 });
   await col.workerJobRequests.createIndex({ workerId: 1, status: 1 });
   await col.workerJobRequests.createIndex({ clientId: 1, status: 1 });
 
   await col.users.createIndex({ workerAccountStatus: 1, role: 1, registrationSubmittedAt: -1 });
+
+  await col.paymentRequests.createIndex({ applicationId: 1, createdAt: -1 });
+  await col.paymentCallbacks.createIndex({ tranId: 1, receivedAt: -1 });
+  await col.payoutItems.createIndex({ settlementId: 1 });
+  await col.payoutItems.createIndex({ workerId: 1, createdAt: -1 });
+  await col.payoutItems.createIndex({ workerId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+  await col.ledgers.createIndex({ transactionId: 1 });
+  await col.ledgers.createIndex({ workerId: 1, account: 1, createdAt: -1 });
+  await col.ledgers.createIndex({ workerId: 1, type: 1, createdAt: -1 });
+  await col.ledgerBalances.createIndex({ account: 1, workerId: 1 }, { unique: true });
+  await col.feeSchedules.createIndex({ version: 1 }, { unique: true });
+  await col.feeSchedules.createIndex({ activatedAt: -1 });
+  await col.platformSettings.createIndex({ key: 1 }, { unique: true });
+  await col.promoCodes.createIndex({ code: 1 }, { unique: true });
+  await col.promoCodeUsage.createIndex({ promoCodeId: 1, userId: 1 }, { unique: true });
+  await col.promoRedemptions.createIndex({ promoCodeId: 1, createdAt: -1 });
+  await col.promoRedemptions.createIndex({ applicationId: 1 });
+  await col.userSubscriptions.createIndex({ userId: 1, createdAt: -1 });
+  await col.userSubscriptions.createIndex({ status: 1, currentPeriodEnd: 1 });
+  await col.invoices.createIndex({ number: 1 }, { unique: true });
+  await col.invoices.createIndex({ type: 1, sourceId: 1 }, { unique: true });
+  await col.invoices.createIndex({ userId: 1, issuedAt: -1 });
+  await col.refunds.createIndex({ applicationId: 1, createdAt: -1 });
+  await col.refunds.createIndex({ status: 1, createdAt: -1 });
+  await col.cashCollections.createIndex({ applicationId: 1 }, { sparse: true });
+  await col.cashCollections.createIndex({ collectedBy: 1, status: 1, collectedAt: 1 });
+  await col.cashCollections.createIndex({ status: 1, createdAt: -1 });
+  await col.cashDeposits.createIndex({ agentId: 1, status: 1, depositedAt: 1 });
+  await col.transactions.createIndex({ idempotencyKey: 1 }, { unique: true, sparse: true });
+  await col.transactions.createIndex({ userId: 1, createdAt: -1 });
+  await col.users.createIndex({ role: 1, dueBalance: 1 });
+
+  await col.phoneVerifications.createIndex({ uid: 1 }, { unique: true });
+  await col.phoneVerifications.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
 }
 
 async function runMigrations(col) {
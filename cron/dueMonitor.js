@@ -0,0 +1,37 @@
+// cron/dueMonitor.js — Hourly sweep that advances worker due escalations (warnings, apply block, release)
+const { collections } = require('../config/db');
+const { getDuePolicy, evaluateWorkerDue, BLOCK_REASON } = require('../utils/duePolicy');
+
+// Workers over the threshold plus anyone still carrying an escalation cycle or a due block
+async function runDueMonitor(now = new Date()) {
+  try {
+    const policy = await getDuePolicy();
+    const workers = await collections.users
+      .find({
+        role: 'worker',
+        $or: [
+          { dueBalance: { $gte: policy.thresholdAmount } },
+          { dueWarningNotifiedAt: { $exists: true } },
+          { blockReason: BLOCK_REASON },
+        ],
+      })
+      .toArray();
+
+    const outcomes = {};
+    for (const worker of workers) {
+      try {
+        const outcome = await evaluateWorkerDue(worker, { policy, now });
+        if (outcome) outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+      } catch (err) {
+        console.error(`Due escalation for worker ${worker.uid} failed:`, err);
+      }
+    }
+    if (Object.keys(outcomes).length) console.log('✅ Due monitor:', outcomes);
+    return outcomes;
+  } catch (err) {
+    console.error('❌ Error in due monitor task:', err);
+    return {};
+  }
+}
+
+module.exports = { runDueMonitor };
@@ -1,14 +1,18 @@
 // cron/index.js — Scheduled background tasks (node-cron)
 const cron = require('node-cron');
-const { exec } = require('child_process');
 const { ObjectId } = require('mongodb');
 const { collections } = require('../config/db');
 const { createNotification } = require('../utils/notifications');
 const { findOrCreateConversationId, sendSystemMessage } = require('../utils/messaging');
 const { sendJobStatusEmail } = require('../utils/emailService');
+const { recordOfferEvent } = require('../utils/jobOffers');
+const { runJobOfferReminders } = require('./jobOfferReminders');
+const { runDueMonitor } = require('./dueMonitor');
+const { runRefundMonitor } = require('./refundMonitor');
+const { expireSubscriptions } = require('../utils/subscriptions');
 
 function setupCronJobs() {
-  // ---- Hourly: expire jobs and run due monitor ----
+  // ---- Hourly: expire jobs ----
   cron.schedule('0 * * * *', async () => {
     try {
       console.log('🕐 Running scheduled job expiration task...');
@@ -29,6 +33,9 @@ function setupCronJobs() {
             updateFields.offerStatus = 'expired';
           }
           await collections.browseJobs.updateOne({ _id: job._id }, { $set: updateFields });
+          if (updateFields.offerStatus === 'expired') {
+            await recordOfferEvent(job, { action: 'expired', actorRole: 'system', createdAt: now });
+          }
 
           // Notify targeted worker (private job offers)
           if (job.isPrivate && job.targetWorkerId) {
@@ -103,20 +110,29 @@ function setupCronJobs() {
       } else {
         console.log('✅ No expired jobs found');
       }
-
-      // Run Due Monitor script
-      console.log('🕐 Running Due Monitor...');
-      exec('node scripts/dueMonitor.js', (error, stdout) => {
-        if (error) {
-          console.error('❌ Due Monitor execution failed:', error);
-        } else {
-          console.log('✅ Due Monitor stdout:', stdout);
-        }
-      });
     } catch (err) {
       console.error('❌ Error in job expiration task:', err);
     }
   });
+
+  // ---- Hourly: due escalation (warnings, apply block, release) ----
+  cron.schedule('5 * * * *', () => runDueMonitor());
+
+  // ---- Hourly: end subscriptions whose paid period is over ----
+  cron.schedule('15 * * * *', async () => {
+    try {
+      const expired = await expireSubscriptions();
+      if (expired > 0) console.log(`📅 Expired ${expired} subscription(s)`);
+    } catch (err) {
+      console.error('❌ Error in subscription expiry task:', err);
+    }
+  });
+
+  // ---- Every 30 minutes: poll gateway refunds that are still processing ----
+  cron.schedule('20,50 * * * *', () => runRefundMonitor());
+
+  // ---- Every 10 minutes: job offer reminders ----
+  cron.schedule('*/10 * * * *', runJobOfferReminders);
 }
 
 module.exports = setupCronJobs;
@@ -0,0 +1,109 @@
+// cron/jobOfferReminders.js — Delivers "remind me later" rows and automatic offer-expiry reminders
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { createNotification } = require('../utils/notifications');
+const { getWorkerIdentity } = require('../utils/helpers');
+const { sendJobOfferReminderEmail } = require('../utils/emailService');
+
+const OFFER_EXPIRY_REMINDER_HOURS = Number(process.env.OFFER_EXPIRY_REMINDER_HOURS) || 24;
+const BATCH_SIZE = 100;
+
+const hoursUntil = (date, now) => Math.max(0, Math.round((new Date(date) - now) / (60 * 60 * 1000)));
+
+async function notifyWorker(job, workerId, hoursRemaining, now) {
+  const title = job.title || 'Job offer';
+  const timeText = job.expiresAt ? ` It expires in ${hoursRemaining} hour${hoursRemaining === 1 ? '' : 's'}.` : '';
+  await createNotification(
+    String(workerId),
+    'Job offer reminder',
+    `Reminder: you have a pending job offer "${title}".${timeText}`,
+    'warning',
+    String(job._id),
+    '/job-offers'
+  );
+  const worker = await getWorkerIdentity(String(workerId));
+  if (worker.email) {
+    sendJobOfferReminderEmail(worker.email, worker.name || 'Worker', title, hoursRemaining)
+      .catch((err) => console.error('Failed to send job offer reminder email:', err));
+  }
+  console.log(`🔔 Job offer reminder sent to ${workerId} for "${title}" at ${now.toISOString()}`);
+}
+
+// Worker-requested reminders (POST /job-offers/:jobId/remind-later); each row fires once
+async function processDueReminders(now = new Date()) {
+  const due = await collections.jobOfferReminders
+    .find({ reminderAt: { $lte: now }, deliveredAt: { $exists: false } })
+    .sort({ reminderAt: 1 })
+    .limit(BATCH_SIZE)
+    .toArray();
+
+  let delivered = 0;
+  for (const reminder of due) {
+    // Claim the row first so an overlapping run cannot deliver it twice
+    const claim = await collections.jobOfferReminders.updateOne(
+      { _id: reminder._id, deliveredAt: { $exists: false } },
+      { $set: { deliveredAt: now, updatedAt: now } }
+    );
+    if (!claim.modifiedCount) continue;
+
+    try {
+      const job = ObjectId.isValid(reminder.jobId)
+        ? await collections.browseJobs.findOne({ _id: new ObjectId(reminder.jobId) })
+        : null;
+      if (!job || job.offerStatus !== 'pending' || String(job.targetWorkerId) !== String(reminder.workerId)) {
+        await collections.jobOfferReminders.updateOne({ _id: reminder._id }, { $set: { deliveryStatus: 'skipped' } });
+        continue;
+      }
+      await notifyWorker(job, reminder.workerId, hoursUntil(job.expiresAt, now), now);
+      await collections.jobOfferReminders.updateOne({ _id: reminder._id }, { $set: { deliveryStatus: 'sent' } });
+      delivered++;
+    } catch (err) {
+      console.error(`Failed to deliver job offer reminder ${reminder._id}:`, err);
+      await collections.jobOfferReminders.updateOne({ _id: reminder._id }, { $set: { deliveryStatus: 'failed', error: err.message } });
+    }
+  }
+  return delivered;
+}
+
+// Automatic "offer expires in N hours" reminder for pending private offers
+async function processExpiringOffers(now = new Date()) {
+  const horizon = new Date(now.getTime() + OFFER_EXPIRY_REMINDER_HOURS * 60 * 60 * 1000);
+  const offers = await collections.browseJobs
+    .find({
+      isPrivate: true,
+      offerStatus: 'pending',
+      expiresAt: { $gt: now, $lte: horizon },
+      expiryReminderSentAt: { $exists: false },
+    })
+    .limit(BATCH_SIZE)
+    .toArray();
+
+  let delivered = 0;
+  for (const job of offers) {
+    const claim = await collections.browseJobs.updateOne(
+      { _id: job._id, expiryReminderSentAt: { $exists: false } },
+      { $set: { expiryReminderSentAt: now } }
+    );
+    if (!claim.modifiedCount || !job.targetWorkerId) continue;
+    try {
+      await notifyWorker(job, job.targetWorkerId, hoursUntil(job.expiresAt, now), now);
+      delivered++;
+    } catch (err) {
+      console.error(`Failed to send expiry reminder for job ${job._id}:`, err);
+    }
+  }
+  return delivered;
+}
+
+async function runJobOfferReminders() {
+  try {
+    const now = new Date();
+    const requested = await processDueReminders(now);
+    const expiring = await processExpiringOffers(now);
+    if (requested || expiring) console.log(`✅ Job offer reminders: ${requested} requested, ${expiring} expiring`);
+  } catch (err) {
+    console.error('❌ Error in job offer reminder task:', err);
+  }
+}
+
+module.exports = { runJobOfferReminders, processDueReminders, processExpiringOffers };
@@ -0,0 +1,33 @@
+// cron/refundMonitor.js — Polls PROCESSING gateway refunds until the gateway settles or cancels them
+const { collections } = require('../config/db');
+const { refreshRefund } = require('../utils/refunds');
+
+const BATCH_SIZE = 100;
+
+// Oldest first, so a refund the gateway keeps failing on cannot starve the rest
+async function runRefundMonitor() {
+  try {
+    const refunds = await collections.refunds
+      .find({ status: 'PROCESSING', method: 'gateway' })
+      .sort({ updatedAt: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+
+    const outcomes = {};
+    for (const refund of refunds) {
+      try {
+        const refreshed = await refreshRefund(refund._id);
+        if (refreshed && refreshed.status !== 'PROCESSING') outcomes[refreshed.status] = (outcomes[refreshed.status] || 0) + 1;
+      } catch (err) {
+        console.error(`Refund check for ${refund._id} failed:`, err);
+      }
+    }
+    if (Object.keys(outcomes).length) console.log('✅ Refund monitor:', outcomes);
+    return outcomes;
+  } catch (err) {
+    console.error('❌ Error in refund monitor task:', err);
+    return {};
+  }
+}
+
+module.exports = { runRefundMonitor };
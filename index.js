@@ -35,6 +35,9 @@ const notificationsRouter = require('./routes/notifications');
 const savedJobsRouter = require('./routes/savedJobs');
 const supportRouter = require('./routes/support');
 const { router: paymentsRouter } = require('./routes/payments');
+const promoCodesRouter = require('./routes/promoCodes');
+const subscriptionsRouter = require('./routes/subscriptions');
+const invoicesRouter = require('./routes/invoices');
 
 // Admin routers will be required linearly inside startServer()
 const PORT = process.env.PORT || 5000;
@@ -79,6 +82,9 @@ async function startServer() {
     app.use('/api/saved-jobs', savedJobsRouter);
     app.use('/api/support', supportRouter);     // support.js has /tickets, /tickets/:id/messages → /api/support/tickets, etc.
     app.use('/api', paymentsRouter);            // fees, dues, wallet, additional-charges
+    app.use('/api/promo-codes', promoCodesRouter);
+    app.use('/api/subscriptions', subscriptionsRouter);
+    app.use('/api/invoices', invoicesRouter);
 
     // Admin routes
     app.use('/api/admin', require('./routes/admin/dashboard'));
@@ -92,8 +98,10 @@ async function startServer() {
     app.use('/api/admin/bookings', require('./routes/admin/bookings'));
     app.use('/api/admin/categories', require('./routes/admin/categories'));
     app.use('/api/admin/services', require('./routes/admin/services'));
+    app.use('/api/admin/promo-codes', require('./routes/admin/promoCodes'));
     app.use('/api/admin/customers', require('./routes/admin/customers'));
     app.use('/api/admin/audit-logs', require('./routes/admin/auditLogs'));
+    app.use('/api/admin/blocks', require('./routes/admin/blocks'));
 
     // 7. WebSocket handlers
     setupSockets(io);
@@ -113,7 +121,7 @@ async function startServer() {
     server.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
       console.log(`⚡ WebSocket server running on ws://localhost:${PORT}`);
-      console.log(`⏰ Scheduled tasks (job expiration, due monitor) running hourly`);
+      console.log(`⏰ Scheduled tasks running (job expiration + due monitor hourly, offer reminders every 10 min)`);
     });
   } catch (err) {
     console.error('❌ Server startup failed:', err);
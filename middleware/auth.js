@@ -1,6 +1,9 @@
 // middleware/auth.js — Authentication and authorization middleware
+const { ObjectId } = require('mongodb');
 const admin = require('../config/firebase');
 const { collections } = require('../config/db');
+const { isConversationParticipant } = require('../utils/helpers');
+const { hasAdminPermission } = require('../config/adminPermissions');
 
 // Append-only admin action log
 async function logAdminAction(req, action, resource, details = {}) {
@@ -55,6 +58,18 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Identify the caller on public routes: a valid token sets req.user, anything else stays anonymous
+const identifyUser = async (req, _res, next) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!admin || !token) return next();
+  try {
+    req.user = await admin.auth().verifyIdToken(token);
+  } catch (err) {
+    // An expired or bad token on a public page is not an error; the caller is treated as a guest
+  }
+  next();
+};
+
 // Authenticate as admin (Firebase token + must be in adminUsers collection)
 const authenticateAdmin = async (req, res, next) => {
   try {
@@ -85,6 +100,15 @@ const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+// Authorize admin: must run after authenticateAdmin; caller needs every listed scope
+const requireAdminPermission = (...scopes) => (req, res, next) => {
+  const missing = scopes.filter((scope) => !hasAdminPermission(req.adminUser, scope));
+  if (missing.length > 0) {
+    return res.status(403).json({ code: 'ADMIN_PERMISSION_DENIED', error: `Missing admin permission: ${missing.join(', ')}`, required: missing });
+  }
+  next();
+};
+
 // Authorize: caller must own the workerId in the request body
 const authorizeWorker = (req, res, next) => {
   const { workerId } = req.body;
@@ -97,4 +121,124 @@ const authorizeWorker = (req, res, next) => {
   next();
 };
 
-module.exports = { authenticateUser, authenticateAdmin, authorizeWorker, logAdminAction };
+// Acting uid from the verified Firebase token (null when auth was skipped in dev mode)
+function getActingUid(req) {
+  const uid = req.user?.uid;
+  return uid ? String(uid) : null;
+}
+
+// Authorize: caller must match every id found at the given locations, e.g. 'params.uid', 'body.workerId'.
+// Missing body ids are filled in from the token so handlers never have to trust the client.
+const authorizeSelf = (...paths) => (req, res, next) => {
+  const uid = getActingUid(req);
+  if (!uid) return next(); // Auth was skipped (dev mode)
+  for (const path of paths) {
+    const [source, key] = path.split('.');
+    const container = req[source];
+    const value = container?.[key];
+    if (value === undefined || value === null || value === '') {
+      if (source === 'body' && container && typeof container === 'object') container[key] = uid;
+      continue;
+    }
+    if (String(value) !== uid) {
+      return res.status(403).json({ error: `Unauthorized: ${key} mismatch` });
+    }
+  }
+  next();
+};
+
+// Authorize: caller must appear in one of `fields` on the document returned by `load(req)`.
+// A missing document falls through so the handler can answer with its own 400/404.
+function authorizeResource(load, fields, label) {
+  return async (req, res, next) => {
+    const uid = getActingUid(req);
+    if (!uid) return next(); // Auth was skipped (dev mode)
+    try {
+      const doc = await load(req);
+      if (!doc) return next();
+      if (!fields.some((f) => doc[f] != null && String(doc[f]) === uid)) {
+        return res.status(403).json({ error: `Not authorized for this ${label}` });
+      }
+      next();
+    } catch (err) {
+      console.error(`Authorization check for ${label} failed:`, err);
+      return res.status(500).json({ error: 'Authorization check failed' });
+    }
+  };
+}
+
+const findByIdParam = (collectionName, param) => (req) => {
+  const id = req.params?.[param];
+  if (!ObjectId.isValid(id)) return null;
+  return collections[collectionName].findOne({ _id: new ObjectId(id) });
+};
+
+// Browse job: only the posting client
+const authorizeJobOwner = (param = 'id') =>
+  authorizeResource(findByIdParam('browseJobs', param), ['clientId', 'postedByUid'], 'job');
+
+// Private job offer: the client who made it or the worker it was sent to
+const authorizeJobOfferParty = (param = 'jobId') =>
+  authorizeResource(findByIdParam('browseJobs', param), ['clientId', 'postedByUid', 'targetWorkerId'], 'job offer');
+
+// Application: the worker or the client (pass fields to narrow, e.g. ['clientId'])
+const authorizeApplicationParty = (param = 'id', fields = ['workerId', 'clientId']) =>
+  authorizeResource(findByIdParam('applications', param), fields, 'application');
+
+// Application addressed by /:jobId/:workerId
+const authorizeApplicationByJobWorker = authorizeResource(
+  (req) => collections.applications.findOne({ jobId: String(req.params.jobId), workerId: String(req.params.workerId) }),
+  ['workerId', 'clientId'],
+  'application'
+);
+
+const authorizeNotificationOwner = (param = 'id') =>
+  authorizeResource(findByIdParam('notifications', param), ['userId'], 'notification');
+
+const authorizeSavedJobOwner = (param = 'id') =>
+  authorizeResource(findByIdParam('savedJobs', param), ['userId'], 'saved job');
+
+const authorizeWorkerJobRequestParty = (param = 'id') =>
+  authorizeResource(findByIdParam('workerJobRequests', param), ['workerId', 'clientId'], 'job request');
+
+const authorizeInvoiceOwner = (param = 'id') =>
+  authorizeResource(findByIdParam('invoices', param), ['userId'], 'invoice');
+
+// Chat attachment: only the two people in the conversation it was uploaded to
+const authorizeAttachmentParty = (param = 'id') =>
+  authorizeResource(findByIdParam('attachments', param), ['senderId', 'recipientId'], 'attachment');
+
+// Conversation: caller must be one of the two uids encoded in the conversationId
+const authorizeConversationParticipant = (path = 'params.conversationId') => (req, res, next) => {
+  const uid = getActingUid(req);
+  if (!uid) return next(); // Auth was skipped (dev mode)
+  const [source, key] = path.split('.');
+  const conversationId = req[source]?.[key];
+  if (!conversationId) return next();
+  if (!isConversationParticipant(conversationId, uid)) {
+    return res.status(403).json({ error: 'Not a participant in this conversation' });
+  }
+  next();
+};
+
+module.exports = {
+  authenticateUser,
+  identifyUser,
+  authenticateAdmin,
+  requireAdminPermission,
+  authorizeWorker,
+  logAdminAction,
+  getActingUid,
+  authorizeSelf,
+  authorizeResource,
+  authorizeJobOwner,
+  authorizeJobOfferParty,
+  authorizeApplicationParty,
+  authorizeApplicationByJobWorker,
+  authorizeNotificationOwner,
+  authorizeSavedJobOwner,
+  authorizeWorkerJobRequestParty,
+  authorizeInvoiceOwner,
+  authorizeConversationParticipant,
+  authorizeAttachmentParty,
+};
@@ -2,6 +2,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { attachmentsDir, MAX_ATTACHMENT_BYTES, attachmentKind } = require('../utils/attachments');
 
 const uploadsDir = path.join(__dirname, '..', 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -30,4 +32,21 @@ const nidUploadMiddleware = multer({
   },
 }).single('file');
 
-module.exports = { upload, uploadsDir, nidUploadMiddleware };
+// Chat attachment upload (one file per request). Stored under a random name outside the public
+// uploads folder; per-kind size limits and content checks happen in utils/attachments.js
+const attachmentUploadMiddleware = multer({
+  storage: multer.diskStorage({
+    destination: (_req, _file, cb) => cb(null, attachmentsDir),
+    filename: (_req, file, cb) => cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '')}`),
+  }),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 },
+  fileFilter: (_req, file, cb) => {
+    if (attachmentKind(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Unsupported file type'), { status: 415 }));
+    }
+  },
+}).single('file');
+
+module.exports = { upload, uploadsDir, nidUploadMiddleware, attachmentUploadMiddleware };
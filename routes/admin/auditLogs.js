@@ -1,11 +1,11 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { authenticateAdmin, logAdminAction } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
 const { collections } = require('../../config/db');
 
 const router = Router();
 
-    router.get('/', authenticateAdmin, async (req, res) => {
+    router.get('/', authenticateAdmin, requireAdminPermission('audit:read'), async (req, res) => {
       try {
         const page = Math.max(1, parseInt(req.query.page, 10) || 1);
         const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
@@ -0,0 +1,67 @@
+const { Router } = require('express');
+const { authenticateAdmin, requireAdminPermission } = require('../../middleware/auth');
+const { collections } = require('../../config/db');
+
+const router = Router();
+
+    const userSummary = (u, uid) => ({
+      uid,
+      name: u?.displayName || [u?.firstName, u?.lastName].filter(Boolean).join(' ') || u?.email || 'User',
+      email: u?.email || '',
+      role: u?.role || null,
+      isSuspended: !!u?.isSuspended,
+    });
+
+    // Block relationships, newest first. ?userId shows blocks on either side of one user;
+    // ?blockerId / ?blockedId narrow to one direction.
+    router.get('/', authenticateAdmin, requireAdminPermission('moderation:read'), async (req, res) => {
+      try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const skip = (page - 1) * limit;
+        const { userId, blockerId, blockedId } = req.query;
+        const q = {};
+        if (userId) q.$or = [{ blockerId: String(userId) }, { blockedId: String(userId) }];
+        if (blockerId) q.blockerId = String(blockerId);
+        if (blockedId) q.blockedId = String(blockedId);
+
+        const [blocks, total] = await Promise.all([
+          collections.blockedUsers.find(q).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+          collections.blockedUsers.countDocuments(q),
+        ]);
+        const uids = [...new Set(blocks.flatMap((b) => [b.blockerId, b.blockedId]))];
+        const users = uids.length
+          ? await collections.users.find({ uid: { $in: uids } }).project({ uid: 1, displayName: 1, firstName: 1, lastName: 1, email: 1, role: 1, isSuspended: 1 }).toArray()
+          : [];
+        const byUid = (uid) => userSummary(users.find((u) => u.uid === uid), uid);
+
+        const list = blocks.map((b) => ({
+          _id: b._id,
+          blocker: byUid(b.blockerId),
+          blocked: byUid(b.blockedId),
+          reason: b.reason || '',
+          createdAt: b.createdAt,
+        }));
+        res.json({ list, total, page, limit });
+      } catch (err) {
+        console.error('GET /api/admin/blocks failed:', err);
+        res.status(500).json({ error: 'Fetch failed' });
+      }
+    });
+
+    // How many users have blocked this one, and how many they have blocked — a quick abuse signal
+    router.get('/users/:uid/summary', authenticateAdmin, requireAdminPermission('moderation:read'), async (req, res) => {
+      try {
+        const uid = String(req.params.uid);
+        const [blockedBy, blocking] = await Promise.all([
+          collections.blockedUsers.countDocuments({ blockedId: uid }),
+          collections.blockedUsers.countDocuments({ blockerId: uid }),
+        ]);
+        res.json({ uid, blockedBy, blocking });
+      } catch (err) {
+        console.error('GET /api/admin/blocks/users/:uid/summary failed:', err);
+        res.status(500).json({ error: 'Fetch failed' });
+      }
+    });
+
+module.exports = router;
@@ -1,11 +1,13 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { authenticateAdmin, logAdminAction } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
 const { collections } = require('../../config/db');
+const { requestRefund, reverseSettlement } = require('../../utils/refunds');
+const { processJobSettlement } = require('../payments');
 
 const router = Router();
 
-    router.get('/', authenticateAdmin, async (req, res) => {
+    router.get('/', authenticateAdmin, requireAdminPermission('bookings:read'), async (req, res) => {
       try {
         const page = Math.max(1, parseInt(req.query.page, 10) || 1);
         const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
@@ -147,7 +149,7 @@ const router = Router();
         res.status(500).json({ error: 'Failed to fetch bookings' });
       }
     });
-    router.get('/:id', authenticateAdmin, async (req, res) => {
+    router.get('/:id', authenticateAdmin, requireAdminPermission('bookings:read'), async (req, res) => {
       try {
         const id = req.params.id;
         if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid booking id' });
@@ -243,7 +245,7 @@ const router = Router();
         res.status(500).json({ error: 'Failed to fetch booking detail' });
       }
     });
-    router.patch('/:id/status', authenticateAdmin, async (req, res) => {
+    router.patch('/:id/status', authenticateAdmin, requireAdminPermission('bookings:write'), async (req, res) => {
       try {
         const id = req.params.id;
         const { status } = req.body || {};
@@ -252,13 +254,28 @@ const router = Router();
         if (!ObjectId.isValid(id) || !allowed.has(statusIn)) {
           return res.status(400).json({ error: 'Invalid id or status' });
         }
-        const result = await collections.applications.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: { status: statusIn, updatedAt: new Date() } }
-        );
-        if (result.matchedCount === 0) return res.status(404).json({ error: 'Booking not found' });
-        await logAdminAction(req, 'booking_status', 'bookings', { applicationId: id, status: statusIn });
-        res.json({ ok: true, status: statusIn });
+        const booking = await collections.applications.findOne({ _id: new ObjectId(id) });
+        if (!booking) return res.status(404).json({ error: 'Booking not found' });
+        const { reason, refundAmount } = req.body || {};
+        const reopening = booking.status === 'completed' && statusIn !== 'completed';
+        const update = { $set: { status: statusIn, updatedAt: new Date() } };
+        // Taking a job out of completed means it has to be completed (and settled) again
+        if (reopening) update.$unset = { completedAt: '', completedByClientAt: '', completedByWorkerAt: '' };
+        else if (statusIn === 'completed' && booking.status !== 'completed' && booking.settlementStatus !== 'SETTLED') update.$set.settlementStatus = 'PENDING';
+        await collections.applications.updateOne({ _id: booking._id }, update);
+
+        const details = { applicationId: id, status: statusIn, from: booking.status };
+        if (reopening) details.settlementReversal = await reverseSettlement(id, { reason: reason || `Admin set booking to ${statusIn}`, actor: req.user?.uid || null });
+        if (update.$set.settlementStatus === 'PENDING') await processJobSettlement(id);
+        // Optional refund to the client in the same step ('full' or an amount)
+        let refund = null;
+        if (refundAmount !== undefined && refundAmount !== null && refundAmount !== '') {
+          const result = await requestRefund(id, { amount: refundAmount, reason: reason || `Booking set to ${statusIn}`, source: 'booking_status', requestedBy: req.user?.uid || null });
+          if (result.error) details.refundError = result.error;
+          else { refund = result.refund; details.refundId = String(refund._id); details.refundStatus = refund.status; }
+        }
+        await logAdminAction(req, 'booking_status', 'bookings', details);
+        res.json({ ok: true, status: statusIn, settlementReversal: details.settlementReversal || null, refund, ...(details.refundError ? { refundError: details.refundError } : {}) });
       } catch (err) {
         console.error('PATCH /api/admin/bookings/:id/status failed:', err);
         res.status(500).json({ error: 'Update failed' });
@@ -1,11 +1,11 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { authenticateAdmin, logAdminAction } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
 const { collections } = require('../../config/db');
 
 const router = Router();
 
-    router.get('/', authenticateAdmin, async (req, res) => {
+    router.get('/', authenticateAdmin, requireAdminPermission('catalog:read'), async (req, res) => {
       try {
         const list = await collections.categories.find({}).sort({ name: 1 }).toArray();
         res.json({ list });
@@ -14,7 +14,7 @@ const router = Router();
         res.status(500).json({ error: 'Failed to fetch categories' });
       }
     });
-    router.get('/', authenticateAdmin, async (req, res) => {
+    router.get('/', authenticateAdmin, requireAdminPermission('catalog:edit'), async (req, res) => {
       try {
         const body = req.body || {};
         const doc = {
@@ -31,7 +31,7 @@ const router = Router();
         res.status(500).json({ error: 'Create failed' });
       }
     });
-    router.patch('/:id', authenticateAdmin, async (req, res) => {
+    router.patch('/:id', authenticateAdmin, requireAdminPermission('catalog:edit'), async (req, res) => {
       try {
         const id = req.params.id;
         if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
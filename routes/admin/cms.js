@@ -1,18 +1,20 @@
 // routes/admin/cms.js — /api/admin/home/*, /api/admin/subscription/*, /api/admin/media/*, /api/admin/system/*, /api/admin/promo/*
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { authenticateAdmin, logAdminAction } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
 const { adminRateLimiter, ADMIN_BULK_MAX, ADMIN_BACKUP_MAX } = require('../../middleware/rateLimiter');
 const { collections } = require('../../config/db');
+const { findUnknownPermissions } = require('../../config/adminPermissions');
+const { validateEntitlements } = require('../../utils/subscriptions');
 
 const router = Router();
 
 // ---- Home CMS – Sliders ----
-router.get('/home/sliders', authenticateAdmin, async (req, res) => {
+router.get('/home/sliders', authenticateAdmin, requireAdminPermission('cms:read'), async (req, res) => {
   try { res.json({ list: await collections.sliders.find({}).sort({ order: 1 }).toArray() }); }
   catch (err) { res.status(500).json({ error: 'Failed to fetch sliders' }); }
 });
-router.post('/home/sliders', authenticateAdmin, async (req, res) => {
+router.post('/home/sliders', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const b = req.body || {};
     const doc = { title: String(b.title || '').trim(), imageUrl: String(b.imageUrl || '').trim(), linkUrl: String(b.linkUrl || '').trim(), order: Number(b.order) || 0, isActive: b.isActive !== false, createdAt: new Date(), updatedAt: new Date() };
@@ -20,7 +22,7 @@ router.post('/home/sliders', authenticateAdmin, async (req, res) => {
     res.status(201).json({ id: result.insertedId, ...doc });
   } catch (err) { res.status(500).json({ error: 'Create failed' }); }
 });
-router.patch('/home/sliders/:id', authenticateAdmin, async (req, res) => {
+router.patch('/home/sliders/:id', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -36,7 +38,7 @@ router.patch('/home/sliders/:id', authenticateAdmin, async (req, res) => {
     res.json({ ok: true });
   } catch (err) { res.status(500).json({ error: 'Update failed' }); }
 });
-router.delete('/home/sliders/:id', authenticateAdmin, async (req, res) => {
+router.delete('/home/sliders/:id', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -47,11 +49,11 @@ router.delete('/home/sliders/:id', authenticateAdmin, async (req, res) => {
 });
 
 // ---- Home CMS – Featured ----
-router.get('/home/featured', authenticateAdmin, async (req, res) => {
+router.get('/home/featured', authenticateAdmin, requireAdminPermission('cms:read'), async (req, res) => {
   try { res.json({ list: await collections.featuredSection.find({}).sort({ order: 1 }).toArray() }); }
   catch (err) { res.status(500).json({ error: 'Failed to fetch featured' }); }
 });
-router.post('/home/featured', authenticateAdmin, async (req, res) => {
+router.post('/home/featured', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const b = req.body || {};
     const doc = { title: String(b.title || '').trim(), subtitle: String(b.subtitle || '').trim(), imageUrl: String(b.imageUrl || '').trim(), linkUrl: String(b.linkUrl || '').trim(), order: Number(b.order) || 0, isActive: b.isActive !== false, createdAt: new Date(), updatedAt: new Date() };
@@ -59,7 +61,7 @@ router.post('/home/featured', authenticateAdmin, async (req, res) => {
     res.status(201).json({ id: result.insertedId, ...doc });
   } catch (err) { res.status(500).json({ error: 'Create failed' }); }
 });
-router.patch('/home/featured/:id', authenticateAdmin, async (req, res) => {
+router.patch('/home/featured/:id', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -76,7 +78,7 @@ router.patch('/home/featured/:id', authenticateAdmin, async (req, res) => {
     res.json({ ok: true });
   } catch (err) { res.status(500).json({ error: 'Update failed' }); }
 });
-router.delete('/home/featured/:id', authenticateAdmin, async (req, res) => {
+router.delete('/home/featured/:id', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -87,19 +89,22 @@ router.delete('/home/featured/:id', authenticateAdmin, async (req, res) => {
 });
 
 // ---- Subscription Plans ----
-router.get('/subscription/plans', authenticateAdmin, async (req, res) => {
+router.get('/subscription/plans', authenticateAdmin, requireAdminPermission('cms:read'), async (req, res) => {
   try { res.json({ list: await collections.subscriptionPlans.find({}).sort({ order: 1 }).toArray() }); }
   catch (err) { res.status(500).json({ error: 'Failed to fetch plans' }); }
 });
-router.post('/subscription/plans', authenticateAdmin, async (req, res) => {
+router.post('/subscription/plans', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const b = req.body || {};
-    const doc = { name: String(b.name || '').trim(), price: Number(b.price) || 0, interval: ['month', 'year'].includes(b.interval) ? b.interval : 'month', features: Array.isArray(b.features) ? b.features : [], isActive: b.isActive !== false, order: Number(b.order) || 0, createdAt: new Date(), updatedAt: new Date() };
+    const { entitlements, error } = validateEntitlements(b.entitlements || {});
+    if (error) return res.status(400).json({ error });
+    const doc = { name: String(b.name || '').trim(), price: Number(b.price) || 0, interval: ['month', 'year'].includes(b.interval) ? b.interval : 'month', features: Array.isArray(b.features) ? b.features : [], entitlements, isActive: b.isActive !== false, order: Number(b.order) || 0, createdAt: new Date(), updatedAt: new Date() };
     const result = await collections.subscriptionPlans.insertOne(doc);
+    await logAdminAction(req, 'subscription_plan_create', 'subscriptionPlans', { planId: String(result.insertedId), entitlements });
     res.status(201).json({ id: result.insertedId, ...doc });
   } catch (err) { res.status(500).json({ error: 'Create failed' }); }
 });
-router.patch('/subscription/plans/:id', authenticateAdmin, async (req, res) => {
+router.patch('/subscription/plans/:id', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -111,12 +116,21 @@ router.patch('/subscription/plans/:id', authenticateAdmin, async (req, res) => {
     if (Array.isArray(b.features)) $set.features = b.features;
     if (typeof b.isActive === 'boolean') $set.isActive = b.isActive;
     if (typeof b.order === 'number') $set.order = b.order;
+    if (b.entitlements !== undefined) {
+      // Existing subscribers keep the entitlements they paid for; only new purchases see the change
+      const plan = await collections.subscriptionPlans.findOne({ _id: new ObjectId(id) });
+      if (!plan) return res.status(404).json({ error: 'Not found' });
+      const { entitlements, error } = validateEntitlements(b.entitlements || {}, plan.entitlements);
+      if (error) return res.status(400).json({ error });
+      $set.entitlements = entitlements;
+    }
     const result = await collections.subscriptionPlans.updateOne({ _id: new ObjectId(id) }, { $set });
     if (result.matchedCount === 0) return res.status(404).json({ error: 'Not found' });
+    if ($set.entitlements) await logAdminAction(req, 'subscription_plan_update', 'subscriptionPlans', { planId: id, entitlements: $set.entitlements });
     res.json({ ok: true });
   } catch (err) { res.status(500).json({ error: 'Update failed' }); }
 });
-router.get('/subscription/subscriptions', authenticateAdmin, async (req, res) => {
+router.get('/subscription/subscriptions', authenticateAdmin, requireAdminPermission('cms:read'), async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
@@ -130,7 +144,7 @@ router.get('/subscription/subscriptions', authenticateAdmin, async (req, res) =>
 });
 
 // ---- Media – Gallery ----
-router.get('/media/gallery', authenticateAdmin, async (req, res) => {
+router.get('/media/gallery', authenticateAdmin, requireAdminPermission('cms:read'), async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
@@ -142,7 +156,7 @@ router.get('/media/gallery', authenticateAdmin, async (req, res) => {
     res.json({ list, total, page, limit });
   } catch (err) { res.status(500).json({ error: 'Failed to fetch gallery' }); }
 });
-router.post('/media/gallery', authenticateAdmin, async (req, res) => {
+router.post('/media/gallery', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const b = req.body || {};
     const doc = { url: String(b.url || '').trim(), caption: String(b.caption || '').trim(), category: String(b.category || '').trim(), createdAt: new Date(), updatedAt: new Date() };
@@ -150,7 +164,7 @@ router.post('/media/gallery', authenticateAdmin, async (req, res) => {
     res.status(201).json({ id: result.insertedId, ...doc });
   } catch (err) { res.status(500).json({ error: 'Create failed' }); }
 });
-router.delete('/media/gallery/:id', authenticateAdmin, async (req, res) => {
+router.delete('/media/gallery/:id', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -161,11 +175,11 @@ router.delete('/media/gallery/:id', authenticateAdmin, async (req, res) => {
 });
 
 // ---- System – FAQs ----
-router.get('/system/faqs', authenticateAdmin, async (req, res) => {
+router.get('/system/faqs', authenticateAdmin, requireAdminPermission('cms:read'), async (req, res) => {
   try { res.json({ list: await collections.faqs.find({}).sort({ order: 1 }).toArray() }); }
   catch (err) { res.status(500).json({ error: 'Failed to fetch FAQs' }); }
 });
-router.post('/system/faqs', authenticateAdmin, async (req, res) => {
+router.post('/system/faqs', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const b = req.body || {};
     const doc = { question: String(b.question || '').trim(), answer: String(b.answer || '').trim(), order: Number(b.order) || 0, isActive: b.isActive !== false, createdAt: new Date(), updatedAt: new Date() };
@@ -173,7 +187,7 @@ router.post('/system/faqs', authenticateAdmin, async (req, res) => {
     res.status(201).json({ id: result.insertedId, ...doc });
   } catch (err) { res.status(500).json({ error: 'Create failed' }); }
 });
-router.patch('/system/faqs/:id', authenticateAdmin, async (req, res) => {
+router.patch('/system/faqs/:id', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -188,7 +202,7 @@ router.patch('/system/faqs/:id', authenticateAdmin, async (req, res) => {
     res.json({ ok: true });
   } catch (err) { res.status(500).json({ error: 'Update failed' }); }
 });
-router.delete('/system/faqs/:id', authenticateAdmin, async (req, res) => {
+router.delete('/system/faqs/:id', authenticateAdmin, requireAdminPermission('cms:edit'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -199,32 +213,40 @@ router.delete('/system/faqs/:id', authenticateAdmin, async (req, res) => {
 });
 
 // ---- System – Admin Users ----
-router.get('/system/users', authenticateAdmin, async (req, res) => {
+router.get('/system/users', authenticateAdmin, requireAdminPermission('system:users'), async (req, res) => {
   try { res.json({ list: await collections.adminUsers.find({}).sort({ createdAt: -1 }).toArray() }); }
   catch (err) { res.status(500).json({ error: 'Failed to fetch system users' }); }
 });
-router.post('/system/users', authenticateAdmin, async (req, res) => {
+router.post('/system/users', authenticateAdmin, requireAdminPermission('system:users'), async (req, res) => {
   try {
     const b = req.body || {};
-    const doc = { uid: String(b.uid || '').trim(), email: String(b.email || '').trim().toLowerCase(), permissions: Array.isArray(b.permissions) ? b.permissions : ['*'], createdAt: new Date(), updatedAt: new Date() };
+    const doc = { uid: String(b.uid || '').trim(), email: String(b.email || '').trim().toLowerCase(), permissions: Array.isArray(b.permissions) ? b.permissions.map(String) : ['*'], createdAt: new Date(), updatedAt: new Date() };
     if (!doc.uid) return res.status(400).json({ error: 'uid required' });
+    const unknown = findUnknownPermissions(doc.permissions);
+    if (unknown.length) return res.status(400).json({ error: 'Unknown permissions', unknown });
     const result = await collections.adminUsers.insertOne(doc);
+    await logAdminAction(req, 'admin_user_create', 'adminUsers', { uid: doc.uid, permissions: doc.permissions });
     res.status(201).json({ id: result.insertedId, ...doc });
   } catch (err) { res.status(500).json({ error: 'Create failed' }); }
 });
-router.patch('/system/users/:id', authenticateAdmin, async (req, res) => {
+router.patch('/system/users/:id', authenticateAdmin, requireAdminPermission('system:users'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
     const b = req.body || {};
     const $set = { updatedAt: new Date() };
-    if (Array.isArray(b.permissions)) $set.permissions = b.permissions;
+    if (Array.isArray(b.permissions)) {
+      const unknown = findUnknownPermissions(b.permissions.map(String));
+      if (unknown.length) return res.status(400).json({ error: 'Unknown permissions', unknown });
+      $set.permissions = b.permissions.map(String);
+    }
     const result = await collections.adminUsers.updateOne({ _id: new ObjectId(id) }, { $set });
     if (result.matchedCount === 0) return res.status(404).json({ error: 'Not found' });
+    if ($set.permissions) await logAdminAction(req, 'admin_user_permissions', 'adminUsers', { adminUserId: id, permissions: $set.permissions });
     res.json({ ok: true });
   } catch (err) { res.status(500).json({ error: 'Update failed' }); }
 });
-router.delete('/system/users/:id', authenticateAdmin, async (req, res) => {
+router.delete('/system/users/:id', authenticateAdmin, requireAdminPermission('system:users'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -235,8 +257,8 @@ router.delete('/system/users/:id', authenticateAdmin, async (req, res) => {
 });
 
 // ---- System – Backup ----
-router.get('/system/backup', authenticateAdmin, async (req, res) => res.json({ list: [], message: 'Backup metadata - integrate with your backup solution' }));
-router.post('/system/backup', authenticateAdmin, adminRateLimiter('admin_backup', ADMIN_BACKUP_MAX), async (req, res) => {
+router.get('/system/backup', authenticateAdmin, requireAdminPermission('system:backup'), async (req, res) => res.json({ list: [], message: 'Backup metadata - integrate with your backup solution' }));
+router.post('/system/backup', authenticateAdmin, requireAdminPermission('system:backup'), adminRateLimiter('admin_backup', ADMIN_BACKUP_MAX), async (req, res) => {
   try {
     await logAdminAction(req, 'backup_trigger', 'system', {});
     res.json({ ok: true, message: 'Backup triggered - integrate with your backup solution' });
@@ -244,7 +266,7 @@ router.post('/system/backup', authenticateAdmin, adminRateLimiter('admin_backup'
 });
 
 // ---- Promo – Email Campaign ----
-router.post('/promo/email/send', authenticateAdmin, adminRateLimiter('admin_email_campaign', ADMIN_BULK_MAX), async (req, res) => {
+router.post('/promo/email/send', authenticateAdmin, requireAdminPermission('promo:email'), adminRateLimiter('admin_email_campaign', ADMIN_BULK_MAX), async (req, res) => {
   try {
     const { subject, htmlBody, targetAudience = 'all' } = req.body || {};
     if (!subject || !htmlBody) return res.status(400).json({ error: 'subject and htmlBody are required' });
@@ -1,12 +1,12 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { authenticateAdmin, logAdminAction } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
 const { collections } = require('../../config/db');
 const { computeUserStats } = require('../../utils/helpers');
 
 const router = Router();
 
-    router.get('/', authenticateAdmin, async (req, res) => {
+    router.get('/', authenticateAdmin, requireAdminPermission('customers:read'), async (req, res) => {
       try {
         const page = Math.max(1, parseInt(req.query.page, 10) || 1);
         const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
@@ -58,7 +58,7 @@ const router = Router();
         res.status(500).json({ error: 'Failed to fetch customers' });
       }
     });
-    router.get('/:uid', authenticateAdmin, async (req, res) => {
+    router.get('/:uid', authenticateAdmin, requireAdminPermission('customers:read'), async (req, res) => {
       try {
         const uid = String(req.params.uid);
         const doc = await collections.users.findOne({ uid });
@@ -70,7 +70,7 @@ const router = Router();
         res.status(500).json({ error: 'Failed to fetch customer' });
       }
     });
-    router.get('/:uid/transactions', authenticateAdmin, async (req, res) => {
+    router.get('/:uid/transactions', authenticateAdmin, requireAdminPermission('customers:read'), async (req, res) => {
       try {
         const uid = String(req.params.uid);
         const page = Math.max(1, parseInt(req.query.page, 10) || 1);
@@ -86,7 +86,7 @@ const router = Router();
         res.status(500).json({ error: 'Failed to fetch transactions' });
       }
     });
-    router.get('/:uid/addresses', authenticateAdmin, async (req, res) => {
+    router.get('/:uid/addresses', authenticateAdmin, requireAdminPermission('customers:read'), async (req, res) => {
       try {
         const uid = String(req.params.uid);
         const doc = await collections.users.findOne({ uid });
@@ -1,7 +1,8 @@
-// routes/admin/dashboard.js — /api/admin/me, /api/admin/stats, /api/admin/revenue-stats
+// routes/admin/dashboard.js — /api/admin/me, /api/admin/permissions, /api/admin/stats, /api/admin/revenue-stats
 const { Router } = require('express');
-const { authenticateAdmin } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission } = require('../../middleware/auth');
 const { collections } = require('../../config/db');
+const { ADMIN_PERMISSIONS } = require('../../config/adminPermissions');
 
 const router = Router();
 
@@ -22,8 +23,13 @@ router.get('/me', authenticateAdmin, (req, res) => {
   }
 });
 
+// Permission catalogue for the admin role editor
+router.get('/permissions', authenticateAdmin, (req, res) => {
+  res.json({ list: ADMIN_PERMISSIONS, wildcard: '*' });
+});
+
 // Dashboard stats (two definitions exist in original; keep the richer one first)
-router.get('/stats', authenticateAdmin, async (req, res) => {
+router.get('/stats', authenticateAdmin, requireAdminPermission('dashboard:read'), async (req, res) => {
   try {
     const [
       totalProviders,
@@ -58,14 +64,15 @@ router.get('/stats', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.get('/revenue-stats', authenticateAdmin, async (req, res) => {
+router.get('/revenue-stats', authenticateAdmin, requireAdminPermission('dashboard:read'), async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
     const pipeline = [
-      { $match: { type: 'platform_fee_debit', createdAt: { $gte: startDate } } },
+      // Credits to platform_revenue, plus fee rows written before the double-entry ledger
+      { $match: { $or: [{ account: 'platform_revenue', direction: 'CREDIT' }, { type: 'platform_fee_debit', account: { $exists: false } }], createdAt: { $gte: startDate } } },
       { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, revenue: { $sum: '$amount' }, count: { $sum: 1 } } },
       { $sort: { _id: 1 } },
     ];
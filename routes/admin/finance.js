@@ -1,40 +1,219 @@
-// routes/admin/finance.js — ledgers, payment-requests, settlements, cash-collections, due-payments, transactions
+// routes/admin/finance.js — ledgers, due-policy, payment-requests, settlements, payouts, fee-schedules, invoices, refunds, cash-collections, cash-deposits, due-payments, transactions, reports
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { authenticateAdmin, logAdminAction } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
 const { collections } = require('../../config/db');
+const { PAYOUT_PROVIDERS, getPayoutAdapter } = require('../../utils/payoutProviders');
+const { ENTRY_TYPES, reconcileWorkerDues, findUnbalancedTransactions } = require('../../utils/ledger');
+const { DEFAULT_FEE_RULES, validateFeeRules, getActiveFeeSchedule, invalidateFeeScheduleCache, calculatePlatformFee } = require('../../utils/fees');
+const { DEFAULT_DUE_POLICY, BLOCK_REASON, getDuePolicy, invalidateDuePolicyCache, validateDuePolicy, evaluateWorkerDue } = require('../../utils/duePolicy');
+const { INVOICE_TYPES, issueSettlementDocuments, issueDueReceipt, renderInvoicePdf } = require('../../utils/invoices');
+const { requestRefund, refreshRefund } = require('../../utils/refunds');
+const { recordAgentCollection, resolveFlaggedCashPayment, reconcileDeposits } = require('../../utils/cashCollections');
+const { MIN_PAYOUT_AMOUNT, listPayableWorkers, createPayoutBatch, resolvePayoutItem, refreshBatchStatus } = require('../../utils/payouts');
+const { FINANCE_REPORTS, resolveReportRange } = require('../../utils/financeReports');
+const { sendCsv, streamCsv } = require('../../utils/csv');
 
 const router = Router();
 
+const upper = (v) => String(v).toUpperCase();
+const bool = (v) => v === true || v === 'true';
+
+/**
+ * Mongo query for a list endpoint: `base` plus one equality match per query param named in `filters`
+ * (param -> field, or [field, cast] when the value needs normalizing), and ?from&to on `dateField`.
+ * Returns { error } when from/to are not dates.
+ */
+function buildListQuery(params, { base = {}, dateField = 'createdAt', filters = {} } = {}) {
+  const query = { ...base };
+  for (const [param, spec] of Object.entries(filters)) {
+    const value = params[param];
+    if (value === undefined || value === '') continue;
+    const [field, cast] = Array.isArray(spec) ? spec : [spec, String];
+    query[field] = cast(value);
+  }
+  if (params.from || params.to) {
+    const range = {};
+    for (const [param, op] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!params[param]) continue;
+      const date = new Date(params[param]);
+      if (Number.isNaN(date.getTime())) return { error: `${param} must be a date` };
+      range[op] = date;
+    }
+    query[dateField] = range;
+  }
+  return { query };
+}
+
+/**
+ * Answer a list endpoint: a page as { list, total, page, limit, ...extra }, or with ?format=csv every
+ * matching document streamed as `<filename>-YYYY-MM-DD.csv` using `columns`.
+ */
+async function sendList(req, res, collection, { query, sort, columns, filename, project = null, extra = {} }) {
+  if (req.query.format === 'csv') {
+    let cursor = collection.find(query).sort(sort);
+    if (project) cursor = cursor.project(project);
+    try {
+      await streamCsv(res, `${filename}-${new Date().toISOString().slice(0, 10)}.csv`, columns, cursor);
+    } catch (err) {
+      // Headers are gone once streaming starts; cut the download short rather than send a 500
+      if (!res.headersSent) throw err;
+      console.error(`CSV export of ${filename} failed:`, err);
+      res.end();
+    }
+    return;
+  }
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const skip = (page - 1) * limit;
+  let cursor = collection.find(query);
+  if (project) cursor = cursor.project(project);
+  const [list, total] = await Promise.all([
+    cursor.sort(sort).skip(skip).limit(limit).toArray(),
+    collection.countDocuments(query),
+  ]);
+  res.json({ list, total, page, limit, ...extra });
+}
+
 // ---- Ledgers ----
-router.get('/ledgers', authenticateAdmin, async (req, res) => {
+router.get('/ledgers', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
   try {
-    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
-    const skip = (page - 1) * limit;
-    const [list, total] = await Promise.all([
-      collections.ledgers.find({}).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
-      collections.ledgers.countDocuments({}),
-    ]);
-    res.json({ list, total, page, limit });
+    const { query, error } = buildListQuery(req.query, { filters: { workerId: 'workerId', type: 'type', account: 'account', direction: ['direction', upper], transactionId: 'transactionId' } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.ledgers, {
+      query,
+      sort: { createdAt: -1 },
+      filename: 'ledger',
+      columns: [['Created at', 'createdAt'], ['Transaction', 'transactionId'], ['Type', 'type'], ['Account', 'account'], ['Direction', 'direction'], ['Amount', 'amount'], ['Balance after', 'balanceAfter'], ['Worker', 'workerId'], ['Order', 'orderId'], ['Memo', 'memo']],
+    });
   } catch (err) {
     console.error('GET /api/admin/ledgers failed:', err);
     res.status(500).json({ error: 'Failed to fetch ledgers' });
   }
 });
 
-// ---- Due Payments ----
-router.get('/due-payments', authenticateAdmin, async (req, res) => {
+router.get('/ledger/entry-types', authenticateAdmin, requireAdminPermission('finance:read'), (_req, res) => {
+  res.json({ list: Object.entries(ENTRY_TYPES).map(([type, def]) => ({ type, debit: def.debit, credit: def.credit })) });
+});
+
+// Recompute each worker's due from ledger legs and flag drift against users.dueBalance
+router.get('/ledger/reconciliation', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
-    const skip = (page - 1) * limit;
-    const query = { isDuePayment: true, status: 'PENDING_VERIFICATION' };
-    const [list, total] = await Promise.all([
-      collections.paymentRequests.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
-      collections.paymentRequests.countDocuments(query),
+    const onlyDrift = req.query.onlyDrift !== 'false';
+    const [rows, unbalanced, legacyEntries] = await Promise.all([
+      reconcileWorkerDues(),
+      findUnbalancedTransactions(),
+      collections.ledgers.countDocuments({ account: { $exists: false } }),
     ]);
-    res.json({ list, total, page, limit });
+    const flagged = rows.filter((r) => r.hasDrift).sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift));
+    const filtered = onlyDrift ? flagged : rows;
+    if (req.query.format === 'csv') {
+      return sendCsv(res, 'ledger-reconciliation.csv', [
+        ['Worker', 'Name', 'Due balance', 'Ledger due', 'Running balance', 'Drift', 'Has drift'],
+        ...filtered.map((r) => [r.workerId, r.name, r.dueBalance, r.ledgerDue, r.runningBalance, r.drift, r.hasDrift]),
+      ]);
+    }
+    res.json({
+      list: filtered.slice((page - 1) * limit, page * limit),
+      total: filtered.length,
+      page,
+      limit,
+      summary: {
+        workersChecked: rows.length,
+        workersWithDrift: flagged.length,
+        totalDrift: Math.round(flagged.reduce((sum, r) => sum + r.drift, 0) * 100) / 100,
+        unbalancedTransactions: unbalanced.length,
+        legacyEntries,
+      },
+      unbalancedTransactions: unbalanced,
+    });
+  } catch (err) {
+    console.error('GET /api/admin/ledger/reconciliation failed:', err);
+    res.status(500).json({ error: 'Failed to reconcile ledger' });
+  }
+});
+
+// ---- Due Policy (escalation of unpaid platform fees) ----
+router.get('/due-policy', authenticateAdmin, requireAdminPermission('finance:read'), async (_req, res) => {
+  try {
+    const doc = await collections.platformSettings.findOne({ key: 'duePolicy' });
+    res.json({ policy: await getDuePolicy(), defaults: DEFAULT_DUE_POLICY, updatedAt: doc?.updatedAt || null, updatedBy: doc?.updatedBy || null });
+  } catch (err) {
+    console.error('GET /api/admin/due-policy failed:', err);
+    res.status(500).json({ error: 'Failed to fetch due policy' });
+  }
+});
+
+// Partial update; omitted fields keep their current value
+router.put('/due-policy', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    invalidateDuePolicyCache();
+    const { policy, error } = validateDuePolicy(req.body || {}, await getDuePolicy());
+    if (error) return res.status(400).json({ error });
+    const now = new Date();
+    await collections.platformSettings.updateOne(
+      { key: 'duePolicy' },
+      { $set: { value: policy, updatedBy: req.user?.uid || null, updatedAt: now }, $setOnInsert: { createdAt: now } },
+      { upsert: true }
+    );
+    invalidateDuePolicyCache();
+    await logAdminAction(req, 'due_policy_update', 'platformSettings', { fields: Object.keys(req.body || {}) });
+    res.json({ ok: true, policy });
+  } catch (err) {
+    console.error('PUT /api/admin/due-policy failed:', err);
+    res.status(500).json({ error: 'Failed to update due policy' });
+  }
+});
+
+// Workers currently in an escalation cycle or blocked for dues
+router.get('/due-policy/escalations', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const base = { role: 'worker', $or: [{ dueWarningNotifiedAt: { $exists: true } }, { blockReason: BLOCK_REASON }] };
+    const { query, error } = buildListQuery(req.query, { base, dateField: 'dueWarningNotifiedAt', filters: { isApplyBlocked: ['isApplyBlocked', bool] } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.users, {
+      query,
+      project: { uid: 1, displayName: 1, email: 1, phone: 1, dueBalance: 1, isApplyBlocked: 1, blockReason: 1, dueWarningNotifiedAt: 1, dueBlockAt: 1, dueEscalationStages: 1, dueEscalationLog: { $slice: -10 } },
+      sort: { dueWarningNotifiedAt: 1 },
+      filename: 'due-escalations',
+      columns: [['Worker', 'uid'], ['Name', 'displayName'], ['Email', 'email'], ['Phone', 'phone'], ['Due balance', 'dueBalance'], ['Apply blocked', 'isApplyBlocked'], ['Block reason', 'blockReason'], ['Warned at', 'dueWarningNotifiedAt'], ['Block at', 'dueBlockAt']],
+    });
+  } catch (err) {
+    console.error('GET /api/admin/due-policy/escalations failed:', err);
+    res.status(500).json({ error: 'Failed to fetch due escalations' });
+  }
+});
+
+// Re-evaluate one worker now (e.g. right after granting an exemption)
+router.post('/due-policy/escalations/:uid/evaluate', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const worker = await collections.users.findOne({ uid: String(req.params.uid), role: 'worker' });
+    if (!worker) return res.status(404).json({ error: 'Worker not found' });
+    const outcome = await evaluateWorkerDue(worker);
+    await logAdminAction(req, 'due_escalation_evaluate', 'users', { workerId: worker.uid, outcome });
+    const updated = await collections.users.findOne({ uid: worker.uid });
+    res.json({ ok: true, outcome, dueBalance: updated.dueBalance || 0, isApplyBlocked: !!updated.isApplyBlocked, dueBlockAt: updated.dueBlockAt || null, dueEscalationLog: (updated.dueEscalationLog || []).slice(-10) });
+  } catch (err) {
+    console.error('POST /api/admin/due-policy/escalations/:uid/evaluate failed:', err);
+    res.status(500).json({ error: 'Evaluation failed' });
+  }
+});
+
+// ---- Due Payments ----
+router.get('/due-payments', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    // Manual payments awaiting verification unless ?status asks for another state (or 'all')
+    const base = { isDuePayment: true, ...(req.query.status ? {} : { status: 'PENDING_VERIFICATION' }) };
+    const { query, error } = buildListQuery({ ...req.query, status: req.query.status === 'all' ? undefined : req.query.status }, { base, filters: { status: ['status', upper], workerId: 'workerId' } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.paymentRequests, {
+      query,
+      sort: { createdAt: -1 },
+      filename: 'due-payments',
+      columns: [['Created at', 'createdAt'], ['Payment', '_id'], ['Worker', 'workerId'], ['Amount', 'amount'], ['Currency', 'currency'], ['Status', 'status'], ['Reference', 'transactionId'], ['Gateway', 'gateway'], ['Verified by', 'verifiedBy']],
+    });
   } catch (err) {
     console.error('GET /api/admin/due-payments failed:', err);
     res.status(500).json({ error: 'Failed to fetch due payments' });
@@ -42,24 +221,26 @@ router.get('/due-payments', authenticateAdmin, async (req, res) => {
 });
 
 // ---- Payment Requests ----
-router.get('/payment-requests', authenticateAdmin, async (req, res) => {
+router.get('/payment-requests', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
   try {
-    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
-    const skip = (page - 1) * limit;
-    const query = { isDuePayment: { $ne: true } };
-    const [list, total] = await Promise.all([
-      collections.paymentRequests.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
-      collections.paymentRequests.countDocuments(query),
-    ]);
-    res.json({ list, total, page, limit });
+    const { query, error } = buildListQuery(req.query, {
+      base: { isDuePayment: { $ne: true } },
+      filters: { status: 'status', purpose: ['purpose', upper], gateway: 'gateway', workerId: 'workerId', clientId: 'clientId', userId: 'userId', applicationId: 'applicationId' },
+    });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.paymentRequests, {
+      query,
+      sort: { createdAt: -1 },
+      filename: 'payment-requests',
+      columns: [['Created at', 'createdAt'], ['Payment', '_id'], ['Purpose', 'purpose'], ['Status', 'status'], ['Amount', 'amount'], ['Currency', 'currency'], ['Gateway', 'gateway'], ['Client', 'clientId'], ['Worker', 'workerId'], ['User', 'userId'], ['Application', 'applicationId'], ['Paid at', 'paidAt']],
+    });
   } catch (err) {
     console.error('GET /api/admin/payment-requests failed:', err);
     res.status(500).json({ error: 'Failed to fetch payment requests' });
   }
 });
 
-router.post('/payment-requests', authenticateAdmin, async (req, res) => {
+router.post('/payment-requests', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
   try {
     const { providerId, amount, reason } = req.body || {};
     const doc = {
@@ -78,18 +259,23 @@ router.post('/payment-requests', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.patch('/payment-requests/:id', authenticateAdmin, async (req, res) => {
+router.patch('/payment-requests/:id', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
   try {
     const id = req.params.id;
     const { status } = req.body || {};
     const statusIn = String(status || '').toLowerCase();
     if (!['pending', 'approved', 'rejected'].includes(statusIn)) return res.status(400).json({ error: 'Invalid status' });
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    // Only the manual provider requests created above; gateway and due payments follow their own state machine
     const result = await collections.paymentRequests.updateOne(
-      { _id: new ObjectId(id) },
+      { _id: new ObjectId(id), gateway: { $exists: false }, purpose: { $exists: false }, status: { $in: ['pending', 'approved', 'rejected'] } },
       { $set: { status: statusIn, updatedAt: new Date() } }
     );
-    if (result.matchedCount === 0) return res.status(404).json({ error: 'Not found' });
+    if (result.matchedCount === 0) {
+      const existing = await collections.paymentRequests.findOne({ _id: new ObjectId(id) });
+      if (!existing) return res.status(404).json({ error: 'Not found' });
+      return res.status(409).json({ error: `This ${existing.gateway || existing.purpose || 'payment'} request is ${existing.status} and cannot be changed here` });
+    }
     await logAdminAction(req, 'payment_request_status', 'paymentRequests', { requestId: id, status: statusIn });
     res.json({ ok: true, status: statusIn });
   } catch (err) {
@@ -99,23 +285,23 @@ router.patch('/payment-requests/:id', authenticateAdmin, async (req, res) => {
 });
 
 // ---- Settlements ----
-router.get('/settlements', authenticateAdmin, async (req, res) => {
+router.get('/settlements', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
   try {
-    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
-    const skip = (page - 1) * limit;
-    const [list, total] = await Promise.all([
-      collections.settlements.find({}).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
-      collections.settlements.countDocuments({}),
-    ]);
-    res.json({ list, total, page, limit });
+    const { query, error } = buildListQuery(req.query, { filters: { status: 'status', type: 'type', provider: 'provider', providerId: 'providerId' } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.settlements, {
+      query,
+      sort: { createdAt: -1 },
+      filename: 'settlements',
+      columns: [['Created at', 'createdAt'], ['Settlement', '_id'], ['Type', 'type'], ['Batch', 'batchNumber'], ['Provider', 'provider'], ['Provider ID', 'providerId'], ['Status', 'status'], ['Amount', 'amount'], ['Items', 'itemCount']],
+    });
   } catch (err) {
     console.error('GET /api/admin/settlements failed:', err);
     res.status(500).json({ error: 'Failed to fetch settlements' });
   }
 });
 
-router.post('/settlements', authenticateAdmin, async (req, res) => {
+router.post('/settlements', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
   try {
     const body = req.body || {};
     const doc = { providerId: String(body.providerId || ''), amount: Number(body.amount) || 0, status: 'pending', createdAt: new Date(), updatedAt: new Date() };
@@ -127,13 +313,15 @@ router.post('/settlements', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.patch('/settlements/:id', authenticateAdmin, async (req, res) => {
+router.patch('/settlements/:id', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
   try {
     const id = req.params.id;
     const { status } = req.body || {};
     const statusIn = String(status || '').toLowerCase();
     if (!['pending', 'completed', 'failed'].includes(statusIn)) return res.status(400).json({ error: 'Invalid status' });
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const existing = await collections.settlements.findOne({ _id: new ObjectId(id) });
+    if (existing?.type === 'payout_batch') return res.status(400).json({ error: 'Payout batches are resolved per item via /payouts/batches/:id/items/mark' });
     const result = await collections.settlements.updateOne(
       { _id: new ObjectId(id) },
       { $set: { status: statusIn, updatedAt: new Date() } }
@@ -147,17 +335,347 @@ router.patch('/settlements/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
+// ---- Payouts (worker wallet settlement batches) ----
+router.get('/payouts/payable', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const provider = String(req.query.provider || '').toLowerCase();
+    if (!PAYOUT_PROVIDERS.includes(provider)) return res.status(400).json({ error: `provider must be one of ${PAYOUT_PROVIDERS.join(', ')}` });
+    const minAmount = req.query.minAmount !== undefined ? Math.max(0, Number(req.query.minAmount) || 0) : MIN_PAYOUT_AMOUNT;
+    const list = await listPayableWorkers(provider, { minAmount });
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `payable-${provider}.csv`, [
+        ['Worker', 'Name', 'Wallet number', 'Payable', 'Due offset', 'Amount'],
+        ...list.map((r) => [r.workerId, r.name, r.walletNumber, r.payable, r.dueOffset, r.amount]),
+      ]);
+    }
+    res.json({ list, total: list.length, amount: list.reduce((sum, row) => sum + row.amount, 0), minAmount });
+  } catch (err) {
+    console.error('GET /api/admin/payouts/payable failed:', err);
+    res.status(500).json({ error: 'Failed to compute payable balances' });
+  }
+});
+
+router.post('/payouts/batches', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { provider, workerIds, minAmount } = req.body || {};
+    if (workerIds !== undefined && !Array.isArray(workerIds)) return res.status(400).json({ error: 'workerIds must be an array' });
+    const { batch, items } = await createPayoutBatch({
+      provider,
+      workerIds: workerIds || null,
+      minAmount: minAmount !== undefined ? Math.max(0, Number(minAmount) || 0) : MIN_PAYOUT_AMOUNT,
+      createdBy: req.user?.uid || null,
+    });
+    if (!batch) return res.status(400).json({ error: 'No workers with a payable balance for this provider' });
+    await logAdminAction(req, 'payout_batch_create', 'settlements', { settlementId: String(batch._id), provider: batch.provider, itemCount: batch.itemCount, amount: batch.amount });
+    res.status(201).json({ batch, items });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error('POST /api/admin/payouts/batches failed:', err);
+    res.status(500).json({ error: 'Failed to create payout batch' });
+  }
+});
+
+router.get('/payouts/batches/:id', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const batch = await collections.settlements.findOne({ _id: new ObjectId(id), type: 'payout_batch' });
+    if (!batch) return res.status(404).json({ error: 'Not found' });
+    const items = await collections.payoutItems.find({ settlementId: batch._id }).sort({ createdAt: 1 }).toArray();
+    res.json({ batch, items });
+  } catch (err) {
+    console.error('GET /api/admin/payouts/batches/:id failed:', err);
+    res.status(500).json({ error: 'Failed to fetch payout batch' });
+  }
+});
+
+router.get('/payouts/batches/:id/export', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const batch = await collections.settlements.findOne({ _id: new ObjectId(id), type: 'payout_batch' });
+    if (!batch) return res.status(404).json({ error: 'Not found' });
+    const adapter = getPayoutAdapter(batch.provider);
+    if (!adapter) return res.status(400).json({ error: `No payout adapter for ${batch.provider}` });
+    const items = await collections.payoutItems.find({ settlementId: batch._id, status: 'pending' }).sort({ createdAt: 1 }).toArray();
+    const file = adapter.exportFile(batch, items);
+    await collections.settlements.updateOne({ _id: batch._id }, { $set: { ...(batch.status === 'pending' ? { status: 'exported' } : {}), exportedAt: new Date(), exportedBy: req.user?.uid || null, updatedAt: new Date() } });
+    await logAdminAction(req, 'payout_batch_export', 'settlements', { settlementId: id, adapter: adapter.name, itemCount: items.length });
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (err) {
+    console.error('GET /api/admin/payouts/batches/:id/export failed:', err);
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+// Push a batch through an adapter that can pay out by API (the fake adapter locally)
+router.post('/payouts/batches/:id/disburse', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const batch = await collections.settlements.findOne({ _id: new ObjectId(id), type: 'payout_batch' });
+    if (!batch) return res.status(404).json({ error: 'Not found' });
+    const adapter = getPayoutAdapter(batch.provider);
+    if (!adapter || typeof adapter.disburse !== 'function') return res.status(400).json({ error: 'This provider only supports file export; mark items after uploading the file' });
+    const items = await collections.payoutItems.find({ settlementId: batch._id, status: 'pending' }).toArray();
+    const results = await adapter.disburse(batch, items);
+    const byId = new Map(items.map((item) => [String(item._id), item]));
+    let resolved = 0;
+    for (const r of results) {
+      const item = byId.get(String(r.itemId));
+      if (item && ['sent', 'failed'].includes(r.status) && await resolvePayoutItem(item, r.status, { reference: r.reference, reason: r.reason, resolvedBy: req.user?.uid || null })) resolved++;
+    }
+    const status = await refreshBatchStatus(batch._id);
+    await logAdminAction(req, 'payout_batch_disburse', 'settlements', { settlementId: id, adapter: adapter.name, resolved });
+    res.json({ ok: true, resolved, status: status || batch.status });
+  } catch (err) {
+    console.error('POST /api/admin/payouts/batches/:id/disburse failed:', err);
+    res.status(500).json({ error: 'Disbursement failed' });
+  }
+});
+
+// Mark pending items of a batch as sent or failed (all of them unless itemIds is given)
+router.post('/payouts/batches/:id/items/mark', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, itemIds, reference, reason } = req.body || {};
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    if (!['sent', 'failed'].includes(status)) return res.status(400).json({ error: 'status must be sent or failed' });
+    if (status === 'failed' && !String(reason || '').trim()) return res.status(400).json({ error: 'reason is required when marking payouts failed' });
+    if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.some((itemId) => !ObjectId.isValid(itemId)))) return res.status(400).json({ error: 'itemIds must be an array of ids' });
+    const batch = await collections.settlements.findOne({ _id: new ObjectId(id), type: 'payout_batch' });
+    if (!batch) return res.status(404).json({ error: 'Not found' });
+    const query = { settlementId: batch._id, status: 'pending' };
+    if (itemIds) query._id = { $in: itemIds.map((itemId) => new ObjectId(itemId)) };
+    const items = await collections.payoutItems.find(query).toArray();
+    let resolved = 0;
+    for (const item of items) {
+      if (await resolvePayoutItem(item, status, { reference, reason, resolvedBy: req.user?.uid || null })) resolved++;
+    }
+    const batchStatus = await refreshBatchStatus(batch._id);
+    await logAdminAction(req, 'payout_items_mark', 'payoutItems', { settlementId: id, status, resolved, itemIds: itemIds || 'all_pending' });
+    res.json({ ok: true, resolved, status: batchStatus || batch.status });
+  } catch (err) {
+    console.error('POST /api/admin/payouts/batches/:id/items/mark failed:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+// ---- Fee Schedules ----
+// Versions are immutable; the most recently activated one is in force (version 0 = built-in defaults)
+router.get('/fee-schedules', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const { query, error } = buildListQuery(req.query, { filters: { createdBy: 'createdBy' } });
+    if (error) return res.status(400).json({ error });
+    const active = await getActiveFeeSchedule();
+    await sendList(req, res, collections.feeSchedules, {
+      query,
+      sort: { version: -1 },
+      filename: 'fee-schedules',
+      columns: [['Version', 'version'], ['Note', 'note'], ['Created at', 'createdAt'], ['Created by', 'createdBy'], ['Activated at', 'activatedAt'], ['Activated by', 'activatedBy'], ['Rules', 'rules']],
+      extra: { activeVersion: active.version },
+    });
+  } catch (err) {
+    console.error('GET /api/admin/fee-schedules failed:', err);
+    res.status(500).json({ error: 'Failed to fetch fee schedules' });
+  }
+});
+
+router.get('/fee-schedules/active', authenticateAdmin, requireAdminPermission('finance:read'), async (_req, res) => {
+  try {
+    res.json({ schedule: await getActiveFeeSchedule(), defaults: DEFAULT_FEE_RULES });
+  } catch (err) {
+    console.error('GET /api/admin/fee-schedules/active failed:', err);
+    res.status(500).json({ error: 'Failed to fetch active fee schedule' });
+  }
+});
+
+// Dry-run a rule set (or a stored version) without publishing it
+router.post('/fee-schedules/preview', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const { rules: input, version, laborAmount, category, workerId, at } = req.body || {};
+    let schedule;
+    if (input) {
+      const { rules, error } = validateFeeRules(input);
+      if (error) return res.status(400).json({ error });
+      schedule = { version: null, rules };
+    } else if (version !== undefined) {
+      schedule = await collections.feeSchedules.findOne({ version: Number(version) });
+      if (!schedule) return res.status(404).json({ error: 'Fee schedule version not found' });
+    } else {
+      schedule = await getActiveFeeSchedule();
+    }
+    const when = at ? new Date(at) : new Date();
+    if (isNaN(when.getTime())) return res.status(400).json({ error: 'Invalid at' });
+    res.json(await calculatePlatformFee(laborAmount, { schedule, category: category || null, workerId: workerId || null, at: when }));
+  } catch (err) {
+    console.error('POST /api/admin/fee-schedules/preview failed:', err);
+    res.status(500).json({ error: 'Preview failed' });
+  }
+});
+
+// Publish a new version; { activate: true } puts it in force immediately
+router.post('/fee-schedules', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { rules: input, note, activate } = req.body || {};
+    const { rules, error } = validateFeeRules(input);
+    if (error) return res.status(400).json({ error });
+    const now = new Date();
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const [latest] = await collections.feeSchedules.find({}).sort({ version: -1 }).limit(1).toArray();
+      const doc = { version: (latest?.version || 0) + 1, rules, note: note ? String(note).slice(0, 500) : null, createdBy: req.user?.uid || null, createdAt: now, ...(activate ? { activatedAt: now, activatedBy: req.user?.uid || null } : {}) };
+      try {
+        const result = await collections.feeSchedules.insertOne(doc);
+        if (activate) invalidateFeeScheduleCache();
+        await logAdminAction(req, 'fee_schedule_create', 'feeSchedules', { version: doc.version, activated: !!activate });
+        return res.status(201).json({ _id: result.insertedId, ...doc });
+      } catch (err) {
+        // Unique index on version: another admin published concurrently, take the next number
+        if (err.code !== 11000) throw err;
+      }
+    }
+    res.status(409).json({ error: 'Could not allocate a version number, please retry' });
+  } catch (err) {
+    console.error('POST /api/admin/fee-schedules failed:', err);
+    res.status(500).json({ error: 'Failed to create fee schedule' });
+  }
+});
+
+// Activate a stored version (also used to roll back to an earlier one)
+router.post('/fee-schedules/:version/activate', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version) || version < 1) return res.status(400).json({ error: 'Invalid version' });
+    const result = await collections.feeSchedules.updateOne({ version }, { $set: { activatedAt: new Date(), activatedBy: req.user?.uid || null } });
+    if (!result.matchedCount) return res.status(404).json({ error: 'Fee schedule version not found' });
+    invalidateFeeScheduleCache();
+    await logAdminAction(req, 'fee_schedule_activate', 'feeSchedules', { version });
+    res.json({ ok: true, activeVersion: version });
+  } catch (err) {
+    console.error('POST /api/admin/fee-schedules/:version/activate failed:', err);
+    res.status(500).json({ error: 'Activation failed' });
+  }
+});
+
+// ---- Invoices (client invoices, worker fee statements, due receipts) ----
+router.get('/invoices', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const type = INVOICE_TYPES[req.query.type] ? req.query.type : undefined;
+    const { query, error } = buildListQuery({ ...req.query, type }, { dateField: 'issuedAt', filters: { type: 'type', userId: 'userId', applicationId: 'applicationId', number: ['number', (v) => String(v).trim().toUpperCase()] } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.invoices, {
+      query,
+      sort: { issuedAt: -1 },
+      filename: 'invoices',
+      columns: [['Number', 'number'], ['Type', 'type'], ['Issued at', 'issuedAt'], ['Recipient', 'userId'], ['Name', 'recipient.name'], ['Application', 'applicationId'], ['Total', 'total'], ['Currency', 'currency'], ['Emailed at', 'emailedAt']],
+    });
+  } catch (err) {
+    console.error('GET /api/admin/invoices failed:', err);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+router.get('/invoices/:id/pdf', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const invoice = await collections.invoices.findOne({ _id: new ObjectId(id) });
+    if (!invoice) return res.status(404).json({ error: 'Not found' });
+    res.set('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+    res.type('application/pdf').send(await renderInvoicePdf(invoice));
+  } catch (err) {
+    console.error('GET /api/admin/invoices/:id/pdf failed:', err);
+    res.status(500).json({ error: 'Failed to render invoice' });
+  }
+});
+
+// Issue missing documents for a settled application or a verified due payment (existing ones are returned as-is)
+router.post('/invoices/issue', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { applicationId, paymentRequestId } = req.body || {};
+    let invoices;
+    if (applicationId) {
+      if (!ObjectId.isValid(applicationId)) return res.status(400).json({ error: 'Invalid applicationId' });
+      const app = await collections.applications.findOne({ _id: new ObjectId(applicationId) });
+      if (!app) return res.status(404).json({ error: 'Application not found' });
+      if (app.settlementStatus !== 'SETTLED') return res.status(409).json({ error: 'Application is not settled yet' });
+      invoices = await issueSettlementDocuments(applicationId);
+    } else if (paymentRequestId) {
+      if (!ObjectId.isValid(paymentRequestId)) return res.status(400).json({ error: 'Invalid paymentRequestId' });
+      const payment = await collections.paymentRequests.findOne({ _id: new ObjectId(paymentRequestId), isDuePayment: true });
+      if (!payment) return res.status(404).json({ error: 'Due payment not found' });
+      if (!['VERIFIED', 'APPROVED'].includes(payment.status)) return res.status(409).json({ error: `Payment is ${payment.status}` });
+      invoices = [await issueDueReceipt(payment, { method: payment.status === 'APPROVED' ? 'manual' : 'online' })];
+    } else {
+      return res.status(400).json({ error: 'applicationId or paymentRequestId is required' });
+    }
+    await logAdminAction(req, 'invoice_issue', 'invoices', { applicationId: applicationId || null, paymentRequestId: paymentRequestId || null, numbers: invoices.map((i) => i.number) });
+    res.json({ list: invoices });
+  } catch (err) {
+    console.error('POST /api/admin/invoices/issue failed:', err);
+    res.status(500).json({ error: 'Failed to issue invoices' });
+  }
+});
+
+// ---- Refunds ----
+router.get('/refunds', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const { query, error } = buildListQuery(req.query, { filters: { status: ['status', upper], method: 'method', kind: 'kind', applicationId: 'applicationId', workerId: 'workerId', clientId: 'clientId' } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.refunds, {
+      query,
+      sort: { createdAt: -1 },
+      filename: 'refunds',
+      columns: [['Created at', 'createdAt'], ['Refund', '_id'], ['Application', 'applicationId'], ['Client', 'clientId'], ['Worker', 'workerId'], ['Amount', 'amount'], ['Kind', 'kind'], ['Method', 'method'], ['Status', 'status'], ['Reason', 'reason'], ['Completed at', 'completedAt'], ['Fee reversed', 'reversal.fee']],
+    });
+  } catch (err) {
+    console.error('GET /api/admin/refunds failed:', err);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+// Full refund when amount is omitted; online payments go back through the gateway, or to the client's wallet with toWallet
+router.post('/refunds', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { applicationId, amount, reason, toWallet } = req.body || {};
+    const { refund, error, status } = await requestRefund(applicationId, { amount, reason, source: 'admin', requestedBy: req.user?.uid || null, toWallet: toWallet === true || toWallet === 'true' });
+    if (error) return res.status(status).json({ error });
+    await logAdminAction(req, 'refund_create', 'refunds', { refundId: String(refund._id), applicationId: refund.applicationId, amount: refund.amount, method: refund.method, status: refund.status, reason: refund.reason });
+    res.status(refund.status === 'FAILED' ? 502 : 201).json(refund);
+  } catch (err) {
+    console.error('POST /api/admin/refunds failed:', err);
+    res.status(500).json({ error: 'Failed to refund' });
+  }
+});
+
+router.post('/refunds/:id/refresh', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const before = await collections.refunds.findOne({ _id: new ObjectId(id) });
+    if (!before) return res.status(404).json({ error: 'Not found' });
+    const refund = await refreshRefund(id);
+    if (refund.status !== before.status) await logAdminAction(req, 'refund_status', 'refunds', { refundId: id, from: before.status, to: refund.status });
+    res.json(refund);
+  } catch (err) {
+    console.error('POST /api/admin/refunds/:id/refresh failed:', err);
+    res.status(500).json({ error: 'Failed to refresh refund' });
+  }
+});
+
 // ---- Transactions ----
-router.get('/transactions', authenticateAdmin, async (req, res) => {
+router.get('/transactions', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
   try {
-    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
-    const skip = (page - 1) * limit;
-    const [list, total] = await Promise.all([
-      collections.transactions.find({}).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
-      collections.transactions.countDocuments({}),
-    ]);
-    res.json({ list, total, page, limit });
+    const { query, error } = buildListQuery(req.query, { filters: { userId: 'userId', type: ['type', upper], direction: ['direction', upper] } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.transactions, {
+      query,
+      sort: { createdAt: -1 },
+      filename: 'transactions',
+      columns: [['Created at', 'createdAt'], ['Transaction', '_id'], ['User', 'userId'], ['Type', 'type'], ['Direction', 'direction'], ['Amount', 'amount'], ['Balance after', 'balanceAfter'], ['Currency', 'currency'], ['Memo', 'memo']],
+    });
   } catch (err) {
     console.error('GET /api/admin/transactions failed:', err);
     res.status(500).json({ error: 'Failed to fetch transactions' });
@@ -165,51 +683,146 @@ router.get('/transactions', authenticateAdmin, async (req, res) => {
 });
 
 // ---- Cash Collections ----
-router.get('/cash-collections', authenticateAdmin, async (req, res) => {
+// kind JOB_PAYMENT (on-site cash confirmed by both parties) or AGENT_COLLECTION (field agents); ?flagged=true is finance's review queue
+router.get('/cash-collections', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
   try {
-    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
-    const skip = (page - 1) * limit;
-    const [list, total] = await Promise.all([
-      collections.cashCollections.find({}).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
-      collections.cashCollections.countDocuments({}),
-    ]);
-    res.json({ list, total, page, limit });
+    const status = req.query.flagged === 'true' ? 'FLAGGED' : req.query.status;
+    const { query, error } = buildListQuery({ ...req.query, status }, { filters: { kind: 'kind', status: 'status', collectedBy: 'collectedBy', workerId: 'workerId', applicationId: 'applicationId', depositId: 'depositId' } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.cashCollections, {
+      query,
+      sort: { createdAt: -1 },
+      filename: 'cash-collections',
+      columns: [['Created at', 'createdAt'], ['Collection', '_id'], ['Kind', 'kind'], ['Status', 'status'], ['Amount', 'amount'], ['Expected', 'expectedAmount'], ['Reported', 'reportedAmount'], ['Confirmed', 'confirmedAmount'], ['Application', 'applicationId'], ['Worker', 'workerId'], ['Client', 'clientId'], ['Collected by', 'collectedBy'], ['Deposit', 'depositId']],
+    });
   } catch (err) {
     console.error('GET /api/admin/cash-collections failed:', err);
     res.status(500).json({ error: 'Failed to fetch cash collections' });
   }
 });
 
-router.post('/cash-collections', authenticateAdmin, async (req, res) => {
+// Cash a field agent collected; with workerId it pays down that worker's dues
+router.post('/cash-collections', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
   try {
-    const body = req.body || {};
-    const doc = { amount: Number(body.amount) || 0, collectedBy: String(body.collectedBy || '').trim(), status: 'recorded', createdAt: new Date(), updatedAt: new Date() };
-    const result = await collections.cashCollections.insertOne(doc);
-    res.status(201).json({ id: result.insertedId, ...doc });
+    const { amount, collectedBy, workerId, note, collectedAt } = req.body || {};
+    const { status, error, collection, receiptId } = await recordAgentCollection({ amount, collectedBy, workerId, note, collectedAt, createdBy: req.user?.uid || null });
+    if (error) return res.status(status).json({ error });
+    await logAdminAction(req, 'cash_collection.record', 'cashCollections', { collectionId: String(collection._id), amount: collection.amount, collectedBy: collection.collectedBy, workerId: collection.workerId });
+    res.status(201).json({ id: collection._id, ...collection, receiptId });
   } catch (err) {
     console.error('POST /api/admin/cash-collections failed:', err);
     res.status(500).json({ error: 'Create failed' });
   }
 });
 
+// Close a flagged job cash payment: { action: 'confirm', amount } or { action: 'void' }
+router.post('/cash-collections/:id/resolve', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const { action, amount, note } = req.body || {};
+    const { status, error, ...result } = await resolveFlaggedCashPayment(id, { action, amount, note, resolvedBy: req.user?.uid || null });
+    if (error) return res.status(status).json({ error });
+    await logAdminAction(req, 'cash_collection.resolve', 'cashCollections', { collectionId: id, action, amount: result.collection?.amount ?? null });
+    res.json(result);
+  } catch (err) {
+    console.error('POST /api/admin/cash-collections/:id/resolve failed:', err);
+    res.status(500).json({ error: 'Failed to resolve cash payment' });
+  }
+});
+
+// ---- Cash Deposits ----
+// What field agents paid into the bank; reconciliation matches each deposit to the agent's collections
+router.get('/cash-deposits', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const { query, error } = buildListQuery(req.query, { dateField: 'depositedAt', filters: { agentId: 'agentId', status: ['status', upper] } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.cashDeposits, {
+      query,
+      sort: { depositedAt: -1 },
+      filename: 'cash-deposits',
+      columns: [['Deposited at', 'depositedAt'], ['Deposit', '_id'], ['Agent', 'agentId'], ['Amount', 'amount'], ['Reference', 'reference'], ['Status', 'status'], ['Matched', 'matchedAmount'], ['Difference', 'difference'], ['Reconciled at', 'reconciledAt']],
+    });
+  } catch (err) {
+    console.error('GET /api/admin/cash-deposits failed:', err);
+    res.status(500).json({ error: 'Failed to fetch cash deposits' });
+  }
+});
+
+router.post('/cash-deposits', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { agentId, amount, reference, depositedAt, collectionIds } = req.body || {};
+    const value = Math.round(Number(amount) * 100) / 100;
+    if (!(value > 0)) return res.status(400).json({ error: 'amount must be a positive number' });
+    const agent = String(agentId || '').trim();
+    if (!agent) return res.status(400).json({ error: 'agentId is required' });
+    const at = depositedAt ? new Date(depositedAt) : new Date();
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'depositedAt must be a date' });
+    if (collectionIds !== undefined && (!Array.isArray(collectionIds) || !collectionIds.every((cid) => ObjectId.isValid(cid)))) return res.status(400).json({ error: 'collectionIds must be an array of ids' });
+    const now = new Date();
+    const doc = { agentId: agent, amount: value, reference: reference ? String(reference).trim() : null, depositedAt: at, collectionIds: collectionIds?.length ? collectionIds.map(String) : null, status: 'PENDING', createdBy: req.user?.uid || null, createdAt: now, updatedAt: now };
+    const result = await collections.cashDeposits.insertOne(doc);
+    await logAdminAction(req, 'cash_deposit.record', 'cashDeposits', { depositId: String(result.insertedId), agentId: agent, amount: value, reference: doc.reference });
+    res.status(201).json({ _id: result.insertedId, ...doc });
+  } catch (err) {
+    console.error('POST /api/admin/cash-deposits failed:', err);
+    res.status(500).json({ error: 'Create failed' });
+  }
+});
+
+// Batch: reconcile every open deposit, or only { agentId } / { depositIds }
+router.post('/cash-deposits/reconcile', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
+  try {
+    const { agentId, depositIds } = req.body || {};
+    if (depositIds !== undefined && (!Array.isArray(depositIds) || !depositIds.every((did) => ObjectId.isValid(did)))) return res.status(400).json({ error: 'depositIds must be an array of ids' });
+    const summary = await reconcileDeposits({ agentId, depositIds, reconciledBy: req.user?.uid || null });
+    await logAdminAction(req, 'cash_deposit.reconcile', 'cashDeposits', { agentId: agentId || null, reconciled: summary.reconciled, discrepancies: summary.discrepancies });
+    res.json(summary);
+  } catch (err) {
+    console.error('POST /api/admin/cash-deposits/reconcile failed:', err);
+    res.status(500).json({ error: 'Reconciliation failed' });
+  }
+});
+
 // ---- Worker Job Requests (admin view) ----
-router.get('/worker-job-requests', authenticateAdmin, async (req, res) => {
+router.get('/worker-job-requests', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
   try {
-    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
-    const skip = (page - 1) * limit;
-    const statusIn = req.query.status;
-    const q = statusIn ? { status: statusIn } : {};
-    const [list, total] = await Promise.all([
-      collections.workerJobRequests.find(q).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
-      collections.workerJobRequests.countDocuments(q),
-    ]);
-    res.json({ list, total, page, limit });
+    const { query, error } = buildListQuery(req.query, { filters: { status: 'status', workerId: 'workerId', clientId: 'clientId', category: 'category' } });
+    if (error) return res.status(400).json({ error });
+    await sendList(req, res, collections.workerJobRequests, {
+      query,
+      sort: { createdAt: -1 },
+      filename: 'worker-job-requests',
+      columns: [['Created at', 'createdAt'], ['Request', '_id'], ['Title', 'title'], ['Category', 'category'], ['Worker', 'workerId'], ['Client', 'clientId'], ['Status', 'status']],
+    });
   } catch (err) {
     console.error('GET /api/admin/worker-job-requests failed:', err);
     res.status(500).json({ error: 'Failed' });
   }
 });
 
+// ---- Reports ----
+router.get('/reports', authenticateAdmin, requireAdminPermission('finance:read'), (_req, res) => {
+  res.json({ reports: Object.keys(FINANCE_REPORTS) });
+});
+
+// ?from&to (default: the last 30 days), ?groupBy=day|week|month for series, ?format=csv for the main table
+router.get('/reports/:name', authenticateAdmin, requireAdminPermission('finance:read'), async (req, res) => {
+  try {
+    const report = FINANCE_REPORTS[req.params.name];
+    if (!report) return res.status(404).json({ error: `Unknown report. Available: ${Object.keys(FINANCE_REPORTS).join(', ')}` });
+    const range = resolveReportRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { csv, ...result } = await report(range);
+    if (req.query.format === 'csv') {
+      const day = (d) => d.toISOString().slice(0, 10);
+      return sendCsv(res, `${req.params.name}-${day(range.from)}-to-${day(range.to)}.csv`, [csv.columns, ...csv.rows]);
+    }
+    res.json({ report: req.params.name, ...result });
+  } catch (err) {
+    console.error(`GET /api/admin/reports/${req.params.name} failed:`, err);
+    res.status(500).json({ error: 'Failed to build report' });
+  }
+});
+
 module.exports = router;
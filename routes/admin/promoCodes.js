@@ -0,0 +1,105 @@
+// routes/admin/promoCodes.js — /api/admin/promo-codes/* (promo code CRUD and redemptions)
+const { Router } = require('express');
+const { ObjectId } = require('mongodb');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
+const { collections } = require('../../config/db');
+const { PROMO_TARGETS, normalizeCode, validatePromoInput } = require('../../utils/promoCodes');
+
+const router = Router();
+
+router.get('/', authenticateAdmin, requireAdminPermission('promo:read'), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const skip = (page - 1) * limit;
+    const query = {};
+    if (PROMO_TARGETS.includes(req.query.appliesTo)) query.appliesTo = req.query.appliesTo;
+    if (req.query.status === 'active') query.isActive = true;
+    else if (req.query.status === 'inactive') query.isActive = false;
+    else if (req.query.status === 'expired') query.endsAt = { $lte: new Date() };
+    if (req.query.search) query.code = { $regex: normalizeCode(req.query.search).replace(/[^A-Z0-9_-]/g, ''), $options: 'i' };
+    const [list, total] = await Promise.all([
+      collections.promoCodes.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      collections.promoCodes.countDocuments(query),
+    ]);
+    res.json({ list, total, page, limit });
+  } catch (err) {
+    console.error('GET /api/admin/promo-codes failed:', err);
+    res.status(500).json({ error: 'Failed to fetch promo codes' });
+  }
+});
+
+router.get('/:id', authenticateAdmin, requireAdminPermission('promo:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const promo = await collections.promoCodes.findOne({ _id: new ObjectId(id) });
+    if (!promo) return res.status(404).json({ error: 'Not found' });
+    const redemptions = await collections.promoRedemptions.find({ promoCodeId: promo._id }).sort({ createdAt: -1 }).limit(50).toArray();
+    res.json({ promo, redemptions });
+  } catch (err) {
+    console.error('GET /api/admin/promo-codes/:id failed:', err);
+    res.status(500).json({ error: 'Failed to fetch promo code' });
+  }
+});
+
+router.post('/', authenticateAdmin, requireAdminPermission('promo:write'), async (req, res) => {
+  try {
+    const { promo, error } = validatePromoInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const now = new Date();
+    const doc = { description: '', maxDiscount: null, minAmount: null, usageLimit: null, startsAt: null, endsAt: null, ...promo, createdBy: req.user?.uid || null, createdAt: now, updatedAt: now };
+    const result = await collections.promoCodes.insertOne(doc);
+    await logAdminAction(req, 'promo_code_create', 'promoCodes', { promoCodeId: String(result.insertedId), code: doc.code });
+    res.status(201).json({ _id: result.insertedId, ...doc });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'A promo code with this code already exists' });
+    console.error('POST /api/admin/promo-codes failed:', err);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+router.patch('/:id', authenticateAdmin, requireAdminPermission('promo:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const existing = await collections.promoCodes.findOne({ _id: new ObjectId(id) });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    const body = req.body || {};
+    // Redeemed codes keep their meaning: the code and what it discounts are fixed once used
+    if ((existing.redemptionCount || 0) > 0 && ['code', 'appliesTo', 'type'].some((f) => body[f] !== undefined && body[f] !== existing[f])) {
+      return res.status(409).json({ error: 'code, appliesTo and type cannot change after a code has been redeemed' });
+    }
+    const { promo, error } = validatePromoInput(body, existing);
+    if (error) return res.status(400).json({ error });
+    const { _id, redemptionCount, createdAt, createdBy, ...$set } = promo;
+    $set.updatedAt = new Date();
+    await collections.promoCodes.updateOne({ _id: existing._id }, { $set });
+    await logAdminAction(req, 'promo_code_update', 'promoCodes', { promoCodeId: id, fields: Object.keys(body) });
+    res.json({ ok: true, promo: { ...promo, updatedAt: $set.updatedAt } });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'A promo code with this code already exists' });
+    console.error('PATCH /api/admin/promo-codes/:id failed:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+// Codes that were never redeemed are removed; redeemed codes are deactivated to keep their history
+router.delete('/:id', authenticateAdmin, requireAdminPermission('promo:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const promo = await collections.promoCodes.findOne({ _id: new ObjectId(id) });
+    if (!promo) return res.status(404).json({ error: 'Not found' });
+    const used = (promo.redemptionCount || 0) > 0 || await collections.promoRedemptions.findOne({ promoCodeId: promo._id });
+    if (used) await collections.promoCodes.updateOne({ _id: promo._id }, { $set: { isActive: false, updatedAt: new Date() } });
+    else await collections.promoCodes.deleteOne({ _id: promo._id });
+    await logAdminAction(req, used ? 'promo_code_deactivate' : 'promo_code_delete', 'promoCodes', { promoCodeId: id, code: promo.code });
+    res.json({ ok: true, deleted: !used, deactivated: !!used });
+  } catch (err) {
+    console.error('DELETE /api/admin/promo-codes/:id failed:', err);
+    res.status(500).json({ error: 'Delete failed' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,15 @@
 // routes/admin/providers.js — /api/admin/providers/*
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { authenticateAdmin } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission } = require('../../middleware/auth');
 const { logAdminAction } = require('../../middleware/auth');
 const { collections } = require('../../config/db');
 const { computeUserStats } = require('../../utils/helpers');
+const { postLedgerTransaction } = require('../../utils/ledger');
 
 const router = Router();
 
-router.get('/', authenticateAdmin, async (req, res) => {
+router.get('/', authenticateAdmin, requireAdminPermission('providers:read'), async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
@@ -35,7 +36,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.get('/:uid', authenticateAdmin, async (req, res) => {
+router.get('/:uid', authenticateAdmin, requireAdminPermission('providers:read'), async (req, res) => {
   try {
     const uid = String(req.params.uid);
     const doc = await collections.users.findOne({ uid, role: 'worker' });
@@ -48,7 +49,7 @@ router.get('/:uid', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.patch('/:uid/status', authenticateAdmin, async (req, res) => {
+router.patch('/:uid/status', authenticateAdmin, requireAdminPermission('providers:suspend'), async (req, res) => {
   try {
     const uid = String(req.params.uid);
     const { status } = req.body || {};
@@ -67,7 +68,7 @@ router.patch('/:uid/status', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.patch('/:uid/verify', authenticateAdmin, async (req, res) => {
+router.patch('/:uid/verify', authenticateAdmin, requireAdminPermission('providers:verify'), async (req, res) => {
   try {
     const uid = String(req.params.uid);
     const { isVerified } = req.body || {};
@@ -85,7 +86,7 @@ router.patch('/:uid/verify', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.post('/:uid/due', authenticateAdmin, async (req, res) => {
+router.post('/:uid/due', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
   try {
     const uid = String(req.params.uid);
     const { action, amount, reason } = req.body || {};
@@ -105,20 +106,19 @@ router.post('/:uid/due', authenticateAdmin, async (req, res) => {
     else if (action === 'clear') { numAmount = currentDue; newDue = 0; }
     else return res.status(400).json({ error: 'Invalid action. Use add, subtract, or clear.' });
 
-    await collections.users.updateOne({ _id: user._id }, { $set: { dueBalance: newDue, updatedAt: new Date() } });
-
-    const direction = action === 'add' ? 'DEBIT' : 'CREDIT';
+    // The ledger posting moves users.dueBalance; only the actual change is posted (subtract clamps at 0)
+    const change = Math.round((newDue - currentDue) * 100) / 100;
+    numAmount = Math.abs(change);
     if (numAmount > 0) {
-      await collections.ledgers.insertOne({
+      await postLedgerTransaction(change > 0 ? 'DUE_ADJUSTMENT_UP' : 'DUE_ADJUSTMENT_DOWN', {
         workerId: user.uid,
-        type: 'ADMIN_MANUAL_ADJUSTMENT',
-        direction,
         amount: numAmount,
-        reason: reason || `Admin manually ${action === 'clear' ? 'cleared' : action + 'ed'} dues`,
-        adminEmail: req.adminUser?.email || 'admin',
-        createdAt: new Date(),
+        memo: reason || `Admin manually ${action === 'clear' ? 'cleared' : action + 'ed'} dues`,
+        refs: { adminEmail: req.adminUser?.email || 'admin' },
+        createdBy: req.user?.uid || null,
       });
     }
+    await collections.users.updateOne({ _id: user._id }, { $set: { updatedAt: new Date() } });
 
     await logAdminAction(req, 'provider_due_update', 'providers', { providerId: user._id.toString(), action, amount: numAmount, newDue });
     res.json({ ok: true, dueBalance: newDue });
@@ -1,12 +1,12 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { authenticateAdmin, logAdminAction } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
 const { adminRateLimiter } = require('../../middleware/rateLimiter');
 const { collections } = require('../../config/db');
 
 const router = Router();
 
-    router.get('/', authenticateAdmin, async (req, res) => {
+    router.get('/', authenticateAdmin, requireAdminPermission('catalog:read'), async (req, res) => {
       try {
         const page = Math.max(1, parseInt(req.query.page, 10) || 1);
         const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
@@ -23,7 +23,7 @@ const router = Router();
         res.status(500).json({ error: 'Failed to fetch services' });
       }
     });
-    router.patch('/:id', authenticateAdmin, async (req, res) => {
+    router.patch('/:id', authenticateAdmin, requireAdminPermission('catalog:edit'), async (req, res) => {
       try {
         const id = req.params.id;
         if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -35,7 +35,7 @@ const router = Router();
         res.status(500).json({ error: 'Failed to fetch service' });
       }
     });
-    router.get('/', authenticateAdmin, async (req, res) => {
+    router.get('/', authenticateAdmin, requireAdminPermission('catalog:edit'), async (req, res) => {
       try {
         const body = req.body || {};
         const doc = {
@@ -54,7 +54,7 @@ const router = Router();
         res.status(500).json({ error: 'Create failed' });
       }
     });
-    router.patch('/:id', authenticateAdmin, async (req, res) => {
+    router.patch('/:id', authenticateAdmin, requireAdminPermission('catalog:edit'), async (req, res) => {
       try {
         const id = req.params.id;
         if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -73,7 +73,7 @@ const router = Router();
         res.status(500).json({ error: 'Update failed' });
       }
     });
-    router.post('/bulk', authenticateAdmin, adminRateLimiter('admin_bulk', 500), async (req, res) => {
+    router.post('/bulk', authenticateAdmin, requireAdminPermission('catalog:edit'), adminRateLimiter('admin_bulk', 500), async (req, res) => {
       try {
         const { ids, update } = req.body || {};
         if (!Array.isArray(ids) || !update || typeof update !== 'object') {
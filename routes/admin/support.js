@@ -1,13 +1,13 @@
 // routes/admin/support.js — /api/admin/support/tickets/*
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { authenticateAdmin, logAdminAction } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
 const { collections } = require('../../config/db');
 
 const router = Router();
 
 // List tickets
-router.get('/', authenticateAdmin, async (req, res) => {
+router.get('/', authenticateAdmin, requireAdminPermission('support:read'), async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
@@ -29,7 +29,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
 });
 
 // Get ticket messages
-router.get('/:ticketId/messages', authenticateAdmin, async (req, res) => {
+router.get('/:ticketId/messages', authenticateAdmin, requireAdminPermission('support:read'), async (req, res) => {
   try {
     const { ticketId } = req.params;
     if (!ObjectId.isValid(ticketId)) return res.status(400).json({ error: 'Invalid ticket id' });
@@ -52,7 +52,7 @@ router.get('/:ticketId/messages', authenticateAdmin, async (req, res) => {
 });
 
 // Reply to a ticket
-router.post('/:ticketId/messages', authenticateAdmin, async (req, res) => {
+router.post('/:ticketId/messages', authenticateAdmin, requireAdminPermission('support:reply'), async (req, res) => {
   try {
     const { ticketId } = req.params;
     const message = String(req.body?.message || '').trim();
@@ -80,7 +80,7 @@ router.post('/:ticketId/messages', authenticateAdmin, async (req, res) => {
 });
 
 // Close/reopen a ticket
-router.patch('/:ticketId', authenticateAdmin, async (req, res) => {
+router.patch('/:ticketId', authenticateAdmin, requireAdminPermission('support:reply'), async (req, res) => {
   try {
     const { ticketId } = req.params;
     const { status } = req.body || {};
@@ -1,13 +1,13 @@
 // routes/admin/workers.js — /api/admin/workers/* (registration review)
 const { Router } = require('express');
 const { collections } = require('../../config/db');
-const { authenticateAdmin, logAdminAction } = require('../../middleware/auth');
+const { authenticateAdmin, requireAdminPermission, logAdminAction } = require('../../middleware/auth');
 const { sendWorkerRegistrationApprovedEmail, sendWorkerRegistrationRejectedEmail } = require('../../utils/emailService');
 
 const router = Router();
 
 // List pending (or filtered) worker registrations
-router.get('/registrations', authenticateAdmin, async (req, res) => {
+router.get('/registrations', authenticateAdmin, requireAdminPermission('workers:review'), async (req, res) => {
   try {
     const { status = 'pending_review', page = 1, limit = 20, search = '' } = req.query;
     const pageNum = Math.max(1, parseInt(page));
@@ -37,7 +37,7 @@ router.get('/registrations', authenticateAdmin, async (req, res) => {
 });
 
 // Get single worker registration detail
-router.get('/:uid/registration', authenticateAdmin, async (req, res) => {
+router.get('/:uid/registration', authenticateAdmin, requireAdminPermission('workers:review'), async (req, res) => {
   try {
     const uid = String(req.params.uid);
     const userDoc = await collections.users.findOne({ uid });
@@ -50,7 +50,7 @@ router.get('/:uid/registration', authenticateAdmin, async (req, res) => {
 });
 
 // Approve or reject a worker registration
-router.patch('/:uid/registration', authenticateAdmin, async (req, res) => {
+router.patch('/:uid/registration', authenticateAdmin, requireAdminPermission('workers:review'), async (req, res) => {
   try {
     const uid = String(req.params.uid);
     const { action, rejectionReason = '' } = req.body || {};
@@ -2,10 +2,13 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
 const { collections } = require('../config/db');
+const { authenticateUser, getActingUid, authorizeSelf, authorizeResource, authorizeApplicationParty, authorizeApplicationByJobWorker } = require('../middleware/auth');
 const { getWorkerIdentity } = require('../utils/helpers');
 const { findOrCreateConversationId, sendSystemMessage } = require('../utils/messaging');
 const { createNotification } = require('../utils/notifications');
 const { sendApplicationReceivedEmail, sendApplicationStatusEmail } = require('../utils/emailService');
+const { checkApplicationQuota } = require('../utils/subscriptions');
+const { BLOCKED_MESSAGE, isBlockedBetween } = require('../utils/blocks');
 const { processJobSettlement } = require('./payments');
 
 const router = Router();
@@ -19,6 +22,9 @@ async function requireApprovedWorker(req, res, next) {
     if (userDoc && userDoc.role === 'worker' && userDoc.workerAccountStatus !== 'approved') {
       return res.status(403).json({ code: 'WORKER_NOT_APPROVED', status: userDoc.workerAccountStatus || 'draft', error: 'Your account is pending review. You cannot perform this action until approved by admin.' });
     }
+    if (userDoc && userDoc.role === 'worker' && userDoc.isApplyBlocked) {
+      return res.status(403).json({ code: userDoc.blockReason || 'APPLY_BLOCKED', dueBalance: userDoc.dueBalance || 0, error: 'You cannot apply for jobs until your outstanding dues are paid.' });
+    }
     next();
   } catch (e) {
     console.warn('requireApprovedWorker check failed (non-blocking):', e.message);
@@ -27,7 +33,7 @@ async function requireApprovedWorker(req, res, next) {
 }
 
 // Create/update application (one per worker per job)
-router.post('/', requireApprovedWorker, async (req, res) => {
+router.post('/', authenticateUser, authorizeSelf('body.workerId'), requireApprovedWorker, async (req, res) => {
   try {
     const b = req.body || {};
     const str = (v) => (v == null ? '' : String(v));
@@ -48,6 +54,11 @@ router.post('/', requireApprovedWorker, async (req, res) => {
     const existing = await collections.applications.findOne({ jobId, workerId });
     const isNew = !existing;
 
+    if (isNew) {
+      const quota = await checkApplicationQuota(workerId);
+      if (!quota.ok) return res.status(403).json({ code: 'APPLICATION_QUOTA_EXCEEDED', quota: quota.quota, used: quota.used, error: `You have used all ${quota.quota} job applications for this month. Upgrade your plan to apply for more jobs.` });
+    }
+
     if (!isNew && existing) {
       const currentStatus = (existing.status || 'pending').toLowerCase();
       const isPriceUpdateOnly = [b.finalPrice, b.counterPrice, b.negotiationStatus].some(v => v !== undefined && v !== null) && !b.status && !b.proposalText && !('text' in b) && !('proposalText' in b);
@@ -56,14 +67,16 @@ router.post('/', requireApprovedWorker, async (req, res) => {
       if (existing.workerId !== workerId) return res.status(403).json({ error: 'You do not have permission to edit this application' });
     }
 
-    if (ObjectId.isValid(jobId) && (!clientIdIn || !clientEmailIn)) {
+    if (ObjectId.isValid(jobId)) {
       const _id = new ObjectId(jobId);
       const jobDoc = (await collections.browseJobs.findOne({ _id })) || (await collections.jobs.findOne({ _id }));
       if (jobDoc) {
-        if (!clientIdIn) clientIdIn = s(jobDoc.clientId || jobDoc.postedByUid);
+        // The job owner is authoritative — never trust a client-supplied clientId
+        clientIdIn = s(jobDoc.clientId || jobDoc.postedByUid) || clientIdIn;
         if (!clientEmailIn) clientEmailIn = mail(jobDoc.postedByEmail || jobDoc.email);
       }
     }
+    if (await isBlockedBetween(workerId, clientIdIn)) return res.status(403).json({ code: 'USER_BLOCKED', error: BLOCKED_MESSAGE });
 
     const needsWorkerBackfill = (!workerEmailIn || !workerNameIn || !workerPhoneIn) && (!existing || !existing.workerEmail || !existing.workerName || !existing.workerPhone);
     if (needsWorkerBackfill) {
@@ -148,7 +161,7 @@ router.post('/', requireApprovedWorker, async (req, res) => {
 });
 
 // Get by MongoDB _id
-router.get('/by-id/:id', async (req, res) => {
+router.get('/by-id/:id', authenticateUser, authorizeApplicationParty(), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid application ID' });
@@ -172,7 +185,7 @@ router.get('/by-id/:id', async (req, res) => {
 });
 
 // Get by jobId + workerId
-router.get('/:jobId/:workerId', async (req, res) => {
+router.get('/:jobId/:workerId', authenticateUser, authorizeApplicationByJobWorker, async (req, res) => {
   try {
     const { jobId, workerId } = req.params;
     const application = await collections.applications.findOne({ jobId: String(jobId), workerId: String(workerId) });
@@ -198,7 +211,16 @@ async function handleStatusUpdate(req, res) {
     const oldDoc = await collections.applications.findOne({ _id });
     if (!oldDoc) return res.status(404).json({ error: 'Application not found' });
 
+    // Accept/reject belong to the client; completion must be claimed for the caller's own side
+    const actingUid = getActingUid(req);
+    if (actingUid) {
+      const callerRole = String(oldDoc.clientId) === actingUid ? 'client' : 'worker';
+      if (['accepted', 'rejected'].includes(statusIn) && callerRole !== 'client') return res.status(403).json({ error: 'Only the client can accept or reject this application' });
+      if (statusIn === 'completed' && actorRole && actorRole !== callerRole) return res.status(403).json({ error: 'actorRole does not match the authenticated user' });
+    }
+
     if (statusIn === 'accepted') {
+      if (await isBlockedBetween(oldDoc.workerId, oldDoc.clientId)) return res.status(403).json({ code: 'USER_BLOCKED', error: BLOCKED_MESSAGE });
       const hasProposedPrice = oldDoc.proposedPrice != null;
       const hasFinalPrice = oldDoc.finalPrice != null && Number(oldDoc.finalPrice) > 0;
       const negotiationAccepted = String(oldDoc.negotiationStatus || '').toLowerCase() === 'accepted';
@@ -223,7 +245,8 @@ async function handleStatusUpdate(req, res) {
       updateFields.status = resolvedStatus;
       if (resolvedStatus === 'completed') {
         updateFields.completedAt = now;
-        if (oldStatus !== 'completed') updateFields.settlementStatus = 'PENDING';
+        // A confirmed cash payment may have settled the job already (utils/cashCollections.js)
+        if (oldStatus !== 'completed' && !['SETTLED', 'REVERSING'].includes(oldDoc.settlementStatus)) updateFields.settlementStatus = 'PENDING';
       }
     } else {
       updateFields.status = statusIn;
@@ -278,82 +301,26 @@ async function handleStatusUpdate(req, res) {
   }
 }
 
-router.patch('/:id/status', handleStatusUpdate);
-router.patch('/:id', handleStatusUpdate);
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const statusIn = String(req.body?.status || '').toLowerCase().trim();
-    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid application id' });
-    if (!['pending', 'accepted', 'rejected', 'completed'].includes(statusIn)) return res.status(400).json({ error: 'Invalid status' });
-    const _id = new ObjectId(id);
-    const upd = await collections.applications.updateOne({ _id }, { $set: { status: statusIn, updatedAt: new Date() } });
-    if (!upd.matchedCount) return res.status(404).json({ error: 'Application not found' });
-    res.json(await collections.applications.findOne({ _id }));
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to update status' });
-  }
-});
+router.patch('/:id/status', authenticateUser, authorizeApplicationParty(), handleStatusUpdate);
+router.patch('/:id', authenticateUser, authorizeApplicationParty(), handleStatusUpdate);
 
-// Legacy update-status endpoint
-router.post('/update-status', async (req, res) => {
-  try {
-    const { applicationId, status: statusIn } = req.body;
-    const allowed = new Set(['pending', 'accepted', 'rejected', 'completed']);
-    if (!ObjectId.isValid(applicationId)) return res.status(400).json({ error: 'Invalid application id' });
-    if (!allowed.has(statusIn)) return res.status(400).json({ error: 'Invalid status' });
-    const _id = new ObjectId(applicationId);
-    const upd = await collections.applications.updateOne({ _id }, { $set: { status: statusIn, updatedAt: new Date() } });
-    if (!upd.matchedCount) return res.status(404).json({ error: 'Application not found' });
-    res.json(await collections.applications.findOne({ _id }));
-  } catch (err) {
-    console.error('POST /api/applications/update-status failed:', err);
-    res.status(500).json({ error: 'Failed to update status' });
-  }
-});
+// Client-only legacy routes: the client is the acting side, so completion, the block check and settlement
+// all go through handleStatusUpdate like the PATCH routes
+function asClientStatusUpdate(req, _res, next) {
+  req.body = { ...(req.body || {}), actorRole: 'client' };
+  next();
+}
 
-// Notes CRUD
-router.post('/:id/notes', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { userId, userName, note } = req.body;
-    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid application id' });
-    if (!userId || !note?.trim()) return res.status(400).json({ error: 'userId and note are required' });
-    const _id = new ObjectId(id);
-    const application = await collections.applications.findOne({ _id });
-    if (!application) return res.status(404).json({ error: 'Application not found' });
-    if (application.clientId !== userId && application.workerId !== userId) return res.status(403).json({ error: 'Permission denied' });
-    const newNote = { _id: new ObjectId(), userId, userName: userName || 'User', note: String(note).trim(), createdAt: new Date() };
-    await collections.applications.updateOne({ _id }, { $set: { notes: [...(application.notes || []), newNote], updatedAt: new Date() } });
-    res.status(201).json({ message: 'Note added successfully', note: newNote });
-  } catch (err) { res.status(500).json({ error: 'Failed to add note' }); }
-});
-router.get('/:id/notes', async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid application id' });
-    const application = await collections.applications.findOne({ _id: new ObjectId(id) });
-    if (!application) return res.status(404).json({ error: 'Application not found' });
-    res.json({ notes: application.notes || [] });
-  } catch (err) { res.status(500).json({ error: 'Failed to fetch notes' }); }
-});
-router.delete('/:id/notes/:noteId', async (req, res) => {
-  try {
-    const { id, noteId } = req.params;
-    const { userId } = req.body;
-    if (!ObjectId.isValid(id) || !ObjectId.isValid(noteId)) return res.status(400).json({ error: 'Invalid id' });
-    if (!userId) return res.status(400).json({ error: 'userId is required' });
-    const _id = new ObjectId(id);
-    const application = await collections.applications.findOne({ _id });
-    if (!application) return res.status(404).json({ error: 'Application not found' });
-    const notes = application.notes || [];
-    const noteIndex = notes.findIndex(n => String(n._id) === noteId);
-    if (noteIndex === -1) return res.status(404).json({ error: 'Note not found' });
-    if (notes[noteIndex].userId !== userId) return res.status(403).json({ error: 'Permission denied' });
-    notes.splice(noteIndex, 1);
-    await collections.applications.updateOne({ _id }, { $set: { notes, updatedAt: new Date() } });
-    res.json({ message: 'Note deleted successfully' });
-  } catch (err) { res.status(500).json({ error: 'Failed to delete note' }); }
+router.put('/:id', authenticateUser, authorizeApplicationParty('id', ['clientId']), asClientStatusUpdate, handleStatusUpdate);
+
+// Legacy update-status endpoint
+router.post('/update-status', authenticateUser, authorizeResource(
+  (req) => (ObjectId.isValid(req.body?.applicationId) ? collections.applications.findOne({ _id: new ObjectId(req.body.applicationId) }) : null),
+  ['clientId'],
+  'application'
+), asClientStatusUpdate, (req, res) => {
+  req.params.id = String(req.body.applicationId || '');
+  return handleStatusUpdate(req, res);
 });
 
 module.exports = router;
@@ -1,12 +1,15 @@
 // routes/auth.js — /api/auth/sync
 const { Router } = require('express');
 const { collections } = require('../config/db');
+const { authenticateUser, authorizeSelf } = require('../middleware/auth');
 
 const router = Router();
 
-router.post('/sync', async (req, res) => {
+router.post('/sync', authenticateUser, authorizeSelf('body.uid'), async (req, res) => {
   try {
-    const { uid, email, role } = req.body || {};
+    const { uid, role } = req.body || {};
+    // The verified token's email wins over the body when Firebase is configured
+    const email = req.user?.email || req.body?.email;
     if (!uid) return res.status(400).json({ error: 'uid required' });
     const validRole = role && ['worker', 'client'].includes(String(role).toLowerCase())
       ? String(role).toLowerCase()
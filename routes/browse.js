@@ -1,7 +1,10 @@
 // routes/browse.js — /api/browse-workers, /api/browse-clients
 const { Router } = require('express');
 const { collections } = require('../config/db');
+const { identifyUser, getActingUid } = require('../middleware/auth');
 const { computeUserStats } = require('../utils/helpers');
+const { activeSubscriptionOf } = require('../utils/subscriptions');
+const { blockedCounterparts } = require('../utils/blocks');
 
 const router = Router();
 
@@ -20,14 +23,21 @@ function calculatePopularityScore(worker) {
   return { ...worker, popularityScore: jobsScore + ratingScore + responseRateScore + bonusPoints };
 }
 
-router.get('/browse-workers', async (req, res) => {
+// Signed-in viewers never see users on either side of a block with them
+async function browseQuery(req, role) {
+  const hidden = await blockedCounterparts(getActingUid(req));
+  return hidden.length ? { role, uid: { $nin: hidden } } : { role };
+}
+
+router.get('/browse-workers', identifyUser, async (req, res) => {
   try {
     const { limit = 9, sortBy = 'popular' } = req.query;
     const limitNum = Math.min(parseInt(limit) || 9, 50);
-    const workers = await collections.users.find({ role: 'worker' }).toArray();
+    const workers = await collections.users.find(await browseQuery(req, 'worker')).toArray();
     const workersWithStats = await Promise.all(
       workers.map(async (worker) => {
         const stats = await computeUserStats(worker.uid);
+        const entitlements = activeSubscriptionOf(worker)?.entitlements || {};
         return {
           uid: worker.uid,
           displayName: worker.displayName || [worker.firstName, worker.lastName].filter(Boolean).join(' ') || 'Worker',
@@ -37,6 +47,7 @@ router.get('/browse-workers', async (req, res) => {
           portfolio: Array.isArray(worker.portfolio) ? worker.portfolio : [],
           pricing: worker.pricing || null, stats: stats || {},
           emailVerified: !!worker.emailVerified, isAvailable: !!worker.isAvailable,
+          featured: !!entitlements.featuredPlacement, verifiedBadge: !!entitlements.verifiedBadge,
         };
       })
     );
@@ -50,6 +61,8 @@ router.get('/browse-workers', async (req, res) => {
         return (b.stats?.averageRating || 0) - (a.stats?.averageRating || 0);
       });
     }
+    // Workers on a plan with featured placement are listed first, keeping the order above within each group
+    workersWithScores.sort((a, b) => Number(b.featured) - Number(a.featured));
     const limited = workersWithScores.slice(0, limitNum).map(({ popularityScore, ...w }) => w);
     res.json(limited);
   } catch (err) {
@@ -58,11 +71,11 @@ router.get('/browse-workers', async (req, res) => {
   }
 });
 
-router.get('/browse-clients', async (req, res) => {
+router.get('/browse-clients', identifyUser, async (req, res) => {
   try {
     const { limit = 9, sortBy = 'recent' } = req.query;
     const limitNum = Math.min(parseInt(limit) || 9, 50);
-    const clients = await collections.users.find({ role: 'client' }).toArray();
+    const clients = await collections.users.find(await browseQuery(req, 'client')).toArray();
     const clientsWithStats = await Promise.all(
       clients.map(async (client) => {
         const stats = await computeUserStats(client.uid);
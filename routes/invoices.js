@@ -0,0 +1,86 @@
+// routes/invoices.js — /api/invoices/* (client invoices, worker fee statements and due receipts)
+const { Router } = require('express');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { authenticateUser, authorizeSelf, authorizeInvoiceOwner } = require('../middleware/auth');
+const { INVOICE_TYPES, renderInvoiceHtml, renderInvoicePdf, emailInvoice } = require('../utils/invoices');
+
+const router = Router();
+
+async function loadInvoice(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) { res.status(400).json({ error: 'Invalid id' }); return null; }
+  const invoice = await collections.invoices.findOne({ _id: new ObjectId(id) });
+  if (!invoice) { res.status(404).json({ error: 'Invoice not found' }); return null; }
+  return invoice;
+}
+
+router.get('/', authenticateUser, authorizeSelf('query.userId'), async (req, res) => {
+  try {
+    const { userId, type, applicationId } = req.query;
+    if (!userId) return res.status(400).json({ error: 'userId is required' });
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = { userId: String(userId) };
+    if (INVOICE_TYPES[type]) query.type = type;
+    if (applicationId) query.applicationId = String(applicationId);
+    const [list, total] = await Promise.all([
+      collections.invoices.find(query).sort({ issuedAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      collections.invoices.countDocuments(query),
+    ]);
+    res.json({ list, total, page, limit });
+  } catch (err) {
+    console.error('GET /api/invoices failed:', err);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+router.get('/:id', authenticateUser, authorizeInvoiceOwner(), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (invoice) res.json(invoice);
+  } catch (err) {
+    console.error('GET /api/invoices/:id failed:', err);
+    res.status(500).json({ error: 'Failed to fetch invoice' });
+  }
+});
+
+router.get('/:id/html', authenticateUser, authorizeInvoiceOwner(), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (invoice) res.type('html').send(renderInvoiceHtml(invoice));
+  } catch (err) {
+    console.error('GET /api/invoices/:id/html failed:', err);
+    res.status(500).json({ error: 'Failed to render invoice' });
+  }
+});
+
+router.get('/:id/pdf', authenticateUser, authorizeInvoiceOwner(), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+    const pdf = await renderInvoicePdf(invoice);
+    res.set('Content-Disposition', `${req.query.download === 'false' ? 'inline' : 'attachment'}; filename="${invoice.number}.pdf"`);
+    res.type('application/pdf').send(pdf);
+  } catch (err) {
+    console.error('GET /api/invoices/:id/pdf failed:', err);
+    res.status(500).json({ error: 'Failed to render invoice' });
+  }
+});
+
+// Send the PDF to the recipient's email again
+router.post('/:id/email', authenticateUser, authorizeInvoiceOwner(), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+    if (!invoice.recipient?.email) return res.status(422).json({ error: 'No email address on this invoice' });
+    const result = await emailInvoice(invoice);
+    if (!result?.success) return res.status(502).json({ error: result?.error || 'Email could not be sent' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('POST /api/invoices/:id/email failed:', err);
+    res.status(500).json({ error: 'Failed to email invoice' });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,14 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
 const { collections } = require('../config/db');
+const { authenticateUser, getActingUid, authorizeSelf, authorizeJobOwner, authorizeJobOfferParty, authorizeWorkerJobRequestParty, authorizeConversationParticipant } = require('../middleware/auth');
 const { upload } = require('../middleware/upload');
 const { getStatusEmoji } = require('../utils/helpers');
 const { findOrCreateConversationId, sendSystemMessage } = require('../utils/messaging');
 const { createNotification } = require('../utils/notifications');
+const { recordConversationMessage } = require('../utils/conversations');
+const { BLOCKED_MESSAGE, isBlockedBetween } = require('../utils/blocks');
+const { parseProposal, currentTerms, describeProposal, recordOfferEvent } = require('../utils/jobOffers');
 const { sendJobStatusEmail, sendJobOfferEmail } = require('../utils/emailService');
 const { getCachedConversationJobs, setCachedConversationJobs, invalidateConversationJobsCache } = require('../utils/cache');
 
@@ -25,7 +29,7 @@ router.get('/jobs/:jobId', async (req, res) => {
     res.json(job);
   } catch (err) { res.status(500).json({ error: 'Failed to fetch job' }); }
 });
-router.post('/jobs', async (req, res) => {
+router.post('/jobs', authenticateUser, authorizeSelf('body.clientId'), async (req, res) => {
   try {
     const body = req.body || {};
     const locationText = body.locationText != null ? String(body.locationText).trim() : (body.location != null ? String(body.location).trim() : null);
@@ -68,7 +72,7 @@ router.get('/browse-jobs/:id', async (req, res) => {
   } catch (e) { console.error('GET /api/browse-jobs/:id failed:', e); res.status(500).json({ error: 'Failed to fetch job' }); }
 });
 
-router.post('/browse-jobs', async (req, res) => {
+router.post('/browse-jobs', authenticateUser, authorizeSelf('body.clientId'), async (req, res) => {
   try {
     const { expiresAt, ...jobData } = req.body;
     if (expiresAt) {
@@ -86,6 +90,7 @@ router.post('/browse-jobs', async (req, res) => {
       const targetWorker = await collections.users.findOne({ uid: String(jobData.targetWorkerId) });
       if (!targetWorker) return res.status(404).json({ error: 'Target worker not found' });
       if (targetWorker.role !== 'worker') return res.status(400).json({ error: 'Target user is not a worker' });
+      if (await isBlockedBetween(jobData.clientId, jobData.targetWorkerId)) return res.status(403).json({ code: 'USER_BLOCKED', error: BLOCKED_MESSAGE });
       const pendingOffer = await collections.browseJobs.findOne({ clientId: String(jobData.clientId), targetWorkerId: String(jobData.targetWorkerId), isPrivate: true, offerStatus: 'pending', status: { $nin: ['cancelled', 'completed'] } });
       if (pendingOffer) return res.status(409).json({ error: 'You already have a pending offer to this worker' });
       if (!isProfileInitiated) {
@@ -118,8 +123,10 @@ router.post('/browse-jobs', async (req, res) => {
       try {
         const client = await collections.users.findOne({ uid: String(jobData.clientId) });
         const clientName = client?.displayName || client?.email || 'Client';
-        const systemMessage = { conversationId: conversationIdForMessage, senderId: String(jobData.clientId), recipientId: String(jobData.targetWorkerId), jobId, message: `📋 New job posted: ${jobData.title}${jobData.budget ? `\n💰 Budget: ${jobData.budget} ${jobData.currency || 'BDT'}` : ''}${jobData.location ? `\n📍 Location: ${jobData.location}` : ''}`, senderName: 'System', recipientName: '', read: false, createdAt: new Date(), isSystemMessage: true };
-        await collections.messages.insertOne(systemMessage);
+        const systemMessage = { conversationId: conversationIdForMessage, senderId: String(jobData.clientId), recipientId: String(jobData.targetWorkerId), jobId, message: `📋 New job posted: ${jobData.title}${jobData.budget ? `\n💰 Budget: ${jobData.budget} ${jobData.currency || 'BDT'}` : ''}${jobData.location ? `\n📍 Location: ${jobData.location}` : ''}`, senderName: 'System', recipientName: '', read: false, status: 'sent', createdAt: new Date(), isSystemMessage: true };
+        const { insertedId: systemMessageId } = await collections.messages.insertOne(systemMessage);
+        await recordConversationMessage({ _id: systemMessageId, ...systemMessage });
+        await recordOfferEvent({ ...jobDoc, _id: result.insertedId }, { action: 'offered', actorId: jobData.clientId, actorRole: 'client', proposal: currentTerms(jobDoc), createdAt: jobDoc.createdAt });
         try {
           const targetWorkerDoc = await collections.users.findOne({ uid: String(jobData.targetWorkerId) });
           if (targetWorkerDoc?.email) sendJobOfferEmail(targetWorkerDoc.email, targetWorkerDoc.displayName || targetWorkerDoc.email || 'Worker', jobData.title, clientName, jobData.budget, jobData.currency, finalExpiresAt).catch(() => {});
@@ -134,13 +141,13 @@ router.post('/browse-jobs', async (req, res) => {
   } catch (err) { console.error('❌ Failed to post job:', err); res.status(500).json({ error: 'Failed to post job' }); }
 });
 
-router.post('/browse-jobs/upload', upload.array('images', 10), (req, res) => {
+router.post('/browse-jobs/upload', authenticateUser, upload.array('images', 10), (req, res) => {
   if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'No files uploaded' });
   const base = `${req.protocol}://${req.get('host')}`;
   res.json({ imageUrls: req.files.map((file) => `${base}/uploads/${file.filename}`) });
 });
 
-router.patch('/browse-jobs/:id', async (req, res) => {
+router.patch('/browse-jobs/:id', authenticateUser, authorizeSelf('body.clientId'), authorizeJobOwner(), async (req, res) => {
   try {
     const { id } = req.params;
     const { clientId, status } = req.body;
@@ -192,7 +199,7 @@ router.patch('/browse-jobs/:id', async (req, res) => {
   } catch (err) { console.error('❌ Failed to update job:', err); res.status(500).json({ error: 'Failed to update job' }); }
 });
 
-router.put('/browse-jobs/:id', async (req, res) => {
+router.put('/browse-jobs/:id', authenticateUser, authorizeJobOwner(), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid job ID' });
@@ -207,7 +214,7 @@ router.put('/browse-jobs/:id', async (req, res) => {
   } catch (err) { res.status(500).json({ error: 'Failed to update job' }); }
 });
 
-router.delete('/browse-jobs/:id', async (req, res) => {
+router.delete('/browse-jobs/:id', authenticateUser, authorizeJobOwner(), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid job ID' });
@@ -222,7 +229,7 @@ router.delete('/browse-jobs/:id', async (req, res) => {
 });
 
 // Job recommendations
-router.get('/jobs/recommendations/:userId', async (req, res) => {
+router.get('/jobs/recommendations/:userId', authenticateUser, authorizeSelf('params.userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     if (!userId) return res.status(400).json({ error: 'User ID is required' });
@@ -260,7 +267,7 @@ router.get('/jobs/recommendations/:userId', async (req, res) => {
 });
 
 // Job offer specific routes
-router.get('/job-offers', async (req, res) => {
+router.get('/job-offers', authenticateUser, authorizeSelf('query.workerId'), async (req, res) => {
   try {
     const { workerId } = req.query;
     if (!workerId) return res.status(400).json({ error: 'workerId is required' });
@@ -269,7 +276,7 @@ router.get('/job-offers', async (req, res) => {
   } catch (err) { res.status(500).json({ error: 'Failed to fetch job offers' }); }
 });
 
-router.get('/job-offers/:jobId', async (req, res) => {
+router.get('/job-offers/:jobId', authenticateUser, authorizeJobOfferParty('jobId'), async (req, res) => {
   try {
     const { jobId } = req.params;
     if (!ObjectId.isValid(jobId)) return res.status(400).json({ error: 'Invalid job ID' });
@@ -279,34 +286,108 @@ router.get('/job-offers/:jobId', async (req, res) => {
   } catch (err) { res.status(500).json({ error: 'Failed to fetch job offer' }); }
 });
 
-router.post('/job-offers/:jobId/respond', async (req, res) => {
+const OFFER_CHANGED = 'This job offer was answered or withdrawn in the meantime';
+
+// Both sides accept the terms currently on the table; the worker gets an accepted application at the agreed price.
+// Resolves to false when the offer stopped being pending in the meantime (answered or withdrawn concurrently).
+async function acceptOffer(job, actorId, actorRole) {
+  const jobId = String(job._id);
+  const now = new Date();
+  const terms = currentTerms(job);
+  const claim = await collections.browseJobs.updateOne({ _id: job._id, offerStatus: 'pending' }, { $set: { offerStatus: 'accepted', offerRespondedAt: now, offerAcceptedAt: now, awaitingResponseFrom: null, agreedTerms: terms, ...(terms.date ? { scheduledDate: terms.date } : {}), updatedAt: now } });
+  if (!claim.modifiedCount) return false;
+  if (job.clientId) {
+    await collections.applications.updateOne(
+      { jobId, workerId: String(job.targetWorkerId) },
+      {
+        $set: { ...(terms.price !== undefined ? { proposedPrice: terms.price, finalPrice: terms.price, negotiationStatus: 'accepted' } : {}), status: 'accepted', currency: terms.currency, updatedAt: now },
+        $setOnInsert: { jobId, workerId: String(job.targetWorkerId), clientId: String(job.clientId), createdAt: now },
+      },
+      { upsert: true }
+    );
+  }
+  await recordOfferEvent(job, { action: 'accepted', actorId, actorRole, proposal: terms, createdAt: now }, `✅ Job offer accepted by the ${actorRole}: ${job.title || 'Job offer'}\n${describeProposal(terms)}`.trim());
+  return true;
+}
+
+router.post('/job-offers/:jobId/respond', authenticateUser, authorizeSelf('body.workerId'), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { workerId, action, reason } = req.body;
     if (!ObjectId.isValid(jobId)) return res.status(400).json({ error: 'Invalid job ID' });
     if (!workerId) return res.status(400).json({ error: 'workerId is required' });
-    if (!['accept', 'reject'].includes(action)) return res.status(400).json({ error: 'action must be accept or reject' });
+    if (!['accept', 'reject', 'counter'].includes(action)) return res.status(400).json({ error: 'action must be accept, reject or counter' });
     const job = await collections.browseJobs.findOne({ _id: new ObjectId(jobId) });
     if (!job) return res.status(404).json({ error: 'Job not found' });
     if (String(job.targetWorkerId) !== String(workerId)) return res.status(403).json({ error: 'Not authorized' });
     if (job.offerStatus !== 'pending') return res.status(400).json({ error: `Job offer is already ${job.offerStatus}` });
+    if (action !== 'reject' && job.awaitingResponseFrom === 'client') return res.status(409).json({ error: 'Waiting for the client to respond to your counter-proposal' });
+    // A blocked pair can still turn an offer down, but not take it further
+    if (action !== 'reject' && await isBlockedBetween(job.clientId, workerId)) return res.status(403).json({ code: 'USER_BLOCKED', error: BLOCKED_MESSAGE });
+    const title = job.title || 'Job offer';
+    if (action === 'accept') {
+      if (!(await acceptOffer(job, workerId, 'worker'))) return res.status(409).json({ error: OFFER_CHANGED });
+      await createNotification(String(job.clientId), 'Job offer accepted', `Your job offer "${title}" has been accepted by the worker.`, 'success', jobId, `/My-Posted-Job-Details/${jobId}`).catch(() => {});
+      return res.json({ success: true, offerStatus: 'accepted' });
+    }
     const now = new Date();
-    const newOfferStatus = action === 'accept' ? 'accepted' : 'rejected';
-    await collections.browseJobs.updateOne({ _id: new ObjectId(jobId) }, { $set: { offerStatus: newOfferStatus, offerRespondedAt: now, ...(action === 'reject' && reason ? { offerRejectionReason: String(reason) } : {}), updatedAt: now } });
-    // If accepted, create an application record
-    if (action === 'accept' && job.clientId) {
-      await collections.applications.updateOne(
-        { jobId: String(jobId), workerId: String(workerId) },
-        { $setOnInsert: { jobId: String(jobId), workerId: String(workerId), clientId: String(job.clientId), status: 'accepted', createdAt: now, updatedAt: now } },
-        { upsert: true }
+    if (action === 'counter') {
+      const { proposal, error } = parseProposal(req.body, job);
+      if (error) return res.status(400).json({ error });
+      const currentProposal = { ...proposal, proposedBy: String(workerId), proposedAt: now };
+      const countered = await collections.browseJobs.updateOne(
+        { _id: job._id, offerStatus: 'pending', awaitingResponseFrom: { $ne: 'client' } },
+        { $set: { currentProposal, awaitingResponseFrom: 'client', negotiationRound: (job.negotiationRound || 0) + 1, updatedAt: now } }
       );
+      if (!countered.modifiedCount) return res.status(409).json({ error: OFFER_CHANGED });
+      await recordOfferEvent(job, { action: 'countered', actorId: workerId, actorRole: 'worker', proposal, createdAt: now }, `🔁 Counter-proposal from the worker: ${title}\n${describeProposal(proposal)}`);
+      await createNotification(String(job.clientId), 'Counter-proposal received', `The worker sent a counter-proposal for "${title}".`, 'info', jobId, `/My-Posted-Job-Details/${jobId}`).catch(() => {});
+      return res.json({ success: true, offerStatus: 'pending', awaitingResponseFrom: 'client', proposal: currentProposal });
     }
-    await createNotification(String(job.clientId), `Job offer ${newOfferStatus}`, `Your job offer "${job.title}" has been ${newOfferStatus} by the worker.`, action === 'accept' ? 'success' : 'info', jobId, `/My-Posted-Job-Details/${jobId}`).catch(() => {});
-    res.json({ success: true, offerStatus: newOfferStatus });
+    const rejected = await collections.browseJobs.updateOne({ _id: job._id, offerStatus: 'pending' }, { $set: { offerStatus: 'rejected', offerRespondedAt: now, awaitingResponseFrom: null, ...(reason ? { offerRejectionReason: String(reason) } : {}), updatedAt: now } });
+    if (!rejected.modifiedCount) return res.status(409).json({ error: OFFER_CHANGED });
+    await recordOfferEvent(job, { action: 'rejected', actorId: workerId, actorRole: 'worker', reason, createdAt: now }, `❌ Job offer declined by the worker: ${title}${reason ? `\n💬 ${reason}` : ''}`);
+    await createNotification(String(job.clientId), 'Job offer rejected', `Your job offer "${title}" has been rejected by the worker.`, 'info', jobId, `/My-Posted-Job-Details/${jobId}`).catch(() => {});
+    res.json({ success: true, offerStatus: 'rejected' });
   } catch (err) { console.error('POST /api/job-offers/:jobId/respond failed:', err); res.status(500).json({ error: 'Failed to respond to job offer' }); }
 });
 
-router.post('/job-offers/:jobId/withdraw', async (req, res) => {
+// Client answers a worker's counter-proposal: accept it or counter back
+router.post('/job-offers/:jobId/client-response', authenticateUser, authorizeSelf('body.clientId'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { clientId, action } = req.body;
+    if (!ObjectId.isValid(jobId)) return res.status(400).json({ error: 'Invalid job ID' });
+    if (!clientId) return res.status(400).json({ error: 'clientId is required' });
+    if (!['accept', 'counter'].includes(action)) return res.status(400).json({ error: 'action must be accept or counter' });
+    const job = await collections.browseJobs.findOne({ _id: new ObjectId(jobId) });
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (String(job.clientId) !== String(clientId)) return res.status(403).json({ error: 'Not authorized' });
+    if (job.offerStatus !== 'pending') return res.status(400).json({ error: `Job offer is already ${job.offerStatus}` });
+    if (job.awaitingResponseFrom !== 'client') return res.status(409).json({ error: 'There is no counter-proposal waiting for your response' });
+    if (await isBlockedBetween(clientId, job.targetWorkerId)) return res.status(403).json({ code: 'USER_BLOCKED', error: BLOCKED_MESSAGE });
+    const title = job.title || 'Job offer';
+    if (action === 'accept') {
+      if (!(await acceptOffer(job, clientId, 'client'))) return res.status(409).json({ error: OFFER_CHANGED });
+      await createNotification(String(job.targetWorkerId), 'Counter-proposal accepted', `The client accepted your counter-proposal for "${title}".`, 'success', jobId, '/job-offers').catch(() => {});
+      return res.json({ success: true, offerStatus: 'accepted' });
+    }
+    const { proposal, error } = parseProposal(req.body, job);
+    if (error) return res.status(400).json({ error });
+    const now = new Date();
+    const currentProposal = { ...proposal, proposedBy: String(clientId), proposedAt: now };
+    const countered = await collections.browseJobs.updateOne(
+      { _id: job._id, offerStatus: 'pending', awaitingResponseFrom: 'client' },
+      { $set: { currentProposal, awaitingResponseFrom: 'worker', negotiationRound: (job.negotiationRound || 0) + 1, updatedAt: now } }
+    );
+    if (!countered.modifiedCount) return res.status(409).json({ error: OFFER_CHANGED });
+    await recordOfferEvent(job, { action: 'countered', actorId: clientId, actorRole: 'client', proposal, createdAt: now }, `🔁 Counter-proposal from the client: ${title}\n${describeProposal(proposal)}`);
+    await createNotification(String(job.targetWorkerId), 'Counter-proposal received', `The client sent a new proposal for "${title}".`, 'info', jobId, '/job-offers').catch(() => {});
+    res.json({ success: true, offerStatus: 'pending', awaitingResponseFrom: 'worker', proposal: currentProposal });
+  } catch (err) { console.error('POST /api/job-offers/:jobId/client-response failed:', err); res.status(500).json({ error: 'Failed to respond to counter-proposal' }); }
+});
+
+router.post('/job-offers/:jobId/withdraw', authenticateUser, authorizeSelf('body.clientId'), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { clientId } = req.body;
@@ -316,30 +397,55 @@ router.post('/job-offers/:jobId/withdraw', async (req, res) => {
     if (!job) return res.status(404).json({ error: 'Job not found' });
     if (String(job.clientId) !== String(clientId)) return res.status(403).json({ error: 'Not authorized' });
     if (job.offerStatus !== 'pending') return res.status(400).json({ error: `Job offer is already ${job.offerStatus}` });
-    await collections.browseJobs.updateOne({ _id: new ObjectId(jobId) }, { $set: { offerStatus: 'withdrawn', status: 'cancelled', updatedAt: new Date() } });
+    const withdrawn = await collections.browseJobs.updateOne({ _id: job._id, offerStatus: 'pending' }, { $set: { offerStatus: 'withdrawn', status: 'cancelled', awaitingResponseFrom: null, updatedAt: new Date() } });
+    if (!withdrawn.modifiedCount) return res.status(409).json({ error: OFFER_CHANGED });
+    await recordOfferEvent(job, { action: 'withdrawn', actorId: clientId, actorRole: 'client', reason: req.body.reason }, `🚫 Job offer withdrawn by the client: ${job.title || 'Job offer'}`);
     await createNotification(String(job.targetWorkerId), 'Job offer withdrawn', `The client has withdrawn the job offer: ${job.title || 'Job offer'}.`, 'info', String(jobId), '/job-offers').catch(() => {});
     res.json({ success: true, message: 'Job offer withdrawn successfully' });
   } catch (err) { console.error('POST /api/job-offers/:jobId/withdraw failed:', err); res.status(500).json({ error: 'Failed to withdraw job offer' }); }
 });
 
-router.get('/job-offers/analytics/:jobId', async (req, res) => {
+router.get('/job-offers/analytics/:jobId', authenticateUser, authorizeJobOwner('jobId'), async (req, res) => {
   try {
     const { jobId } = req.params;
     if (!ObjectId.isValid(jobId)) return res.status(400).json({ error: 'Invalid job ID' });
     const job = await collections.browseJobs.findOne({ _id: new ObjectId(jobId) });
     if (!job) return res.status(404).json({ error: 'Job not found' });
     const history = await collections.jobOfferHistory.find({ jobId: String(jobId) }).sort({ createdAt: -1 }).toArray();
-    const accepted = history.filter(h => h.action === 'accepted').length;
-    const rejected = history.filter(h => h.action === 'rejected').length;
-    const totalActions = history.length;
-    let timeToAccept = null;
+    const count = (action) => history.filter(h => h.action === action).length;
     const acceptanceRecord = history.find(h => h.action === 'accepted');
-    if (acceptanceRecord && job.createdAt) timeToAccept = new Date(acceptanceRecord.createdAt) - new Date(job.createdAt);
-    res.json({ jobId: String(jobId), metrics: { totalActions, accepted, rejected, acceptanceRate: totalActions > 0 ? (accepted / totalActions) * 100 : 0, timeToAccept: timeToAccept ? Math.floor(timeToAccept / 3600000) : null }, history: history.map(h => ({ action: h.action, workerId: h.workerId, createdAt: h.createdAt, reason: h.reason, proposal: h.proposal })) });
+    const acceptedAt = acceptanceRecord?.createdAt || job.offerAcceptedAt || null;
+    const timeToAccept = acceptedAt && job.createdAt ? new Date(acceptedAt) - new Date(job.createdAt) : null;
+
+    // Acceptance rate across the client's decided private offers (withdrawn and still-pending offers excluded)
+    const decided = job.clientId
+      ? await collections.browseJobs.find({ clientId: String(job.clientId), isPrivate: true, offerStatus: { $in: ['accepted', 'rejected', 'expired'] } }).toArray()
+      : [];
+    const acceptedOffers = decided.filter(j => j.offerStatus === 'accepted');
+    const acceptDurations = acceptedOffers
+      .map(j => new Date(j.offerAcceptedAt || j.offerRespondedAt) - new Date(j.createdAt))
+      .filter(ms => Number.isFinite(ms) && ms >= 0);
+
+    res.json({
+      jobId: String(jobId),
+      metrics: {
+        offerStatus: job.offerStatus || null,
+        totalActions: history.length,
+        counters: count('countered'),
+        accepted: count('accepted'),
+        rejected: count('rejected'),
+        acceptanceRate: decided.length > 0 ? (acceptedOffers.length / decided.length) * 100 : 0,
+        decidedOffers: decided.length,
+        timeToAccept: timeToAccept !== null ? Math.floor(timeToAccept / 3600000) : null,
+        timeToAcceptMinutes: timeToAccept !== null ? Math.floor(timeToAccept / 60000) : null,
+        avgTimeToAccept: acceptDurations.length ? Math.floor(acceptDurations.reduce((a, b) => a + b, 0) / acceptDurations.length / 3600000) : null,
+      },
+      history: history.map(h => ({ action: h.action, actorId: h.actorId, actorRole: h.actorRole, workerId: h.workerId, createdAt: h.createdAt, reason: h.reason, proposal: h.proposal })),
+    });
   } catch (err) { console.error('GET /api/job-offers/analytics/:jobId failed:', err); res.status(500).json({ error: 'Failed to fetch analytics' }); }
 });
 
-router.post('/job-offers/:jobId/remind-later', async (req, res) => {
+router.post('/job-offers/:jobId/remind-later', authenticateUser, authorizeSelf('body.workerId'), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { workerId, reminderAt } = req.body;
@@ -352,24 +458,25 @@ router.post('/job-offers/:jobId/remind-later', async (req, res) => {
     if (!job) return res.status(404).json({ error: 'Job not found' });
     if (String(job.targetWorkerId) !== String(workerId)) return res.status(403).json({ error: 'Not authorized' });
     const existing = await collections.jobOfferReminders.findOne({ jobId: String(jobId), workerId: String(workerId) });
-    if (existing) await collections.jobOfferReminders.updateOne({ _id: existing._id }, { $set: { reminderAt: reminderDate, updatedAt: new Date() } });
+    if (existing) await collections.jobOfferReminders.updateOne({ _id: existing._id }, { $set: { reminderAt: reminderDate, updatedAt: new Date() }, $unset: { deliveredAt: '', deliveryStatus: '' } });
     else await collections.jobOfferReminders.insertOne({ jobId: String(jobId), workerId: String(workerId), reminderAt: reminderDate, createdAt: new Date(), updatedAt: new Date() });
     res.json({ success: true, message: 'Reminder set successfully', reminderAt: reminderDate });
   } catch (err) { console.error('POST /api/job-offers/:jobId/remind-later failed:', err); res.status(500).json({ error: 'Failed to set reminder' }); }
 });
 
 // Job offer history
-router.get('/job-offer-history/:jobId', async (req, res) => {
+router.get('/job-offer-history/:jobId', authenticateUser, authorizeJobOfferParty('jobId'), async (req, res) => {
   try {
     const { jobId } = req.params;
     if (!ObjectId.isValid(jobId)) return res.status(400).json({ error: 'Invalid job ID' });
+    if (!(await collections.browseJobs.findOne({ _id: new ObjectId(jobId) }))) return res.status(404).json({ error: 'Job not found' });
     const history = await collections.jobOfferHistory.find({ jobId: String(jobId) }).sort({ createdAt: -1 }).toArray();
     res.json(history);
   } catch (err) { res.status(500).json({ error: 'Failed to fetch job offer history' }); }
 });
 
 // all proposals by jobId (client view)
-router.get('/job-applications/:jobId', async (req, res) => {
+router.get('/job-applications/:jobId', authenticateUser, authorizeJobOwner('jobId'), async (req, res) => {
   try {
     const { jobId } = req.params;
     const apps = await collections.applications.find({ jobId: String(jobId) }).sort({ createdAt: -1 }).toArray();
@@ -392,7 +499,7 @@ router.get('/job-applications/:jobId', async (req, res) => {
 });
 
 // All applications for a client
-router.get('/client-applications/:clientId', async (req, res) => {
+router.get('/client-applications/:clientId', authenticateUser, authorizeSelf('params.clientId'), async (req, res) => {
   try {
     const clientId = req.params.clientId;
     if (!clientId) return res.status(400).json({ error: 'Missing clientId' });
@@ -414,7 +521,7 @@ router.get('/client-applications/:clientId', async (req, res) => {
 });
 
 // Worker's own applications
-router.get('/my-applications/:uid', async (req, res) => {
+router.get('/my-applications/:uid', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
   try {
     const workerId = req.params.uid;
     if (!workerId) return res.status(400).json({ error: 'Missing workerId' });
@@ -432,7 +539,7 @@ router.get('/my-applications/:uid', async (req, res) => {
 });
 
 // Conversation jobs
-router.get('/conversations/:conversationId/jobs', async (req, res) => {
+router.get('/conversations/:conversationId/jobs', authenticateUser, authorizeConversationParticipant(), async (req, res) => {
   try {
     const conversationId = String(req.params.conversationId || '').trim();
     if (!conversationId) return res.status(400).json({ error: 'conversationId is required' });
@@ -454,10 +561,13 @@ router.get('/conversations/:conversationId/jobs', async (req, res) => {
 });
 
 // Worker job requests
-router.get('/worker-job-requests', async (req, res) => {
+router.get('/worker-job-requests', authenticateUser, async (req, res) => {
   try {
     const { conversationId, workerId, clientId, status } = req.query;
-    const q = {};
+    const uid = getActingUid(req);
+    // Callers only see requests they are a party to: as the worker, as the client, or either when neither is given
+    if (uid && (workerId || clientId) && String(workerId) !== uid && String(clientId) !== uid) return res.status(403).json({ error: 'Unauthorized: workerId or clientId must be your own' });
+    const q = uid && !workerId && !clientId ? { $or: [{ workerId: uid }, { clientId: uid }] } : {};
     if (conversationId) q.conversationId = String(conversationId);
     if (workerId) q.workerId = String(workerId);
     if (clientId) q.clientId = String(clientId);
@@ -466,7 +576,7 @@ router.get('/worker-job-requests', async (req, res) => {
     res.json(list);
   } catch (err) { res.status(500).json({ error: 'Failed to fetch' }); }
 });
-router.post('/worker-job-requests', async (req, res) => {
+router.post('/worker-job-requests', authenticateUser, authorizeSelf('body.workerId'), async (req, res) => {
   try {
     const b = req.body || {};
     const doc = {
@@ -488,12 +598,13 @@ router.post('/worker-job-requests', async (req, res) => {
     if (!doc.workerId || !doc.clientId || !doc.conversationId || !doc.title || !doc.description || !doc.category) {
       return res.status(400).json({ error: 'workerId, clientId, conversationId, title, description, and category are required' });
     }
+    if (await isBlockedBetween(doc.workerId, doc.clientId)) return res.status(403).json({ code: 'USER_BLOCKED', error: BLOCKED_MESSAGE });
     const result = await collections.workerJobRequests.insertOne(doc);
     invalidateConversationJobsCache(doc.conversationId);
     res.status(201).json({ success: true, requestId: result.insertedId, request: { _id: result.insertedId, ...doc } });
   } catch (err) { res.status(500).json({ error: 'Failed to create' }); }
 });
-router.patch('/worker-job-requests/:id/status', async (req, res) => {
+router.patch('/worker-job-requests/:id/status', authenticateUser, authorizeWorkerJobRequestParty(), async (req, res) => {
   try {
     const { id } = req.params;
     const status = String(req.body?.status || '').toLowerCase().trim();
@@ -522,7 +633,7 @@ router.get('/services', async (_req, res) => {
 });
 
 // Reviews
-router.post('/reviews', async (req, res) => {
+router.post('/reviews', authenticateUser, authorizeSelf('body.reviewerId'), async (req, res) => {
   try {
     const {
       jobId,
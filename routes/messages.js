@@ -2,91 +2,100 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
 const { collections } = require('../config/db');
+const fs = require('fs');
+const { authenticateUser, authorizeSelf, authorizeConversationParticipant, authorizeAttachmentParty, getActingUid } = require('../middleware/auth');
+const { attachmentUploadMiddleware } = require('../middleware/upload');
 const { getConversationId } = require('../utils/helpers');
+const { MAX_ATTACHMENT_BYTES, attachmentPath, attachmentView, storeAttachment, loadUnsentAttachments, linkAttachments } = require('../utils/attachments');
 const { createNotification } = require('../utils/notifications');
 const { sendNewMessageEmail } = require('../utils/emailService');
+const { listConversations, recordConversationMessage } = require('../utils/conversations');
+const { BLOCKED_MESSAGE, isBlockedBetween } = require('../utils/blocks');
+const { emitNewMessage, editMessage, unsendMessage, markMessagesDelivered, markConversationRead, listConversationMessages } = require('../utils/messaging');
 
 const router = Router();
 
-// Get conversations for a user
-router.get('/conversations', async (req, res) => {
+// Inbox: conversations newest first, ?limit&cursor (nextCursor from the previous page) and ?q to search by name
+router.get('/conversations', authenticateUser, authorizeSelf('query.userId'), async (req, res) => {
   try {
-    const { userId } = req.query;
+    const userId = getActingUid(req) || req.query.userId;
     if (!userId) return res.status(400).json({ error: 'userId is required' });
-
-    const conversations = await collections.messages
-      .aggregate([
-        { $match: { $or: [{ senderId: userId }, { recipientId: userId }] } },
-        { $sort: { createdAt: -1 } },
-        {
-          $group: {
-            _id: '$conversationId',
-            lastMessage: { $first: '$$ROOT' },
-            unreadCount: {
-              $sum: {
-                $cond: [{ $and: [{ $eq: ['$recipientId', userId] }, { $eq: ['$read', false] }] }, 1, 0],
-              },
-            },
-          },
-        },
-        { $sort: { 'lastMessage.createdAt': -1 } },
-      ])
-      .toArray();
-
-    res.json(conversations);
+    const result = await listConversations(userId, { limit: req.query.limit, cursor: req.query.cursor, q: req.query.q });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
   } catch (err) {
     console.error('❌ Failed to fetch conversations:', err);
     res.status(500).json({ error: 'Failed to fetch conversations' });
   }
 });
 
-// Get messages for a conversation
-router.get('/conversation/:conversationId', async (req, res) => {
+// Messages in a conversation, a page at a time: ?limit, ?before=<nextCursor> to load older, or ?since=<date>
+// to catch up after a reconnect. Without any of them the whole history comes back as a bare array, as it
+// did before paging. Reading does not mark anything read; see POST .../read
+router.get('/conversation/:conversationId', authenticateUser, authorizeSelf('query.userId'), authorizeConversationParticipant(), async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { userId } = req.query;
-    if (!userId) return res.status(400).json({ error: 'userId is required' });
-
-    const messages = await collections.messages
-      .find({ conversationId })
-      .sort({ createdAt: 1 })
-      .toArray();
+    if (!getActingUid(req) && !req.query.userId) return res.status(400).json({ error: 'userId is required' });
 
-    await collections.messages.updateMany(
-      { conversationId, recipientId: userId, read: false },
-      { $set: { read: true, readAt: new Date() } }
-    );
-
-    res.json(messages);
+    const { limit, before, since } = req.query;
+    if (limit === undefined && before === undefined && since === undefined) {
+      return res.json(await collections.messages.find({ conversationId: String(conversationId) }).sort({ createdAt: 1, _id: 1 }).toArray());
+    }
+    const result = await listConversationMessages(conversationId, { limit, before, since });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
   } catch (err) {
     console.error('❌ Failed to fetch messages:', err);
     res.status(500).json({ error: 'Failed to fetch messages' });
   }
 });
 
+// Mark the conversation read for the caller, optionally only up to a message (body.upTo)
+router.post('/conversation/:conversationId/read', authenticateUser, authorizeSelf('body.userId'), authorizeConversationParticipant(), async (req, res) => {
+  try {
+    const { userId, upTo } = req.body;
+    if (!userId) return res.status(400).json({ error: 'userId is required' });
+    const updated = await markConversationRead(req.params.conversationId, userId, { upTo });
+    if (updated.error) return res.status(updated.status).json({ error: updated.error });
+    res.json({ updated });
+  } catch (err) {
+    console.error('POST /api/messages/conversation/:conversationId/read failed:', err);
+    res.status(500).json({ error: 'Failed to mark messages as read' });
+  }
+});
+
 // Send a message (HTTP, mirrors WebSocket)
-router.post('/', async (req, res) => {
+router.post('/', authenticateUser, authorizeSelf('body.senderId'), async (req, res) => {
   try {
-    const { senderId, recipientId, jobId, message, senderName, recipientName } = req.body;
-    if (!senderId || !recipientId || !message) {
-      return res.status(400).json({ error: 'senderId, recipientId, and message are required' });
+    const { senderId, recipientId, jobId, message, senderName, recipientName, attachmentIds } = req.body;
+    if (!senderId || !recipientId || (!message && !attachmentIds?.length)) {
+      return res.status(400).json({ error: 'senderId, recipientId, and a message or attachments are required' });
     }
 
+    if (await isBlockedBetween(senderId, recipientId)) return res.status(403).json({ code: 'USER_BLOCKED', error: BLOCKED_MESSAGE });
+
     const conversationId = getConversationId(senderId, recipientId, jobId);
+    const unsent = await loadUnsentAttachments(attachmentIds, { senderId, conversationId });
+    if (unsent.error) return res.status(unsent.status).json({ error: unsent.error });
     const newMessage = {
       conversationId,
       senderId,
       recipientId,
       jobId: jobId || null,
-      message: String(message).trim(),
+      message: String(message || '').trim(),
+      attachments: unsent.attachments.map(attachmentView),
       senderName: senderName || '',
       recipientName: recipientName || '',
       read: false,
+      status: 'sent',
       createdAt: new Date(),
     };
 
     const result = await collections.messages.insertOne(newMessage);
+    await linkAttachments(unsent.attachments, result.insertedId);
     const insertedMessage = await collections.messages.findOne({ _id: result.insertedId });
+    await recordConversationMessage(insertedMessage);
+    emitNewMessage(insertedMessage);
 
     // Async: email + in-app notification
     (async () => {
@@ -140,21 +149,125 @@ router.post('/', async (req, res) => {
 });
 
 // Mark messages as read
-router.patch('/read', async (req, res) => {
+router.patch('/read', authenticateUser, authorizeSelf('body.userId'), authorizeConversationParticipant('body.conversationId'), async (req, res) => {
   try {
     const { conversationId, userId } = req.body;
     if (!conversationId || !userId) {
       return res.status(400).json({ error: 'conversationId and userId are required' });
     }
-    const result = await collections.messages.updateMany(
-      { conversationId, recipientId: userId, read: false },
-      { $set: { read: true, readAt: new Date() } }
-    );
-    res.json({ updated: result.modifiedCount });
+    res.json({ updated: await markConversationRead(conversationId, userId) });
   } catch (err) {
     console.error('❌ Failed to mark messages as read:', err);
     res.status(500).json({ error: 'Failed to mark messages as read' });
   }
 });
 
+// The recipient's client received these messages (HTTP twin of the message:delivered socket event)
+router.patch('/delivered', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
+  try {
+    const { userId, messageIds } = req.body;
+    if (!userId || !messageIds) return res.status(400).json({ error: 'userId and messageIds are required' });
+    res.json({ updated: await markMessagesDelivered(userId, messageIds) });
+  } catch (err) {
+    console.error('PATCH /api/messages/delivered failed:', err);
+    res.status(500).json({ error: 'Failed to mark messages as delivered' });
+  }
+});
+
+// Edit your own message within the edit window
+router.patch('/:id', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
+  try {
+    const { userId, message } = req.body;
+    if (!userId) return res.status(400).json({ error: 'userId is required' });
+    const result = await editMessage(req.params.id, { userId, message });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.message);
+  } catch (err) {
+    console.error('PATCH /api/messages/:id failed:', err);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
+
+// Unsend your own message for both sides
+router.delete('/:id', authenticateUser, authorizeSelf('query.userId'), async (req, res) => {
+  try {
+    const userId = getActingUid(req) || req.query.userId;
+    if (!userId) return res.status(400).json({ error: 'userId is required' });
+    const result = await unsendMessage(req.params.id, { userId });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.message);
+  } catch (err) {
+    console.error('DELETE /api/messages/:id failed:', err);
+    res.status(500).json({ error: 'Failed to unsend message' });
+  }
+});
+
+// ---- Attachments ----
+// Upload one file (multipart field "file") for a conversation, then send its id in attachmentIds
+// with POST /api/messages or the message:send socket event
+router.post('/attachments', authenticateUser, (req, res) => {
+  attachmentUploadMiddleware(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : err.status || 400).json({ error: tooLarge ? `Attachments can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB` : err.message });
+    }
+    try {
+      if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+      const uid = getActingUid(req);
+      const senderId = uid || req.body.senderId;
+      const { recipientId, jobId } = req.body;
+      const problem = uid && req.body.senderId && String(req.body.senderId) !== uid
+        ? [403, 'Unauthorized: senderId mismatch']
+        : !senderId || !recipientId ? [400, 'senderId and recipientId are required']
+        : String(senderId) === String(recipientId) ? [400, 'You cannot message yourself']
+        : await isBlockedBetween(senderId, recipientId) ? [403, BLOCKED_MESSAGE] : null;
+      if (problem) {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(problem[0]).json({ error: problem[1] });
+      }
+      const result = await storeAttachment(req.file, { senderId, recipientId, jobId: jobId || null });
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      res.status(201).json(attachmentView(result.attachment));
+    } catch (e) {
+      console.error('POST /api/messages/attachments failed:', e);
+      res.status(500).json({ error: 'Failed to upload attachment' });
+    }
+  });
+});
+
+async function sendAttachmentFile(req, res, variant) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+  const doc = await collections.attachments.findOne({ _id: new ObjectId(id) });
+  if (!doc || doc.deletedAt) return res.status(404).json({ error: 'Attachment not found' });
+  const thumbnail = variant === 'thumbnail';
+  if (thumbnail && !doc.thumbnailName) return res.status(404).json({ error: 'This attachment has no thumbnail' });
+  const inline = thumbnail || doc.kind !== 'file';
+  res.set('Cache-Control', 'private, max-age=86400');
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(doc.name)}`);
+  res.type(thumbnail ? 'image/webp' : doc.mimeType);
+  res.sendFile(attachmentPath(thumbnail ? doc.thumbnailName : doc.storageName), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Attachment file is missing' });
+  });
+}
+
+router.get('/attachments/:id', authenticateUser, authorizeAttachmentParty(), async (req, res) => {
+  try {
+    await sendAttachmentFile(req, res, 'original');
+  } catch (err) {
+    console.error('GET /api/messages/attachments/:id failed:', err);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+router.get('/attachments/:id/thumbnail', authenticateUser, authorizeAttachmentParty(), async (req, res) => {
+  try {
+    await sendAttachmentFile(req, res, 'thumbnail');
+  } catch (err) {
+    console.error('GET /api/messages/attachments/:id/thumbnail failed:', err);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
 module.exports = router;
@@ -2,11 +2,12 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
 const { collections } = require('../config/db');
+const { authenticateUser, authorizeSelf, authorizeNotificationOwner } = require('../middleware/auth');
 
 const router = Router();
 
 // Get notifications for a user
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', authenticateUser, authorizeSelf('params.userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 50 } = req.query;
@@ -29,7 +30,7 @@ router.get('/:userId', async (req, res) => {
 });
 
 // Mark notification as read
-router.patch('/:id/read', async (req, res) => {
+router.patch('/:id/read', authenticateUser, authorizeSelf('body.userId'), authorizeNotificationOwner(), async (req, res) => {
   try {
     const { id } = req.params;
     const { userId } = req.body;
@@ -51,7 +52,7 @@ router.patch('/:id/read', async (req, res) => {
 });
 
 // Delete notification
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateUser, authorizeSelf('body.userId'), authorizeNotificationOwner(), async (req, res) => {
   try {
     const { id } = req.params;
     const { userId } = req.body;
@@ -1,84 +1,172 @@
-// routes/payments.js — /api/dues/*, /api/fees/*, /api/wallet/, /api/applications/:id/additional-charges
+// routes/payments.js — /api/dues/*, /api/fees/*, /api/wallet/*, /api/wallet-topups/*, /api/applications/:id/additional-charges, /api/applications/:id/cash-payment, /api/applications/:id/payments, /api/job-payments/*, /api/subscription-payments/*
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const SSLCommerzPayment = require('sslcommerz-lts');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticateUser, identifyUser, getActingUid, authenticateAdmin, requireAdminPermission, authorizeSelf, authorizeApplicationParty } = require('../middleware/auth');
 const { collections } = require('../config/db');
 const { upload } = require('../middleware/upload');
-
-const STORE_ID = process.env.STORE_ID || 'testbox';
-const STORE_PASSWD = process.env.STORE_PASSWD || 'testpass';
-const IS_LIVE = process.env.IS_LIVE === 'true';
-
-function calculatePlatformFee(laborAmount) {
-  if (!laborAmount || laborAmount <= 0) return { fee: 0, tier: 'A' };
-  let rate = 0.10;
-  let cap = 15;
-  let tier = 'A';
-  if (laborAmount > 300 && laborAmount <= 800) { rate = 0.08; cap = 50; tier = 'B'; }
-  else if (laborAmount > 800) { rate = 0.07; cap = 200; tier = 'C'; }
-  return { fee: Math.max(0, Math.round(Math.min(laborAmount * rate, cap))), tier };
-}
+const { createNotification } = require('../utils/notifications');
+const { findOrCreateConversationId, sendSystemMessage } = require('../utils/messaging');
+const { getPaymentGateway, resolveFrontendUrl } = require('../utils/paymentGateway');
+const { postLedgerTransaction, getAccountBalance } = require('../utils/ledger');
+const { calculatePlatformFee } = require('../utils/fees');
+const { computeDiscount, markPromoRedeemed } = require('../utils/promoCodes');
+const { activateSubscriptionPayment, releaseSubscriptionCheckout } = require('../utils/subscriptions');
+const { issueSettlementDocuments, issueDueReceipt } = require('../utils/invoices');
+const { reportCashPayment, confirmCashPayment } = require('../utils/cashCollections');
+const { WALLET_CURRENCY, WALLET_TOPUP_MIN, WALLET_TOPUP_MAX, WALLET_TRANSACTION_TYPES, getWalletBalance, creditWallet, debitWallet, applyWalletTopUp } = require('../utils/wallet');
 
 async function processJobSettlement(applicationId) {
+  let claimed = false;
+  let settled = false;
   try {
+    // Claim the settlement first: both parties completing at once, or a cash confirmation landing with the
+    // completion, must not post the payable, promo top-up and fee entries twice
+    const claim = await collections.applications.updateOne({ _id: new ObjectId(applicationId), settlementStatus: 'PENDING' }, { $set: { settlementStatus: 'SETTLING' } });
+    if (!claim.modifiedCount) return;
+    claimed = true;
     const app = await collections.applications.findOne({ _id: new ObjectId(applicationId) });
-    if (!app || app.settlementStatus !== 'PENDING') return;
     const laborAmount = Number(app.finalPrice || app.proposedPrice) || 0;
-    const { fee: platformFee, tier } = calculatePlatformFee(laborAmount);
+    const job = ObjectId.isValid(app.jobId) ? await collections.browseJobs.findOne({ _id: new ObjectId(app.jobId) }) : null;
+    const feeQuote = await calculatePlatformFee(laborAmount, { category: job?.category || null, workerId: app.workerId });
+    const { tier } = feeQuote;
+    // A worker promo code (POST /api/promo-codes/apply) comes off the scheduled fee
+    const feeDiscount = app.workerPromo ? computeDiscount(app.workerPromo, feeQuote.fee) : 0;
     const approvedCharges = await collections.additionalCharges.find({ applicationId: new ObjectId(applicationId), status: 'APPROVED' }).toArray();
     const approvedExtrasAmount = approvedCharges.filter(c => c.type === 'EXTRA_COST').reduce((sum, c) => sum + (Number(c.amount) || 0), 0);
+    const approvedTipsAmount = approvedCharges.filter(c => c.type !== 'EXTRA_COST').reduce((sum, c) => sum + (Number(c.amount) || 0), 0);
+    // Paid online: the platform already holds the money, so the fee is kept from the worker's payout instead of becoming a due
+    const paidOnline = app.paymentStatus === 'PAID';
+    const feeCollection = paidOnline ? 'ONLINE' : 'DUE';
+    // Refunds made before settlement (utils/refunds.js) shrink the payment, fee and promo top-up in proportion
+    const grossAmount = paidOnline ? Number(app.paidAmount) || 0 : laborAmount + approvedCharges.reduce((sum, c) => sum + (Number(c.amount) || 0), 0);
+    const netRatio = grossAmount > 0 ? Math.max(0, grossAmount - (Number(app.refundedAmount) || 0)) / grossAmount : 1;
+    const netPaid = paidOnline ? Math.round((Number(app.paidAmount) || 0) * netRatio * 100) / 100 : 0;
+    const platformFee = Math.round(Math.max(0, feeQuote.fee - feeDiscount) * netRatio * 100) / 100;
+    // A client promo discount is paid by the platform, so the worker is credited as if the client paid it
+    const promoDiscount = paidOnline ? Math.round((Number(app.promoDiscount) || 0) * netRatio * 100) / 100 : 0;
     await collections.applications.updateOne(
-      { _id: new ObjectId(applicationId) },
-      { $set: { laborAmount, approvedExtrasAmount, platformFee, feeTier: tier, settlementStatus: 'SETTLED' } }
+      { _id: new ObjectId(applicationId), settlementStatus: 'SETTLING' },
+      { $set: { laborAmount, approvedExtrasAmount, approvedTipsAmount, platformFee, feeTier: tier, feeScheduleVersion: feeQuote.version, feeRule: { source: feeQuote.source, category: feeQuote.category, rate: feeQuote.rate, cap: feeQuote.cap, promotion: feeQuote.promotion, discountPercent: feeQuote.discountPercent }, ...(app.workerPromo ? { scheduledFee: feeQuote.fee, feeDiscount } : {}), feeCollection, ...(paidOnline ? { workerPayableAmount: Math.max(0, netPaid + promoDiscount - platformFee), promoFundedAmount: promoDiscount } : {}), reversedFee: 0, reversedPromo: 0, settlementStatus: 'SETTLED', settledAt: new Date() } }
     );
-    if (platformFee > 0 && app.workerId) {
-      await collections.ledgers.insertOne({ transactionId: new ObjectId().toString(), workerId: String(app.workerId), orderId: new ObjectId(applicationId), type: 'platform_fee_debit', amount: platformFee, direction: 'DEBIT', createdAt: new Date() });
-      await collections.users.updateOne({ uid: String(app.workerId) }, { $inc: { dueBalance: platformFee } });
-      const worker = await collections.users.findOne({ uid: String(app.workerId) });
-      if (worker && worker.dueBalance >= 200 && !worker.dueWarningNotifiedAt) {
-        await collections.users.updateOne({ uid: String(app.workerId) }, { $set: { dueWarningNotifiedAt: new Date() } });
-      }
+    settled = true;
+    if (app.workerPromo) await markPromoRedeemed(app.workerPromo.redemptionId, { feeDiscount });
+    const refs = { orderId: new ObjectId(applicationId), ...(app.paymentRequestId ? { paymentRequestId: app.paymentRequestId } : {}) };
+    if (paidOnline && app.workerId) {
+      // The worker's share stays payable on the ledger until a payout batch sends it (utils/payouts.js)
+      if (netPaid > 0) await postLedgerTransaction('JOB_PAYMENT_RECEIVED', { workerId: app.workerId, amount: netPaid, refs });
+      if (promoDiscount > 0) await postLedgerTransaction('PROMO_DISCOUNT_FUNDED', { workerId: app.workerId, amount: promoDiscount, refs: { ...refs, promoCode: app.promo?.code || null } });
+      if (platformFee > 0) await postLedgerTransaction('PLATFORM_FEE_WITHHELD', { workerId: app.workerId, amount: platformFee, refs });
+    } else if (platformFee > 0 && app.workerId) {
+      await postLedgerTransaction('PLATFORM_FEE_DUE', { workerId: app.workerId, amount: platformFee, refs });
     }
+    await issueSettlementDocuments(applicationId).catch((err) => console.error('Failed to issue settlement invoices:', err));
   } catch (err) {
     console.error('Error processing job settlement:', err);
+    // Nothing was posted yet, so the next completion or cash confirmation can try again
+    if (claimed && !settled) await collections.applications.updateOne({ _id: new ObjectId(applicationId), settlementStatus: 'SETTLING' }, { $set: { settlementStatus: 'PENDING' } }).catch(() => {});
   }
 }
 
 const router = Router();
 
 // ---- Fee Calculator ----
-router.post('/fees/calculate', (req, res) => {
-  try { res.json(calculatePlatformFee(Number(req.body.laborAmount) || 0)); }
-  catch (err) { res.status(500).json({ error: 'Failed' }); }
+// Preview the fee the active schedule would charge; category and workerId pick up category rules, promotions and overrides.
+// A worker's override rate is private, so workerId only counts when the signed-in caller is that worker.
+router.post('/fees/calculate', identifyUser, async (req, res) => {
+  try {
+    const { laborAmount, category } = req.body || {};
+    const uid = getActingUid(req);
+    const workerId = uid && req.body?.workerId && String(req.body.workerId) === uid ? uid : null;
+    res.json(await calculatePlatformFee(Number(laborAmount) || 0, { category: category ? String(category) : null, workerId }));
+  } catch (err) {
+    console.error('POST /api/fees/calculate failed:', err);
+    res.status(500).json({ error: 'Failed' });
+  }
 });
 
 // ---- Additional Charges ----
-router.post('/applications/:id/additional-charges', upload.array('receipts', 5), async (req, res) => {
+// Raised by the application's worker while the job is accepted and not yet paid online; decided by its client.
+// Approved charges are added to the job payment (computeJobPaymentAmount), the settlement and the client invoice.
+const CHARGE_TYPES = ['EXTRA_COST', 'TIP'];
+const chargeLabel = (charge) => (charge.type === 'EXTRA_COST' ? 'extra cost' : 'tip');
+
+async function loadChargeableApplication(id) {
+  if (!ObjectId.isValid(id)) return { status: 400, error: 'Invalid id' };
+  const app = await collections.applications.findOne({ _id: new ObjectId(id) });
+  if (!app) return { status: 404, error: 'Application not found' };
+  if (app.status !== 'accepted') return { status: 409, error: 'Additional charges can only be raised or decided while the job is accepted' };
+  if (app.paymentStatus === 'PAID' || app.cashPaymentStatus) return { status: 409, error: 'The client has already paid for this job' };
+  return { app };
+}
+
+// System message in the job conversation plus a notification for the other party
+async function announceChargeEvent(app, charge, event) {
+  const amountText = `${charge.amount} BDT ${chargeLabel(charge)}`;
+  const fromWorker = event === 'requested';
+  const [senderId, recipientId] = fromWorker ? [app.workerId, app.clientId] : [app.clientId, app.workerId];
+  const { title, notice, chat } = {
+    requested: { title: 'Additional charge requested', notice: `Your worker requested a ${amountText}. Please approve or reject it.`, chat: `🧾 Additional charge requested: ${amountText}${charge.description ? ` — ${charge.description}` : ''}` },
+    approved: { title: 'Additional charge approved', notice: `The client approved your ${amountText}.`, chat: `✅ Additional charge approved: ${amountText}${charge.decisionReason ? `\n\n${charge.decisionReason}` : ''}` },
+    rejected: { title: 'Additional charge rejected', notice: `The client rejected your ${amountText}: ${charge.decisionReason}`, chat: `❌ Additional charge rejected: ${amountText}\n\nReason: ${charge.decisionReason}` },
+  }[event];
+  try {
+    const conversationId = await findOrCreateConversationId(app.jobId, app.clientId, app.workerId);
+    await sendSystemMessage(conversationId, senderId, recipientId, app.jobId, chat);
+  } catch (e) { /* non-fatal */ }
+  const type = event === 'approved' ? 'success' : event === 'rejected' ? 'warning' : 'info';
+  await createNotification(String(recipientId), title, notice, type, app.jobId, fromWorker ? `/My-Posted-Job-Details/${app.jobId}` : '/my-applications').catch(() => {});
+}
+
+router.post('/applications/:id/additional-charges', authenticateUser, upload.array('receipts', 5), authorizeSelf('body.workerId'), authorizeApplicationParty('id', ['workerId']), async (req, res) => {
   try {
     const { id } = req.params;
-    const { workerId, amount, type, description } = req.body;
+    const { workerId, amount, type = 'TIP', description } = req.body;
     const files = req.files || [];
-    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const { app, status, error } = await loadChargeableApplication(id);
+    if (error) return res.status(status).json({ error });
+    if (String(app.workerId) !== String(workerId)) return res.status(403).json({ error: 'Only the worker assigned to this job can add charges' });
+    if (!CHARGE_TYPES.includes(type)) return res.status(400).json({ error: `type must be one of ${CHARGE_TYPES.join(', ')}` });
+    if (!(Number(amount) > 0)) return res.status(400).json({ error: 'amount must be a positive number' });
     const receiptUrls = files.map(f => `/uploads/${f.filename}`);
     if (type === 'EXTRA_COST' && receiptUrls.length === 0) return res.status(400).json({ error: 'Receipts are mandatory for EXTRA_COST' });
-    const charge = { applicationId: new ObjectId(id), workerId: String(workerId), amount: Number(amount) || 0, type: String(type || 'TIP'), description: String(description || ''), receiptUrls, status: 'PENDING', createdAt: new Date() };
+    const charge = { applicationId: app._id, jobId: app.jobId ? String(app.jobId) : null, workerId: String(app.workerId), clientId: String(app.clientId), amount: Math.round(Number(amount) * 100) / 100, type, description: String(description || '').trim().slice(0, 500), receiptUrls, status: 'PENDING', createdAt: new Date() };
     const result = await collections.additionalCharges.insertOne(charge);
+    await announceChargeEvent(app, charge, 'requested');
     res.status(201).json({ _id: result.insertedId, ...charge });
-  } catch (err) { res.status(500).json({ error: 'Failed' }); }
+  } catch (err) {
+    console.error('POST /api/applications/:id/additional-charges failed:', err);
+    res.status(500).json({ error: 'Failed to add charge' });
+  }
 });
-router.post('/applications/:id/additional-charges/approve', async (req, res) => {
+router.post('/applications/:id/additional-charges/approve', authenticateUser, authorizeSelf('body.clientId'), authorizeApplicationParty('id', ['clientId']), async (req, res) => {
   try {
     const { id } = req.params;
-    const { chargeId, status } = req.body;
-    if (!ObjectId.isValid(id) || !ObjectId.isValid(chargeId)) return res.status(400).json({ error: 'Invalid ids' });
-    const validStatus = ['APPROVED', 'REJECTED'].includes(status) ? status : 'REJECTED';
-    const result = await collections.additionalCharges.updateOne({ _id: new ObjectId(chargeId), applicationId: new ObjectId(id) }, { $set: { status: validStatus, updatedAt: new Date() } });
-    if (result.matchedCount === 0) return res.status(404).json({ error: 'Charge not found' });
-    res.json({ ok: true, status: validStatus });
-  } catch (err) { res.status(500).json({ error: 'Failed' }); }
+    const { chargeId, status, reason, clientId } = req.body || {};
+    if (!ObjectId.isValid(chargeId)) return res.status(400).json({ error: 'Invalid chargeId' });
+    if (!['APPROVED', 'REJECTED'].includes(status)) return res.status(400).json({ error: 'status must be APPROVED or REJECTED' });
+    const decisionReason = String(reason || '').trim().slice(0, 500);
+    if (status === 'REJECTED' && !decisionReason) return res.status(400).json({ error: 'A reason is required to reject a charge' });
+    const { app, status: code, error } = await loadChargeableApplication(id);
+    if (error) return res.status(code).json({ error });
+    if (String(app.clientId) !== String(clientId)) return res.status(403).json({ error: 'Only the client of this job can decide charges' });
+    const now = new Date();
+    const result = await collections.additionalCharges.updateOne(
+      { _id: new ObjectId(chargeId), applicationId: app._id, status: 'PENDING' },
+      { $set: { status, decisionReason: decisionReason || null, decidedBy: String(clientId), decidedAt: now, updatedAt: now } }
+    );
+    if (result.matchedCount === 0) {
+      const charge = await collections.additionalCharges.findOne({ _id: new ObjectId(chargeId), applicationId: app._id });
+      return charge ? res.status(409).json({ error: `Charge is already ${charge.status}` }) : res.status(404).json({ error: 'Charge not found' });
+    }
+    const charge = await collections.additionalCharges.findOne({ _id: new ObjectId(chargeId) });
+    await announceChargeEvent(app, charge, status === 'APPROVED' ? 'approved' : 'rejected');
+    res.json({ ok: true, status, charge });
+  } catch (err) {
+    console.error('POST /api/applications/:id/additional-charges/approve failed:', err);
+    res.status(500).json({ error: 'Failed to decide charge' });
+  }
 });
-router.get('/applications/:id/additional-charges', async (req, res) => {
+router.get('/applications/:id/additional-charges', authenticateUser, authorizeApplicationParty(), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -87,8 +175,321 @@ router.get('/applications/:id/additional-charges', async (req, res) => {
   } catch (err) { res.status(500).json({ error: 'Failed' }); }
 });
 
+// ---- Cash Payments ----
+// The worker reports cash received on site, the client confirms it; a confirmed job settles with the fee as a due
+router.post('/applications/:id/cash-payment', authenticateUser, authorizeSelf('body.workerId'), authorizeApplicationParty('id', ['workerId']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { workerId, amount, note } = req.body || {};
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const { status, error, collection } = await reportCashPayment(id, { workerId, amount, note });
+    if (error) return res.status(status).json({ error });
+    res.status(201).json(collection);
+  } catch (err) {
+    console.error('POST /api/applications/:id/cash-payment failed:', err);
+    res.status(500).json({ error: 'Failed to report cash payment' });
+  }
+});
+
+router.post('/applications/:id/cash-payment/confirm', authenticateUser, authorizeSelf('body.clientId'), authorizeApplicationParty('id', ['clientId']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { clientId, amount } = req.body || {};
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const { status, error, ...result } = await confirmCashPayment(id, { clientId, amount });
+    if (error) return res.status(status).json({ error });
+    res.json(result);
+  } catch (err) {
+    console.error('POST /api/applications/:id/cash-payment/confirm failed:', err);
+    res.status(500).json({ error: 'Failed to confirm cash payment' });
+  }
+});
+
+router.get('/applications/:id/cash-payment', authenticateUser, authorizeApplicationParty(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const app = await collections.applications.findOne({ _id: new ObjectId(id) });
+    if (!app) return res.status(404).json({ error: 'Application not found' });
+    const collection = app.cashCollectionId ? await collections.cashCollections.findOne({ _id: new ObjectId(app.cashCollectionId) }) : null;
+    res.json({ cashPaymentStatus: app.cashPaymentStatus || null, amountDue: await computeJobPaymentAmount(app), collection });
+  } catch (err) { console.error('GET /api/applications/:id/cash-payment failed:', err); res.status(500).json({ error: 'Failed to fetch cash payment' }); }
+});
+
+// ---- Gateway callbacks (shared by dues and job payments) ----
+// Every success/fail/cancel/IPN hit is stored raw in paymentCallbacks; money only moves after the gateway
+// validation API confirms the val_id, its tran_id and the stored amount/currency, and only on the first
+// PENDING_GATEWAY -> VERIFIED transition, so replays and duplicate IPNs are no-ops.
+// A FAILED or CANCELLED session can still be captured by the gateway (a late success or IPN), so it stays
+// confirmable; a job payment is only credited to an application that is not already paid, otherwise
+// the money goes back to the client's wallet (applyJobPayment).
+const CONFIRMABLE_STATUSES = ['PENDING_GATEWAY', 'FAILED', 'CANCELLED'];
+
+async function recordGatewayCallback(source, req, tranId, outcome, extra = {}) {
+  try {
+    await collections.paymentCallbacks.insertOne({ source, tranId: tranId ? String(tranId) : null, gateway: getPaymentGateway().name, query: req.query || {}, body: req.body || {}, ip: req.ip || null, outcome, ...extra, receivedAt: new Date() });
+  } catch (err) { console.error('Failed to store payment callback:', err); }
+}
+
+async function findGatewayPayment(tranId) {
+  if (!tranId || !ObjectId.isValid(String(tranId))) return null;
+  return collections.paymentRequests.findOne({ _id: new ObjectId(String(tranId)) });
+}
+
+async function applyDuePayment(payment) {
+  await postLedgerTransaction('DUE_PAYMENT', { workerId: payment.workerId, amount: payment.amount, refs: { paymentRequestId: String(payment._id), reference: payment.transactionId } });
+  await issueDueReceipt(payment).catch((err) => console.error('Failed to issue due receipt:', err));
+}
+
+// A second verified payment for a job that is already paid (or being paid in cash) is never credited to the
+// application: the request is marked DUPLICATE and the money goes back to the client's wallet.
+async function returnDuplicateJobPayment(payment) {
+  const app = await collections.applications.findOne({ _id: new ObjectId(payment.applicationId) });
+  const now = new Date();
+  await collections.paymentRequests.updateOne({ _id: payment._id }, { $set: { status: 'DUPLICATE', duplicateOf: app?.paymentRequestId || null, cashCollectionId: app?.cashCollectionId || null, updatedAt: now } });
+  const { balance } = await creditWallet(payment.clientId, payment.amount, { type: 'REFUND', key: `duplicate:${payment._id}`, refs: { applicationId: String(payment.applicationId), jobId: payment.jobId || null, paymentRequestId: String(payment._id) }, memo: 'Duplicate job payment returned' });
+  await createNotification(payment.clientId, 'Duplicate payment returned', `This job was already paid, so your extra payment of ${payment.amount} ${payment.currency || WALLET_CURRENCY} was added to your wallet. Balance: ${balance} ${WALLET_CURRENCY}.`, 'info', payment.jobId, '/wallet').catch(() => {});
+}
+
+// Resolves to false when the payment was a duplicate and has been returned to the wallet. `held` is a wallet
+// payment that already holds the application as PROCESSING; a gateway payment landing during that hold loses.
+async function applyJobPayment(payment, { held = false } = {}) {
+  const now = new Date();
+  const promoDiscount = Number(payment.breakdown?.discount) || 0;
+  const claimed = await collections.applications.updateOne(
+    { _id: new ObjectId(payment.applicationId), paymentStatus: held ? 'PROCESSING' : { $nin: ['PAID', 'PROCESSING'] }, cashPaymentStatus: { $exists: false } },
+    { $set: { paymentStatus: 'PAID', paymentMethod: payment.gateway === 'wallet' ? 'WALLET' : 'SSLCOMMERZ', paymentRequestId: String(payment._id), paidAmount: payment.amount, promoDiscount, paidAt: now, updatedAt: now } }
+  );
+  if (!claimed.modifiedCount) {
+    await returnDuplicateJobPayment(payment);
+    return false;
+  }
+  if (promoDiscount > 0) {
+    const app = await collections.applications.findOne({ _id: new ObjectId(payment.applicationId) });
+    if (app?.promo) await markPromoRedeemed(app.promo.redemptionId, { paymentRequestId: String(payment._id), discount: promoDiscount });
+  }
+  await createNotification(payment.workerId, 'Job paid online', `The client paid ${payment.amount} ${payment.currency} for your job through the platform.`, 'success', payment.jobId, '/my-applications').catch(() => {});
+  await createNotification(payment.clientId, 'Payment successful', `Your payment of ${payment.amount} ${payment.currency} was received.`, 'success', payment.jobId, `/My-Posted-Job-Details/${payment.jobId}`).catch(() => {});
+  return true;
+}
+
+/**
+ * Validate a success/IPN callback with the gateway and apply it once.
+ * Resolves to { outcome, payment } where outcome is one of
+ * 'credited' | 'duplicate' | 'duplicate_payment' | 'unknown_transaction' | 'invalid' | 'mismatch'.
+ * 'duplicate_payment' is a valid payment for a job that was already paid; it went back to the client's wallet.
+ */
+async function confirmGatewayPayment(tranId, valId) {
+  const payment = await findGatewayPayment(tranId);
+  if (!payment) return { outcome: 'unknown_transaction', payment: null };
+  if (payment.status === 'VERIFIED') return { outcome: 'duplicate', payment };
+  if (!CONFIRMABLE_STATUSES.includes(payment.status)) return { outcome: 'invalid', payment };
+
+  const validation = await getPaymentGateway().validate({ valId });
+  if (!validation.valid || String(validation.tranId) !== String(payment._id)) return { outcome: 'invalid', payment, validation };
+  const expectedCurrency = payment.currency || 'BDT';
+  if (Math.abs(Number(validation.amount) - Number(payment.amount)) > 0.01 || String(validation.currency || '').toUpperCase() !== expectedCurrency) {
+    await collections.paymentRequests.updateOne({ _id: payment._id, status: { $in: CONFIRMABLE_STATUSES } }, { $set: { status: 'MISMATCH', mismatch: { amount: validation.amount, currency: validation.currency, valId: String(valId) }, updatedAt: new Date() } });
+    return { outcome: 'mismatch', payment, validation };
+  }
+
+  const now = new Date();
+  const closed = payment.status !== 'PENDING_GATEWAY';
+  const claimed = await collections.paymentRequests.updateOne(
+    { _id: payment._id, status: { $in: CONFIRMABLE_STATUSES } },
+    { $set: { status: 'VERIFIED', valId: String(valId), gatewayTransactionId: validation.bankTranId || null, validatedAt: now, paidAt: now, ...(closed ? { closedStatus: payment.status } : {}), updatedAt: now } }
+  );
+  if (!claimed.modifiedCount) return { outcome: 'duplicate', payment };
+  if (payment.purpose === 'JOB_PAYMENT') {
+    if (!(await applyJobPayment(payment))) return { outcome: 'duplicate_payment', payment: { ...payment, status: 'DUPLICATE' } };
+  } else if (payment.purpose === 'SUBSCRIPTION') await activateSubscriptionPayment(payment);
+  else if (payment.purpose === 'WALLET_TOPUP') await applyWalletTopUp(payment);
+  else if (payment.isDuePayment) await applyDuePayment(payment);
+  return { outcome: 'credited', payment: { ...payment, status: 'VERIFIED' } };
+}
+
+// Fail/cancel only close a session that is still waiting on the gateway
+async function closeGatewayPayment(tranId, status) {
+  const payment = await findGatewayPayment(tranId);
+  if (!payment) return null;
+  const closed = await collections.paymentRequests.updateOne({ _id: payment._id, status: 'PENDING_GATEWAY' }, { $set: { status, updatedAt: new Date() } });
+  // A failed or cancelled plan checkout lets the worker start another one straight away
+  if (closed.modifiedCount && payment.purpose === 'SUBSCRIPTION' && payment.action === 'subscribe') await releaseSubscriptionCheckout(payment.userId);
+  return payment;
+}
+
+function gatewayCallbackHandlers(paymentPath) {
+  // Checked again on the way out so requests stored before the allow-list cannot redirect elsewhere
+  const frontend = (payment) => resolveFrontendUrl(payment?.frontendUrl);
+  const suffix = (payment) => (payment?.applicationId ? `&applicationId=${payment.applicationId}` : '');
+  return {
+    async success(req, res) {
+      const tranId = req.query.tran_id || req.body?.tran_id;
+      try {
+        const { outcome, payment, validation } = await confirmGatewayPayment(tranId, req.body?.val_id || req.query.val_id);
+        await recordGatewayCallback('success', req, tranId, outcome, { path: paymentPath, validationStatus: validation?.status || null });
+        const ok = outcome === 'credited' || outcome === 'duplicate';
+        const status = outcome === 'duplicate_payment' ? 'duplicate' : ok ? 'success' : 'fail';
+        res.redirect(`${frontend(payment)}/payment-status?status=${status}${ok ? `&amount=${payment.amount}` : ''}${suffix(payment)}`);
+      } catch (err) {
+        console.error(`${paymentPath} success callback error:`, err);
+        await recordGatewayCallback('success', req, tranId, 'error', { path: paymentPath, error: err.message });
+        res.redirect(`${frontend(null)}/payment-status?status=fail`);
+      }
+    },
+    close(status, source) {
+      return async (req, res) => {
+        const tranId = req.query.tran_id || req.body?.tran_id;
+        try {
+          const payment = await closeGatewayPayment(tranId, status);
+          await recordGatewayCallback(source, req, tranId, payment ? status.toLowerCase() : 'unknown_transaction', { path: paymentPath });
+          res.redirect(`${frontend(payment)}/payment-status?status=${source}${suffix(payment)}`);
+        } catch (err) {
+          await recordGatewayCallback(source, req, tranId, 'error', { path: paymentPath, error: err.message });
+          res.redirect(`${frontend(null)}/payment-status?status=${source}`);
+        }
+      };
+    },
+    // Server-to-server notification; SSLCommerz posts status, tran_id and val_id
+    async ipn(req, res) {
+      const { tran_id: tranId, val_id: valId, status } = req.body || {};
+      try {
+        let outcome;
+        if (status === 'VALID' || status === 'VALIDATED') outcome = (await confirmGatewayPayment(tranId, valId)).outcome;
+        else if (status === 'FAILED' || status === 'CANCELLED') outcome = (await closeGatewayPayment(tranId, status)) ? status.toLowerCase() : 'unknown_transaction';
+        else outcome = 'ignored';
+        await recordGatewayCallback('ipn', req, tranId, outcome, { path: paymentPath });
+        res.status(200).json({ received: true, outcome });
+      } catch (err) {
+        console.error(`${paymentPath} IPN error:`, err);
+        await recordGatewayCallback('ipn', req, tranId, 'error', { path: paymentPath, error: err.message });
+        res.status(500).json({ received: false });
+      }
+    },
+  };
+}
+
+// ---- Client Job Payments (SSLCommerz) ----
+const JOB_PAYABLE_STATUSES = ['accepted'];
+// An open gateway session blocks a new one for the same job until it is this old (the tab was abandoned)
+const JOB_PAYMENT_SESSION_TTL_MS = 30 * 60 * 1000;
+
+// Amount a client owes for an application: agreed labor price plus approved extras and tips
+async function computeJobPaymentAmount(app) {
+  const labor = Number(app.finalPrice || app.proposedPrice) || 0;
+  const approved = await collections.additionalCharges.find({ applicationId: app._id, status: 'APPROVED' }).toArray();
+  const extras = approved.filter(c => c.type === 'EXTRA_COST').reduce((sum, c) => sum + (Number(c.amount) || 0), 0);
+  const tips = approved.filter(c => c.type !== 'EXTRA_COST').reduce((sum, c) => sum + (Number(c.amount) || 0), 0);
+  const subtotal = labor + extras + tips;
+  const discount = app.promo ? computeDiscount(app.promo, subtotal) : 0;
+  return { labor, extras, tips, subtotal, discount, ...(app.promo ? { promoCode: app.promo.code } : {}), total: subtotal - discount };
+}
+
+router.post('/applications/:id/payments/ssl-init', authenticateUser, authorizeApplicationParty('id', ['clientId']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { redirectUrl } = req.body;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const app = await collections.applications.findOne({ _id: new ObjectId(id) });
+    if (!app) return res.status(404).json({ error: 'Application not found' });
+    if (!JOB_PAYABLE_STATUSES.includes(String(app.status || '').toLowerCase())) return res.status(400).json({ error: 'Only accepted applications can be paid online' });
+    if (app.paymentStatus === 'PAID') return res.status(409).json({ error: 'This job has already been paid' });
+    if (app.cashPaymentStatus) return res.status(409).json({ error: 'This job is being paid in cash' });
+    const breakdown = await computeJobPaymentAmount(app);
+    if (breakdown.subtotal <= 0) return res.status(400).json({ error: 'Agree on a final price before paying' });
+    if (breakdown.total <= 0) return res.status(400).json({ error: 'Nothing left to pay after the promo discount' });
+    const open = await collections.paymentRequests.findOne({ applicationId: String(id), purpose: 'JOB_PAYMENT', status: 'PENDING_GATEWAY' });
+    if (open && Date.now() - new Date(open.createdAt).getTime() < JOB_PAYMENT_SESSION_TTL_MS) {
+      return res.status(409).json({ code: 'PAYMENT_IN_PROGRESS', error: 'A payment for this job is already open. Finish or cancel it before starting another.', paymentId: String(open._id) });
+    }
+    // Cancelled rather than dropped: a late success for it is still validated and, the job being paid by then, returned
+    if (open) await collections.paymentRequests.updateOne({ _id: open._id, status: 'PENDING_GATEWAY' }, { $set: { status: 'CANCELLED', failureReason: 'Superseded by a new payment session', updatedAt: new Date() } });
+    const client = await collections.users.findOne({ uid: String(app.clientId) });
+    const tran_id = new ObjectId().toString();
+    const currency = app.currency || 'BDT';
+    const doc = { _id: new ObjectId(tran_id), applicationId: String(id), jobId: String(app.jobId), clientId: String(app.clientId), workerId: String(app.workerId), amount: breakdown.total, currency, breakdown, gateway: getPaymentGateway().name, transactionId: tran_id, status: 'PENDING_GATEWAY', isDuePayment: false, purpose: 'JOB_PAYMENT', frontendUrl: resolveFrontendUrl(redirectUrl), createdAt: new Date() };
+    await collections.paymentRequests.insertOne(doc);
+    const init_url = `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/job-payments`;
+    const clientName = client?.displayName || [client?.firstName, client?.lastName].filter(Boolean).join(' ') || 'HireMistri Client';
+    const data = { total_amount: breakdown.total, currency, tran_id, success_url: `${init_url}/ssl-success?tran_id=${tran_id}`, fail_url: `${init_url}/ssl-fail?tran_id=${tran_id}`, cancel_url: `${init_url}/ssl-cancel?tran_id=${tran_id}`, ipn_url: `${init_url}/ssl-ipn`, shipping_method: 'No', product_name: 'Job Booking', product_category: 'Service', product_profile: 'general', cus_name: clientName, cus_email: client?.email || 'client@hiremistri.com', cus_add1: 'Dhaka', cus_add2: 'Dhaka', cus_city: 'Dhaka', cus_state: 'Dhaka', cus_postcode: '1000', cus_country: 'Bangladesh', cus_phone: client?.phone || '01700000000', cus_fax: '01700000000', ship_name: 'HireMistri', ship_add1: 'Dhaka', ship_add2: 'Dhaka', ship_city: 'Dhaka', ship_state: 'Dhaka', ship_postcode: 1000, ship_country: 'Bangladesh', value_a: String(id) };
+    const session = await getPaymentGateway().initSession(data);
+    if (session.url) res.json({ url: session.url, paymentId: tran_id, amount: breakdown.total, breakdown });
+    else {
+      await collections.paymentRequests.updateOne({ _id: doc._id }, { $set: { status: 'FAILED', failureReason: 'Session init failed', updatedAt: new Date() } });
+      res.status(400).json({ error: 'Failed to initialize SSLCommerz session' });
+    }
+  } catch (err) { console.error('POST /api/applications/:id/payments/ssl-init failed:', err); res.status(500).json({ error: 'Server error' }); }
+});
+
+router.get('/applications/:id/payments', authenticateUser, authorizeApplicationParty(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const app = await collections.applications.findOne({ _id: new ObjectId(id) });
+    if (!app) return res.status(404).json({ error: 'Application not found' });
+    const payments = await collections.paymentRequests.find({ applicationId: String(id), purpose: 'JOB_PAYMENT' }).sort({ createdAt: -1 }).toArray();
+    res.json({ paymentStatus: app.paymentStatus || 'UNPAID', cashPaymentStatus: app.cashPaymentStatus || null, amountDue: await computeJobPaymentAmount(app), payments });
+  } catch (err) { console.error('GET /api/applications/:id/payments failed:', err); res.status(500).json({ error: 'Failed to fetch payments' }); }
+});
+
+// Pay an accepted application from the client's wallet balance; recorded as a JOB_PAYMENT request with gateway 'wallet'
+router.post('/applications/:id/payments/wallet', authenticateUser, authorizeSelf('body.clientId'), authorizeApplicationParty('id', ['clientId']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { clientId } = req.body || {};
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const app = await collections.applications.findOne({ _id: new ObjectId(id) });
+    if (!app) return res.status(404).json({ error: 'Application not found' });
+    if (String(app.clientId) !== String(clientId)) return res.status(403).json({ error: 'Only the client of this job can pay for it' });
+    if (!JOB_PAYABLE_STATUSES.includes(String(app.status || '').toLowerCase())) return res.status(400).json({ error: 'Only accepted applications can be paid online' });
+    if (app.paymentStatus === 'PAID') return res.status(409).json({ error: 'This job has already been paid' });
+    if (app.cashPaymentStatus) return res.status(409).json({ error: 'This job is being paid in cash' });
+    const breakdown = await computeJobPaymentAmount(app);
+    if (breakdown.subtotal <= 0) return res.status(400).json({ error: 'Agree on a final price before paying' });
+    if (breakdown.total <= 0) return res.status(400).json({ error: 'Nothing left to pay after the promo discount' });
+
+    // Hold the application while the balance is taken; a gateway payment that lands during the hold is
+    // returned to the wallet by applyJobPayment instead of paying the job a second time
+    const previousStatus = app.paymentStatus;
+    const held = await collections.applications.updateOne({ _id: app._id, paymentStatus: { $nin: ['PAID', 'PROCESSING'] }, cashPaymentStatus: { $exists: false } }, { $set: { paymentStatus: 'PROCESSING', updatedAt: new Date() } });
+    if (!held.modifiedCount) return res.status(409).json({ error: 'A payment for this job is already in progress' });
+    const release = () => collections.applications.updateOne({ _id: app._id, paymentStatus: 'PROCESSING' }, previousStatus ? { $set: { paymentStatus: previousStatus } } : { $unset: { paymentStatus: '' } });
+
+    const now = new Date();
+    const paymentId = new ObjectId();
+    const doc = { _id: paymentId, applicationId: String(id), jobId: String(app.jobId), clientId: String(app.clientId), workerId: String(app.workerId), amount: breakdown.total, currency: app.currency || WALLET_CURRENCY, breakdown, gateway: 'wallet', transactionId: paymentId.toString(), status: 'VERIFIED', isDuePayment: false, purpose: 'JOB_PAYMENT', validatedAt: now, paidAt: now, createdAt: now };
+    const debit = await debitWallet(clientId, breakdown.total, { type: 'JOB_PAYMENT', key: `job:${paymentId}`, refs: { applicationId: String(id), jobId: String(app.jobId), paymentRequestId: String(paymentId) }, memo: 'Booking paid from wallet' });
+    if (!debit) {
+      await release();
+      return res.status(402).json({ error: 'Insufficient wallet balance', balance: await getWalletBalance(clientId), amount: breakdown.total });
+    }
+    let applied;
+    try {
+      await collections.paymentRequests.insertOne(doc);
+      applied = await applyJobPayment(doc, { held: true });
+    } catch (err) {
+      // Unless the booking was recorded as paid, the balance goes back before the hold is released
+      const current = await collections.applications.findOne({ _id: app._id });
+      if (current?.paymentRequestId !== String(paymentId)) {
+        await creditWallet(clientId, breakdown.total, { type: 'JOB_PAYMENT_REVERSED', key: `job-reversed:${paymentId}`, refs: { applicationId: String(id), jobId: String(app.jobId), paymentRequestId: String(paymentId) }, memo: 'Booking payment could not be completed' });
+        await collections.paymentRequests.updateOne({ _id: paymentId }, { $set: { status: 'REVERSED', failureReason: err.message, updatedAt: new Date() } });
+        await release();
+      }
+      throw err;
+    }
+    if (!applied) return res.status(409).json({ error: 'This job has already been paid; the amount was returned to your wallet', balance: await getWalletBalance(clientId) });
+    res.json({ ok: true, paymentId: String(paymentId), amount: breakdown.total, breakdown, balance: debit.balance });
+  } catch (err) { console.error('POST /api/applications/:id/payments/wallet failed:', err); res.status(500).json({ error: 'Server error' }); }
+});
+
+const jobPaymentCallbacks = gatewayCallbackHandlers('/api/job-payments');
+router.post('/job-payments/ssl-success', jobPaymentCallbacks.success);
+router.post('/job-payments/ssl-fail', jobPaymentCallbacks.close('FAILED', 'fail'));
+router.post('/job-payments/ssl-cancel', jobPaymentCallbacks.close('CANCELLED', 'cancel'));
+router.post('/job-payments/ssl-ipn', jobPaymentCallbacks.ipn);
+
 // ---- Manual Due Payment ----
-router.post('/dues/pay', async (req, res) => {
+router.post('/dues/pay', authenticateUser, authorizeSelf('body.workerId'), async (req, res) => {
   try {
     const { workerId, amount, gateway, transactionId } = req.body;
     if (!workerId || !amount || !transactionId) return res.status(400).json({ error: 'Missing fields' });
@@ -99,69 +500,108 @@ router.post('/dues/pay', async (req, res) => {
 });
 
 // ---- SSLCommerz ----
-router.post('/dues/ssl-init', async (req, res) => {
+router.post('/dues/ssl-init', authenticateUser, authorizeSelf('body.workerId'), async (req, res) => {
   try {
     const { workerId, amount, redirectUrl } = req.body;
-    if (!workerId || !amount) return res.status(400).json({ error: 'Worker ID and amount required' });
+    if (!workerId || !(Number(amount) > 0)) return res.status(400).json({ error: 'Worker ID and amount required' });
     const tran_id = new ObjectId().toString();
-    const doc = { _id: new ObjectId(tran_id), workerId: String(workerId), amount: Number(amount), gateway: 'sslcommerz', transactionId: tran_id, status: 'PENDING_GATEWAY', isDuePayment: true, frontendUrl: redirectUrl || 'http://localhost:5173', createdAt: new Date() };
+    const doc = { _id: new ObjectId(tran_id), workerId: String(workerId), amount: Number(amount), currency: 'BDT', gateway: getPaymentGateway().name, transactionId: tran_id, status: 'PENDING_GATEWAY', isDuePayment: true, frontendUrl: resolveFrontendUrl(redirectUrl), createdAt: new Date() };
     await collections.paymentRequests.insertOne(doc);
     const init_url = `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/dues`;
-    const data = { total_amount: amount, currency: 'BDT', tran_id, success_url: `${init_url}/ssl-success?tran_id=${tran_id}`, fail_url: `${init_url}/ssl-fail?tran_id=${tran_id}`, cancel_url: `${init_url}/ssl-cancel?tran_id=${tran_id}`, ipn_url: `${init_url}/ssl-ipn`, shipping_method: 'No', product_name: 'Platform Dues', product_category: 'Service', product_profile: 'general', cus_name: 'HireMistri Worker', cus_email: 'worker@hiremistri.com', cus_add1: 'Dhaka', cus_add2: 'Dhaka', cus_city: 'Dhaka', cus_state: 'Dhaka', cus_postcode: '1000', cus_country: 'Bangladesh', cus_phone: '01700000000', cus_fax: '01700000000', ship_name: 'HireMistri', ship_add1: 'Dhaka', ship_add2: 'Dhaka', ship_city: 'Dhaka', ship_state: 'Dhaka', ship_postcode: 1000, ship_country: 'Bangladesh' };
-    const sslcz = new SSLCommerzPayment(STORE_ID, STORE_PASSWD, IS_LIVE);
-    const apiResponse = await sslcz.init(data);
-    if (apiResponse?.GatewayPageURL) res.json({ url: apiResponse.GatewayPageURL });
+    const data = { total_amount: doc.amount, currency: 'BDT', tran_id, success_url: `${init_url}/ssl-success?tran_id=${tran_id}`, fail_url: `${init_url}/ssl-fail?tran_id=${tran_id}`, cancel_url: `${init_url}/ssl-cancel?tran_id=${tran_id}`, ipn_url: `${init_url}/ssl-ipn`, shipping_method: 'No', product_name: 'Platform Dues', product_category: 'Service', product_profile: 'general', cus_name: 'HireMistri Worker', cus_email: 'worker@hiremistri.com', cus_add1: 'Dhaka', cus_add2: 'Dhaka', cus_city: 'Dhaka', cus_state: 'Dhaka', cus_postcode: '1000', cus_country: 'Bangladesh', cus_phone: '01700000000', cus_fax: '01700000000', ship_name: 'HireMistri', ship_add1: 'Dhaka', ship_add2: 'Dhaka', ship_city: 'Dhaka', ship_state: 'Dhaka', ship_postcode: 1000, ship_country: 'Bangladesh' };
+    const session = await getPaymentGateway().initSession(data);
+    if (session.url) res.json({ url: session.url });
     else res.status(400).json({ error: 'Failed to initialize SSLCommerz session' });
   } catch (err) { console.error('SSL init error:', err); res.status(500).json({ error: 'Server error' }); }
 });
-router.post('/dues/ssl-success', async (req, res) => {
+const duePaymentCallbacks = gatewayCallbackHandlers('/api/dues');
+router.post('/dues/ssl-success', duePaymentCallbacks.success);
+router.post('/dues/ssl-fail', duePaymentCallbacks.close('FAILED', 'fail'));
+router.post('/dues/ssl-cancel', duePaymentCallbacks.close('CANCELLED', 'cancel'));
+router.post('/dues/ssl-ipn', duePaymentCallbacks.ipn);
+// ---- Worker Subscriptions (sessions are opened by routes/subscriptions.js) ----
+const subscriptionPaymentCallbacks = gatewayCallbackHandlers('/api/subscription-payments');
+router.post('/subscription-payments/ssl-success', subscriptionPaymentCallbacks.success);
+router.post('/subscription-payments/ssl-fail', subscriptionPaymentCallbacks.close('FAILED', 'fail'));
+router.post('/subscription-payments/ssl-cancel', subscriptionPaymentCallbacks.close('CANCELLED', 'cancel'));
+router.post('/subscription-payments/ssl-ipn', subscriptionPaymentCallbacks.ipn);
+
+router.post('/dues/verify', authenticateAdmin, requireAdminPermission('finance:write'), async (req, res) => {
   try {
-    const { tran_id } = req.query;
-    const payment = await collections.paymentRequests.findOne({ _id: new ObjectId(tran_id) });
-    if (!payment || payment.status !== 'PENDING_GATEWAY') return res.redirect(`${payment?.frontendUrl || 'http://localhost:5173'}/payment-status?status=fail`);
-    await collections.paymentRequests.updateOne({ _id: new ObjectId(tran_id) }, { $set: { status: 'VERIFIED', updatedAt: new Date() } });
-    const updatedWorker = await collections.users.findOneAndUpdate({ uid: String(payment.workerId) }, { $inc: { dueBalance: -payment.amount } }, { returnDocument: 'after' });
-    const newBalance = updatedWorker?.dueBalance ?? 0;
-    if (newBalance < 200) await collections.users.updateOne({ uid: String(payment.workerId) }, { $set: { isApplyBlocked: false, blockReason: null }, $unset: { dueWarningNotifiedAt: '' } });
-    await collections.ledgers.insertOne({ workerId: String(payment.workerId), type: 'DUE_PAYMENT_CREDIT', direction: 'CREDIT', amount: payment.amount, transactionId: payment.transactionId, createdAt: new Date() });
-    res.redirect(`${payment.frontendUrl}/payment-status?status=success&amount=${payment.amount}`);
-  } catch (err) { console.error('SSL success error:', err); res.redirect('http://localhost:5173/payment-status?status=fail'); }
+    const { paymentRequestId } = req.body;
+    if (!ObjectId.isValid(paymentRequestId)) return res.status(400).json({ error: 'Invalid id' });
+    const payment = await collections.paymentRequests.findOne({ _id: new ObjectId(paymentRequestId), isDuePayment: true });
+    if (!payment) return res.status(404).json({ error: 'Due payment not found' });
+    // Approve once; the stored request (not the request body) decides who is credited and by how much
+    const approved = await collections.paymentRequests.updateOne({ _id: payment._id, status: 'PENDING_VERIFICATION' }, { $set: { status: 'APPROVED', verifiedBy: req.user?.uid || null, updatedAt: new Date() } });
+    if (!approved.modifiedCount) return res.status(409).json({ error: `Payment is already ${payment.status}` });
+    await postLedgerTransaction('DUE_PAYMENT', { workerId: payment.workerId, amount: payment.amount, refs: { paymentRequestId: String(payment._id), reference: payment.transactionId }, createdBy: req.user?.uid || null });
+    const receipt = await issueDueReceipt(payment, { method: 'manual' }).catch((err) => console.error('Failed to issue due receipt:', err));
+    res.json({ ok: true, receiptId: receipt?._id || null });
+  } catch (err) { console.error('POST /api/dues/verify failed:', err); res.status(500).json({ error: 'Failed' }); }
 });
-router.post('/dues/ssl-fail', async (req, res) => {
+
+// ---- Wallet Ledger ----
+router.get('/wallet/ledger/:uid', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
   try {
-    const { tran_id } = req.query;
-    const payment = await collections.paymentRequests.findOneAndUpdate({ _id: new ObjectId(tran_id) }, { $set: { status: 'FAILED' } }, { returnDocument: 'before' });
-    res.redirect(`${payment?.frontendUrl || 'http://localhost:5173'}/payment-status?status=fail`);
-  } catch (err) { res.redirect('http://localhost:5173/payment-status?status=fail'); }
+    const uid = String(req.params.uid);
+    // Only the worker's own legs (worker_due / worker_payable), plus rows that predate the double-entry ledger
+    const list = await collections.ledgers.find({ workerId: uid, $or: [{ account: { $in: ['worker_due', 'worker_payable'] } }, { account: { $exists: false } }] }).sort({ createdAt: -1 }).toArray();
+    const worker = await collections.users.findOne({ uid });
+    const payableBalance = await getAccountBalance('worker_payable', uid);
+    res.json({ ledgers: list, dueBalance: worker ? (worker.dueBalance || 0) : 0, payableBalance, isApplyBlocked: worker ? !!worker.isApplyBlocked : false });
+  } catch (err) { res.status(500).json({ error: 'Failed' }); }
 });
-router.post('/dues/ssl-cancel', async (req, res) => {
+
+// ---- Client Wallet ----
+router.get('/wallet/:uid', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
   try {
-    const { tran_id } = req.query;
-    const payment = await collections.paymentRequests.findOneAndUpdate({ _id: new ObjectId(tran_id) }, { $set: { status: 'CANCELLED' } }, { returnDocument: 'before' });
-    res.redirect(`${payment?.frontendUrl || 'http://localhost:5173'}/payment-status?status=cancel`);
-  } catch (err) { res.redirect('http://localhost:5173/payment-status?status=cancel'); }
+    res.json({ userId: String(req.params.uid), balance: await getWalletBalance(req.params.uid), currency: WALLET_CURRENCY, topUpLimits: { min: WALLET_TOPUP_MIN, max: WALLET_TOPUP_MAX } });
+  } catch (err) { console.error('GET /api/wallet/:uid failed:', err); res.status(500).json({ error: 'Failed to fetch wallet' }); }
 });
-router.post('/dues/ssl-ipn', async (req, res) => res.status(200).send('IPN Received'));
-router.post('/dues/verify', authenticateAdmin, async (req, res) => {
+
+router.get('/wallet/:uid/transactions', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
   try {
-    const { paymentRequestId, workerId, amount } = req.body;
-    if (!ObjectId.isValid(paymentRequestId)) return res.status(400).json({ error: 'Invalid id' });
-    await collections.paymentRequests.updateOne({ _id: new ObjectId(paymentRequestId) }, { $set: { status: 'APPROVED', updatedAt: new Date() } });
-    await collections.ledgers.insertOne({ transactionId: new ObjectId().toString(), workerId: String(workerId), orderId: null, type: 'due_payment_credit', amount: Number(amount), direction: 'CREDIT', createdAt: new Date() });
-    const workerUpdate = await collections.users.findOneAndUpdate({ uid: String(workerId) }, { $inc: { dueBalance: -Number(amount) } }, { returnDocument: 'after' });
-    if (workerUpdate && workerUpdate.dueBalance < 200) await collections.users.updateOne({ uid: String(workerId) }, { $set: { isApplyBlocked: false, blockReason: null }, $unset: { dueWarningNotifiedAt: '' } });
-    res.json({ ok: true });
-  } catch (err) { res.status(500).json({ error: 'Failed' }); }
+    const uid = String(req.params.uid);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = { userId: uid };
+    if (WALLET_TRANSACTION_TYPES.includes(req.query.type)) query.type = req.query.type;
+    const [list, total, balance] = await Promise.all([
+      collections.transactions.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      collections.transactions.countDocuments(query),
+      getWalletBalance(uid),
+    ]);
+    res.json({ list, total, page, limit, balance });
+  } catch (err) { console.error('GET /api/wallet/:uid/transactions failed:', err); res.status(500).json({ error: 'Failed to fetch transactions' }); }
 });
 
-// ---- Wallet Ledger ----
-router.get('/wallet/ledger/:uid', async (req, res) => {
+router.post('/wallet/top-up', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
   try {
-    const uid = String(req.params.uid);
-    const list = await collections.ledgers.find({ workerId: uid }).sort({ createdAt: -1 }).toArray();
-    const worker = await collections.users.findOne({ uid });
-    res.json({ ledgers: list, dueBalance: worker ? (worker.dueBalance || 0) : 0, isApplyBlocked: worker ? !!worker.isApplyBlocked : false });
-  } catch (err) { res.status(500).json({ error: 'Failed' }); }
+    const { userId, amount, redirectUrl } = req.body || {};
+    const value = Math.round(Number(amount) * 100) / 100;
+    if (!(value >= WALLET_TOPUP_MIN && value <= WALLET_TOPUP_MAX)) return res.status(400).json({ error: `amount must be between ${WALLET_TOPUP_MIN} and ${WALLET_TOPUP_MAX} ${WALLET_CURRENCY}` });
+    const user = await collections.users.findOne({ uid: String(userId) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.role !== 'client') return res.status(403).json({ error: 'Only clients have a wallet' });
+    const tran_id = new ObjectId().toString();
+    const doc = { _id: new ObjectId(tran_id), purpose: 'WALLET_TOPUP', isDuePayment: false, userId: String(user.uid), amount: value, currency: WALLET_CURRENCY, gateway: getPaymentGateway().name, transactionId: tran_id, status: 'PENDING_GATEWAY', frontendUrl: resolveFrontendUrl(redirectUrl), createdAt: new Date() };
+    await collections.paymentRequests.insertOne(doc);
+    const init_url = `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/wallet-topups`;
+    const name = user.displayName || [user.firstName, user.lastName].filter(Boolean).join(' ') || 'HireMistri Client';
+    const data = { total_amount: value, currency: WALLET_CURRENCY, tran_id, success_url: `${init_url}/ssl-success?tran_id=${tran_id}`, fail_url: `${init_url}/ssl-fail?tran_id=${tran_id}`, cancel_url: `${init_url}/ssl-cancel?tran_id=${tran_id}`, ipn_url: `${init_url}/ssl-ipn`, shipping_method: 'NO', product_name: 'Wallet top-up', product_category: 'Wallet', product_profile: 'non-physical-goods', cus_name: name, cus_email: user.email || 'client@hiremistri.com', cus_add1: 'Dhaka', cus_city: 'Dhaka', cus_postcode: '1000', cus_country: 'Bangladesh', cus_phone: user.phone || '01700000000', value_a: String(user.uid) };
+    const session = await getPaymentGateway().initSession(data);
+    if (!session.url) {
+      await collections.paymentRequests.updateOne({ _id: doc._id }, { $set: { status: 'FAILED', failureReason: 'Session init failed', updatedAt: new Date() } });
+      return res.status(502).json({ error: 'Failed to initialize SSLCommerz session' });
+    }
+    res.json({ url: session.url, paymentId: tran_id, amount: value });
+  } catch (err) { console.error('POST /api/wallet/top-up failed:', err); res.status(500).json({ error: 'Server error' }); }
 });
+const walletTopUpCallbacks = gatewayCallbackHandlers('/api/wallet-topups');
+router.post('/wallet-topups/ssl-success', walletTopUpCallbacks.success);
+router.post('/wallet-topups/ssl-fail', walletTopUpCallbacks.close('FAILED', 'fail'));
+router.post('/wallet-topups/ssl-cancel', walletTopUpCallbacks.close('CANCELLED', 'cancel'));
+router.post('/wallet-topups/ssl-ipn', walletTopUpCallbacks.ipn);
 
-module.exports = { router, processJobSettlement, calculatePlatformFee };
+module.exports = { router, processJobSettlement, calculatePlatformFee, computeJobPaymentAmount };
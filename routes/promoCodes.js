@@ -0,0 +1,105 @@
+// routes/promoCodes.js — /api/promo-codes/validate, /api/promo-codes/apply, /api/promo-codes/release
+const { Router } = require('express');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { authenticateUser, authorizeSelf } = require('../middleware/auth');
+const { calculatePlatformFee } = require('../utils/fees');
+const { checkPromoCode, computeDiscount, redeemPromoCode, releasePromoRedemption, promoSnapshot } = require('../utils/promoCodes');
+const { computeJobPaymentAmount } = require('./payments');
+
+const router = Router();
+
+/**
+ * Resolve what a promo code would apply to on an application for this user:
+ * clients discount the job payment, workers discount the platform fee.
+ * Returns { error, status } when the application cannot take a code right now.
+ */
+async function promoContext(applicationId, userId) {
+  if (!ObjectId.isValid(applicationId)) return { status: 400, error: 'Invalid applicationId' };
+  const app = await collections.applications.findOne({ _id: new ObjectId(applicationId) });
+  if (!app) return { status: 404, error: 'Application not found' };
+  const job = ObjectId.isValid(app.jobId) ? await collections.browseJobs.findOne({ _id: new ObjectId(app.jobId) }) : null;
+  const category = job?.category || null;
+
+  if (String(app.clientId) === String(userId)) {
+    if (app.status !== 'accepted') return { status: 409, error: 'Only accepted applications can be paid' };
+    if (app.paymentStatus === 'PAID') return { status: 409, error: 'This job has already been paid' };
+    const { subtotal } = await computeJobPaymentAmount({ ...app, promo: null });
+    return { app, appliesTo: 'job_payment', field: 'promo', category, amount: subtotal };
+  }
+  if (String(app.workerId) === String(userId)) {
+    if (app.settlementStatus === 'SETTLED') return { status: 409, error: 'The platform fee for this job is already settled' };
+    const laborAmount = Number(app.finalPrice || app.proposedPrice) || 0;
+    const { fee } = await calculatePlatformFee(laborAmount, { category, workerId: app.workerId });
+    return { app, appliesTo: 'platform_fee', field: 'workerPromo', category, amount: fee };
+  }
+  return { status: 403, error: 'Not a party to this application' };
+}
+
+// Preview a code without using it
+router.post('/validate', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
+  try {
+    const { code, applicationId, userId } = req.body || {};
+    if (!code || !userId) return res.status(400).json({ error: 'code and userId are required' });
+    const ctx = await promoContext(applicationId, userId);
+    if (ctx.error) return res.status(ctx.status).json({ error: ctx.error });
+    const check = await checkPromoCode(code, { userId, appliesTo: ctx.appliesTo, category: ctx.category, amount: ctx.amount });
+    if (!check.ok) return res.status(422).json({ valid: false, error: check.reason });
+    const discount = computeDiscount(check.promo, ctx.amount);
+    res.json({ valid: true, code: check.promo.code, appliesTo: ctx.appliesTo, type: check.promo.type, amount: ctx.amount, discount, amountAfterDiscount: ctx.amount - discount });
+  } catch (err) {
+    console.error('POST /api/promo-codes/validate failed:', err);
+    res.status(500).json({ error: 'Failed to validate promo code' });
+  }
+});
+
+// Validate and redeem a code against an application (counts towards the caps)
+router.post('/apply', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
+  try {
+    const { code, applicationId, userId } = req.body || {};
+    if (!code || !userId) return res.status(400).json({ error: 'code and userId are required' });
+    const ctx = await promoContext(applicationId, userId);
+    if (ctx.error) return res.status(ctx.status).json({ error: ctx.error });
+    if (ctx.app[ctx.field]) return res.status(409).json({ error: `Promo code ${ctx.app[ctx.field].code} is already applied; remove it first` });
+    const check = await checkPromoCode(code, { userId, appliesTo: ctx.appliesTo, category: ctx.category, amount: ctx.amount });
+    if (!check.ok) return res.status(422).json({ error: check.reason });
+
+    const discount = computeDiscount(check.promo, ctx.amount);
+    const { ok, redemption, reason } = await redeemPromoCode(check.promo, { userId, applicationId, discount, amount: ctx.amount });
+    if (!ok) return res.status(422).json({ error: reason });
+    const snapshot = promoSnapshot(check.promo, redemption);
+    const attach = await collections.applications.updateOne(
+      { _id: ctx.app._id, [ctx.field]: { $exists: false } },
+      { $set: { [ctx.field]: snapshot, updatedAt: new Date() } }
+    );
+    if (!attach.modifiedCount) {
+      await releasePromoRedemption(redemption._id, 'concurrent_apply');
+      return res.status(409).json({ error: 'Another promo code was applied at the same time' });
+    }
+    res.status(201).json({ ok: true, code: snapshot.code, appliesTo: ctx.appliesTo, amount: ctx.amount, discount, amountAfterDiscount: ctx.amount - discount, redemptionId: redemption._id });
+  } catch (err) {
+    console.error('POST /api/promo-codes/apply failed:', err);
+    res.status(500).json({ error: 'Failed to apply promo code' });
+  }
+});
+
+// Remove an applied code before it was used, giving the redemption back
+router.post('/release', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
+  try {
+    const { applicationId, userId } = req.body || {};
+    const ctx = await promoContext(applicationId, userId);
+    if (ctx.error) return res.status(ctx.status).json({ error: ctx.error });
+    const applied = ctx.app[ctx.field];
+    if (!applied) return res.status(404).json({ error: 'No promo code applied' });
+    const pending = await collections.paymentRequests.findOne({ applicationId: String(ctx.app._id), purpose: 'JOB_PAYMENT', status: 'PENDING_GATEWAY' });
+    if (ctx.field === 'promo' && pending) return res.status(409).json({ error: 'A payment with this discount is in progress' });
+    const detach = await collections.applications.updateOne({ _id: ctx.app._id, [ctx.field]: { $exists: true } }, { $unset: { [ctx.field]: '' }, $set: { updatedAt: new Date() } });
+    if (detach.modifiedCount) await releasePromoRedemption(applied.redemptionId, 'removed_by_user');
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('POST /api/promo-codes/release failed:', err);
+    res.status(500).json({ error: 'Failed to remove promo code' });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,12 @@
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
 const { collections } = require('../config/db');
+const { authenticateUser, authorizeSelf, authorizeSavedJobOwner } = require('../middleware/auth');
 
 const router = Router();
 
 // Save a job
-router.post('/', async (req, res) => {
+router.post('/', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
   try {
     const { userId, jobId } = req.body;
     if (!userId || !jobId) return res.status(400).json({ error: 'userId and jobId are required' });
@@ -29,7 +30,7 @@ router.post('/', async (req, res) => {
 });
 
 // Get all saved jobs for a user
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', authenticateUser, authorizeSelf('params.userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     if (!userId) return res.status(400).json({ error: 'userId is required' });
@@ -54,7 +55,7 @@ router.get('/:userId', async (req, res) => {
 });
 
 // Check if a job is saved
-router.get('/check/:userId/:jobId', async (req, res) => {
+router.get('/check/:userId/:jobId', authenticateUser, authorizeSelf('params.userId'), async (req, res) => {
   try {
     const { userId, jobId } = req.params;
     if (!userId || !jobId) return res.status(400).json({ error: 'userId and jobId are required' });
@@ -67,7 +68,7 @@ router.get('/check/:userId/:jobId', async (req, res) => {
 });
 
 // Unsave a job
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateUser, authorizeSelf('body.userId'), authorizeSavedJobOwner(), async (req, res) => {
   try {
     const { id } = req.params;
     const { userId } = req.body;
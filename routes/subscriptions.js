@@ -0,0 +1,132 @@
+// routes/subscriptions.js — /api/subscriptions/* (worker plans: subscribe, renew, cancel)
+const { Router } = require('express');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { authenticateUser, authorizeSelf } = require('../middleware/auth');
+const { getPaymentGateway, resolveFrontendUrl } = require('../utils/paymentGateway');
+const { activeSubscriptionOf, getWorkerEntitlements, countApplicationsThisMonth, claimSubscriptionCheckout, releaseSubscriptionCheckout, activateSubscriptionPayment, cancelSubscription } = require('../utils/subscriptions');
+
+const router = Router();
+
+/**
+ * Create a SUBSCRIPTION payment request and open a gateway session for it.
+ * Free plans are activated straight away. Resolves to the JSON body for the client.
+ */
+async function startSubscriptionPayment(user, plan, { subscription = null, redirectUrl = null }) {
+  const tran_id = new ObjectId().toString();
+  const amount = Number(plan.price) || 0;
+  const doc = { _id: new ObjectId(tran_id), purpose: 'SUBSCRIPTION', isDuePayment: false, userId: String(user.uid), planId: String(plan._id), interval: plan.interval, subscriptionId: subscription ? String(subscription._id) : null, action: subscription ? 'renew' : 'subscribe', amount, currency: 'BDT', gateway: getPaymentGateway().name, transactionId: tran_id, status: 'PENDING_GATEWAY', frontendUrl: resolveFrontendUrl(redirectUrl), createdAt: new Date() };
+  if (amount <= 0) {
+    Object.assign(doc, { gateway: null, status: 'VERIFIED', paidAt: new Date() });
+    await collections.paymentRequests.insertOne(doc);
+    const sub = await activateSubscriptionPayment(doc);
+    return { activated: true, subscription: sub };
+  }
+  await collections.paymentRequests.insertOne(doc);
+  const init_url = `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/subscription-payments`;
+  const name = user.displayName || [user.firstName, user.lastName].filter(Boolean).join(' ') || 'HireMistri Worker';
+  const data = { total_amount: amount, currency: 'BDT', tran_id, success_url: `${init_url}/ssl-success?tran_id=${tran_id}`, fail_url: `${init_url}/ssl-fail?tran_id=${tran_id}`, cancel_url: `${init_url}/ssl-cancel?tran_id=${tran_id}`, ipn_url: `${init_url}/ssl-ipn`, shipping_method: 'NO', product_name: `${plan.name} plan`, product_category: 'Subscription', product_profile: 'non-physical-goods', cus_name: name, cus_email: user.email || 'worker@hiremistri.com', cus_add1: 'Dhaka', cus_city: 'Dhaka', cus_postcode: '1000', cus_country: 'Bangladesh', cus_phone: user.phone || '01700000000', value_a: String(plan._id) };
+  const session = await getPaymentGateway().initSession(data);
+  if (!session.url) {
+    await collections.paymentRequests.updateOne({ _id: doc._id }, { $set: { status: 'FAILED', gatewayResponse: session.raw || null, updatedAt: new Date() } });
+    return null;
+  }
+  await collections.paymentRequests.updateOne({ _id: doc._id }, { $set: { sessionKey: session.sessionKey || null } });
+  return { url: session.url, paymentId: tran_id, amount };
+}
+
+async function loadWorker(userId) {
+  const user = await collections.users.findOne({ uid: String(userId) });
+  return user && user.role === 'worker' ? user : null;
+}
+
+// Plans on sale
+router.get('/plans', async (_req, res) => {
+  try { res.json({ list: await collections.subscriptionPlans.find({ isActive: true }).sort({ order: 1 }).toArray() }); }
+  catch (err) { console.error('GET /api/subscriptions/plans failed:', err); res.status(500).json({ error: 'Failed to fetch plans' }); }
+});
+
+// Current subscription, effective entitlements and this month's application usage
+router.get('/me', authenticateUser, authorizeSelf('query.userId'), async (req, res) => {
+  try {
+    const { userId } = req.query;
+    if (!userId) return res.status(400).json({ error: 'userId is required' });
+    const user = await collections.users.findOne({ uid: String(userId) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const [entitlements, applicationsThisMonth, history] = await Promise.all([
+      getWorkerEntitlements(user.uid),
+      countApplicationsThisMonth(user.uid),
+      collections.userSubscriptions.find({ userId: String(user.uid) }).sort({ createdAt: -1 }).limit(10).toArray(),
+    ]);
+    res.json({ subscription: activeSubscriptionOf(user), entitlements, applicationsThisMonth, history });
+  } catch (err) {
+    console.error('GET /api/subscriptions/me failed:', err);
+    res.status(500).json({ error: 'Failed to fetch subscription' });
+  }
+});
+
+router.post('/subscribe', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
+  try {
+    const { userId, planId, redirectUrl } = req.body || {};
+    if (!ObjectId.isValid(planId)) return res.status(400).json({ error: 'Invalid planId' });
+    const user = await loadWorker(userId);
+    if (!user) return res.status(403).json({ error: 'Only workers can subscribe to a plan' });
+    const plan = await collections.subscriptionPlans.findOne({ _id: new ObjectId(planId), isActive: true });
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+    const current = activeSubscriptionOf(user);
+    if (current) {
+      return res.status(409).json({ error: String(current.planId) === String(plan._id) ? 'You are already on this plan; renew it instead' : 'Cancel your current plan and wait for it to end before switching' });
+    }
+    if (!(await claimSubscriptionCheckout(user.uid))) return res.status(409).json({ error: 'A subscription payment is already in progress' });
+    let result;
+    try {
+      result = await startSubscriptionPayment(user, plan, { redirectUrl });
+    } catch (err) {
+      await releaseSubscriptionCheckout(user.uid);
+      throw err;
+    }
+    if (!result) {
+      await releaseSubscriptionCheckout(user.uid);
+      return res.status(502).json({ error: 'Payment gateway session failed' });
+    }
+    res.status(result.activated ? 201 : 200).json(result);
+  } catch (err) {
+    console.error('POST /api/subscriptions/subscribe failed:', err);
+    res.status(500).json({ error: 'Failed to start subscription' });
+  }
+});
+
+// Pay for another period of the current (or most recently lapsed) plan
+router.post('/renew', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
+  try {
+    const { userId, redirectUrl } = req.body || {};
+    const user = await loadWorker(userId);
+    if (!user) return res.status(403).json({ error: 'Only workers can renew a plan' });
+    const [subscription] = await collections.userSubscriptions.find({ userId: String(user.uid) }).sort({ createdAt: -1 }).limit(1).toArray();
+    if (!subscription) return res.status(404).json({ error: 'No subscription to renew' });
+    const plan = await collections.subscriptionPlans.findOne({ _id: new ObjectId(String(subscription.planId)), isActive: true });
+    if (!plan) return res.status(409).json({ error: 'This plan is no longer offered; subscribe to another plan' });
+    const result = await startSubscriptionPayment(user, plan, { subscription, redirectUrl });
+    if (!result) return res.status(502).json({ error: 'Payment gateway session failed' });
+    res.json(result);
+  } catch (err) {
+    console.error('POST /api/subscriptions/renew failed:', err);
+    res.status(500).json({ error: 'Failed to renew subscription' });
+  }
+});
+
+router.post('/cancel', authenticateUser, authorizeSelf('body.userId'), async (req, res) => {
+  try {
+    const { userId, reason } = req.body || {};
+    const summary = activeSubscriptionOf(await collections.users.findOne({ uid: String(userId) }));
+    if (!summary) return res.status(404).json({ error: 'No active subscription' });
+    const subscription = await collections.userSubscriptions.findOne({ _id: new ObjectId(String(summary.subscriptionId)) });
+    if (!subscription || !(await cancelSubscription(subscription, { reason }))) return res.status(409).json({ error: 'Subscription is already cancelled' });
+    res.json({ ok: true, activeUntil: subscription.currentPeriodEnd });
+  } catch (err) {
+    console.error('POST /api/subscriptions/cancel failed:', err);
+    res.status(500).json({ error: 'Failed to cancel subscription' });
+  }
+});
+
+module.exports = router;
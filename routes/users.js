@@ -1,16 +1,30 @@
 // routes/users.js — /api/users/*, /api/auth/*, /api/workers/*, /api/browse-workers, /api/browse-clients
+const crypto = require('crypto');
 const { Router } = require('express');
 const { collections } = require('../config/db');
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, authorizeSelf } = require('../middleware/auth');
 const { upload, nidUploadMiddleware } = require('../middleware/upload');
 const { computeUserStats, getWorkerIdentity } = require('../utils/helpers');
-const { isValidBdMobile, isValidNid } = require('../utils/validators');
+const { blockUser, unblockUser, listBlockedUsers } = require('../utils/blocks');
+const { isValidBdMobile, normalizeBdMobile, isValidNid } = require('../utils/validators');
+const { sendSms } = require('../utils/sms');
 const { sendWorkerRegistrationApprovedEmail, sendWorkerRegistrationRejectedEmail } = require('../utils/emailService');
 
 const router = Router();
 
+// Phone OTP policy
+const OTP_TTL_MS = 5 * 60 * 1000; // code valid for 5 minutes
+const OTP_MAX_ATTEMPTS = 5; // wrong guesses before the code is burned
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute between sends
+const OTP_SEND_WINDOW_MS = 60 * 60 * 1000;
+const OTP_MAX_SENDS_PER_WINDOW = 5; // per user per hour
+
+function hashOtp(uid, code) {
+  return crypto.createHash('sha256').update(`${uid}:${code}`).digest('hex');
+}
+
 // ---- Create User ----
-router.post('/', async (req, res) => {
+router.post('/', authenticateUser, authorizeSelf('body.uid'), async (req, res) => {
   try {
     const now = new Date();
     const body = req.body || {};
@@ -55,7 +69,8 @@ router.post('/', async (req, res) => {
 });
 
 // ---- User Profile ----
-router.get('/:uid', async (req, res) => {
+// Owner view: the full document (phone, NID images, balances). Anyone else uses GET /:uid/public.
+router.get('/:uid', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
   try {
     const uid = String(req.params.uid);
     const doc = await collections.users.findOne({ uid });
@@ -133,7 +148,7 @@ const patchUserHandler = async (req, res) => {
     const allowUnset = String(req.query.allowUnset || '').toLowerCase() === 'true';
     const allowed = new Set(['firstName', 'lastName', 'displayName', 'phone', 'headline', 'bio',
       'skills', 'isAvailable', 'profileCover', 'address1', 'address2', 'city', 'country', 'zip',
-      'workExperience', 'role', 'email', 'emailVerified', 'phoneVerified', 'lastActiveAt',
+      'workExperience', 'role', 'email', 'lastActiveAt',
       'servicesOffered', 'serviceArea', 'experienceYears', 'certifications', 'languages', 'pricing', 'portfolio', 'preferences']);
     const existing = (await collections.users.findOne({ uid })) || { uid, createdAt: now };
     const $set = {};
@@ -160,6 +175,12 @@ const patchUserHandler = async (req, res) => {
       if (v === null) { if (allowUnset && existing[k] !== undefined) $unset[k] = ''; continue; }
       if (v && typeof v === 'object') { if (Object.keys(v).length) $set[k] = v; }
     }
+    // Verification flags are server-owned: a new phone needs a fresh OTP, email comes from the token
+    if ($set.phone !== undefined) {
+      $set.phone = normalizeBdMobile($set.phone);
+      if ($set.phone !== existing.phone) $set.phoneVerified = false;
+    }
+    if (req.user?.email_verified && !existing.emailVerified) $set.emailVerified = true;
     $set.updatedAt = now;
     const updateDoc = { $set, $setOnInsert: { uid, createdAt: existing.createdAt || now } };
     if (Object.keys($unset).length) updateDoc.$unset = $unset;
@@ -180,11 +201,84 @@ const patchUserHandler = async (req, res) => {
     return res.status(500).json({ error: 'Update failed' });
   }
 };
-router.patch('/:uid', patchUserHandler);
-router.put('/:uid', patchUserHandler);
+router.patch('/:uid', authenticateUser, authorizeSelf('params.uid'), patchUserHandler);
+router.put('/:uid', authenticateUser, authorizeSelf('params.uid'), patchUserHandler);
+
+// ---- Phone verification (OTP) ----
+router.post('/:uid/phone-verification/request', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
+  try {
+    const uid = String(req.params.uid || '').trim();
+    const user = await collections.users.findOne({ uid });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const phone = normalizeBdMobile(req.body?.phone || user.phone);
+    if (!isValidBdMobile(phone)) return res.status(400).json({ error: 'Invalid phone number. Must be a valid Bangladesh mobile number (e.g. 01XXXXXXXXX).' });
+    if (user.phoneVerified && user.phone === phone) return res.status(409).json({ code: 'ALREADY_VERIFIED', error: 'This phone number is already verified' });
+    const takenBy = await collections.users.findOne({ phone, phoneVerified: true, uid: { $ne: uid } });
+    if (takenBy) return res.status(409).json({ code: 'PHONE_IN_USE', error: 'This phone number is verified on another account' });
+
+    const now = new Date();
+    const existing = await collections.phoneVerifications.findOne({ uid });
+    if (existing?.sentAt && now - new Date(existing.sentAt) < OTP_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({ error: 'Please wait before requesting another code.', retryAfter: Math.ceil((OTP_RESEND_COOLDOWN_MS - (now - new Date(existing.sentAt))) / 1000) });
+    }
+    const windowOpen = existing?.sendWindowStart && now - new Date(existing.sendWindowStart) < OTP_SEND_WINDOW_MS;
+    const sendWindowStart = windowOpen ? existing.sendWindowStart : now;
+    const sendCount = windowOpen ? (existing.sendCount || 0) + 1 : 1;
+    if (sendCount > OTP_MAX_SENDS_PER_WINDOW) {
+      return res.status(429).json({ error: 'Too many verification codes requested. Please try again later.', retryAfter: Math.ceil((OTP_SEND_WINDOW_MS - (now - new Date(sendWindowStart))) / 1000) });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(now.getTime() + OTP_TTL_MS);
+    await collections.phoneVerifications.updateOne(
+      { uid },
+      { $set: { phone, codeHash: hashOtp(uid, code), expiresAt, attempts: 0, sentAt: now, sendWindowStart, sendCount, updatedAt: now }, $setOnInsert: { uid, createdAt: now } },
+      { upsert: true }
+    );
+    const sms = await sendSms(phone, `Your Hire Mistri verification code is ${code}. It expires in ${OTP_TTL_MS / 60000} minutes.`);
+    if (!sms.success) return res.status(502).json({ error: 'Failed to send verification code' });
+    res.json({ ok: true, phone, expiresAt, resendAfter: OTP_RESEND_COOLDOWN_MS / 1000 });
+  } catch (err) {
+    console.error('POST /api/users/:uid/phone-verification/request failed:', err);
+    res.status(500).json({ error: 'Failed to send verification code' });
+  }
+});
+
+router.post('/:uid/phone-verification/confirm', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
+  try {
+    const uid = String(req.params.uid || '').trim();
+    const code = String(req.body?.code || '').trim();
+    if (!/^\d{6}$/.test(code)) return res.status(400).json({ error: 'A 6-digit code is required' });
+    const now = new Date();
+    // Use up an attempt and read the code in one step, so parallel guesses cannot share the same attempt
+    const { value: record } = await collections.phoneVerifications.findOneAndUpdate(
+      { uid, codeHash: { $exists: true }, attempts: { $lt: OTP_MAX_ATTEMPTS }, expiresAt: { $gt: now } },
+      { $inc: { attempts: 1 }, $set: { updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+    if (!record) {
+      const pending = await collections.phoneVerifications.findOne({ uid });
+      if (!pending?.codeHash) return res.status(400).json({ error: 'No pending verification. Request a new code.' });
+      if (new Date(pending.expiresAt) <= now) return res.status(410).json({ code: 'OTP_EXPIRED', error: 'Verification code expired. Request a new code.' });
+      return res.status(429).json({ code: 'OTP_LOCKED', error: 'Too many incorrect attempts. Request a new code.' });
+    }
+
+    const matches = crypto.timingSafeEqual(Buffer.from(hashOtp(uid, code)), Buffer.from(record.codeHash));
+    if (!matches) {
+      return res.status(400).json({ code: 'OTP_INCORRECT', error: 'Incorrect verification code', attemptsRemaining: Math.max(0, OTP_MAX_ATTEMPTS - record.attempts) });
+    }
+
+    await collections.phoneVerifications.updateOne({ _id: record._id }, { $set: { verifiedAt: now, updatedAt: now }, $unset: { codeHash: '' } });
+    await collections.users.updateOne({ uid }, { $set: { phone: record.phone, phoneVerified: true, phoneVerifiedAt: now, updatedAt: now } });
+    res.json({ ok: true, phone: record.phone, phoneVerified: true });
+  } catch (err) {
+    console.error('POST /api/users/:uid/phone-verification/confirm failed:', err);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+});
 
 // ---- Avatar upload ----
-router.post('/:uid/avatar', upload.single('avatar'), async (req, res) => {
+router.post('/:uid/avatar', authenticateUser, authorizeSelf('params.uid'), upload.single('avatar'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
     const uid = String(req.params.uid);
@@ -197,6 +291,39 @@ router.post('/:uid/avatar', upload.single('avatar'), async (req, res) => {
   }
 });
 
+// ---- Blocked users ----
+router.get('/:uid/blocks', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
+  try {
+    res.json({ list: await listBlockedUsers(req.params.uid) });
+  } catch (e) {
+    console.error('GET /api/users/:uid/blocks failed:', e);
+    res.status(500).json({ error: 'Failed to fetch blocked users' });
+  }
+});
+
+router.post('/:uid/blocks', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
+  try {
+    const { blockedId, reason } = req.body || {};
+    const result = await blockUser(req.params.uid, blockedId, { reason });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(result.status).json({ ok: true, blockedId: result.block.blockedId, blockedAt: result.block.createdAt });
+  } catch (e) {
+    console.error('POST /api/users/:uid/blocks failed:', e);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+router.delete('/:uid/blocks/:blockedId', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
+  try {
+    const result = await unblockUser(req.params.uid, req.params.blockedId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('DELETE /api/users/:uid/blocks/:blockedId failed:', e);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
 // ---- NID uploads ----
 async function handleNidUpload(side, req, res) {
   nidUploadMiddleware(req, res, async (err) => {
@@ -216,9 +343,9 @@ async function handleNidUpload(side, req, res) {
     }
   });
 }
-router.post('/:uid/nid/front', (req, res) => handleNidUpload('front', req, res));
-router.post('/:uid/nid/back', (req, res) => handleNidUpload('back', req, res));
-router.post('/:uid/nid/emergencyFront', (req, res) => handleNidUpload('emergencyFront', req, res));
-router.post('/:uid/nid/emergencyBack', (req, res) => handleNidUpload('emergencyBack', req, res));
+router.post('/:uid/nid/front', authenticateUser, (req, res) => handleNidUpload('front', req, res));
+router.post('/:uid/nid/back', authenticateUser, (req, res) => handleNidUpload('back', req, res));
+router.post('/:uid/nid/emergencyFront', authenticateUser, (req, res) => handleNidUpload('emergencyFront', req, res));
+router.post('/:uid/nid/emergencyBack', authenticateUser, (req, res) => handleNidUpload('emergencyBack', req, res));
 
 module.exports = router;
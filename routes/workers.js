@@ -1,15 +1,17 @@
-// routes/workers.js — /api/workers/* registration routes; /api/admin/workers/* are in admin/workers.js
+// routes/workers.js — /api/workers/* registration and earnings routes; /api/admin/workers/* are in admin/workers.js
 const { Router } = require('express');
 const { collections } = require('../config/db');
 const { isValidBdMobile, isValidNid } = require('../utils/validators');
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, authorizeSelf } = require('../middleware/auth');
 const { logAdminAction } = require('../middleware/auth');
 const { sendWorkerRegistrationApprovedEmail, sendWorkerRegistrationRejectedEmail } = require('../utils/emailService');
+const { resolveEarningsRange, getWorkerEarnings, earningsCsvRows } = require('../utils/earnings');
+const { sendCsv } = require('../utils/csv');
 
 const router = Router();
 
 // Submit worker registration
-router.post('/registration/submit', async (req, res) => {
+router.post('/registration/submit', authenticateUser, authorizeSelf('body.uid'), async (req, res) => {
   try {
     const uid = req.user?.uid || req.body?.uid;
     if (!uid) return res.status(401).json({ error: 'Authentication required' });
@@ -92,4 +94,22 @@ router.get('/admin/registrations', async (req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
+// Earnings dashboard: ?groupBy=day|week|month&from&to, compared with the previous period of the same length; ?format=csv downloads the series
+router.get('/:uid/earnings', authenticateUser, authorizeSelf('params.uid'), async (req, res) => {
+  try {
+    const uid = String(req.params.uid);
+    const worker = await collections.users.findOne({ uid });
+    if (!worker) return res.status(404).json({ error: 'User not found' });
+    if (worker.role !== 'worker') return res.status(403).json({ error: 'Earnings are only available to workers' });
+    const range = resolveEarningsRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const earnings = await getWorkerEarnings(uid, range);
+    if (req.query.format === 'csv') return sendCsv(res, `earnings-${range.groupBy}-${range.from.toISOString().slice(0, 10)}-${range.to.toISOString().slice(0, 10)}.csv`, earningsCsvRows(earnings));
+    res.json(earnings);
+  } catch (err) {
+    console.error('GET /api/workers/:uid/earnings failed:', err);
+    res.status(500).json({ error: 'Failed to compute earnings' });
+  }
+});
+
 module.exports = router;
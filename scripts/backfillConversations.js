@@ -0,0 +1,56 @@
+// scripts/backfillConversations.js — Build the conversations summary collection from existing messages
+//
+// Usage: node scripts/backfillConversations.js [--dry-run]
+//
+// One summary per conversationId with the latest message as preview and per-user unread counts.
+// Safe to re-run: each summary is rebuilt from the messages and overwritten.
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { connectDB, collections, client } = require('../config/db');
+const { messagePreview } = require('../utils/conversations');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function backfillConversations() {
+  let written = 0;
+  try {
+    await connectDB();
+    const cursor = collections.messages.aggregate([
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$conversationId',
+          last: { $first: '$$ROOT' },
+          firstAt: { $last: '$createdAt' },
+          unread: { $push: { $cond: [{ $eq: ['$read', false] }, '$recipientId', '$$REMOVE'] } },
+        },
+      },
+    ], { allowDiskUse: true });
+    for await (const row of cursor) {
+      if (!row._id || !row.last.senderId || !row.last.recipientId) continue;
+      const unread = {};
+      for (const uid of row.unread) unread[uid] = (unread[uid] || 0) + 1;
+      const summary = {
+        participants: [String(row.last.senderId), String(row.last.recipientId)].sort(),
+        jobId: row.last.jobId ? String(row.last.jobId) : null,
+        lastMessage: messagePreview(row.last),
+        lastMessageAt: row.last.createdAt,
+        unread,
+        createdAt: row.firstAt || row.last.createdAt,
+        updatedAt: new Date(),
+      };
+      if (!dryRun) await collections.conversations.replaceOne({ _id: String(row._id) }, summary, { upsert: true });
+      written++;
+    }
+    console.log(`✅ Conversation backfill ${dryRun ? '(dry run) ' : ''}wrote ${written} summary(ies)`);
+  } catch (err) {
+    console.error('❌ Conversation backfill failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+backfillConversations();
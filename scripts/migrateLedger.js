@@ -0,0 +1,61 @@
+// scripts/migrateLedger.js — Convert single-row ledger entries into balanced double-entry legs
+//
+// Usage: node scripts/migrateLedger.js [--dry-run]
+//
+// Legacy rows (no `account` field) are replaced by a DEBIT/CREDIT pair of the matching entry type
+// and added to ledgerBalances. users.dueBalance is NOT touched: those rows were already applied to
+// it when they were written. Run GET /api/admin/ledger/reconciliation afterwards to review drift.
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { connectDB, collections, client } = require('../config/db');
+const { ACCOUNTS, ENTRY_TYPES, LEGACY_TYPES } = require('../utils/ledger');
+
+const dryRun = process.argv.includes('--dry-run');
+const COPIED_FIELDS = ['orderId', 'paymentRequestId', 'settlementId', 'payoutItemId', 'adminEmail'];
+
+async function migrateLedger() {
+  let converted = 0;
+  const skipped = {};
+  try {
+    await connectDB();
+    const cursor = collections.ledgers.find({ account: { $exists: false } }).sort({ createdAt: 1 });
+    for await (const doc of cursor) {
+      const mapping = LEGACY_TYPES[doc.type];
+      const type = typeof mapping === 'function' ? mapping(doc) : mapping;
+      const amount = Math.round(Math.abs(Number(doc.amount) || 0) * 100) / 100;
+      if (!type || !doc.workerId || amount <= 0) {
+        skipped[doc.type || 'unknown'] = (skipped[doc.type || 'unknown'] || 0) + 1;
+        continue;
+      }
+      if (dryRun) { converted++; continue; }
+
+      const def = ENTRY_TYPES[type];
+      const transactionId = doc.transactionId ? String(doc.transactionId) : String(doc._id);
+      const refs = {};
+      for (const field of COPIED_FIELDS) if (doc[field] !== undefined) refs[field] = doc[field];
+      if (doc.transactionId && doc.type === 'DUE_PAYMENT_CREDIT') refs.reference = String(doc.transactionId);
+      for (const [direction, account] of [['DEBIT', def.debit], ['CREDIT', def.credit]]) {
+        const delta = ACCOUNTS[account].normal === direction ? amount : -amount;
+        await collections.ledgerBalances.updateOne(
+          { account, workerId: ACCOUNTS[account].perWorker ? String(doc.workerId) : null },
+          { $inc: { balance: delta }, $set: { updatedAt: new Date() } },
+          { upsert: true }
+        );
+        await collections.ledgers.insertOne({ transactionId, type, account, direction, amount, balanceAfter: null, workerId: String(doc.workerId), ...refs, memo: doc.reason || null, createdBy: null, migratedFrom: doc._id, createdAt: doc.createdAt || new Date() });
+      }
+      await collections.ledgers.deleteOne({ _id: doc._id });
+      converted++;
+    }
+    console.log(`✅ Ledger migration ${dryRun ? '(dry run) ' : ''}converted ${converted} legacy row(s)`);
+    if (Object.keys(skipped).length) console.warn('⚠️ Skipped legacy rows by type:', skipped);
+  } catch (err) {
+    console.error('❌ Ledger migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+migrateLedger();
@@ -1,46 +1,164 @@
 // sockets/index.js — All Socket.IO event handlers
 const { ObjectId } = require('mongodb');
+const admin = require('../config/firebase');
 const { collections } = require('../config/db');
 const { getConversationId } = require('../utils/helpers');
 const { createNotification } = require('../utils/notifications');
+const { attachmentView, loadUnsentAttachments, linkAttachments } = require('../utils/attachments');
+const { recordConversationMessage } = require('../utils/conversations');
+const { BLOCKED_MESSAGE, isBlockedBetween } = require('../utils/blocks');
+const { editMessage, unsendMessage, markMessagesDelivered, markConversationRead } = require('../utils/messaging');
 const {
   sendNewMessageEmail,
 } = require('../utils/emailService');
 
+// Clients get `auth:reauth-required` this long before their ID token expires, and are
+// disconnected at expiry unless they answer with `auth:refresh` and a fresh token.
+const REAUTH_LEAD_MS = 2 * 60 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Verify a Firebase ID token and check the account is not suspended.
+ * @returns {Promise<{ uid: string, exp: number|null } | { error: string }>}
+ */
+async function verifySocketToken(token) {
+  if (!token) return { error: 'Authentication required' };
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(String(token).replace('Bearer ', ''));
+  } catch (err) {
+    return { error: 'Invalid or expired token' };
+  }
+  const uid = String(decoded.uid || '').trim();
+  if (!uid) return { error: 'Invalid or expired token' };
+  const userDoc = await collections.users.findOne({ uid }).catch(() => null);
+  if (userDoc?.isSuspended) return { error: 'Account suspended' };
+  return { uid, exp: decoded.exp ? decoded.exp * 1000 : null };
+}
+
+// Handshake: socket.handshake.auth.token (or an Authorization header) binds the socket to that uid
+async function authenticateSocket(socket, next) {
+  if (!admin) {
+    // Firebase Admin not available — dev mode: trust handshake.auth.uid, or the first join_user
+    const devUid = socket.handshake.auth?.uid;
+    socket.data.uid = devUid ? String(devUid) : null;
+    socket.data.exp = null;
+    return next();
+  }
+  const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization;
+  const result = await verifySocketToken(token);
+  if (result.error) return next(Object.assign(new Error(result.error), { data: { code: 'unauthorized' } }));
+  socket.data.uid = result.uid;
+  socket.data.exp = result.exp;
+  next();
+}
+
+function scheduleExpiry(socket) {
+  clearTimeout(socket.data.reauthTimer);
+  clearTimeout(socket.data.expiryTimer);
+  if (!socket.data.exp) return;
+  const left = socket.data.exp - Date.now();
+  socket.data.reauthTimer = setTimeout(() => {
+    socket.emit('auth:reauth-required', { expiresAt: new Date(socket.data.exp) });
+  }, Math.min(MAX_TIMER_MS, Math.max(0, left - REAUTH_LEAD_MS)));
+  socket.data.expiryTimer = setTimeout(() => {
+    socket.emit('auth:expired', { error: 'Session expired' });
+    socket.disconnect(true);
+  }, Math.min(MAX_TIMER_MS, Math.max(0, left)));
+}
+
 function setupSockets(io) {
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
     console.log('🔌 Client connected:', socket.id);
 
-    // Join user room
+    const bind = (uid) => {
+      socket.data.uid = uid;
+      socket.join(`user_${uid}`);
+    };
+    if (socket.data.uid) bind(socket.data.uid);
+    scheduleExpiry(socket);
+
+    // An id in the payload must be the socket's own uid; a missing one defaults to it
+    const actingAs = (claimed, errorEvent, event) => {
+      const uid = socket.data.uid;
+      if (!uid) {
+        socket.emit(errorEvent, { error: 'Authentication required', event });
+        return null;
+      }
+      if (claimed !== undefined && claimed !== null && claimed !== '' && String(claimed) !== uid) {
+        socket.emit(errorEvent, { error: 'You can only act as yourself', event });
+        return null;
+      }
+      return uid;
+    };
+
+    // Re-auth: the client answers auth:reauth-required with a fresh ID token for the same user
+    socket.on('auth:refresh', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : (payload) => socket.emit('auth:refreshed', payload);
+      if (!admin) return reply({ ok: true, expiresAt: null });
+      try {
+        const result = await verifySocketToken(data?.token ?? data);
+        if (result.error) return reply({ ok: false, error: result.error });
+        if (result.uid !== socket.data.uid) return reply({ ok: false, error: 'Token belongs to a different user' });
+        socket.data.exp = result.exp;
+        scheduleExpiry(socket);
+        reply({ ok: true, expiresAt: result.exp ? new Date(result.exp) : null });
+      } catch (err) {
+        console.error('auth:refresh failed:', err);
+        reply({ ok: false, error: 'Failed to refresh session' });
+      }
+    });
+
+    // Join user room — only your own; the handshake already joined it
     socket.on('join_user', (userId) => {
-      socket.join(`user_${userId}`);
-      console.log(`👤 User ${userId} joined room: user_${userId}`);
+      if (!socket.data.uid && !admin && userId) bind(String(userId));
+      if (!actingAs(userId, 'auth:error', 'join_user')) return;
+      socket.join(`user_${socket.data.uid}`);
+      console.log(`👤 User ${socket.data.uid} joined room: user_${socket.data.uid}`);
     });
 
     // Send message via WebSocket
     socket.on('message:send', async (data) => {
-      const { senderId, recipientId, jobId, message, senderName, recipientName } = data;
-      if (!senderId || !recipientId || !message) {
-        socket.emit('message_error', { error: 'senderId, recipientId, and message are required' });
+      const { recipientId, jobId, message, senderName, recipientName, attachmentIds } = data || {};
+      const senderId = actingAs(data?.senderId, 'message_error', 'message:send');
+      if (!senderId) return;
+      if (!recipientId || (!message && !attachmentIds?.length)) {
+        socket.emit('message_error', { error: 'recipientId and a message or attachments are required' });
         return;
       }
 
       const conversationId = getConversationId(senderId, recipientId, jobId);
-      const newMessage = {
-        conversationId,
-        senderId,
-        recipientId,
-        jobId: jobId || null,
-        message: String(message).trim(),
-        senderName: senderName || '',
-        recipientName: recipientName || '',
-        read: false,
-        createdAt: new Date(),
-      };
 
       try {
+        if (await isBlockedBetween(senderId, recipientId)) {
+          socket.emit('message_error', { code: 'USER_BLOCKED', error: BLOCKED_MESSAGE });
+          return;
+        }
+        // Files are uploaded over HTTP first (POST /api/messages/attachments); the socket only sends their ids
+        const unsent = await loadUnsentAttachments(attachmentIds, { senderId, conversationId });
+        if (unsent.error) {
+          socket.emit('message_error', { error: unsent.error });
+          return;
+        }
+        const newMessage = {
+          conversationId,
+          senderId,
+          recipientId,
+          jobId: jobId || null,
+          message: String(message || '').trim(),
+          attachments: unsent.attachments.map(attachmentView),
+          senderName: senderName || '',
+          recipientName: recipientName || '',
+          read: false,
+          status: 'sent',
+          createdAt: new Date(),
+        };
         const result = await collections.messages.insertOne(newMessage);
+        await linkAttachments(unsent.attachments, result.insertedId);
         const insertedMessage = await collections.messages.findOne({ _id: result.insertedId });
+        await recordConversationMessage(insertedMessage);
 
         io.to(`user_${senderId}`).emit('new_message', insertedMessage);
         io.to(`user_${recipientId}`).emit('new_message', insertedMessage);
@@ -97,29 +215,62 @@ function setupSockets(io) {
     });
 
     // Typing indicators
-    socket.on('typing:start', (data) => {
-      io.to(`user_${data.recipientId}`).emit('user_typing', { userId: data.senderId, typing: true });
-    });
-
-    socket.on('typing:stop', (data) => {
-      io.to(`user_${data.recipientId}`).emit('user_typing', { userId: data.senderId, typing: false });
-    });
+    const typing = (event, isTyping) => (data) => {
+      const senderId = actingAs(data?.senderId, 'auth:error', event);
+      if (!senderId || !data?.recipientId) return;
+      io.to(`user_${data.recipientId}`).emit('user_typing', { userId: senderId, typing: isTyping });
+    };
+    socket.on('typing:start', typing('typing:start', true));
+    socket.on('typing:stop', typing('typing:stop', false));
 
     // Mark messages as read
     socket.on('message:read', async (data) => {
-      const { conversationId, userId, senderId } = data;
+      const { conversationId, senderId } = data || {};
+      const userId = actingAs(data?.userId, 'auth:error', 'message:read');
       if (!conversationId || !userId || !senderId) return;
       try {
-        await collections.messages.updateMany(
-          { conversationId, recipientId: userId, senderId, read: false },
-          { $set: { read: true, readAt: new Date() } }
-        );
-        io.to(`user_${senderId}`).emit('messages_read', { conversationId, readerId: userId });
+        await markConversationRead(conversationId, userId, { senderId });
       } catch (err) {
         console.error('❌ Failed to mark messages as read via WebSocket:', err);
       }
     });
 
+    // Edit / unsend your own messages; both sides get message:edited / message:deleted
+    socket.on('message:edit', async (data) => {
+      const userId = actingAs(undefined, 'message_error', 'message:edit');
+      if (!userId) return;
+      try {
+        const result = await editMessage(data?.messageId, { userId, message: data?.message });
+        if (result.error) socket.emit('message_error', { error: result.error, event: 'message:edit', messageId: data?.messageId });
+      } catch (err) {
+        console.error('❌ Failed to edit message via WebSocket:', err);
+        socket.emit('message_error', { error: 'Failed to edit message', event: 'message:edit' });
+      }
+    });
+
+    socket.on('message:unsend', async (data) => {
+      const userId = actingAs(undefined, 'message_error', 'message:unsend');
+      if (!userId) return;
+      try {
+        const result = await unsendMessage(data?.messageId, { userId });
+        if (result.error) socket.emit('message_error', { error: result.error, event: 'message:unsend', messageId: data?.messageId });
+      } catch (err) {
+        console.error('❌ Failed to unsend message via WebSocket:', err);
+        socket.emit('message_error', { error: 'Failed to unsend message', event: 'message:unsend' });
+      }
+    });
+
+    // The recipient's client acknowledges new_message; the sender gets message:delivered
+    socket.on('message:delivered', async (data) => {
+      const userId = actingAs(undefined, 'message_error', 'message:delivered');
+      if (!userId) return;
+      try {
+        await markMessagesDelivered(userId, data?.messageIds ?? data?.messageId ?? []);
+      } catch (err) {
+        console.error('❌ Failed to mark messages delivered via WebSocket:', err);
+      }
+    });
+
     // Live location sharing
     const isLocationParticipant = async (jobId, userId) => {
       if (!ObjectId.isValid(jobId) || !userId) return false;
@@ -134,9 +285,11 @@ function setupSockets(io) {
     };
 
     socket.on('location:join', async (data) => {
-      const { jobId, userId } = data || {};
-      if (!jobId || !userId) {
-        socket.emit('location_error', { error: 'jobId and userId required' });
+      const { jobId } = data || {};
+      const userId = actingAs(data?.userId, 'location_error', 'location:join');
+      if (!userId) return;
+      if (!jobId) {
+        socket.emit('location_error', { error: 'jobId required' });
         return;
       }
       try {
@@ -153,8 +306,10 @@ function setupSockets(io) {
     });
 
     socket.on('location:update', async (data) => {
-      const { jobId, userId, lat, lng, timestamp } = data || {};
-      if (!jobId || !userId || lat === undefined || lng === undefined) {
+      const { jobId, lat, lng, timestamp } = data || {};
+      const userId = actingAs(data?.userId, 'location_error', 'location:update');
+      if (!userId) return;
+      if (!jobId || lat === undefined || lng === undefined) {
         socket.emit('location_error', { error: 'Missing jobId, userId, lat, or lng' });
         return;
       }
@@ -189,6 +344,8 @@ function setupSockets(io) {
     });
 
     socket.on('disconnect', () => {
+      clearTimeout(socket.data.reauthTimer);
+      clearTimeout(socket.data.expiryTimer);
       console.log('🔌 Client disconnected:', socket.id);
     });
   });
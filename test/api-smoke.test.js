@@ -4,8 +4,38 @@ const request = require('supertest');
 const { ObjectId } = require('mongodb');
 
 const { collections } = require('../config/db');
+const { setSmsProvider } = require('../utils/sms');
 const usersRouter = require('../routes/users');
+const authRouter = require('../routes/auth');
 const jobsRouter = require('../routes/jobs');
+const { router: paymentsRouter, processJobSettlement, computeJobPaymentAmount } = require('../routes/payments');
+const promoCodesRouter = require('../routes/promoCodes');
+const subscriptionsRouter = require('../routes/subscriptions');
+const invoicesRouter = require('../routes/invoices');
+const messagesRouter = require('../routes/messages');
+const browseRouter = require('../routes/browse');
+const applicationsRouter = require('../routes/applications');
+const adminFinanceRouter = require('../routes/admin/finance');
+const adminDashboardRouter = require('../routes/admin/dashboard');
+const { authenticateAdmin } = require('../middleware/auth');
+const { setPaymentGateway, mockGateway } = require('../utils/paymentGateway');
+const { DEFAULT_FEE_RULES, invalidateFeeScheduleCache, calculatePlatformFee } = require('../utils/fees');
+const { expireSubscriptions, getWorkerEntitlements } = require('../utils/subscriptions');
+const { postLedgerTransaction } = require('../utils/ledger');
+const { runDueMonitor } = require('../cron/dueMonitor');
+const { requestRefund, refreshRefund, reverseSettlement } = require('../utils/refunds');
+const { runRefundMonitor } = require('../cron/refundMonitor');
+const { processDueReminders, processExpiringOffers } = require('../cron/jobOfferReminders');
+const { getAccountBalance } = require('../utils/ledger');
+const { getWalletBalance } = require('../utils/wallet');
+const { resolveEarningsRange, bucketKey, earningsCsvRows } = require('../utils/earnings');
+const { streamCsv } = require('../utils/csv');
+const { attachmentPath } = require('../utils/attachments');
+const { editMessage, sendSystemMessage, MESSAGE_EDIT_WINDOW_MS } = require('../utils/messaging');
+const fs = require('fs');
+const sharp = require('sharp');
+const { FINANCE_REPORTS, resolveReportRange } = require('../utils/financeReports');
+const { resolveFlaggedCashPayment, recordAgentCollection, reconcileDeposits } = require('../utils/cashCollections');
 
 function matchesCondition(value, condition) {
   if (
@@ -14,26 +44,48 @@ function matchesCondition(value, condition) {
     !Array.isArray(condition) &&
     !(condition instanceof ObjectId)
   ) {
+    if (Object.prototype.hasOwnProperty.call(condition, '$regex')) {
+      return value != null && new RegExp(condition.$regex, condition.$options || '').test(String(value));
+    }
     if (Object.prototype.hasOwnProperty.call(condition, '$exists')) {
       const exists = value !== undefined;
       return exists === Boolean(condition.$exists);
     }
+    // Like MongoDB, $in/$nin/$ne against an array field look at its elements
+    const values = Array.isArray(value) ? value : [value];
     if (Array.isArray(condition.$in)) {
-      return condition.$in.some((item) => String(item) === String(value));
+      return condition.$in.some((item) => values.some((v) => String(item) === String(v)));
     }
     if (Array.isArray(condition.$nin)) {
-      return !condition.$nin.some((item) => String(item) === String(value));
+      return !condition.$nin.some((item) => values.some((v) => String(item) === String(v)));
+    }
+    if (Object.prototype.hasOwnProperty.call(condition, '$ne')) {
+      return !values.some((v) => String(v) === String(condition.$ne));
+    }
+    if (Object.prototype.hasOwnProperty.call(condition, '$gt')) {
+      return value !== undefined && value !== null && value > condition.$gt;
+    }
+    if (Object.prototype.hasOwnProperty.call(condition, '$gte')) {
+      return value !== undefined && value !== null && value >= condition.$gte;
+    }
+    if (Object.prototype.hasOwnProperty.call(condition, '$lte')) {
+      return value !== undefined && value !== null && value <= condition.$lte;
+    }
+    if (Object.prototype.hasOwnProperty.call(condition, '$lt')) {
+      return value === undefined || value === null ? false : value < condition.$lt;
     }
   }
+  if (Array.isArray(value) && !Array.isArray(condition)) return value.some((v) => String(v) === String(condition));
   return String(value) === String(condition);
 }
 
 function matchesQuery(doc, query = {}) {
-  if (query.$or) {
-    return query.$or.some((branch) => matchesQuery(doc, branch));
-  }
+  if (query.$or && !query.$or.some((branch) => matchesQuery(doc, branch))) return false;
+  if (query.$and && !query.$and.every((branch) => matchesQuery(doc, branch))) return false;
 
-  return Object.entries(query).every(([key, condition]) => matchesCondition(doc[key], condition));
+  // Dotted keys reach into embedded documents
+  const valueAt = (key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+  return Object.entries(query).every(([key, condition]) => key === '$or' || key === '$and' || matchesCondition(valueAt(key), condition));
 }
 
 function createCursor(items) {
@@ -54,6 +106,9 @@ function createCursor(items) {
       }
       return this;
     },
+    project() {
+      return this;
+    },
     skip(count = 0) {
       results = results.slice(count);
       return this;
@@ -68,6 +123,17 @@ function createCursor(items) {
   };
 }
 
+// $set/$inc on 'a.b' write into embedded documents, like MongoDB
+function setPath(doc, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((obj, part) => {
+    if (obj[part] == null || typeof obj[part] !== 'object') obj[part] = {};
+    return obj[part];
+  }, doc);
+  target[last] = value;
+}
+
 function createMockCollection(seed = []) {
   const docs = seed.map((doc) => ({ ...doc }));
 
@@ -78,12 +144,21 @@ function createMockCollection(seed = []) {
     find(query = {}) {
       return createCursor(docs.filter((doc) => matchesQuery(doc, query)));
     },
+    async countDocuments(query = {}) {
+      return docs.filter((doc) => matchesQuery(doc, query)).length;
+    },
     async insertOne(doc) {
       const record = { ...doc };
       if (!record._id) record._id = new ObjectId();
       docs.push(record);
       return { insertedId: record._id };
     },
+    async findOneAndUpdate(query = {}, update = {}, options = {}) {
+      const doc = docs.find((item) => matchesQuery(item, query));
+      if (!doc && !options.upsert) return { value: null };
+      await this.updateOne(doc ? { _id: doc._id } : query, update, options);
+      return { value: doc || docs.find((item) => matchesQuery(item, query)) || null };
+    },
     async updateOne(query = {}, update = {}, options = {}) {
       let doc = docs.find((item) => matchesQuery(item, query));
       if (!doc && options.upsert) {
@@ -97,7 +172,17 @@ function createMockCollection(seed = []) {
         Object.assign(doc, update.$setOnInsert);
       }
       if (update.$set) {
-        Object.assign(doc, update.$set);
+        for (const [key, value] of Object.entries(update.$set)) setPath(doc, key, value);
+      }
+      if (update.$inc) {
+        for (const [key, amount] of Object.entries(update.$inc)) {
+          setPath(doc, key, (Number(key.split('.').reduce((v, part) => v?.[part], doc)) || 0) + amount);
+        }
+      }
+      if (update.$push) {
+        for (const [key, item] of Object.entries(update.$push)) {
+          doc[key] = [...(Array.isArray(doc[key]) ? doc[key] : []), item];
+        }
       }
       if (update.$unset) {
         for (const key of Object.keys(update.$unset)) {
@@ -107,23 +192,65 @@ function createMockCollection(seed = []) {
       doc.__inserted = true;
       return { matchedCount: 1, modifiedCount: 1, upsertedId: options.upsert ? doc._id : undefined };
     },
+    async deleteOne(query = {}) {
+      const index = docs.findIndex((item) => matchesQuery(item, query));
+      if (index === -1) return { deletedCount: 0 };
+      docs.splice(index, 1);
+      return { deletedCount: 1 };
+    },
+    async updateMany(query = {}, update = {}) {
+      const matched = docs.filter((item) => matchesQuery(item, query));
+      for (const doc of matched) {
+        if (update.$set) Object.assign(doc, update.$set);
+      }
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
   };
 }
 
-function buildApp() {
+function buildApp(actingUid = null) {
   const app = express();
   app.use(express.json());
+  // Stand-in for a verified Firebase token (authenticateUser is a no-op without Firebase Admin)
+  if (actingUid) app.use((req, _res, next) => { req.user = { uid: actingUid }; next(); });
   app.use('/api/users', usersRouter);
+  app.use('/api/auth', authRouter);
   app.use('/api', jobsRouter);
+  app.use('/api', paymentsRouter);
+  app.use('/api/promo-codes', promoCodesRouter);
+  app.use('/api/subscriptions', subscriptionsRouter);
+  app.use('/api/invoices', invoicesRouter);
+  app.use('/api/messages', messagesRouter);
+  app.use('/api', browseRouter);
+  app.use('/api/applications', applicationsRouter);
+  return app;
+}
+
+/**
+ * An admin router with authenticateAdmin taken out of every route (it needs Firebase Admin);
+ * `adminUser` stands in for the caller's adminUsers document, so requireAdminPermission still runs.
+ */
+function buildAdminApp(router, adminUser) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.user = { uid: adminUser.uid }; req.adminUser = adminUser; next(); });
+  for (const { route } of router.stack.filter((layer) => layer.route)) {
+    const handlers = route.stack.filter((layer) => layer.handle !== authenticateAdmin);
+    app[handlers[0].method](route.path, ...handlers.map((layer) => layer.handle));
+  }
   return app;
 }
 
 async function run() {
+  collections.invoices = createMockCollection();
+  collections.counters = createMockCollection();
   collections.users = createMockCollection();
   collections.browseJobs = createMockCollection();
   collections.workerJobRequests = createMockCollection();
   collections.applications = createMockCollection();
   collections.reviews = createMockCollection();
+  collections.conversations = createMockCollection();
+  collections.blockedUsers = createMockCollection();
 
   let app = buildApp();
 
@@ -210,6 +337,779 @@ async function run() {
   assert.equal(response.body.applicationId, applicationId.toString());
   assert.equal(response.body.reviewerId, 'client-1');
 
+  const outbox = [];
+  setSmsProvider({ name: 'test', async send(to, text) { outbox.push({ to, text }); return { success: true }; } });
+  collections.users = createMockCollection([{ uid: 'worker-1', role: 'worker', phone: '01712345678' }]);
+  collections.phoneVerifications = createMockCollection();
+  app = buildApp('worker-1');
+  response = await request(app).patch('/api/users/worker-1').send({ phoneVerified: true });
+  assert.equal(response.body.phoneVerified, undefined);
+  response = await request(app).post('/api/users/worker-1/phone-verification/request').send({});
+  assert.equal(response.status, 200);
+  assert.equal(outbox.length, 1);
+  response = await request(app).post('/api/users/worker-1/phone-verification/request').send({});
+  assert.equal(response.status, 429);
+  response = await request(app).post('/api/users/worker-1/phone-verification/confirm').send({ code: outbox[0].text.match(/\d{6}/)[0] });
+  assert.equal(response.status, 200);
+  assert.equal((await collections.users.findOne({ uid: 'worker-1' })).phoneVerified, true);
+  // Parallel guesses share the attempt limit: only OTP_MAX_ATTEMPTS (5) of them are checked at all
+  await collections.users.insertOne({ uid: 'worker-otp', role: 'worker', phone: '01812345678' });
+  await request(buildApp('worker-otp')).post('/api/users/worker-otp/phone-verification/request').send({});
+  const otpCode = outbox[outbox.length - 1].text.match(/\d{6}/)[0];
+  const guesses = await Promise.all(Array.from({ length: 7 }, () => request(buildApp('worker-otp')).post('/api/users/worker-otp/phone-verification/confirm').send({ code: otpCode === '000000' ? '111111' : '000000' })));
+  assert.deepEqual(guesses.map((r) => r.status).sort(), [400, 400, 400, 400, 400, 429, 429]);
+  response = await request(buildApp('worker-otp')).post('/api/users/worker-otp/phone-verification/confirm').send({ code: otpCode });
+  assert.equal(response.body.code, 'OTP_LOCKED');
+
+  response = await request(app)
+    .patch('/api/users/client-1')
+    .send({ firstName: 'Spoofed' });
+  assert.equal(response.status, 403);
+
+  response = await request(app)
+    .post('/api/job-offers/66b8f2c0b7e1a40000000003/withdraw')
+    .send({ clientId: 'client-1' });
+  assert.equal(response.status, 403);
+
+  response = await request(app).patch(`/api/browse-jobs/${jobId.toString()}`).send({ status: 'cancelled' });
+  assert.equal(response.status, 403);
+
+  const offerId = new ObjectId('66b8f2c0b7e1a40000000004');
+  collections.browseJobs = createMockCollection([
+    { _id: offerId, clientId: 'client-1', targetWorkerId: 'worker-1', title: 'Fix the roof', budget: 1000, isPrivate: true, offerStatus: 'pending', conversationId: `${offerId}_client-1_worker-1`, createdAt: new Date() },
+  ]);
+  collections.applications = createMockCollection();
+  collections.jobOfferHistory = createMockCollection();
+  collections.messages = createMockCollection();
+  collections.notifications = createMockCollection();
+  response = await request(app)
+    .post(`/api/job-offers/${offerId}/respond`)
+    .send({ workerId: 'worker-1', action: 'counter', price: 1500, message: 'Materials cost more' });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.awaitingResponseFrom, 'client');
+  response = await request(app).post(`/api/job-offers/${offerId}/respond`).send({ workerId: 'worker-1', action: 'accept' });
+  assert.equal(response.status, 409);
+  response = await request(buildApp('client-1')).post(`/api/job-offers/${offerId}/client-response`).send({ clientId: 'client-1', action: 'accept' });
+  assert.equal(response.status, 200);
+  assert.equal((await collections.applications.findOne({ jobId: offerId.toString() })).finalPrice, 1500);
+  const trail = await collections.jobOfferHistory.find({ jobId: offerId.toString() }).toArray();
+  assert.deepEqual(trail.map((h) => h.action), ['countered', 'accepted']);
+  assert.equal(trail[0].proposal.price, 1500);
+  // The client withdraws between the worker's read and write: the accept must not overwrite the withdrawal
+  const { insertedId: racedOfferId } = await collections.browseJobs.insertOne({ clientId: 'client-1', targetWorkerId: 'worker-1', title: 'Paint the fence', budget: 800, isPrivate: true, offerStatus: 'withdrawn', createdAt: new Date() });
+  const findOfferJob = collections.browseJobs.findOne;
+  collections.browseJobs.findOne = async (query) => ({ ...(await findOfferJob(query)), offerStatus: 'pending' });
+  const staleAccept = await request(app).post(`/api/job-offers/${racedOfferId}/respond`).send({ workerId: 'worker-1', action: 'accept' });
+  const staleWithdraw = await request(buildApp('client-1')).post(`/api/job-offers/${racedOfferId}/withdraw`).send({ clientId: 'client-1' });
+  const staleWorkerCounter = await request(app).post(`/api/job-offers/${racedOfferId}/respond`).send({ workerId: 'worker-1', action: 'counter', price: 900 });
+  collections.browseJobs.findOne = async (query) => ({ ...(await findOfferJob(query)), offerStatus: 'pending', awaitingResponseFrom: 'client' });
+  const staleClientCounter = await request(buildApp('client-1')).post(`/api/job-offers/${racedOfferId}/client-response`).send({ clientId: 'client-1', action: 'counter', price: 850 });
+  collections.browseJobs.findOne = findOfferJob;
+  assert.deepEqual([staleAccept.status, staleWithdraw.status, staleWorkerCounter.status, staleClientCounter.status], [409, 409, 409, 409]);
+  assert.equal((await collections.browseJobs.findOne({ _id: racedOfferId })).currentProposal, undefined);
+  assert.equal((await collections.browseJobs.findOne({ _id: racedOfferId })).offerStatus, 'withdrawn');
+  assert.equal(await collections.applications.findOne({ jobId: racedOfferId.toString() }), null);
+  assert.equal((await collections.jobOfferHistory.find({ jobId: racedOfferId.toString() }).toArray()).length, 0);
+  assert.equal((await collections.messages.find({ conversationId: `${offerId}_client-1_worker-1` }).toArray()).length, 2);
+  // Accepting an offer turns the worker's earlier application for the job into the accepted one
+  const { insertedId: reofferId } = await collections.browseJobs.insertOne({ clientId: 'client-1', targetWorkerId: 'worker-1', title: 'Fix the tap', budget: 400, isPrivate: true, offerStatus: 'pending', createdAt: new Date() });
+  await collections.applications.insertOne({ jobId: reofferId.toString(), workerId: 'worker-1', clientId: 'client-1', status: 'rejected', proposedPrice: 600, createdAt: new Date() });
+  response = await request(app).post(`/api/job-offers/${reofferId}/respond`).send({ workerId: 'worker-1', action: 'accept' });
+  assert.equal(response.status, 200);
+  const reofferApp = await collections.applications.findOne({ jobId: reofferId.toString() });
+  assert.deepEqual([reofferApp.status, reofferApp.finalPrice], ['accepted', 400]);
+
+  const paidApplicationId = new ObjectId('66b8f2c0b7e1a40000000005');
+  const plumbingJobId = new ObjectId('66b8f2c0b7e1a40000000006');
+  collections.applications = createMockCollection([
+    { _id: paidApplicationId, jobId: plumbingJobId.toString(), workerId: 'worker-1', clientId: 'client-1', finalPrice: 1000, paidAmount: 1000, paymentStatus: 'PAID', settlementStatus: 'PENDING' },
+  ]);
+  await collections.browseJobs.insertOne({ _id: plumbingJobId, category: 'Plumbing' });
+  collections.feeSchedules = createMockCollection([
+    { version: 3, activatedAt: new Date(), rules: { default: { tiers: [{ upTo: null, rate: 0.1, cap: null, tier: 'A' }] }, categories: { plumbing: { tiers: [{ upTo: null, rate: 0.05, cap: 100, tier: 'P' }] } }, promotions: [], workerOverrides: [{ workerId: 'worker-2', discountPercent: 50 }] } },
+  ]);
+  invalidateFeeScheduleCache();
+  const feePreview = await request(buildApp('worker-2')).post('/api/fees/calculate').send({ laborAmount: 1000, category: 'plumbing', workerId: 'worker-2' });
+  assert.equal(feePreview.status, 200);
+  assert.equal(feePreview.body.fee, 25);
+  assert.equal(feePreview.body.source, 'worker_override');
+  // Anyone else asking about worker-2 gets the public rate, not the override
+  for (const caller of [null, 'worker-3']) {
+    const publicPreview = await request(buildApp(caller)).post('/api/fees/calculate').send({ laborAmount: 1000, category: 'plumbing', workerId: 'worker-2' });
+    assert.equal(publicPreview.body.fee, 50);
+    assert.notEqual(publicPreview.body.source, 'worker_override');
+  }
+  collections.additionalCharges = createMockCollection();
+  collections.ledgers = createMockCollection();
+  collections.ledgerBalances = createMockCollection();
+  await processJobSettlement(paidApplicationId.toString());
+  const settled = await collections.applications.findOne({ _id: paidApplicationId });
+  assert.equal(settled.feeCollection, 'ONLINE');
+  assert.equal(settled.platformFee, 50);
+  assert.equal(settled.feeScheduleVersion, 3);
+  assert.equal(settled.feeRule.source, 'category');
+  assert.equal(settled.workerPayableAmount, 1000 - settled.platformFee);
+  const settlementLegs = await collections.ledgers.find({ orderId: paidApplicationId }).toArray();
+  assert.deepEqual(settlementLegs.map((l) => `${l.type}:${l.account}:${l.direction}`), [
+    'JOB_PAYMENT_RECEIVED:platform_cash:DEBIT',
+    'JOB_PAYMENT_RECEIVED:worker_payable:CREDIT',
+    'PLATFORM_FEE_WITHHELD:worker_payable:DEBIT',
+    'PLATFORM_FEE_WITHHELD:platform_revenue:CREDIT',
+  ]);
+  assert.equal(settlementLegs[3].balanceAfter, settled.platformFee);
+  assert.equal((await collections.ledgerBalances.findOne({ account: 'worker_payable', workerId: 'worker-1' })).balance, settled.workerPayableAmount);
+  assert.equal((await collections.users.findOne({ uid: 'worker-1' })).dueBalance, undefined);
+
+  setPaymentGateway(mockGateway);
+  collections.users = createMockCollection([{ uid: 'worker-1', role: 'worker', dueBalance: 500 }]);
+  collections.paymentRequests = createMockCollection();
+  collections.paymentCallbacks = createMockCollection();
+  collections.platformSettings = createMockCollection();
+  app = buildApp('worker-1');
+  response = await request(app).post('/api/dues/ssl-init').send({ workerId: 'worker-1', amount: 300, redirectUrl: 'https://phish.example/pay' });
+  assert.equal(response.status, 200);
+  const dueTranId = new URL(response.body.url).searchParams.get('tran_id');
+  assert.equal((await collections.paymentRequests.findOne({ _id: new ObjectId(dueTranId) })).frontendUrl, 'http://localhost:5173');
+  const dueValId = mockGateway.complete(dueTranId);
+  response = await request(app).post(`/api/dues/ssl-success?tran_id=${dueTranId}`).send({ val_id: 'forged' });
+  assert.match(response.headers.location, /status=fail/);
+  assert.equal((await collections.users.findOne({ uid: 'worker-1' })).dueBalance, 500);
+  response = await request(app).post(`/api/dues/ssl-success?tran_id=${dueTranId}`).send({ val_id: dueValId });
+  assert.match(response.headers.location, /^http:\/\/localhost:5173\/payment-status\?status=success/);
+  response = await request(app).post('/api/dues/ssl-ipn').send({ tran_id: dueTranId, val_id: dueValId, status: 'VALID' });
+  assert.equal(response.body.outcome, 'duplicate');
+  assert.equal((await collections.users.findOne({ uid: 'worker-1' })).dueBalance, 200);
+  assert.equal((await collections.ledgers.find({ reference: dueTranId }).toArray()).length, 2);
+  assert.equal((await collections.paymentCallbacks.find({ tranId: dueTranId }).toArray()).length, 3);
+  assert.equal((await collections.invoices.find({ type: 'due_receipt', sourceId: dueTranId }).toArray()).length, 1);
+
+  collections.users = createMockCollection([{ uid: 'worker-3', role: 'worker', dueBalance: 250, phone: '01700000003' }]);
+  collections.notifications = createMockCollection();
+  outbox.length = 0;
+  const dueStart = new Date('2026-01-01T00:00:00Z');
+  for (const hours of [0, 1, 30, 49]) await runDueMonitor(new Date(dueStart.getTime() + hours * 60 * 60 * 1000));
+  let escalated = await collections.users.findOne({ uid: 'worker-3' });
+  assert.equal(escalated.isApplyBlocked, true);
+  assert.deepEqual(escalated.dueEscalationLog.map((step) => step.stage), ['threshold_crossed', 'block_warning', 'apply_blocked', 'blocked']);
+  assert.equal(outbox.length, 3);
+  assert.equal((await collections.notifications.find({ userId: 'worker-3' }).toArray()).length, 3);
+  await postLedgerTransaction('DUE_PAYMENT', { workerId: 'worker-3', amount: 100 });
+  escalated = await collections.users.findOne({ uid: 'worker-3' });
+  assert.equal(escalated.isApplyBlocked, false);
+  assert.equal(escalated.dueWarningNotifiedAt, undefined);
+  assert.equal(escalated.dueEscalationLog.at(-1).stage, 'cleared');
+
+  const promoAppId = new ObjectId('66b8f2c0b7e1a40000000007');
+  const otherPromoAppId = new ObjectId('66b8f2c0b7e1a40000000008');
+  collections.applications = createMockCollection([
+    { _id: promoAppId, jobId: plumbingJobId.toString(), clientId: 'client-1', workerId: 'worker-1', status: 'accepted', finalPrice: 1000, settlementStatus: 'PENDING' },
+    { _id: otherPromoAppId, jobId: plumbingJobId.toString(), clientId: 'client-2', workerId: 'worker-1', status: 'accepted', finalPrice: 500 },
+  ]);
+  collections.browseJobs = createMockCollection([{ _id: plumbingJobId, category: 'Plumbing' }]);
+  collections.promoCodes = createMockCollection([
+    { _id: new ObjectId(), code: 'SAVE10', appliesTo: 'job_payment', type: 'percentage', value: 10, maxDiscount: null, usageLimit: 1, perUserLimit: 1, redemptionCount: 0, categories: ['plumbing'], isActive: true },
+  ]);
+  collections.promoCodeUsage = createMockCollection();
+  collections.promoRedemptions = createMockCollection();
+  collections.additionalCharges = createMockCollection();
+  collections.users = createMockCollection([{ uid: 'client-1', role: 'client' }]);
+  response = await request(buildApp('client-1')).post('/api/promo-codes/apply').send({ code: 'save10', applicationId: promoAppId.toString(), userId: 'client-1' });
+  assert.equal(response.status, 201);
+  assert.equal(response.body.discount, 100);
+  response = await request(buildApp('client-2')).post('/api/promo-codes/apply').send({ code: 'SAVE10', applicationId: otherPromoAppId.toString(), userId: 'client-2' });
+  assert.equal(response.status, 422);
+  assert.equal((await collections.promoCodes.findOne({ code: 'SAVE10' })).redemptionCount, 1);
+  response = await request(buildApp('client-1')).post(`/api/applications/${promoAppId}/payments/ssl-init`).send({});
+  assert.equal(response.status, 200);
+  assert.equal(response.body.amount, 900);
+  const promoTranId = response.body.paymentId;
+  response = await request(buildApp()).post(`/api/job-payments/ssl-success?tran_id=${promoTranId}`).send({ val_id: mockGateway.complete(promoTranId) });
+  assert.match(response.headers.location, /status=success/);
+  assert.equal((await collections.promoRedemptions.findOne({ code: 'SAVE10' })).status, 'redeemed');
+  collections.ledgers = createMockCollection();
+  collections.ledgerBalances = createMockCollection();
+  await processJobSettlement(promoAppId.toString());
+  const promoSettled = await collections.applications.findOne({ _id: promoAppId });
+  assert.equal(promoSettled.workerPayableAmount, 1000 - promoSettled.platformFee);
+  assert.equal((await collections.ledgers.find({ type: 'PROMO_DISCOUNT_FUNDED' }).toArray()).length, 2);
+  const promoInvoice = await collections.invoices.findOne({ type: 'client_invoice', sourceId: promoAppId.toString() });
+  assert.match(promoInvoice.number, /^INV-\d{4}-\d{6}$/);
+  assert.equal(promoInvoice.userId, 'client-1');
+  assert.equal(promoInvoice.subtotal, 1000);
+  assert.equal(promoInvoice.total, 900);
+  const feeStatement = await collections.invoices.findOne({ type: 'fee_statement', sourceId: promoAppId.toString() });
+  assert.equal(feeStatement.total, promoSettled.platformFee);
+  response = await request(buildApp('client-1')).get(`/api/invoices/${promoInvoice._id}/pdf`).buffer(true);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers['content-type'], 'application/pdf');
+  assert.equal(response.body.subarray(0, 5).toString(), '%PDF-');
+  response = await request(buildApp('worker-1')).get(`/api/invoices/${promoInvoice._id}/html`);
+  assert.equal(response.status, 403);
+  response = await request(buildApp('client-1')).get('/api/invoices').query({ userId: 'client-1' });
+  // The earlier settlement for client-1 took the first number in the series
+  assert.deepEqual(response.body.list.map((invoice) => invoice.number.slice(-6)), ['000002', '000001']);
+
+  collections.refunds = createMockCollection();
+  collections.notifications = createMockCollection();
+  const partial = await requestRefund(promoAppId.toString(), { amount: 450, reason: 'Half the work was redone', requestedBy: 'admin-1' });
+  assert.equal(partial.refund.status, 'COMPLETED');
+  assert.equal(partial.refund.method, 'gateway');
+  assert.deepEqual([partial.refund.reversal.payment, partial.refund.reversal.promo, partial.refund.reversal.fee], [450, 50, 25]);
+  assert.equal(await getAccountBalance('worker_payable', 'worker-1'), 475);
+  assert.equal((await requestRefund(promoAppId.toString(), { amount: 500, reason: 'Too much' })).status, 422);
+  assert.equal((await collections.notifications.find({}).toArray()).length, 2);
+  await reverseSettlement(promoAppId.toString(), { reason: 'Reopened by admin' });
+  assert.equal(await getAccountBalance('worker_payable', 'worker-1'), 0);
+  assert.equal((await collections.applications.findOne({ _id: promoAppId })).settlementStatus, 'PENDING');
+  await processJobSettlement(promoAppId.toString());
+  assert.equal(await getAccountBalance('worker_payable', 'worker-1'), 475);
+
+  // A gateway that cannot be reached leaves the refund PROCESSING with the amount still claimed; the monitor retries it
+  setPaymentGateway({ ...mockGateway, async refund() { throw new Error('socket hang up'); } });
+  const unclear = await requestRefund(promoAppId.toString(), { amount: 10, reason: 'Gateway timeout' });
+  assert.equal(unclear.refund.status, 'PROCESSING');
+  assert.equal(unclear.refund.gateway.attempts, 1);
+  assert.equal((await collections.applications.findOne({ _id: promoAppId })).refundedAmount, 460);
+  assert.deepEqual(await runRefundMonitor(), {});
+  assert.equal((await collections.refunds.findOne({ _id: unclear.refund._id })).gateway.attempts, 2);
+  setPaymentGateway(mockGateway);
+  assert.deepEqual(await runRefundMonitor(), { COMPLETED: 1 });
+  assert.equal((await collections.refunds.findOne({ _id: unclear.refund._id })).status, 'COMPLETED');
+
+  // A refund still processing does not shrink the base the next refund's fee share is taken from
+  const sharedAppId = new ObjectId();
+  const { insertedId: sharedPaymentId } = await collections.paymentRequests.insertOne({ purpose: 'JOB_PAYMENT', gateway: 'mock', status: 'VERIFIED', gatewayTransactionId: 'bank-shared', amount: 1000, createdAt: new Date() });
+  await collections.applications.insertOne({ _id: sharedAppId, jobId: plumbingJobId.toString(), clientId: 'client-r', workerId: 'worker-r', status: 'completed', paymentStatus: 'PAID', paymentRequestId: String(sharedPaymentId), paidAmount: 1000, platformFee: 100, feeCollection: 'ONLINE', promoFundedAmount: 0, reversedFee: 0, reversedPromo: 0, settlementStatus: 'SETTLED' });
+  setPaymentGateway({ ...mockGateway, async refund() { throw new Error('socket hang up'); } });
+  const pendingShare = await requestRefund(sharedAppId.toString(), { amount: 500, reason: 'Gateway timeout' });
+  setPaymentGateway(mockGateway);
+  const quarter = await requestRefund(sharedAppId.toString(), { amount: 250, reason: 'Partly redone' });
+  assert.deepEqual([quarter.refund.share, quarter.refund.reversal.fee], [0.25, 25]);
+  setPaymentGateway({ ...mockGateway, async refund() { return { status: 'FAILED', error: 'Rejected' }; } });
+  assert.equal((await refreshRefund(pendingShare.refund._id)).status, 'FAILED');
+  setPaymentGateway(mockGateway);
+  const rest = await requestRefund(sharedAppId.toString(), { reason: 'Cancelled' });
+  assert.deepEqual([rest.refund.amount, rest.refund.reversal.fee], [750, 75]);
+  assert.equal((await collections.applications.findOne({ _id: sharedAppId })).reversedFee, 100);
+
+  const cashAppId = new ObjectId();
+  collections.applications = createMockCollection([
+    { _id: cashAppId, jobId: plumbingJobId.toString(), clientId: 'client-5', workerId: 'worker-5', status: 'completed', finalPrice: 1000, settlementStatus: 'PENDING' },
+  ]);
+  collections.users = createMockCollection([{ uid: 'worker-5', role: 'worker' }]);
+  // Two completions landing together settle the job once
+  await Promise.all([processJobSettlement(cashAppId.toString()), processJobSettlement(cashAppId.toString())]);
+  assert.equal((await collections.users.findOne({ uid: 'worker-5' })).dueBalance, 50);
+  assert.equal((await collections.ledgers.find({ type: 'PLATFORM_FEE_DUE', workerId: 'worker-5' }).toArray()).length, 2);
+  const cashRefund = await requestRefund(cashAppId.toString(), { reason: 'Job disputed' });
+  assert.equal(cashRefund.refund.method, 'cash');
+  assert.equal(cashRefund.refund.kind, 'full');
+  assert.equal((await collections.users.findOne({ uid: 'worker-5' })).dueBalance, 0);
+  assert.equal((await collections.ledgers.find({ type: 'PLATFORM_FEE_DUE_REVERSED', workerId: 'worker-5' }).toArray()).length, 2);
+
+  const chargeAppId = new ObjectId();
+  collections.applications = createMockCollection([
+    { _id: chargeAppId, jobId: plumbingJobId.toString(), clientId: 'client-6', workerId: 'worker-6', status: 'accepted', finalPrice: 800 },
+  ]);
+  collections.additionalCharges = createMockCollection();
+  collections.notifications = createMockCollection();
+  collections.messages = createMockCollection();
+  const chargesUrl = `/api/applications/${chargeAppId}/additional-charges`;
+  response = await request(buildApp('worker-7')).post(chargesUrl).send({ workerId: 'worker-7', type: 'TIP', amount: 150 });
+  assert.equal(response.status, 403);
+  response = await request(buildApp('worker-6')).post(chargesUrl).send({ type: 'TIP', amount: 0 });
+  assert.equal(response.status, 400);
+  response = await request(buildApp('worker-6')).post(chargesUrl).send({ type: 'TIP', amount: 150, description: 'Weekend visit' });
+  assert.equal(response.status, 201);
+  const chargeId = response.body._id;
+  response = await request(buildApp('worker-6')).post(`${chargesUrl}/approve`).send({ chargeId, status: 'APPROVED' });
+  assert.equal(response.status, 403);
+  response = await request(buildApp('client-6')).post(`${chargesUrl}/approve`).send({ chargeId, status: 'REJECTED' });
+  assert.equal(response.status, 400);
+  response = await request(buildApp('client-6')).post(`${chargesUrl}/approve`).send({ chargeId, status: 'APPROVED' });
+  assert.equal(response.status, 200);
+  response = await request(buildApp('client-6')).post(`${chargesUrl}/approve`).send({ chargeId, status: 'REJECTED', reason: 'Changed my mind' });
+  assert.equal(response.status, 409);
+  assert.equal((await collections.notifications.find({ userId: 'client-6' }).toArray()).length, 1);
+  assert.equal((await collections.notifications.find({ userId: 'worker-6' }).toArray()).length, 1);
+  assert.equal((await collections.messages.find({ isSystemMessage: true }).toArray()).length, 2);
+  assert.equal((await computeJobPaymentAmount(await collections.applications.findOne({ _id: chargeAppId }))).total, 950);
+  await collections.applications.updateOne({ _id: chargeAppId }, { $set: { status: 'completed' } });
+  response = await request(buildApp('worker-6')).post(chargesUrl).send({ type: 'TIP', amount: 50 });
+  assert.equal(response.status, 409);
+
+  const cashJobId = new ObjectId();
+  const cashJobId2 = new ObjectId();
+  collections.applications = createMockCollection([
+    { _id: cashJobId, jobId: plumbingJobId.toString(), clientId: 'client-8', workerId: 'worker-8', status: 'accepted', finalPrice: 1000 },
+    { _id: cashJobId2, jobId: plumbingJobId.toString(), clientId: 'client-8', workerId: 'worker-8', status: 'completed', finalPrice: 1000 },
+  ]);
+  collections.users = createMockCollection([{ uid: 'worker-8', role: 'worker' }, { uid: 'client-8', role: 'client' }]);
+  collections.cashCollections = createMockCollection();
+  collections.cashDeposits = createMockCollection();
+  const cashUrl = `/api/applications/${cashJobId}/cash-payment`;
+  response = await request(buildApp('worker-8')).post(cashUrl).send({ amount: 1000 });
+  assert.equal(response.status, 201);
+  response = await request(buildApp('worker-8')).post(cashUrl).send({ amount: 1000 });
+  assert.equal(response.status, 409);
+  response = await request(buildApp('client-8')).post(`/api/applications/${cashJobId}/payments/ssl-init`).send({});
+  assert.equal(response.status, 409);
+  response = await request(buildApp('client-8')).post(`${cashUrl}/confirm`).send({ amount: 900 });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.flagged, true);
+  const flaggedId = response.body.collection._id;
+  assert.equal((await collections.applications.findOne({ _id: cashJobId })).cashPaymentStatus, 'FLAGGED');
+  assert.equal((await collections.users.findOne({ uid: 'worker-8' })).dueBalance, undefined);
+  const resolved = await resolveFlaggedCashPayment(flaggedId, { action: 'confirm', amount: 900, resolvedBy: 'admin-1' });
+  assert.equal(resolved.collection.status, 'CONFIRMED');
+  assert.equal(resolved.settlement.feeCollection, 'DUE');
+  assert.equal((await collections.users.findOne({ uid: 'worker-8' })).dueBalance, 50);
+  response = await request(buildApp('worker-8')).post(`/api/applications/${cashJobId2}/cash-payment`).send({ amount: 1000 });
+  assert.equal(response.status, 201);
+  response = await request(buildApp('client-8')).post(`/api/applications/${cashJobId2}/cash-payment/confirm`).send({});
+  assert.equal(response.body.flagged, false);
+  assert.equal((await collections.applications.findOne({ _id: cashJobId2 })).settlementStatus, 'SETTLED');
+  assert.equal((await collections.users.findOne({ uid: 'worker-8' })).dueBalance, 100);
+
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  assert.equal((await recordAgentCollection({ amount: 60, collectedBy: 'agent-1', workerId: 'worker-8', collectedAt: yesterday })).status, 201);
+  assert.equal((await recordAgentCollection({ amount: 40, collectedBy: 'agent-1', workerId: 'worker-8', collectedAt: yesterday })).status, 201);
+  assert.equal((await collections.users.findOne({ uid: 'worker-8' })).dueBalance, 0);
+  await collections.cashDeposits.insertOne({ agentId: 'agent-1', amount: 100, depositedAt: new Date(), status: 'PENDING' });
+  await collections.cashDeposits.insertOne({ agentId: 'agent-1', amount: 30, depositedAt: new Date(), status: 'PENDING' });
+  const reconciliation = await reconcileDeposits({ agentId: 'agent-1' });
+  assert.equal(reconciliation.reconciled, 1);
+  assert.equal(reconciliation.discrepancies, 1);
+  assert.equal((await collections.cashCollections.find({ kind: 'AGENT_COLLECTION', status: 'DEPOSITED' }).toArray()).length, 2);
+
+  const walletAppId = new ObjectId();
+  const walletAppId2 = new ObjectId();
+  collections.applications = createMockCollection([
+    { _id: walletAppId, jobId: plumbingJobId.toString(), clientId: 'client-9', workerId: 'worker-9', status: 'accepted', finalPrice: 500 },
+    { _id: walletAppId2, jobId: plumbingJobId.toString(), clientId: 'client-9', workerId: 'worker-9', status: 'accepted', finalPrice: 800 },
+  ]);
+  collections.users = createMockCollection([{ uid: 'client-9', role: 'client' }, { uid: 'worker-9', role: 'worker' }]);
+  collections.transactions = createMockCollection();
+  response = await request(buildApp('worker-9')).post('/api/wallet/top-up').send({ amount: 600 });
+  assert.equal(response.status, 403);
+  response = await request(buildApp('client-9')).post('/api/wallet/top-up').send({ amount: 600 });
+  assert.equal(response.status, 200);
+  const topUpTranId = response.body.paymentId;
+  const topUpValId = mockGateway.complete(topUpTranId);
+  await request(buildApp()).post(`/api/wallet-topups/ssl-success?tran_id=${topUpTranId}`).send({ val_id: topUpValId });
+  await request(buildApp()).post('/api/wallet-topups/ssl-ipn').send({ tran_id: topUpTranId, val_id: topUpValId });
+  response = await request(buildApp('client-9')).get('/api/wallet/client-9');
+  assert.equal(response.body.balance, 600);
+  response = await request(buildApp('client-9')).post(`/api/applications/${walletAppId}/payments/wallet`).send({});
+  assert.equal(response.status, 200);
+  assert.equal(response.body.balance, 100);
+  assert.equal((await collections.applications.findOne({ _id: walletAppId })).paymentMethod, 'WALLET');
+  response = await request(buildApp('client-9')).post(`/api/applications/${walletAppId}/payments/wallet`).send({});
+  assert.equal(response.status, 409);
+  response = await request(buildApp('client-9')).post(`/api/applications/${walletAppId2}/payments/wallet`).send({});
+  assert.equal(response.status, 402);
+  assert.equal((await collections.applications.findOne({ _id: walletAppId2 })).paymentStatus, undefined);
+  const walletRefund = await requestRefund(walletAppId.toString(), { reason: 'Worker cancelled' });
+  assert.equal(walletRefund.refund.method, 'wallet');
+  assert.equal(walletRefund.refund.status, 'COMPLETED');
+  response = await request(buildApp('client-9')).get('/api/wallet/client-9/transactions');
+  assert.equal(response.body.balance, 600);
+  assert.deepEqual(response.body.list.map((t) => t.type).sort(), ['JOB_PAYMENT', 'REFUND', 'TOP_UP']);
+
+  // One job, two gateway sessions: the second open session is refused, and once the first is abandoned a late
+  // success for it is returned to the wallet instead of paying the job twice
+  response = await request(buildApp('client-9')).post(`/api/applications/${walletAppId2}/payments/ssl-init`).send({});
+  const abandonedTranId = response.body.paymentId;
+  response = await request(buildApp('client-9')).post(`/api/applications/${walletAppId2}/payments/ssl-init`).send({});
+  assert.equal(response.status, 409);
+  assert.equal(response.body.paymentId, abandonedTranId);
+  await collections.paymentRequests.updateOne({ _id: new ObjectId(abandonedTranId) }, { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } });
+  response = await request(buildApp('client-9')).post(`/api/applications/${walletAppId2}/payments/ssl-init`).send({});
+  assert.equal(response.status, 200);
+  assert.equal((await collections.paymentRequests.findOne({ _id: new ObjectId(abandonedTranId) })).status, 'CANCELLED');
+  await request(buildApp()).post(`/api/job-payments/ssl-success?tran_id=${response.body.paymentId}`).send({ val_id: mockGateway.complete(response.body.paymentId) });
+  assert.equal((await collections.applications.findOne({ _id: walletAppId2 })).paymentRequestId, response.body.paymentId);
+  response = await request(buildApp()).post('/api/job-payments/ssl-ipn').send({ tran_id: abandonedTranId, val_id: mockGateway.complete(abandonedTranId), status: 'VALID' });
+  assert.equal(response.body.outcome, 'duplicate_payment');
+  assert.equal((await collections.paymentRequests.findOne({ _id: new ObjectId(abandonedTranId) })).status, 'DUPLICATE');
+  assert.notEqual((await collections.applications.findOne({ _id: walletAppId2 })).paymentRequestId, abandonedTranId);
+  assert.equal(await getWalletBalance('client-9'), 1400);
+  // A wallet payment that fails after the debit gives the balance back and lets go of the hold
+  const walletAppId3 = new ObjectId();
+  await collections.applications.insertOne({ _id: walletAppId3, jobId: plumbingJobId.toString(), clientId: 'client-9', workerId: 'worker-9', status: 'accepted', finalPrice: 300 });
+  const insertPaymentRequest = collections.paymentRequests.insertOne;
+  collections.paymentRequests.insertOne = async () => { throw new Error('write failed'); };
+  response = await request(buildApp('client-9')).post(`/api/applications/${walletAppId3}/payments/wallet`).send({});
+  collections.paymentRequests.insertOne = insertPaymentRequest;
+  assert.equal(response.status, 500);
+  assert.equal(await getWalletBalance('client-9'), 1400);
+  assert.equal((await collections.applications.findOne({ _id: walletAppId3 })).paymentStatus, undefined);
+  assert.equal((await collections.transactions.findOne({ type: 'JOB_PAYMENT_REVERSED' })).amount, 300);
+  // A gateway payment landing while a wallet payment holds the job does not pay it
+  response = await request(buildApp('client-9')).post(`/api/applications/${walletAppId3}/payments/ssl-init`).send({});
+  const heldTranId = response.body.paymentId;
+  await collections.applications.updateOne({ _id: walletAppId3 }, { $set: { paymentStatus: 'PROCESSING' } });
+  response = await request(buildApp()).post('/api/job-payments/ssl-ipn').send({ tran_id: heldTranId, val_id: mockGateway.complete(heldTranId), status: 'VALID' });
+  assert.equal(response.body.outcome, 'duplicate_payment');
+  assert.equal((await collections.applications.findOne({ _id: walletAppId3 })).paymentStatus, 'PROCESSING');
+
+  const proPlanId = new ObjectId();
+  collections.subscriptionPlans = createMockCollection([
+    { _id: proPlanId, name: 'Pro', price: 499, interval: 'month', isActive: true, entitlements: { feeDiscountPercent: 50, featuredPlacement: true, monthlyApplicationQuota: 100, verifiedBadge: true } },
+  ]);
+  collections.userSubscriptions = createMockCollection();
+  collections.users = createMockCollection([{ uid: 'worker-4', role: 'worker' }, { uid: 'client-4', role: 'client' }]);
+  response = await request(buildApp('client-4')).post('/api/subscriptions/subscribe').send({ userId: 'client-4', planId: proPlanId.toString() });
+  assert.equal(response.status, 403);
+  const freeFee = (await calculatePlatformFee(1000, { workerId: 'worker-4' })).fee;
+  // Two subscribes at once: only one may open a checkout
+  const subscribeAttempts = await Promise.all([1, 2].map(() => request(buildApp('worker-4')).post('/api/subscriptions/subscribe').send({ userId: 'worker-4', planId: proPlanId.toString() })));
+  assert.deepEqual(subscribeAttempts.map((r) => r.status).sort(), [200, 409]);
+  response = subscribeAttempts.find((r) => r.status === 200);
+  assert.equal(response.body.amount, 499);
+  const subTranId = response.body.paymentId;
+  response = await request(buildApp()).post(`/api/subscription-payments/ssl-success?tran_id=${subTranId}`).send({ val_id: mockGateway.complete(subTranId) });
+  assert.match(response.headers.location, /status=success/);
+  const subscribed = await collections.users.findOne({ uid: 'worker-4' });
+  assert.equal(subscribed.subscription.planName, 'Pro');
+  assert.equal(subscribed.subscriptionCheckoutAt, undefined);
+  const proFee = await calculatePlatformFee(1000, { workerId: 'worker-4' });
+  assert.equal(proFee.source, 'subscription');
+  assert.equal(proFee.fee, freeFee / 2);
+  // The admin preview prices through the same path, subscription discount included
+  const previewApp = buildAdminApp(adminFinanceRouter, { uid: 'admin-1', permissions: ['finance:read'] });
+  response = await request(previewApp).post('/fee-schedules/preview').send({ laborAmount: 1000, workerId: 'worker-4' });
+  assert.deepEqual([response.status, response.body.fee, response.body.source], [200, proFee.fee, 'subscription']);
+  response = await request(previewApp).post('/fee-schedules/preview').send({ rules: DEFAULT_FEE_RULES, laborAmount: 1000, workerId: 'worker-4' });
+  assert.deepEqual([response.status, response.body.source, response.body.discountPercent], [200, 'subscription', 50]);
+  response = await request(buildApp('worker-4')).post('/api/subscriptions/subscribe').send({ userId: 'worker-4', planId: proPlanId.toString() });
+  assert.equal(response.status, 409);
+  response = await request(buildApp('worker-4')).post('/api/subscriptions/cancel').send({ userId: 'worker-4' });
+  assert.equal(response.status, 200);
+  assert.equal((await collections.users.findOne({ uid: 'worker-4' })).subscription.cancelAtPeriodEnd, true);
+  assert.equal(await expireSubscriptions(new Date(subscribed.subscription.currentPeriodEnd.getTime() + 1000)), 1);
+  assert.equal((await collections.users.findOne({ uid: 'worker-4' })).subscription, undefined);
+  assert.equal((await calculatePlatformFee(1000, { workerId: 'worker-4' })).fee, freeFee);
+  // Without a plan there is no monthly application limit unless FREE_MONTHLY_APPLICATION_QUOTA sets one
+  assert.equal((await getWorkerEntitlements('worker-4')).monthlyApplicationQuota, null);
+
+  const earningsRange = resolveEarningsRange({ groupBy: 'week', from: '2026-01-01', to: '2026-02-01' });
+  assert.equal(earningsRange.previous.to.getTime(), earningsRange.from.getTime());
+  assert.equal(earningsRange.previous.from.toISOString(), '2025-12-01T00:00:00.000Z');
+  assert.equal(resolveEarningsRange({ groupBy: 'year' }).error, 'groupBy must be one of day, week, month');
+  assert.equal(bucketKey(new Date('2021-01-03T12:00:00Z'), 'week'), '2020-W53');
+  assert.equal(bucketKey(new Date('2026-10-19T20:00:00Z'), 'day'), '2026-10-20');
+  const earningsRow = { jobs: 1, gross: 1150, labor: 1000, extras: 100, tips: 50, refunded: 0, platformFees: 50, net: 1100 };
+  assert.deepEqual(earningsCsvRows({ series: [{ period: '2026-W01', ...earningsRow }], totals: earningsRow })[2], ['Total', 1, '1150.00', '1000.00', '100.00', '50.00', '0.00', '50.00', '1100.00']);
+
+  const csvApp = express();
+  csvApp.get('/export', (_req, res) => streamCsv(res, 'ledger.csv', [['Created at', 'createdAt'], ['Memo', 'memo'], ['Fee', 'reversal.fee'], ['Worker', (doc) => doc.workerId.toUpperCase()]], [
+    { createdAt: new Date('2026-01-02T03:04:05Z'), memo: 'Fee, "partial"', reversal: { fee: 12.5 }, workerId: 'worker-1' },
+    { createdAt: null, memo: 'Line\nbreak', workerId: 'worker-2' },
+    { createdAt: null, memo: '=HYPERLINK("http://x")', reversal: { fee: -12.5 }, workerId: '@worker-3' },
+  ]));
+  response = await request(csvApp).get('/export');
+  assert.equal(response.headers['content-disposition'], 'attachment; filename="ledger.csv"');
+  assert.equal(response.text, `Created at,Memo,Fee,Worker\n2026-01-02T03:04:05.000Z,"Fee, ""partial""",12.5,WORKER-1\n,"Line\nbreak",,WORKER-2\n,"'=HYPERLINK(""http://x"")",-12.5,'@WORKER-3\n`);
+  assert.deepEqual(Object.keys(FINANCE_REPORTS), ['gmv', 'revenue', 'dues-aging', 'collection-rate', 'payment-split', 'refunds']);
+  assert.equal(resolveReportRange({ from: '2026-02-01', to: '2026-01-01' }).error, 'from must be before to');
+  assert.equal(resolveReportRange({ from: '2026-01-01', to: '2026-02-01' }).groupBy, 'day');
+
+  collections.messages = createMockCollection();
+  collections.attachments = createMockCollection();
+  const photo = await sharp({ create: { width: 800, height: 400, channels: 3, background: '#336699' } }).png().toBuffer();
+  response = await request(buildApp('worker-7')).post('/api/messages/attachments').field('recipientId', 'client-7').attach('file', photo, { filename: 'leak.png', contentType: 'image/png' });
+  assert.equal(response.status, 201);
+  assert.equal(response.body.kind, 'image');
+  assert.deepEqual([response.body.width, response.body.height], [800, 400]);
+  const photoId = response.body._id;
+  assert.equal(response.body.thumbnailUrl, `/api/messages/attachments/${photoId}/thumbnail`);
+  // Voice note: one second of 8 kHz 8-bit mono silence
+  const samples = Buffer.alloc(8000, 128);
+  const wavHeader = Buffer.alloc(44);
+  wavHeader.write('RIFF', 0); wavHeader.writeUInt32LE(36 + samples.length, 4); wavHeader.write('WAVEfmt ', 8);
+  wavHeader.writeUInt32LE(16, 16); wavHeader.writeUInt16LE(1, 20); wavHeader.writeUInt16LE(1, 22); wavHeader.writeUInt32LE(8000, 24);
+  wavHeader.writeUInt32LE(8000, 28); wavHeader.writeUInt16LE(1, 32); wavHeader.writeUInt16LE(8, 34); wavHeader.write('data', 36); wavHeader.writeUInt32LE(samples.length, 40);
+  response = await request(buildApp('worker-7')).post('/api/messages/attachments').field('recipientId', 'client-7').attach('file', Buffer.concat([wavHeader, samples]), { filename: 'note.wav', contentType: 'audio/wav' });
+  assert.equal(response.status, 201);
+  assert.equal(response.body.durationSec, 1);
+  const noteId = response.body._id;
+  response = await request(buildApp('worker-7')).post('/api/messages/attachments').field('recipientId', 'client-7').attach('file', Buffer.from('<script></script>'), { filename: 'x.html', contentType: 'text/html' });
+  assert.equal(response.status, 415);
+  response = await request(buildApp('worker-7')).post('/api/messages/attachments').field('recipientId', 'client-7').attach('file', Buffer.from('not a png'), { filename: 'fake.png', contentType: 'image/png' });
+  assert.equal(response.status, 422);
+  assert.equal((await collections.attachments.find({}).toArray()).length, 2);
+
+  response = await request(buildApp('client-8')).get(`/api/messages/attachments/${photoId}`);
+  assert.equal(response.status, 403);
+  response = await request(buildApp('client-7')).get(`/api/messages/attachments/${photoId}/thumbnail`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers['content-type'], 'image/webp');
+  assert.equal((await sharp(response.body).metadata()).width, 320);
+
+  response = await request(buildApp('client-7')).post('/api/messages').send({ recipientId: 'worker-7', attachmentIds: [photoId] });
+  assert.equal(response.status, 400);
+  response = await request(buildApp('worker-7')).post('/api/messages').send({ recipientId: 'client-7', message: 'Before and voice note', attachmentIds: [photoId, noteId] });
+  assert.equal(response.status, 201);
+  assert.deepEqual(response.body.attachments.map((a) => a.kind), ['image', 'audio']);
+  assert.equal((await collections.attachments.findOne({ _id: new ObjectId(noteId) })).messageId, String(response.body._id));
+  response = await request(buildApp('worker-7')).post('/api/messages').send({ recipientId: 'client-7', attachmentIds: [noteId] });
+  assert.equal(response.status, 400);
+
+  const chatMessageId = String((await collections.messages.findOne({ senderId: 'worker-7' }))._id);
+  assert.equal((await collections.messages.findOne({ senderId: 'worker-7' })).status, 'sent');
+  response = await request(buildApp('client-7')).patch(`/api/messages/${chatMessageId}`).send({ message: 'Hijacked' });
+  assert.equal(response.status, 403);
+  response = await request(buildApp('worker-7')).patch(`/api/messages/${chatMessageId}`).send({ message: 'Before photo and voice note' });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.message, 'Before photo and voice note');
+  assert.equal(response.body.editHistory[0].message, 'Before and voice note');
+  const lateEdit = await editMessage(chatMessageId, { userId: 'worker-7', message: 'Too late' }, new Date(Date.now() + MESSAGE_EDIT_WINDOW_MS + 1000));
+  assert.equal(lateEdit.status, 409);
+  const systemMessage = await sendSystemMessage('client-7_worker-7', 'client-7', 'worker-7', null, 'Job accepted');
+  assert.equal((await editMessage(String(systemMessage._id), { userId: 'client-7', message: 'Edited' })).status, 403);
+  response = await request(buildApp('worker-7')).patch('/api/messages/delivered').send({ messageIds: [chatMessageId] });
+  assert.equal(response.body.updated, 0);
+  response = await request(buildApp('client-7')).patch('/api/messages/delivered').send({ messageIds: [chatMessageId, String(systemMessage._id)] });
+  assert.equal(response.body.updated, 1);
+  assert.equal((await collections.messages.findOne({ _id: new ObjectId(chatMessageId) })).status, 'delivered');
+  response = await request(buildApp('client-7')).patch('/api/messages/read').send({ conversationId: 'client-7_worker-7' });
+  assert.equal(response.body.updated, 1);
+  assert.equal((await collections.messages.findOne({ _id: new ObjectId(chatMessageId) })).status, 'read');
+  response = await request(buildApp('worker-7')).delete(`/api/messages/${chatMessageId}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.message, '');
+  assert.deepEqual([response.body.attachments, response.body.editHistory], [[], []]);
+  response = await request(buildApp('client-7')).get(`/api/messages/attachments/${photoId}`);
+  assert.equal(response.status, 404);
+  assert.equal(fs.existsSync(attachmentPath((await collections.attachments.findOne({ _id: new ObjectId(photoId) })).storageName)), false);
+  response = await request(buildApp('worker-7')).patch(`/api/messages/${chatMessageId}`).send({ message: 'Back again' });
+  assert.equal(response.status, 410);
+
+  await collections.users.insertOne({ uid: 'worker-7', role: 'worker', displayName: 'Rahim Uddin', profileCover: '/uploads/rahim.jpg' });
+  await collections.users.insertOne({ uid: 'worker-8', role: 'worker', firstName: 'Karim', lastName: 'Mia' });
+  const chatJobId = new ObjectId();
+  await collections.browseJobs.insertOne({ _id: chatJobId, title: 'Fix kitchen sink', status: 'active', category: 'Plumbing' });
+  response = await request(buildApp('client-7')).post('/api/messages').send({ recipientId: 'worker-8', jobId: String(chatJobId), message: 'Can you come tomorrow?' });
+  assert.equal(response.status, 201);
+  response = await request(buildApp('worker-7')).get('/api/messages/conversations');
+  assert.equal(response.body.list.length, 1);
+  assert.equal(response.body.list[0].unreadCount, 1);
+  assert.equal(response.body.list[0].lastMessage.text, 'Job accepted');
+  response = await request(buildApp('client-7')).get('/api/messages/conversations').query({ limit: 1 });
+  assert.equal(response.body.list[0].conversationId, `${chatJobId}_client-7_worker-8`);
+  assert.deepEqual(response.body.list[0].job, { _id: String(chatJobId), title: 'Fix kitchen sink', status: 'active', category: 'Plumbing' });
+  assert.equal(response.body.list[0].participant.name, 'Karim Mia');
+  assert.equal(response.body.totalUnread, 0);
+  response = await request(buildApp('client-7')).get('/api/messages/conversations').query({ limit: 1, cursor: response.body.nextCursor });
+  assert.equal(response.body.list[0].participant.name, 'Rahim Uddin');
+  assert.equal(response.body.nextCursor, null);
+  response = await request(buildApp('client-7')).get('/api/messages/conversations').query({ q: 'rahim' });
+  assert.deepEqual(response.body.list.map((c) => c.conversationId), ['client-7_worker-7']);
+  // Rahim exists, but worker-8 never chatted with him
+  response = await request(buildApp('worker-8')).get('/api/messages/conversations').query({ q: 'rahim' });
+  assert.deepEqual(response.body.list, []);
+  response = await request(buildApp('worker-8')).get('/api/messages/conversations');
+  assert.equal(response.body.totalUnread, 1);
+
+  const history = [];
+  for (let i = 1; i <= 6; i++) {
+    const { insertedId } = await collections.messages.insertOne({ conversationId: 'client-9_worker-9', senderId: 'worker-9', recipientId: 'client-9', message: `Update ${i}`, read: false, status: 'sent', createdAt: new Date(`2026-01-01T00:0${i}:00Z`) });
+    history.push(String(insertedId));
+  }
+  response = await request(buildApp('client-9')).get('/api/messages/conversation/client-9_worker-9').query({ limit: 4 });
+  assert.deepEqual(response.body.messages.map((m) => m.message), ['Update 3', 'Update 4', 'Update 5', 'Update 6']);
+  response = await request(buildApp('client-9')).get('/api/messages/conversation/client-9_worker-9').query({ limit: 4, before: response.body.nextCursor });
+  assert.deepEqual(response.body.messages.map((m) => m.message), ['Update 1', 'Update 2']);
+  assert.equal(response.body.nextCursor, null);
+  assert.equal(await collections.messages.countDocuments({ conversationId: 'client-9_worker-9', read: false }), 6);
+  // Older clients send no paging params and still get the plain array, oldest first
+  response = await request(buildApp('client-9')).get('/api/messages/conversation/client-9_worker-9').query({ userId: 'client-9' });
+  assert.ok(Array.isArray(response.body));
+  assert.deepEqual(response.body.map((m) => m.message), ['Update 1', 'Update 2', 'Update 3', 'Update 4', 'Update 5', 'Update 6']);
+  response = await request(buildApp('client-8')).get('/api/messages/conversation/client-9_worker-9');
+  assert.equal(response.status, 403);
+  response = await request(buildApp('client-9')).post('/api/messages/conversation/client-9_worker-9/read').send({ upTo: history[2] });
+  assert.equal(response.body.updated, 3);
+  response = await request(buildApp('client-9')).get('/api/messages/conversation/client-9_worker-9').query({ since: '2026-01-01T00:04:30Z' });
+  assert.deepEqual(response.body.messages.map((m) => m.message), ['Update 1', 'Update 2', 'Update 3', 'Update 5', 'Update 6']);
+  response = await request(buildApp('client-9')).get('/api/messages/conversation/client-9_worker-9').query({ since: 'yesterday-ish' });
+  assert.equal(response.status, 400);
+
+  // A block cuts both users off from each other until it is lifted
+  collections.jobs = createMockCollection();
+  await collections.users.insertOne({ uid: 'client-b', role: 'client', displayName: 'Careful Client' });
+  await collections.users.insertOne({ uid: 'worker-b', role: 'worker', displayName: 'Pushy Worker' });
+  response = await request(buildApp('client-b')).post('/api/users/client-b/blocks').send({ blockedId: 'client-b' });
+  assert.equal(response.status, 400);
+  response = await request(buildApp('worker-b')).post('/api/users/client-b/blocks').send({ blockedId: 'worker-b' });
+  assert.equal(response.status, 403);
+  response = await request(buildApp('client-b')).post('/api/users/client-b/blocks').send({ blockedId: 'worker-b', reason: 'Keeps messaging at night' });
+  assert.equal(response.status, 201);
+  response = await request(buildApp('client-b')).post('/api/users/client-b/blocks').send({ blockedId: 'worker-b' });
+  assert.equal(response.status, 200);
+  response = await request(buildApp('client-b')).get('/api/users/client-b/blocks');
+  assert.deepEqual(response.body.list.map((b) => [b.uid, b.name]), [['worker-b', 'Pushy Worker']]);
+  response = await request(buildApp('worker-b')).post('/api/messages').send({ senderId: 'worker-b', recipientId: 'client-b', message: 'Hello?' });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.code, 'USER_BLOCKED');
+  response = await request(buildApp('client-b')).post('/api/browse-jobs').send({ clientId: 'client-b', title: 'Paint the fence', isPrivate: true, targetWorkerId: 'worker-b', conversationId: 'profile_worker-b' });
+  assert.equal(response.status, 403);
+  response = await request(buildApp('worker-b')).post('/api/worker-job-requests').send({ workerId: 'worker-b', clientId: 'client-b', conversationId: 'client-b_worker-b', title: 'Fence', description: 'I can paint it', category: 'Painting' });
+  assert.equal(response.status, 403);
+  response = await request(buildApp('worker-b')).get('/api/browse-clients').query({ limit: 50 });
+  assert.ok(!response.body.some((c) => c.uid === 'client-b'));
+  response = await request(buildApp('client-b')).get('/api/browse-workers').query({ limit: 50 });
+  assert.ok(!response.body.some((w) => w.uid === 'worker-b'));
+  response = await request(buildApp()).get('/api/browse-workers').query({ limit: 50 });
+  assert.ok(response.body.some((w) => w.uid === 'worker-b'));
+  response = await request(buildApp('client-b')).delete('/api/users/client-b/blocks/worker-b');
+  assert.equal(response.status, 200);
+  response = await request(buildApp('client-b')).delete('/api/users/client-b/blocks/worker-b');
+  assert.equal(response.status, 404);
+  response = await request(buildApp('worker-b')).post('/api/messages').send({ senderId: 'worker-b', recipientId: 'client-b', message: 'Sorry about that' });
+  assert.equal(response.status, 201);
+
+  // Identity: the owner view, sync, legacy job posts, offer history and worker job requests belong to their parties
+  response = await request(buildApp('worker-b')).get('/api/users/client-b');
+  assert.equal(response.status, 403);
+  response = await request(buildApp('worker-b')).get('/api/users/client-b/public');
+  assert.equal(response.body.displayName, 'Careful Client');
+  response = await request(buildApp('client-b')).get('/api/users/client-b');
+  assert.equal(response.body.uid, 'client-b');
+  response = await request(buildApp('worker-b')).post('/api/auth/sync').send({ uid: 'client-b' });
+  assert.equal(response.status, 403);
+  response = await request(buildApp('client-c')).post('/api/auth/sync').send({ email: 'C@Example.com', role: 'client' });
+  assert.deepEqual([response.body.uid, response.body.role, response.body.email], ['client-c', 'client', 'c@example.com']);
+  response = await request(buildApp('worker-b')).post('/api/jobs').send({ clientId: 'client-b', title: 'Fake job' });
+  assert.equal(response.status, 403);
+  const { insertedId: historyJobId } = await collections.browseJobs.insertOne({ clientId: 'client-1', targetWorkerId: 'worker-1', title: 'Tile the bathroom', isPrivate: true, offerStatus: 'pending', createdAt: new Date() });
+  response = await request(buildApp('worker-1')).get(`/api/job-offer-history/${historyJobId}`);
+  assert.equal(response.status, 200);
+  response = await request(buildApp('worker-b')).get(`/api/job-offer-history/${historyJobId}`);
+  assert.equal(response.status, 403);
+  response = await request(buildApp('worker-b')).get(`/api/job-offers/${historyJobId}`);
+  assert.equal(response.status, 403);
+  response = await request(buildApp('client-1')).get(`/api/job-offers/${historyJobId}`);
+  assert.equal(response.body.title, 'Tile the bathroom');
+  response = await request(buildApp('client-b')).get('/api/worker-job-requests').query({ workerId: 'worker-1' });
+  assert.equal(response.status, 403);
+  await collections.workerJobRequests.insertOne({ workerId: 'worker-b', clientId: 'client-b', conversationId: 'client-b_worker-b', status: 'pending', createdAt: new Date() });
+  await collections.workerJobRequests.insertOne({ workerId: 'worker-1', clientId: 'client-1', conversationId: 'client-1_worker-1', status: 'pending', createdAt: new Date() });
+  response = await request(buildApp('client-b')).get('/api/worker-job-requests');
+  assert.deepEqual(response.body.map((r) => r.workerId), ['worker-b']);
+
+  // The legacy client routes cannot finish a job on their own: the worker still has to confirm, then it settles
+  const { insertedId: legacyAppId } = await collections.applications.insertOne({ jobId: plumbingJobId.toString(), clientId: 'client-l', workerId: 'worker-l', status: 'accepted', finalPrice: 600, createdAt: new Date() });
+  response = await request(buildApp('client-l')).put(`/api/applications/${legacyAppId}`).send({ status: 'completed' });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, 'accepted');
+  assert.ok(response.body.completedByClientAt);
+  response = await request(buildApp('client-l')).post('/api/applications/update-status').send({ applicationId: String(legacyAppId), status: 'completed' });
+  assert.equal(response.body.status, 'accepted');
+  response = await request(buildApp('worker-l')).patch(`/api/applications/${legacyAppId}/status`).send({ status: 'completed', actorRole: 'worker' });
+  assert.equal(response.body.status, 'completed');
+  assert.equal((await collections.applications.findOne({ _id: legacyAppId })).settlementStatus, 'SETTLED');
+
+  // A blocked pair cannot get an application accepted through the legacy routes either
+  const { insertedId: blockedAppId } = await collections.applications.insertOne({ jobId: plumbingJobId.toString(), clientId: 'client-l', workerId: 'worker-m', status: 'pending', finalPrice: 600, createdAt: new Date() });
+  await collections.blockedUsers.insertOne({ blockerId: 'worker-m', blockedId: 'client-l', reason: '', createdAt: new Date() });
+  response = await request(buildApp('client-l')).put(`/api/applications/${blockedAppId}`).send({ status: 'accepted' });
+  assert.deepEqual([response.status, response.body.code], [403, 'USER_BLOCKED']);
+  response = await request(buildApp('client-l')).post('/api/applications/update-status').send({ applicationId: String(blockedAppId), status: 'accepted' });
+  assert.deepEqual([response.status, response.body.code], [403, 'USER_BLOCKED']);
+  assert.equal((await collections.applications.findOne({ _id: blockedAppId })).status, 'pending');
+
+  collections.notifications = createMockCollection();
+  collections.jobOfferReminders = createMockCollection();
+  const reminderNow = new Date();
+  const { insertedId: remindJobId } = await collections.browseJobs.insertOne({ clientId: 'client-1', targetWorkerId: 'worker-1', title: 'Fix the gate', isPrivate: true, offerStatus: 'pending', expiresAt: new Date(reminderNow.getTime() + 3 * 60 * 60 * 1000), createdAt: reminderNow });
+  const { insertedId: dueReminderId } = await collections.jobOfferReminders.insertOne({ jobId: remindJobId.toString(), workerId: 'worker-1', reminderAt: new Date(reminderNow.getTime() - 1000), createdAt: reminderNow });
+  await collections.jobOfferReminders.insertOne({ jobId: remindJobId.toString(), workerId: 'worker-1', reminderAt: new Date(reminderNow.getTime() + 60 * 60 * 1000), createdAt: reminderNow });
+  // Overlapping runs claim the due row once; the later one waits for its time
+  const reminderRuns = await Promise.all([processDueReminders(reminderNow), processDueReminders(reminderNow)]);
+  assert.deepEqual(reminderRuns.sort(), [0, 1]);
+  assert.equal(await processDueReminders(reminderNow), 0);
+  assert.equal((await collections.jobOfferReminders.findOne({ _id: dueReminderId })).deliveryStatus, 'sent');
+  assert.equal((await collections.jobOfferReminders.find({ deliveredAt: { $exists: false } }).toArray()).length, 1);
+  // The automatic expiry warning goes out once per offer
+  assert.equal(await processExpiringOffers(reminderNow), 1);
+  assert.equal(await processExpiringOffers(new Date(reminderNow.getTime() + 60 * 1000)), 0);
+  assert.ok((await collections.browseJobs.findOne({ _id: remindJobId })).expiryReminderSentAt);
+  assert.equal((await collections.notifications.find({ userId: 'worker-1', jobId: remindJobId.toString() }).toArray()).length, 2);
+
+  collections.adminAuditLog = createMockCollection();
+  const financeReader = { uid: 'admin-2', permissions: ['finance:read'] };
+  response = await request(buildAdminApp(adminFinanceRouter, financeReader)).post(`/refunds/${new ObjectId()}/refresh`);
+  assert.equal(response.status, 403);
+  assert.deepEqual([response.body.code, response.body.required], ['ADMIN_PERMISSION_DENIED', ['finance:write']]);
+  response = await request(buildAdminApp(adminFinanceRouter, financeReader)).get('/transactions');
+  assert.equal(response.status, 200);
+  response = await request(buildAdminApp(adminFinanceRouter, { uid: 'admin-3', permissions: ['finance:*'] })).post(`/refunds/${new ObjectId()}/refresh`);
+  assert.equal(response.status, 404);
+  // Gateway requests keep their callback state; only manual provider requests can be moved by hand
+  const financeWriterApp = buildAdminApp(adminFinanceRouter, { uid: 'admin-3', permissions: ['finance:write'] });
+  const { insertedId: gatewayRequestId } = await collections.paymentRequests.insertOne({ purpose: 'JOB_PAYMENT', gateway: 'mock', status: 'VERIFIED', amount: 100, createdAt: new Date() });
+  response = await request(financeWriterApp).patch(`/payment-requests/${gatewayRequestId}`).send({ status: 'rejected' });
+  assert.equal(response.status, 409);
+  assert.equal((await collections.paymentRequests.findOne({ _id: gatewayRequestId })).status, 'VERIFIED');
+  response = await request(financeWriterApp).post('/payment-requests').send({ providerId: 'worker-1', amount: 200, reason: 'Manual payout' });
+  const manualRequestId = response.body.id;
+  response = await request(financeWriterApp).patch(`/payment-requests/${manualRequestId}`).send({ status: 'approved' });
+  assert.deepEqual(response.body, { ok: true, status: 'approved' });
+  response = await request(buildAdminApp(adminDashboardRouter, financeReader)).get('/permissions');
+  assert.equal(response.body.wildcard, '*');
+  assert.ok(response.body.list.some((p) => p.key === 'finance:write' && p.group === 'finance'));
+
+  collections.settlements = createMockCollection();
+  collections.payoutItems = createMockCollection();
+  await collections.users.insertOne({ uid: 'payout-1', role: 'worker', firstName: 'Rahim', payoutWalletProvider: 'bkash', payoutWalletNumber: '+8801711111111' });
+  await collections.users.insertOne({ uid: 'payout-2', role: 'worker', firstName: 'Karim', payoutWalletProvider: 'bkash', payoutWalletNumber: '01722222222' });
+  await postLedgerTransaction('JOB_PAYMENT_RECEIVED', { workerId: 'payout-1', amount: 500 });
+  await postLedgerTransaction('PLATFORM_FEE_DUE', { workerId: 'payout-1', amount: 40 });
+  await postLedgerTransaction('JOB_PAYMENT_RECEIVED', { workerId: 'payout-2', amount: 300 });
+  const payoutApp = buildAdminApp(adminFinanceRouter, { uid: 'admin-4', permissions: ['finance:*'] });
+  // Dues are offset from the payable first; the rest is reserved until the transfer is confirmed
+  response = await request(payoutApp).post('/payouts/batches').send({ provider: 'bkash', workerIds: ['payout-1', 'payout-2'] });
+  assert.equal(response.status, 201);
+  assert.deepEqual([response.body.batch.itemCount, response.body.batch.amount, response.body.batch.dueOffsetAmount], [2, 760, 40]);
+  const payoutBatchId = response.body.batch._id;
+  const [rahimItem, karimItem] = response.body.items;
+  assert.deepEqual([rahimItem.workerId, rahimItem.amount, rahimItem.dueOffset], ['payout-1', 460, 40]);
+  assert.equal(await getAccountBalance('worker_payable', 'payout-1'), 0);
+  assert.equal(await getAccountBalance('worker_due', 'payout-1'), 0);
+  assert.equal((await collections.users.findOne({ uid: 'payout-1' })).dueBalance, 0);
+  assert.deepEqual((await collections.ledgers.find({ type: 'PAYOUT_RESERVED', account: 'payout_clearing', workerId: 'payout-2' }).toArray()).map((leg) => leg.amount), [300]);
+  response = await request(payoutApp).post('/payouts/batches').send({ provider: 'bkash', workerIds: ['payout-1', 'payout-2'] });
+  assert.equal(response.status, 400);
+
+  response = await request(payoutApp).get(`/payouts/batches/${payoutBatchId}/export`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers['content-disposition'], /bkash-payouts-PB-\d{8}-[0-9A-F]{6}\.csv/);
+  const payoutRows = response.text.trim().split('\n').map((line) => line.split(','));
+  assert.deepEqual(payoutRows[0], ['SL', 'Wallet Number', 'Amount', 'Reference']);
+  assert.deepEqual(payoutRows.slice(1).map((row) => row.slice(0, 3)), [['1', '01711111111', '460.00'], ['2', '01722222222', '300.00']]);
+  assert.equal((await collections.settlements.findOne({ _id: new ObjectId(payoutBatchId) })).status, 'exported');
+
+  response = await request(payoutApp).post(`/payouts/batches/${payoutBatchId}/items/mark`).send({ status: 'sent', itemIds: [rahimItem._id], reference: 'BK-1' });
+  assert.deepEqual([response.body.resolved, response.body.status], [1, 'exported']);
+  assert.equal((await collections.ledgers.find({ type: 'PAYOUT_SENT', workerId: 'payout-1', account: 'platform_cash' }).toArray()).length, 1);
+  response = await request(payoutApp).post(`/payouts/batches/${payoutBatchId}/items/mark`).send({ status: 'failed' });
+  assert.equal(response.status, 400);
+  response = await request(payoutApp).post(`/payouts/batches/${payoutBatchId}/items/mark`).send({ status: 'failed', reason: 'Wallet closed' });
+  assert.deepEqual([response.body.resolved, response.body.status], [1, 'partially_failed']);
+  // A failed transfer goes back to the worker's payable; the sent one stays paid out
+  assert.equal(await getAccountBalance('worker_payable', 'payout-2'), 300);
+  assert.equal(await getAccountBalance('worker_payable', 'payout-1'), 0);
+  assert.equal((await collections.payoutItems.findOne({ _id: new ObjectId(karimItem._id) })).failureReason, 'Wallet closed');
+  response = await request(payoutApp).post(`/payouts/batches/${payoutBatchId}/items/mark`).send({ status: 'sent' });
+  assert.equal(response.body.resolved, 0);
+  assert.equal((await collections.ledgers.find({ type: 'PAYOUT_REVERSED', workerId: 'payout-2', account: 'worker_payable' }).toArray()).length, 1);
+
+  for (const doc of await collections.attachments.find({ deletedAt: { $exists: false } }).toArray()) {
+    for (const name of [doc.storageName, doc.thumbnailName].filter(Boolean)) fs.unlinkSync(attachmentPath(name));
+  }
+
   console.log('Server smoke checks passed.');
 }
 
@@ -0,0 +1,185 @@
+// utils/attachments.js — Chat attachments: type and size rules, image thumbnails, voice-note duration, message linking
+const path = require('path');
+const fs = require('fs');
+const { ObjectId } = require('mongodb');
+const sharp = require('sharp');
+const { parseFile } = require('music-metadata');
+const { collections } = require('../config/db');
+const { getConversationId } = require('./helpers');
+
+/**
+ * attachments collection:
+ *   conversationId, senderId, recipientId, jobId — set at upload; only these two users can read the file
+ *   kind ('image' | 'audio' | 'file'), mimeType, name, size, storageName, thumbnailName,
+ *   width/height (images), durationSec (audio), messageId (null until sent with a message), createdAt,
+ *   deletedAt (the message was unsent and the files removed)
+ *
+ * Files live outside the public /uploads folder and are only served through
+ * GET /api/messages/attachments/:id (and /thumbnail) after a participant check.
+ */
+const attachmentsDir = path.join(__dirname, '..', 'attachments');
+if (!fs.existsSync(attachmentsDir)) fs.mkdirSync(attachmentsDir, { recursive: true });
+
+const MB = 1024 * 1024;
+const ATTACHMENT_KINDS = {
+  image: { maxBytes: 10 * MB, types: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'] },
+  audio: { maxBytes: 10 * MB, maxDurationSec: 5 * 60, types: ['audio/mpeg', 'audio/mp4', 'audio/x-m4a', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/wav', 'audio/x-wav'] },
+  file: {
+    maxBytes: 20 * MB,
+    types: [
+      'application/pdf',
+      'text/plain',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+  },
+};
+const MAX_ATTACHMENT_BYTES = Math.max(...Object.values(ATTACHMENT_KINDS).map((k) => k.maxBytes));
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const THUMBNAIL_SIZE = 320;
+
+function attachmentKind(mimeType) {
+  const type = String(mimeType || '').toLowerCase();
+  return Object.keys(ATTACHMENT_KINDS).find((kind) => ATTACHMENT_KINDS[kind].types.includes(type)) || null;
+}
+
+const attachmentPath = (name) => path.join(attachmentsDir, path.basename(name));
+const removeFile = (name) => (name ? fs.promises.unlink(attachmentPath(name)).catch(() => {}) : Promise.resolve());
+
+// Keep the client's file name for downloads, minus path parts and control characters
+const cleanName = (name) => path.basename(String(name || 'file')).replace(/[\u0000-\u001f"\\]/g, '').slice(0, 200) || 'file';
+
+// What clients see on a message or after an upload
+function attachmentView(doc) {
+  const id = String(doc._id);
+  return {
+    _id: id,
+    kind: doc.kind,
+    mimeType: doc.mimeType,
+    name: doc.name,
+    size: doc.size,
+    width: doc.width ?? null,
+    height: doc.height ?? null,
+    durationSec: doc.durationSec ?? null,
+    url: `/api/messages/attachments/${id}`,
+    thumbnailUrl: doc.thumbnailName ? `/api/messages/attachments/${id}/thumbnail` : null,
+  };
+}
+
+async function describeImage(file) {
+  const meta = await sharp(file.path).metadata();
+  const thumbnailName = `${file.filename}-thumb.webp`;
+  await sharp(file.path)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toFile(attachmentPath(thumbnailName));
+  // EXIF orientations 5-8 are rotated 90°, so the displayed image is the other way round
+  const turned = meta.orientation >= 5;
+  return { width: turned ? meta.height : meta.width, height: turned ? meta.width : meta.height, thumbnailName };
+}
+
+async function describeAudio(file) {
+  const { format } = await parseFile(file.path, { duration: true });
+  const durationSec = Number(format.duration);
+  if (!Number.isFinite(durationSec) || durationSec <= 0) return null;
+  return { durationSec: Math.round(durationSec * 10) / 10 };
+}
+
+/**
+ * Validate an uploaded file (multer disk file) and record it for a conversation between senderId and
+ * recipientId. The file is removed again when it is rejected.
+ * @returns {Promise<{ status: number, attachment?: object, error?: string }>}
+ */
+async function storeAttachment(file, { senderId, recipientId, jobId = null }) {
+  const reject = async (status, error, extra = null) => {
+    await Promise.all([removeFile(file.filename), removeFile(extra)]);
+    return { status, error };
+  };
+  const kind = attachmentKind(file.mimetype);
+  if (!kind) return reject(415, 'Unsupported file type');
+  const rules = ATTACHMENT_KINDS[kind];
+  if (file.size > rules.maxBytes) return reject(413, `${kind === 'file' ? 'Files' : kind === 'image' ? 'Images' : 'Voice notes'} can be at most ${rules.maxBytes / MB} MB`);
+  if (!file.size) return reject(400, 'The file is empty');
+
+  let details = {};
+  if (kind === 'image') {
+    try {
+      details = await describeImage(file);
+    } catch (err) {
+      return reject(422, 'The image could not be read', `${file.filename}-thumb.webp`);
+    }
+  } else if (kind === 'audio') {
+    details = await describeAudio(file).catch(() => null);
+    if (!details) return reject(422, 'The audio file could not be read');
+    if (details.durationSec > rules.maxDurationSec) return reject(422, `Voice notes can be at most ${rules.maxDurationSec / 60} minutes long`);
+  }
+
+  const doc = {
+    conversationId: getConversationId(senderId, recipientId, jobId),
+    senderId: String(senderId),
+    recipientId: String(recipientId),
+    jobId: jobId ? String(jobId) : null,
+    kind,
+    mimeType: String(file.mimetype).toLowerCase(),
+    name: cleanName(file.originalname),
+    size: file.size,
+    storageName: file.filename,
+    thumbnailName: details.thumbnailName || null,
+    width: details.width ?? null,
+    height: details.height ?? null,
+    durationSec: details.durationSec ?? null,
+    messageId: null,
+    createdAt: new Date(),
+  };
+  const { insertedId } = await collections.attachments.insertOne(doc);
+  return { status: 201, attachment: { _id: insertedId, ...doc } };
+}
+
+/**
+ * Attachments the sender uploaded for this conversation and has not sent yet, in the order given.
+ * @returns {Promise<{ attachments: object[] } | { status: number, error: string }>}
+ */
+async function loadUnsentAttachments(attachmentIds, { senderId, conversationId }) {
+  if (attachmentIds === undefined || attachmentIds === null) return { attachments: [] };
+  const ids = [...new Set((Array.isArray(attachmentIds) ? attachmentIds : [attachmentIds]).map(String))];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) return { status: 400, error: `A message can carry at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments` };
+  if (!ids.every((id) => ObjectId.isValid(id))) return { status: 400, error: 'Invalid attachment id' };
+  const docs = await collections.attachments
+    .find({ _id: { $in: ids.map((id) => new ObjectId(id)) }, senderId: String(senderId), conversationId: String(conversationId), messageId: null })
+    .toArray();
+  if (docs.length !== ids.length) return { status: 400, error: 'Attachments must be your own unsent uploads for this conversation' };
+  return { attachments: ids.map((id) => docs.find((d) => String(d._id) === id)) };
+}
+
+async function linkAttachments(attachments, messageId) {
+  for (const doc of attachments) {
+    await collections.attachments.updateOne({ _id: doc._id, messageId: null }, { $set: { messageId: String(messageId) } });
+  }
+}
+
+// Unsent message: its files go for both sides
+async function discardMessageAttachments(messageId) {
+  const docs = await collections.attachments.find({ messageId: String(messageId), deletedAt: { $exists: false } }).toArray();
+  for (const doc of docs) {
+    await Promise.all([removeFile(doc.storageName), removeFile(doc.thumbnailName)]);
+    await collections.attachments.updateOne({ _id: doc._id }, { $set: { deletedAt: new Date() } });
+  }
+  return docs.length;
+}
+
+module.exports = {
+  attachmentsDir,
+  ATTACHMENT_KINDS,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  attachmentKind,
+  attachmentPath,
+  attachmentView,
+  storeAttachment,
+  loadUnsentAttachments,
+  linkAttachments,
+  discardMessageAttachments,
+};
@@ -0,0 +1,80 @@
+// utils/blocks.js — User blocks: block/unblock, and the checks that keep blocked pairs apart
+const { collections } = require('../config/db');
+
+/**
+ * blockedUsers collection, one doc per direction:
+ *   blockerId, blockedId, reason (optional, only shown to admins), createdAt
+ *
+ * A block works both ways: while either user has blocked the other they cannot message each other,
+ * send or accept private job offers, apply to each other's jobs, or see each other in browse results.
+ */
+const REASON_MAX_LENGTH = 500;
+const BLOCKED_MESSAGE = 'You cannot interact with this user';
+
+const displayName = (u, fallback) => u?.displayName || [u?.firstName, u?.lastName].filter(Boolean).join(' ') || fallback;
+
+/**
+ * @returns {Promise<{ status: number, block?: object, error?: string }>}
+ */
+async function blockUser(blockerId, blockedId, { reason } = {}) {
+  const blocker = String(blockerId || '').trim();
+  const blocked = String(blockedId || '').trim();
+  if (!blocker || !blocked) return { status: 400, error: 'blockerId and blockedId are required' };
+  if (blocker === blocked) return { status: 400, error: 'You cannot block yourself' };
+  const target = await collections.users.findOne({ uid: blocked });
+  if (!target) return { status: 404, error: 'User not found' };
+
+  const existing = await collections.blockedUsers.findOne({ blockerId: blocker, blockedId: blocked });
+  if (existing) return { status: 200, block: existing };
+  const doc = { blockerId: blocker, blockedId: blocked, reason: String(reason || '').trim().slice(0, REASON_MAX_LENGTH), createdAt: new Date() };
+  try {
+    const { insertedId } = await collections.blockedUsers.insertOne(doc);
+    return { status: 201, block: { _id: insertedId, ...doc } };
+  } catch (err) {
+    // Two block requests raced; the first one won
+    if (err.code === 11000) return { status: 200, block: await collections.blockedUsers.findOne({ blockerId: blocker, blockedId: blocked }) };
+    throw err;
+  }
+}
+
+async function unblockUser(blockerId, blockedId) {
+  const { deletedCount } = await collections.blockedUsers.deleteOne({ blockerId: String(blockerId), blockedId: String(blockedId) });
+  return deletedCount > 0 ? { status: 200 } : { status: 404, error: 'User is not blocked' };
+}
+
+// The people a user has blocked, newest first, with enough profile to show an "Unblock" list
+async function listBlockedUsers(blockerId) {
+  const blocks = await collections.blockedUsers.find({ blockerId: String(blockerId) }).sort({ createdAt: -1 }).toArray();
+  const ids = blocks.map((b) => b.blockedId);
+  const users = ids.length ? await collections.users.find({ uid: { $in: ids } }).project({ uid: 1, displayName: 1, firstName: 1, lastName: 1, profileCover: 1, role: 1 }).toArray() : [];
+  return blocks.map((b) => {
+    const u = users.find((x) => String(x.uid) === b.blockedId);
+    return { uid: b.blockedId, name: displayName(u, 'User'), profileCover: u?.profileCover || '', role: u?.role || null, blockedAt: b.createdAt };
+  });
+}
+
+// Has either user blocked the other?
+async function isBlockedBetween(uidA, uidB) {
+  if (!uidA || !uidB) return false;
+  const a = String(uidA);
+  const b = String(uidB);
+  const block = await collections.blockedUsers.findOne({ $or: [{ blockerId: a, blockedId: b }, { blockerId: b, blockedId: a }] });
+  return Boolean(block);
+}
+
+// Everyone on the other side of a block with this user, in either direction
+async function blockedCounterparts(uid) {
+  if (!uid) return [];
+  const id = String(uid);
+  const blocks = await collections.blockedUsers.find({ $or: [{ blockerId: id }, { blockedId: id }] }).project({ blockerId: 1, blockedId: 1 }).toArray();
+  return [...new Set(blocks.map((b) => (b.blockerId === id ? b.blockedId : b.blockerId)))];
+}
+
+module.exports = {
+  BLOCKED_MESSAGE,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  isBlockedBetween,
+  blockedCounterparts,
+};
@@ -0,0 +1,240 @@
+// utils/cashCollections.js — On-site cash payments confirmed by both parties, and field agents' deposits reconciled against collections
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { createNotification } = require('./notifications');
+const { postLedgerTransaction } = require('./ledger');
+const { issueDueReceipt } = require('./invoices');
+
+/**
+ * cashCollections collection, one document per cash handover:
+ *   kind 'JOB_PAYMENT'       — a client paid a worker in cash on site
+ *     applicationId, jobId, workerId, clientId, expectedAmount, reportedAmount, confirmedAmount, amount
+ *     status: REPORTED (worker) -> CONFIRMED (client agrees) | FLAGGED (amounts differ; finance resolves)
+ *             FLAGGED -> CONFIRMED | VOIDED (finance)
+ *   kind 'AGENT_COLLECTION'  — a field agent collected cash dues from a worker
+ *     amount, collectedBy (agent), workerId?, collectedAt
+ *     status: COLLECTED -> DEPOSITED (matched to a cashDeposits document)
+ *
+ * Confirming a job payment moves the application to settlement, which accrues the platform fee as a due
+ * (feeCollection 'DUE'). Documents written before kinds existed have status 'recorded' and are treated
+ * as agent collections.
+ */
+const round2 = (n) => Math.round(n * 100) / 100;
+const CASH_TOLERANCE = 0.01;
+const CASH_PAYABLE_STATUSES = ['accepted', 'completed'];
+const UNDEPOSITED_STATUSES = ['COLLECTED', 'recorded'];
+
+// routes/payments.js requires this module, so its settlement helpers are loaded on first use
+const paymentsRoutes = () => require('../routes/payments');
+
+function parseAmount(value) {
+  const amount = round2(Number(value));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+async function notifyParties(app, { client, worker }, type = 'info') {
+  const jobLink = app.jobId ? `/My-Posted-Job-Details/${app.jobId}` : null;
+  if (client && app.clientId) await createNotification(String(app.clientId), client.title, client.message, type, app.jobId || null, jobLink).catch(() => {});
+  if (worker && app.workerId) await createNotification(String(app.workerId), worker.title, worker.message, type, app.jobId || null, '/my-applications').catch(() => {});
+}
+
+// Settle the application now unless that already happened; cash jobs settle with the fee as a due
+async function accrueCashJobFee(applicationId) {
+  const _id = new ObjectId(applicationId);
+  const claim = await collections.applications.updateOne({ _id, settlementStatus: { $nin: ['SETTLED', 'REVERSING'] } }, { $set: { settlementStatus: 'PENDING', updatedAt: new Date() } });
+  if (claim.modifiedCount) await paymentsRoutes().processJobSettlement(applicationId);
+  const app = await collections.applications.findOne({ _id });
+  return app?.settlementStatus === 'SETTLED' ? { platformFee: Number(app.platformFee) || 0, feeCollection: app.feeCollection } : null;
+}
+
+async function markConfirmed(collection, { amount, confirmedAmount = null, by, resolution = null }) {
+  const now = new Date();
+  const $set = { status: 'CONFIRMED', amount, variance: round2(amount - (Number(collection.expectedAmount) || 0)), confirmedBy: by, confirmedAt: now, updatedAt: now };
+  if (confirmedAmount !== null) $set.confirmedAmount = confirmedAmount;
+  if (resolution) Object.assign($set, { 'flag.resolution': resolution, 'flag.resolvedBy': by, 'flag.resolvedAt': now });
+  const from = resolution ? 'FLAGGED' : 'REPORTED';
+  const claim = await collections.cashCollections.updateOne({ _id: collection._id, status: from }, { $set });
+  if (!claim.modifiedCount) return null;
+  await collections.applications.updateOne(
+    { _id: new ObjectId(collection.applicationId) },
+    { $set: { cashPaymentStatus: 'CONFIRMED', paymentMethod: 'CASH', cashAmount: amount, cashConfirmedAt: now, updatedAt: now } }
+  );
+  const settlement = await accrueCashJobFee(collection.applicationId);
+  return { collection: await collections.cashCollections.findOne({ _id: collection._id }), settlement };
+}
+
+/**
+ * Worker: record that the client paid `amount` in cash for this application.
+ * Resolves to { status, error? , collection? } with an HTTP-style status.
+ */
+async function reportCashPayment(applicationId, { workerId, amount, note = null }) {
+  const app = await collections.applications.findOne({ _id: new ObjectId(applicationId) });
+  if (!app) return { status: 404, error: 'Application not found' };
+  if (String(app.workerId) !== String(workerId)) return { status: 403, error: 'Only the assigned worker can report a cash payment' };
+  if (!CASH_PAYABLE_STATUSES.includes(String(app.status || '').toLowerCase())) return { status: 400, error: 'Only accepted or completed jobs can be paid in cash' };
+  if (app.paymentStatus === 'PAID') return { status: 409, error: 'This job was already paid online' };
+  const value = parseAmount(amount);
+  if (!value) return { status: 400, error: 'amount must be a positive number' };
+  if (app.cashPaymentStatus) return { status: 409, error: `A cash payment is already ${app.cashPaymentStatus.toLowerCase()} for this job` };
+
+  // An online payment landing at the same time wins; the worker is told the job is already paid
+  const claim = await collections.applications.updateOne({ _id: app._id, cashPaymentStatus: { $exists: false }, paymentStatus: { $nin: ['PAID', 'PROCESSING'] } }, { $set: { cashPaymentStatus: 'REPORTED', updatedAt: new Date() } });
+  if (!claim.modifiedCount) return { status: 409, error: 'This job is already paid or a payment for it is in progress' };
+  const { total: expectedAmount } = await paymentsRoutes().computeJobPaymentAmount(app);
+  const now = new Date();
+  const doc = {
+    kind: 'JOB_PAYMENT', applicationId: String(app._id), jobId: app.jobId ? String(app.jobId) : null, workerId: String(app.workerId), clientId: String(app.clientId),
+    expectedAmount, reportedAmount: value, confirmedAmount: null, amount: null, currency: app.currency || 'BDT', note: note ? String(note).trim() : null,
+    status: 'REPORTED', reportedAt: now, createdAt: now, updatedAt: now,
+  };
+  const { insertedId } = await collections.cashCollections.insertOne(doc);
+  await collections.applications.updateOne({ _id: app._id }, { $set: { cashCollectionId: String(insertedId) } });
+  await notifyParties(app, { client: { title: 'Confirm cash payment', message: `Your worker reported receiving ${value} ${doc.currency} in cash. Please confirm the amount you paid.` } });
+  return { status: 201, collection: { _id: insertedId, ...doc } };
+}
+
+/**
+ * Client: confirm the cash they handed over. A different amount from the worker's report flags the
+ * collection for finance instead of confirming it. `amount` defaults to the reported amount.
+ */
+async function confirmCashPayment(applicationId, { clientId, amount }) {
+  const app = await collections.applications.findOne({ _id: new ObjectId(applicationId) });
+  if (!app) return { status: 404, error: 'Application not found' };
+  if (String(app.clientId) !== String(clientId)) return { status: 403, error: 'Only the client can confirm a cash payment' };
+  const collection = app.cashCollectionId ? await collections.cashCollections.findOne({ _id: new ObjectId(app.cashCollectionId) }) : null;
+  if (!collection) return { status: 404, error: 'No cash payment was reported for this job' };
+  if (collection.status !== 'REPORTED') return { status: 409, error: `Cash payment is already ${collection.status.toLowerCase()}` };
+  const value = amount === undefined || amount === null || amount === '' ? collection.reportedAmount : parseAmount(amount);
+  if (!value) return { status: 400, error: 'amount must be a positive number' };
+
+  if (Math.abs(value - collection.reportedAmount) > CASH_TOLERANCE) {
+    const now = new Date();
+    const flag = { reason: 'AMOUNT_MISMATCH', reportedAmount: collection.reportedAmount, confirmedAmount: value, difference: round2(value - collection.reportedAmount), raisedAt: now };
+    const claim = await collections.cashCollections.updateOne({ _id: collection._id, status: 'REPORTED' }, { $set: { status: 'FLAGGED', confirmedAmount: value, flag, updatedAt: now } });
+    if (!claim.modifiedCount) return { status: 409, error: 'Cash payment was already confirmed' };
+    await collections.applications.updateOne({ _id: app._id }, { $set: { cashPaymentStatus: 'FLAGGED', updatedAt: now } });
+    const message = `The worker reported ${collection.reportedAmount} and the client confirmed ${value}. Our finance team will review it.`;
+    await notifyParties(app, { client: { title: 'Cash payment under review', message }, worker: { title: 'Cash payment under review', message } }, 'warning');
+    return { status: 200, flagged: true, collection: await collections.cashCollections.findOne({ _id: collection._id }) };
+  }
+
+  const result = await markConfirmed(collection, { amount: collection.reportedAmount, confirmedAmount: value, by: String(clientId) });
+  if (!result) return { status: 409, error: 'Cash payment was already confirmed' };
+  await notifyParties(app, { worker: { title: 'Cash payment confirmed', message: `The client confirmed paying ${collection.reportedAmount} ${collection.currency} in cash.` } }, 'success');
+  return { status: 200, flagged: false, ...result };
+}
+
+/**
+ * Finance: close a FLAGGED job payment. action 'confirm' accepts `amount` as what was actually paid;
+ * 'void' discards the report so the worker can report again.
+ */
+async function resolveFlaggedCashPayment(collectionId, { action, amount, note = null, resolvedBy = null }) {
+  const collection = await collections.cashCollections.findOne({ _id: new ObjectId(collectionId) });
+  if (!collection || collection.kind !== 'JOB_PAYMENT') return { status: 404, error: 'Cash payment not found' };
+  if (collection.status !== 'FLAGGED') return { status: 409, error: `Cash payment is ${collection.status.toLowerCase()}, not flagged` };
+  const resolution = { action, note: note ? String(note).trim() : null };
+  const app = await collections.applications.findOne({ _id: new ObjectId(collection.applicationId) });
+
+  if (action === 'void') {
+    const now = new Date();
+    const claim = await collections.cashCollections.updateOne({ _id: collection._id, status: 'FLAGGED' }, { $set: { status: 'VOIDED', 'flag.resolution': resolution, 'flag.resolvedBy': resolvedBy, 'flag.resolvedAt': now, updatedAt: now } });
+    if (!claim.modifiedCount) return { status: 409, error: 'Cash payment was already resolved' };
+    await collections.applications.updateOne({ _id: new ObjectId(collection.applicationId) }, { $unset: { cashPaymentStatus: '', cashCollectionId: '' }, $set: { updatedAt: now } });
+    if (app) await notifyParties(app, { worker: { title: 'Cash payment voided', message: 'Finance could not confirm the cash payment for this job. Please report it again.' } }, 'warning');
+    return { status: 200, collection: await collections.cashCollections.findOne({ _id: collection._id }) };
+  }
+  if (action !== 'confirm') return { status: 400, error: "action must be 'confirm' or 'void'" };
+  const value = parseAmount(amount);
+  if (!value) return { status: 400, error: 'amount must be a positive number' };
+  const result = await markConfirmed(collection, { amount: value, by: resolvedBy, resolution: { ...resolution, amount: value } });
+  if (!result) return { status: 409, error: 'Cash payment was already resolved' };
+  if (app) {
+    const message = `Finance confirmed a cash payment of ${value} ${collection.currency} for this job.`;
+    await notifyParties(app, { client: { title: 'Cash payment confirmed', message }, worker: { title: 'Cash payment confirmed', message } }, 'success');
+  }
+  return { status: 200, ...result };
+}
+
+/**
+ * Finance: record cash a field agent collected. With a workerId the cash pays down that worker's dues
+ * and a due receipt is issued.
+ */
+async function recordAgentCollection({ amount, collectedBy, workerId = null, note = null, collectedAt = null, createdBy = null }) {
+  const value = parseAmount(amount);
+  if (!value) return { status: 400, error: 'amount must be a positive number' };
+  const agent = String(collectedBy || '').trim();
+  if (!agent) return { status: 400, error: 'collectedBy is required' };
+  if (workerId && !(await collections.users.findOne({ uid: String(workerId), role: 'worker' }))) return { status: 404, error: 'Worker not found' };
+  const at = collectedAt ? new Date(collectedAt) : new Date();
+  if (Number.isNaN(at.getTime())) return { status: 400, error: 'collectedAt must be a date' };
+  const now = new Date();
+  const doc = { kind: 'AGENT_COLLECTION', amount: value, collectedBy: agent, workerId: workerId ? String(workerId) : null, note: note ? String(note).trim() : null, collectedAt: at, status: 'COLLECTED', depositId: null, createdBy, createdAt: now, updatedAt: now };
+  const { insertedId } = await collections.cashCollections.insertOne(doc);
+  let receipt = null;
+  if (doc.workerId) {
+    await postLedgerTransaction('DUE_PAYMENT', { workerId: doc.workerId, amount: value, refs: { cashCollectionId: String(insertedId), reference: `cash:${agent}` }, memo: 'Cash collected by field agent', createdBy });
+    receipt = await issueDueReceipt({ _id: insertedId, workerId: doc.workerId, amount: value, paidAt: at, transactionId: String(insertedId) }, { method: 'cash' }).catch((err) => console.error('Failed to issue due receipt:', err));
+  }
+  return { status: 201, collection: { _id: insertedId, ...doc }, receiptId: receipt?._id || null };
+}
+
+/**
+ * Match one deposit against its agent's undeposited collections, oldest first, up to the deposited
+ * amount. Explicit `collectionIds` on the deposit are matched as given. Anything that does not add up
+ * exactly leaves the collections untouched and marks the deposit DISCREPANCY with the difference.
+ */
+async function reconcileDeposit(deposit, { reconciledBy = null } = {}) {
+  const claim = await collections.cashDeposits.updateOne({ _id: deposit._id, status: { $in: ['PENDING', 'DISCREPANCY'] } }, { $set: { status: 'RECONCILING', updatedAt: new Date() } });
+  if (!claim.modifiedCount) return null;
+
+  const query = { collectedBy: deposit.agentId, status: { $in: UNDEPOSITED_STATUSES } };
+  if (deposit.collectionIds?.length) query._id = { $in: deposit.collectionIds.map((id) => new ObjectId(id)) };
+  const candidates = await collections.cashCollections.find(query).sort({ collectedAt: 1, createdAt: 1 }).toArray();
+  const matched = [];
+  let matchedAmount = 0;
+  for (const c of candidates) {
+    if (!deposit.collectionIds?.length && matchedAmount >= deposit.amount - CASH_TOLERANCE) break;
+    if (!deposit.collectionIds?.length && c.collectedAt && deposit.depositedAt && new Date(c.collectedAt) > new Date(deposit.depositedAt)) break;
+    matched.push(c);
+    matchedAmount = round2(matchedAmount + (Number(c.amount) || 0));
+  }
+  const difference = round2(deposit.amount - matchedAmount);
+  const now = new Date();
+  if (!matched.length || Math.abs(difference) > CASH_TOLERANCE) {
+    await collections.cashDeposits.updateOne({ _id: deposit._id }, { $set: { status: 'DISCREPANCY', matchedAmount, difference, candidateIds: matched.map((c) => String(c._id)), reconciledBy, lastReconciledAt: now, updatedAt: now } });
+    return { depositId: String(deposit._id), agentId: deposit.agentId, status: 'DISCREPANCY', amount: deposit.amount, matchedAmount, difference };
+  }
+  for (const c of matched) {
+    await collections.cashCollections.updateOne({ _id: c._id, status: { $in: UNDEPOSITED_STATUSES } }, { $set: { status: 'DEPOSITED', depositId: String(deposit._id), depositedAt: deposit.depositedAt, updatedAt: now } });
+  }
+  const collectionIds = matched.map((c) => String(c._id));
+  await collections.cashDeposits.updateOne({ _id: deposit._id }, { $set: { status: 'RECONCILED', matchedAmount, difference: 0, collectionIds, reconciledBy, reconciledAt: now, lastReconciledAt: now, updatedAt: now }, $unset: { candidateIds: '' } });
+  return { depositId: String(deposit._id), agentId: deposit.agentId, status: 'RECONCILED', amount: deposit.amount, matchedAmount, difference: 0, collectionIds };
+}
+
+// Batch reconciliation over open deposits (PENDING or DISCREPANCY), oldest first, optionally for one agent or a list of deposits
+async function reconcileDeposits({ agentId = null, depositIds = null, reconciledBy = null } = {}) {
+  const query = { status: { $in: ['PENDING', 'DISCREPANCY'] } };
+  if (agentId) query.agentId = String(agentId);
+  if (depositIds?.length) query._id = { $in: depositIds.map((id) => new ObjectId(id)) };
+  const deposits = await collections.cashDeposits.find(query).sort({ depositedAt: 1, createdAt: 1 }).toArray();
+  const results = [];
+  for (const deposit of deposits) {
+    const result = await reconcileDeposit(deposit, { reconciledBy });
+    if (result) results.push(result);
+  }
+  return {
+    results,
+    reconciled: results.filter((r) => r.status === 'RECONCILED').length,
+    discrepancies: results.filter((r) => r.status === 'DISCREPANCY').length,
+  };
+}
+
+module.exports = {
+  CASH_TOLERANCE,
+  reportCashPayment,
+  confirmCashPayment,
+  resolveFlaggedCashPayment,
+  recordAgentCollection,
+  reconcileDeposits,
+};
@@ -0,0 +1,146 @@
+// utils/conversations.js — Conversation summaries (one doc per chat) kept up to date as messages change
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+
+/**
+ * conversations collection, _id = conversationId ("uidA_uidB" or "jobId_uidA_uidB"):
+ *   participants [uidA, uidB] (sorted), jobId, lastMessage (preview, see messagePreview), lastMessageAt,
+ *   unread { <uid>: count of messages addressed to uid and not yet read }, createdAt, updatedAt
+ *
+ * Written on every new message, edit, unsend and mark-read so the inbox is one indexed query instead
+ * of an aggregate over every message. scripts/backfillConversations.js builds it for older chats.
+ */
+const PREVIEW_LENGTH = 140;
+const CONVERSATIONS_PAGE_MAX = 50;
+
+const displayName = (u, fallback) => u?.displayName || [u?.firstName, u?.lastName].filter(Boolean).join(' ') || fallback;
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function messagePreview(message) {
+  const text = String(message.message || '');
+  return {
+    _id: String(message._id),
+    senderId: String(message.senderId),
+    text: text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text,
+    attachmentKinds: (message.attachments || []).map((a) => a.kind),
+    isSystemMessage: Boolean(message.isSystemMessage),
+    edited: Boolean(message.editedAt),
+    deleted: Boolean(message.deletedAt),
+    createdAt: message.createdAt,
+  };
+}
+
+// A new message: it becomes the preview and counts as unread for its recipient
+async function recordConversationMessage(message) {
+  if (!message?.conversationId) return;
+  const now = new Date();
+  await collections.conversations.updateOne(
+    { _id: String(message.conversationId) },
+    {
+      $set: {
+        participants: [String(message.senderId), String(message.recipientId)].sort(),
+        jobId: message.jobId ? String(message.jobId) : null,
+        lastMessage: messagePreview(message),
+        lastMessageAt: message.createdAt || now,
+        updatedAt: now,
+      },
+      $setOnInsert: { createdAt: now },
+      $inc: { [`unread.${message.recipientId}`]: message.read ? 0 : 1 },
+    },
+    { upsert: true }
+  );
+}
+
+// An edited or unsent message: refresh the preview if it is the latest one
+async function refreshConversationPreview(message) {
+  await collections.conversations.updateOne(
+    { _id: String(message.conversationId), 'lastMessage._id': String(message._id) },
+    { $set: { lastMessage: messagePreview(message), updatedAt: new Date() } }
+  );
+}
+
+// After a mark-read, store what is still unread for the user (0 unless they read only up to a point)
+async function syncConversationUnread(conversationId, userId) {
+  const unread = await collections.messages.countDocuments({ conversationId: String(conversationId), recipientId: String(userId), read: false });
+  await collections.conversations.updateOne({ _id: String(conversationId) }, { $set: { [`unread.${userId}`]: unread } });
+  return unread;
+}
+
+// Opaque "load more" cursor: the last row's sort date and _id (also used for message history)
+const encodeCursor = (date, id) => Buffer.from(`${new Date(date).toISOString()}|${id}`).toString('base64url');
+function decodeCursor(cursor) {
+  const [at, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const date = new Date(at);
+  if (!id || Number.isNaN(date.getTime())) return null;
+  return { at: date, id };
+}
+
+/**
+ * One page of a user's inbox, newest first, with the other participant's profile, the job (for
+ * job-scoped chats) and the user's unread count. `q` matches the other participant's name.
+ * @returns {Promise<{ list: object[], nextCursor: string|null, totalUnread: number } | { status: number, error: string }>}
+ */
+async function listConversations(userId, { limit, cursor, q } = {}) {
+  const uid = String(userId);
+  const size = Math.min(CONVERSATIONS_PAGE_MAX, Math.max(1, parseInt(limit, 10) || 20));
+  const and = [{ participants: uid }];
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) return { status: 400, error: 'Invalid cursor' };
+    and.push({ $or: [{ lastMessageAt: { $lt: after.at } }, { lastMessageAt: after.at, _id: { $lt: after.id } }] });
+  }
+  const search = String(q || '').trim();
+  if (search) {
+    // Only the user's own chat partners are searched, never the whole user base
+    const chats = await collections.conversations.find({ participants: uid }).project({ participants: 1 }).toArray();
+    const partners = [...new Set(chats.flatMap((c) => c.participants.map(String)).filter((id) => id !== uid))];
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    const matches = partners.length
+      ? await collections.users.find({ uid: { $in: partners }, $or: [{ displayName: pattern }, { firstName: pattern }, { lastName: pattern }] }).project({ uid: 1 }).toArray()
+      : [];
+    and.push({ participants: { $in: matches.map((u) => String(u.uid)) } });
+  }
+
+  const [rows, unreadRows] = await Promise.all([
+    collections.conversations.find({ $and: and }).sort({ lastMessageAt: -1, _id: -1 }).limit(size + 1).toArray(),
+    cursor ? Promise.resolve(null) : collections.conversations.find({ participants: uid, [`unread.${uid}`]: { $gte: 1 } }).project({ unread: 1 }).toArray(),
+  ]);
+  const page = rows.slice(0, size);
+
+  const otherIds = [...new Set(page.map((c) => c.participants.find((p) => p !== uid) || uid))];
+  const jobIds = [...new Set(page.map((c) => c.jobId).filter((id) => id && ObjectId.isValid(id)))];
+  const [users, jobs] = await Promise.all([
+    otherIds.length ? collections.users.find({ uid: { $in: otherIds } }).project({ uid: 1, displayName: 1, firstName: 1, lastName: 1, profileCover: 1, role: 1, lastActiveAt: 1 }).toArray() : [],
+    jobIds.length ? collections.browseJobs.find({ _id: { $in: jobIds.map((id) => new ObjectId(id)) } }).project({ title: 1, status: 1, category: 1 }).toArray() : [],
+  ]);
+
+  const list = page.map((c) => {
+    const otherId = c.participants.find((p) => p !== uid) || uid;
+    const other = users.find((u) => String(u.uid) === otherId);
+    const job = c.jobId ? jobs.find((j) => String(j._id) === c.jobId) : null;
+    return {
+      conversationId: c._id,
+      jobId: c.jobId || null,
+      participant: { uid: otherId, name: displayName(other, 'User'), profileCover: other?.profileCover || '', role: other?.role || null, lastActiveAt: other?.lastActiveAt || null },
+      job: job ? { _id: String(job._id), title: job.title || '', status: job.status || null, category: job.category || null } : null,
+      lastMessage: c.lastMessage || null,
+      lastMessageAt: c.lastMessageAt,
+      unreadCount: c.unread?.[uid] || 0,
+    };
+  });
+  return {
+    list,
+    nextCursor: rows.length > size ? encodeCursor(page[page.length - 1].lastMessageAt, page[page.length - 1]._id) : null,
+    totalUnread: unreadRows ? unreadRows.reduce((sum, c) => sum + (c.unread?.[uid] || 0), 0) : null,
+  };
+}
+
+module.exports = {
+  messagePreview,
+  recordConversationMessage,
+  refreshConversationPreview,
+  syncConversationUnread,
+  listConversations,
+  encodeCursor,
+  decodeCursor,
+};
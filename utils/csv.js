@@ -0,0 +1,51 @@
+// utils/csv.js — CSV building for exports (payout files, earnings, finance reports and lists)
+const { once } = require('events');
+
+// Dates as ISO strings, embedded documents as JSON
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && typeof value.toHexString !== 'function') return JSON.stringify(value);
+  return String(value);
+};
+
+// Text a spreadsheet would run as a formula gets a leading '; plain numbers like -50.00 stay numbers
+const neutralizeFormula = (text) => (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text) ? `'${text}` : text);
+
+// Quote a cell only when it holds a comma, quote or newline
+const csvCell = (value) => {
+  const text = neutralizeFormula(cellText(value));
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (row) => row.map(csvCell).join(',') + '\n';
+
+// Whole file from an array of rows (the first one usually the header)
+const toCsv = (rows) => rows.map(csvRow).join('');
+
+// Send rows as a CSV download
+function sendCsv(res, filename, rows) {
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type('text/csv').send(toCsv(rows));
+}
+
+// Value at a dotted path, for column specs like ['Worker', 'workerId'] or ['Fee', 'reversal.fee']
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Stream a cursor as a CSV download, one row per document, without holding the result in memory.
+ * `columns` is a list of [header, dotted path | (doc) => value].
+ */
+async function streamCsv(res, filename, columns, cursor) {
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type('text/csv');
+  res.write(csvRow(columns.map(([header]) => header)));
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    const line = csvRow(columns.map(([, field]) => (typeof field === 'function' ? field(doc) : valueAt(doc, field))));
+    if (!res.write(line)) await once(res, 'drain');
+  }
+  res.end();
+}
+
+module.exports = { csvCell, csvRow, toCsv, sendCsv, streamCsv };
@@ -0,0 +1,231 @@
+// utils/duePolicy.js — Due balance escalation policy (threshold, grace period, staged warnings, block, exemptions)
+const { collections } = require('../config/db');
+const { createNotification } = require('./notifications');
+const { sendSms } = require('./sms');
+const { sendDueEscalationEmail } = require('./emailService');
+
+/**
+ * The policy lives in platformSettings under key 'duePolicy' and is edited through
+ * PUT /api/admin/due-policy:
+ *   enabled:          boolean
+ *   thresholdAmount:  number   — a worker owing at least this much enters escalation
+ *   gracePeriodHours: number   — time from crossing the threshold to the apply block
+ *   stages:           [{ key, trigger: 'threshold'|'before_block'|'block', hoursBeforeBlock?, channels }]
+ *   exemptions:       [{ workerId, reason?, until? }] — never escalated or blocked while active
+ * Channels are any of 'in_app', 'email', 'sms'. Each stage fires once per escalation cycle; a cycle
+ * ends when the due drops below the threshold. Every step is appended to users.dueEscalationLog.
+ */
+const DUE_CHANNELS = ['in_app', 'email', 'sms'];
+const STAGE_TRIGGERS = ['threshold', 'before_block', 'block'];
+const BLOCK_REASON = 'DUE_LIMIT_EXCEEDED';
+
+const DEFAULT_DUE_POLICY = {
+  enabled: true,
+  thresholdAmount: 200,
+  gracePeriodHours: 48,
+  stages: [
+    { key: 'threshold_crossed', trigger: 'threshold', channels: ['in_app', 'email', 'sms'] },
+    { key: 'block_warning', trigger: 'before_block', hoursBeforeBlock: 24, channels: ['in_app', 'email', 'sms'] },
+    { key: 'blocked', trigger: 'block', channels: ['in_app', 'email', 'sms'] },
+  ],
+  exemptions: [],
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+let _policyCache = null; // { policy, expiresAt }
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function getDuePolicy() {
+  if (_policyCache && Date.now() < _policyCache.expiresAt) return _policyCache.policy;
+  const doc = await collections.platformSettings.findOne({ key: 'duePolicy' });
+  const policy = { ...DEFAULT_DUE_POLICY, ...(doc?.value || {}) };
+  _policyCache = { policy, expiresAt: Date.now() + CACHE_TTL_MS };
+  return policy;
+}
+
+function invalidateDuePolicyCache() {
+  _policyCache = null;
+}
+
+/**
+ * Validate a (partial) policy update and merge it over `current`.
+ * @returns {{ policy?: object, error?: string }}
+ */
+function validateDuePolicy(input = {}, current = DEFAULT_DUE_POLICY) {
+  const policy = { ...current };
+  if (input.enabled !== undefined) policy.enabled = Boolean(input.enabled);
+  if (input.thresholdAmount !== undefined) {
+    const amount = Number(input.thresholdAmount);
+    if (!(amount > 0)) return { error: 'thresholdAmount must be a positive number' };
+    policy.thresholdAmount = amount;
+  }
+  if (input.gracePeriodHours !== undefined) {
+    const hours = Number(input.gracePeriodHours);
+    if (!(hours >= 0)) return { error: 'gracePeriodHours must be zero or more' };
+    policy.gracePeriodHours = hours;
+  }
+  if (input.stages !== undefined) {
+    if (!Array.isArray(input.stages)) return { error: 'stages must be an array' };
+    const keys = new Set();
+    const stages = [];
+    for (const [i, stage] of input.stages.entries()) {
+      const key = String(stage?.key || '').trim();
+      if (!key) return { error: `stage ${i + 1}: key is required` };
+      if (keys.has(key)) return { error: `stage ${i + 1}: duplicate key ${key}` };
+      keys.add(key);
+      if (!STAGE_TRIGGERS.includes(stage.trigger)) return { error: `stage ${key}: trigger must be one of ${STAGE_TRIGGERS.join(', ')}` };
+      const channels = Array.isArray(stage.channels) ? [...new Set(stage.channels)] : [];
+      if (channels.length === 0 || channels.some((c) => !DUE_CHANNELS.includes(c))) return { error: `stage ${key}: channels must be a non-empty subset of ${DUE_CHANNELS.join(', ')}` };
+      const out = { key, trigger: stage.trigger, channels };
+      if (stage.trigger === 'before_block') {
+        const hours = Number(stage.hoursBeforeBlock);
+        if (!(hours > 0)) return { error: `stage ${key}: hoursBeforeBlock must be a positive number` };
+        out.hoursBeforeBlock = hours;
+      }
+      stages.push(out);
+    }
+    policy.stages = stages;
+  }
+  if (input.exemptions !== undefined) {
+    if (!Array.isArray(input.exemptions)) return { error: 'exemptions must be an array' };
+    const exemptions = [];
+    for (const [i, exemption] of input.exemptions.entries()) {
+      if (!exemption?.workerId) return { error: `exemption ${i + 1}: workerId is required` };
+      const until = exemption.until ? new Date(exemption.until) : null;
+      if (until && isNaN(until.getTime())) return { error: `exemption ${i + 1}: invalid until` };
+      exemptions.push({ workerId: String(exemption.workerId), reason: exemption.reason ? String(exemption.reason).slice(0, 300) : null, until });
+    }
+    policy.exemptions = exemptions;
+  }
+  return { policy };
+}
+
+function isExempt(policy, workerId, now) {
+  return (policy.exemptions || []).some((e) => e.workerId === String(workerId) && (!e.until || new Date(e.until) > now));
+}
+
+function stageMessage(stage, { dueBalance, policy, blockAt, now }) {
+  const due = `${dueBalance} BDT`;
+  if (stage.trigger === 'block') {
+    return { title: 'Job applications paused', text: `Your due balance of ${due} is above the ${policy.thresholdAmount} BDT limit, so you can no longer apply for jobs. Pay your dues to restore access.`, type: 'error' };
+  }
+  const hoursLeft = Math.max(0, Math.round((blockAt - now) / HOUR_MS));
+  if (stage.trigger === 'before_block') {
+    return { title: 'Dues reminder', text: `You will be blocked from applying for jobs in about ${hoursLeft} hour${hoursLeft === 1 ? '' : 's'} unless you pay your dues of ${due}.`, type: 'warning' };
+  }
+  return { title: 'Due limit reached', text: `Your due balance of ${due} has reached the ${policy.thresholdAmount} BDT limit. Please pay within ${hoursLeft} hour${hoursLeft === 1 ? '' : 's'} to keep applying for jobs.`, type: 'warning' };
+}
+
+// Send one stage over its channels; returns which channels went through
+async function deliverStage(worker, stage, context) {
+  const { title, text, type } = stageMessage(stage, context);
+  const delivered = {};
+  if (stage.channels.includes('in_app')) {
+    delivered.in_app = !!(await createNotification(String(worker.uid), title, text, type, null, '/wallet'));
+  }
+  if (stage.channels.includes('email')) {
+    delivered.email = worker.email
+      ? !!(await sendDueEscalationEmail(worker.email, worker.displayName || worker.firstName || 'Worker', title, text).catch(() => ({ success: false }))).success
+      : false;
+  }
+  if (stage.channels.includes('sms')) {
+    delivered.sms = worker.phone ? !!(await sendSms(worker.phone, `Hire Mistri: ${text}`)).success : false;
+  }
+  return delivered;
+}
+
+async function logStep(worker, step) {
+  await collections.users.updateOne({ uid: String(worker.uid) }, { $push: { dueEscalationLog: { ...step, at: step.at || new Date() } } });
+}
+
+/**
+ * Bring one worker's escalation up to date with the policy: start a cycle when the due crosses the
+ * threshold, fire any stages that are due, block at the end of the grace period, and close the
+ * cycle (unblocking) once the due is back under the threshold or the worker is exempt.
+ * Safe to call repeatedly and concurrently — every transition is a guarded update.
+ */
+async function evaluateWorkerDue(workerOrId, { policy = null, now = new Date() } = {}) {
+  const worker = typeof workerOrId === 'object' ? workerOrId : await collections.users.findOne({ uid: String(workerOrId) });
+  if (!worker || worker.role !== 'worker') return null;
+  policy = policy || await getDuePolicy();
+  const uid = String(worker.uid);
+  const dueBalance = Math.round((Number(worker.dueBalance) || 0) * 100) / 100;
+  const inCycle = !!worker.dueWarningNotifiedAt;
+  const dueBlocked = worker.isApplyBlocked && worker.blockReason === BLOCK_REASON;
+
+  const exempt = isExempt(policy, uid, now);
+  // Disabling the policy stops new steps but does not lift blocks that were already applied
+  if (!policy.enabled && !exempt && dueBalance >= policy.thresholdAmount) return null;
+  if (exempt || dueBalance < policy.thresholdAmount) {
+    if (!inCycle && !dueBlocked) return null;
+    const result = await collections.users.updateOne(
+      inCycle ? { uid, dueWarningNotifiedAt: { $exists: true } } : { uid, isApplyBlocked: true, blockReason: BLOCK_REASON },
+      { $set: { ...(dueBlocked ? { isApplyBlocked: false, blockReason: null } : {}), dueEscalationStages: [] }, $unset: { dueWarningNotifiedAt: '', dueBlockAt: '' } }
+    );
+    if (!result.modifiedCount) return null;
+    const stage = exempt ? 'exempted' : 'cleared';
+    await logStep(worker, { stage, dueBalance, unblocked: !!dueBlocked, at: now });
+    if (dueBlocked) await createNotification(uid, 'Job applications restored', 'Your dues are below the limit again, so you can apply for jobs.', 'success', null, '/wallet');
+    return stage;
+  }
+
+  let startedAt = worker.dueWarningNotifiedAt ? new Date(worker.dueWarningNotifiedAt) : null;
+  let sent = Array.isArray(worker.dueEscalationStages) ? worker.dueEscalationStages : [];
+  if (!startedAt) {
+    const claim = await collections.users.updateOne(
+      { uid, dueWarningNotifiedAt: { $exists: false } },
+      { $set: { dueWarningNotifiedAt: now, dueEscalationStages: [] } }
+    );
+    if (!claim.modifiedCount) return null;
+    startedAt = now;
+    sent = [];
+  }
+  // Derived from the current policy so grace-period edits apply to running cycles
+  const blockAt = new Date(startedAt.getTime() + policy.gracePeriodHours * HOUR_MS);
+  await collections.users.updateOne({ uid }, { $set: { dueBlockAt: blockAt } });
+
+  let blockedNow = false;
+  if (now >= blockAt && !worker.isApplyBlocked) {
+    const block = await collections.users.updateOne({ uid, isApplyBlocked: { $ne: true } }, { $set: { isApplyBlocked: true, blockReason: BLOCK_REASON, applyBlockedAt: now } });
+    if (block.modifiedCount) {
+      blockedNow = true;
+      await logStep(worker, { stage: 'apply_blocked', dueBalance, at: now });
+      console.log(`🚫 Worker ${uid} blocked from applying: due ${dueBalance} BDT past the grace period`);
+    }
+  }
+
+  const fired = [];
+  for (const stage of policy.stages || []) {
+    if (sent.includes(stage.key)) continue;
+    const ready = stage.trigger === 'threshold'
+      || (stage.trigger === 'before_block' && now >= new Date(blockAt.getTime() - stage.hoursBeforeBlock * HOUR_MS) && now < blockAt)
+      || (stage.trigger === 'block' && (blockedNow || (now >= blockAt && dueBlocked)));
+    if (!ready) continue;
+    const claim = await collections.users.updateOne({ uid, dueEscalationStages: { $nin: [stage.key] } }, { $push: { dueEscalationStages: stage.key } });
+    if (!claim.modifiedCount) continue;
+    sent = [...sent, stage.key];
+    const channels = await deliverStage(worker, stage, { dueBalance, policy, blockAt, now });
+    await logStep(worker, { stage: stage.key, trigger: stage.trigger, channels, dueBalance, blockAt, at: now });
+    fired.push(stage.key);
+  }
+  // Mark warnings whose window passed while the worker was already blocked as done without sending
+  if (now >= blockAt) {
+    for (const stage of policy.stages || []) {
+      if (stage.trigger === 'before_block' && !sent.includes(stage.key)) {
+        await collections.users.updateOne({ uid, dueEscalationStages: { $nin: [stage.key] } }, { $push: { dueEscalationStages: stage.key } });
+      }
+    }
+  }
+  return fired.length ? fired.join(',') : null;
+}
+
+module.exports = {
+  DEFAULT_DUE_POLICY,
+  DUE_CHANNELS,
+  BLOCK_REASON,
+  getDuePolicy,
+  invalidateDuePolicyCache,
+  validateDuePolicy,
+  evaluateWorkerDue,
+};
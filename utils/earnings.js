@@ -0,0 +1,213 @@
+// utils/earnings.js — Worker earnings: per-period gross, fees, extras and tips from applications and ledgers
+const { collections } = require('../config/db');
+const { getAccountBalance } = require('./ledger');
+
+/**
+ * Earnings are counted when a job is completed (applications.completedAt). Gross is the labor price plus
+ * approved extras and tips; refunds come off it and platform fees come from the ledger (fees charged
+ * minus fees reversed), so net = gross - refunded - fees. Buckets use Bangladesh time (UTC+6, no DST).
+ */
+const EARNINGS_TIMEZONE = 'Asia/Dhaka';
+const TZ_OFFSET_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 731;
+const TOP_LIMIT = 5;
+
+const GROUPINGS = {
+  day: { format: '%Y-%m-%d', defaultSpan: (to) => new Date(to.getTime() - 30 * DAY_MS) },
+  week: { format: '%G-W%V', defaultSpan: (to) => new Date(to.getTime() - 12 * 7 * DAY_MS) },
+  month: { format: '%Y-%m', defaultSpan: (to) => { const d = new Date(to); d.setUTCMonth(d.getUTCMonth() - 12); return d; } },
+};
+
+const FEE_CHARGED_TYPES = ['PLATFORM_FEE_DUE', 'PLATFORM_FEE_WITHHELD'];
+const FEE_REVERSED_TYPES = ['PLATFORM_FEE_REVERSED', 'PLATFORM_FEE_DUE_REVERSED'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Validate ?groupBy&from&to and derive the previous period of the same length.
+ * @returns {{ groupBy, from: Date, to: Date, previous: { from: Date, to: Date } } | { error: string }}
+ */
+function resolveEarningsRange({ groupBy = 'day', from, to } = {}, now = new Date()) {
+  if (!GROUPINGS[groupBy]) return { error: `groupBy must be one of ${Object.keys(GROUPINGS).join(', ')}` };
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : GROUPINGS[groupBy].defaultSpan(end);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return { error: 'from and to must be dates' };
+  if (start >= end) return { error: 'from must be before to' };
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) return { error: `The range can span at most ${MAX_RANGE_DAYS} days` };
+  const span = end.getTime() - start.getTime();
+  return { groupBy, from: start, to: end, previous: { from: new Date(start.getTime() - span), to: start } };
+}
+
+// Bucket label for a date, matching the $dateToString formats above
+function bucketKey(date, groupBy) {
+  const local = new Date(date.getTime() + TZ_OFFSET_MS);
+  const ymd = local.toISOString().slice(0, 10);
+  if (groupBy === 'day') return ymd;
+  if (groupBy === 'month') return ymd.slice(0, 7);
+  // ISO week: the week belongs to the year of its Thursday
+  const thursday = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const week = Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / DAY_MS / 7) + 1;
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Every bucket label in [from, to), so periods without jobs still show up as zero rows
+function bucketKeys(from, to, groupBy) {
+  const keys = [];
+  for (let t = from.getTime(); t < to.getTime(); t += DAY_MS) {
+    const key = bucketKey(new Date(t), groupBy);
+    if (keys[keys.length - 1] !== key) keys.push(key);
+  }
+  const last = bucketKey(new Date(to.getTime() - 1), groupBy);
+  if (keys[keys.length - 1] !== last) keys.push(last);
+  return keys;
+}
+
+const toNumber = (expr) => ({ $convert: { input: expr, to: 'double', onError: 0, onNull: 0 } });
+
+// Completed jobs in range with labor/extras/tips/refunded/gross fields; settled jobs carry their settled amounts
+function completedJobsStages(workerId, { from, to }) {
+  return [
+    { $match: { workerId: String(workerId), status: 'completed', completedAt: { $gte: from, $lt: to } } },
+    {
+      $addFields: {
+        labor: { $ifNull: ['$laborAmount', toNumber({ $ifNull: ['$finalPrice', '$proposedPrice'] })] },
+        extras: toNumber('$approvedExtrasAmount'),
+        tips: toNumber('$approvedTipsAmount'),
+        refunded: toNumber('$refundedAmount'),
+        settled: { $eq: ['$settlementStatus', 'SETTLED'] },
+      },
+    },
+    { $addFields: { gross: { $add: ['$labor', '$extras', '$tips'] } } },
+  ];
+}
+
+const sums = { jobs: { $sum: 1 }, gross: { $sum: '$gross' }, labor: { $sum: '$labor' }, extras: { $sum: '$extras' }, tips: { $sum: '$tips' }, refunded: { $sum: '$refunded' } };
+
+function feePipeline(workerId, { from, to }, groupBy = null) {
+  return [
+    { $match: { workerId: String(workerId), type: { $in: [...FEE_CHARGED_TYPES, ...FEE_REVERSED_TYPES] }, direction: 'DEBIT', createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: groupBy ? { $dateToString: { format: GROUPINGS[groupBy].format, date: '$createdAt', timezone: EARNINGS_TIMEZONE } } : null,
+        charged: { $sum: { $cond: [{ $in: ['$type', FEE_CHARGED_TYPES] }, '$amount', 0] } },
+        reversed: { $sum: { $cond: [{ $in: ['$type', FEE_REVERSED_TYPES] }, '$amount', 0] } },
+      },
+    },
+  ];
+}
+
+function totalsRow(row = {}, fees = 0) {
+  const t = { jobs: row.jobs || 0, gross: round2(row.gross || 0), labor: round2(row.labor || 0), extras: round2(row.extras || 0), tips: round2(row.tips || 0), refunded: round2(row.refunded || 0), platformFees: round2(fees) };
+  t.net = round2(t.gross - t.refunded - t.platformFees);
+  return t;
+}
+
+const netFees = (row) => (row ? (row.charged || 0) - (row.reversed || 0) : 0);
+
+function change(current, previous) {
+  const amount = round2(current - previous);
+  return { amount, percent: previous ? round2((amount / previous) * 100) : null };
+}
+
+async function periodTotals(workerId, range) {
+  const [jobs] = await collections.applications.aggregate([...completedJobsStages(workerId, range), { $group: { _id: null, ...sums } }]).toArray();
+  const [fees] = await collections.ledgers.aggregate(feePipeline(workerId, range)).toArray();
+  return totalsRow(jobs, netFees(fees));
+}
+
+/**
+ * Earnings dashboard for one worker over a resolved range (see resolveEarningsRange).
+ */
+async function getWorkerEarnings(workerId, range) {
+  const { groupBy, from, to } = range;
+  const [facets] = await collections.applications.aggregate([
+    ...completedJobsStages(workerId, range),
+    {
+      $facet: {
+        buckets: [
+          { $group: { _id: { $dateToString: { format: GROUPINGS[groupBy].format, date: '$completedAt', timezone: EARNINGS_TIMEZONE } }, ...sums } },
+        ],
+        settlement: [{ $group: { _id: '$settled', jobs: { $sum: 1 }, gross: { $sum: '$gross' }, refunded: { $sum: '$refunded' } } }],
+        categories: [
+          { $addFields: { jobIdObj: { $convert: { input: '$jobId', to: 'objectId', onError: null, onNull: null } } } },
+          { $lookup: { from: 'browseJobs', localField: 'jobIdObj', foreignField: '_id', as: 'job' } },
+          { $group: { _id: { $ifNull: [{ $first: '$job.category' }, 'Uncategorized'] }, jobs: { $sum: 1 }, gross: { $sum: '$gross' } } },
+          { $sort: { gross: -1 } },
+          { $limit: TOP_LIMIT },
+        ],
+        clients: [
+          { $group: { _id: '$clientId', jobs: { $sum: 1 }, gross: { $sum: '$gross' } } },
+          { $sort: { gross: -1 } },
+          { $limit: TOP_LIMIT },
+        ],
+      },
+    },
+  ]).toArray();
+  const [feeRows, payoutRows, previous, awaitingPayout] = await Promise.all([
+    collections.ledgers.aggregate(feePipeline(workerId, range, groupBy)).toArray(),
+    collections.ledgers.aggregate([
+      { $match: { workerId: String(workerId), type: 'PAYOUT_SENT', direction: 'DEBIT', createdAt: { $gte: from, $lt: to } } },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+    ]).toArray(),
+    periodTotals(workerId, range.previous),
+    getAccountBalance('worker_payable', workerId),
+  ]);
+
+  const jobsByBucket = new Map((facets?.buckets || []).map((b) => [b._id, b]));
+  const feesByBucket = new Map(feeRows.map((f) => [f._id, netFees(f)]));
+  const series = bucketKeys(from, to, groupBy).map((period) => ({ period, ...totalsRow(jobsByBucket.get(period), feesByBucket.get(period) || 0) }));
+  const totals = totalsRow(
+    series.reduce((acc, row) => { for (const k of Object.keys(sums)) acc[k] = (acc[k] || 0) + row[k]; return acc; }, {}),
+    series.reduce((sum, row) => sum + row.platformFees, 0)
+  );
+
+  const byState = new Map((facets?.settlement || []).map((s) => [s._id === true, s]));
+  const settlementRow = (s) => ({ jobs: s?.jobs || 0, gross: round2(s?.gross || 0), refunded: round2(s?.refunded || 0) });
+
+  const clientIds = (facets?.clients || []).map((c) => String(c._id));
+  const clients = clientIds.length ? await collections.users.find({ uid: { $in: clientIds } }).project({ uid: 1, displayName: 1, firstName: 1, lastName: 1 }).toArray() : [];
+  const clientName = (uid) => {
+    const c = clients.find((u) => u.uid === uid);
+    return c?.displayName || [c?.firstName, c?.lastName].filter(Boolean).join(' ') || 'Client';
+  };
+
+  return {
+    workerId: String(workerId),
+    groupBy,
+    from,
+    to,
+    currency: 'BDT',
+    totals,
+    series,
+    pendingVsSettled: {
+      settled: settlementRow(byState.get(true)),
+      pending: settlementRow(byState.get(false)),
+      awaitingPayout,
+      paidOut: round2(payoutRows[0]?.amount || 0),
+      payoutCount: payoutRows[0]?.count || 0,
+    },
+    topCategories: (facets?.categories || []).map((c) => ({ category: c._id, jobs: c.jobs, gross: round2(c.gross) })),
+    topClients: (facets?.clients || []).map((c) => ({ clientId: String(c._id), name: clientName(String(c._id)), jobs: c.jobs, gross: round2(c.gross) })),
+    comparison: {
+      previous: { from: range.previous.from, to: range.previous.to, ...previous },
+      change: { gross: change(totals.gross, previous.gross), net: change(totals.net, previous.net), platformFees: change(totals.platformFees, previous.platformFees), jobs: change(totals.jobs, previous.jobs) },
+    },
+  };
+}
+
+// CSV rows: one per bucket plus a total line
+function earningsCsvRows(earnings) {
+  const header = ['Period', 'Jobs', 'Gross', 'Labor', 'Extras', 'Tips', 'Refunded', 'Platform fees', 'Net'];
+  const line = (label, r) => [label, r.jobs, r.gross.toFixed(2), r.labor.toFixed(2), r.extras.toFixed(2), r.tips.toFixed(2), r.refunded.toFixed(2), r.platformFees.toFixed(2), r.net.toFixed(2)];
+  return [header, ...earnings.series.map((r) => line(r.period, r)), line('Total', earnings.totals)];
+}
+
+module.exports = {
+  EARNINGS_GROUPINGS: Object.keys(GROUPINGS),
+  resolveEarningsRange,
+  bucketKey,
+  getWorkerEarnings,
+  earningsCsvRows,
+};
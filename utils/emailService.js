@@ -11,8 +11,9 @@ if (process.env.SENDGRID_API_KEY) {
  * @param {string} subject - Email subject
  * @param {string} html - HTML email content
  * @param {string} text - Plain text email content (optional)
+ * @param {Array<{ filename: string, content: Buffer, type: string }>} attachments - Files to attach (optional)
  */
-async function sendEmail(to, subject, html, text = null) {
+async function sendEmail(to, subject, html, text = null, attachments = []) {
   if (!process.env.SENDGRID_API_KEY) {
     console.warn('⚠️ SendGrid API key not configured. Email not sent.');
     return { success: false, error: 'SendGrid not configured' };
@@ -30,6 +31,9 @@ async function sendEmail(to, subject, html, text = null) {
       subject,
       html,
       ...(text && { text }),
+      ...(attachments.length && {
+        attachments: attachments.map((file) => ({ filename: file.filename, type: file.type, content: Buffer.from(file.content).toString('base64'), disposition: 'attachment' })),
+      }),
     };
 
     await sgMail.send(msg);
@@ -240,6 +244,44 @@ async function sendWorkerRegistrationRejectedEmail(workerEmail, workerName, reje
   return await sendEmail(workerEmail, subject, html);
 }
 
+/**
+ * Send a due balance warning / block notice to a worker (utils/duePolicy.js escalation stages)
+ */
+async function sendDueEscalationEmail(workerEmail, workerName, heading, message) {
+  const subject = `Hire Mistri: ${heading}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">${heading}</h2>
+      <p>Hello ${workerName},</p>
+      <p>${message}</p>
+      <div style="text-align: center; margin: 32px 0;">
+        <a href="${process.env.WORKER_APP_URL || 'http://localhost:5174'}/wallet"
+           style="background: #1DC66C; color: white; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: bold; font-size: 16px;">
+          Pay Dues
+        </a>
+      </div>
+      <p style="margin-top: 30px; color: #666; font-size: 12px;">This is an automated notification from Hire Mistri.</p>
+    </div>
+  `;
+  return await sendEmail(workerEmail, subject, html);
+}
+
+/**
+ * Send an invoice, fee statement or receipt (utils/invoices.js) with its PDF attached
+ */
+async function sendInvoiceEmail(email, name, { number, title, total }, pdf) {
+  const subject = `Hire Mistri ${title} ${number}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">${title} ${number}</h2>
+      <p>Hello ${name},</p>
+      <p>Your ${title.toLowerCase()} for <strong>${total}</strong> is attached as a PDF.</p>
+      <p style="margin-top: 30px; color: #666; font-size: 12px;">This is an automated notification from Hire Mistri.</p>
+    </div>
+  `;
+  return await sendEmail(email, subject, html, null, [{ filename: `${number}.pdf`, content: pdf, type: 'application/pdf' }]);
+}
+
 module.exports = {
   sendEmail,
   sendApplicationReceivedEmail,
@@ -251,5 +293,7 @@ module.exports = {
   sendJobOfferExpiredEmail,
   sendWorkerRegistrationApprovedEmail,
   sendWorkerRegistrationRejectedEmail,
+  sendDueEscalationEmail,
+  sendInvoiceEmail,
 };
 
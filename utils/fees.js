@@ -0,0 +1,184 @@
+// utils/fees.js — Versioned platform fee schedules (category rules, promotions, per-worker overrides)
+const { collections } = require('../config/db');
+const { getWorkerEntitlements } = require('./subscriptions');
+
+/**
+ * A fee schedule version stores `rules`:
+ *   default:         { tiers }                       — used when nothing more specific matches
+ *   categories:      { [category]: { tiers } }       — keyed by lower-cased job category
+ *   promotions:      [{ name, category?, startsAt, endsAt, tiers?, discountPercent? }]
+ *   workerOverrides: [{ workerId, reason?, startsAt?, endsAt?, tiers?, discountPercent? }]
+ * A tier is { upTo, rate, cap, tier }: labor amounts up to `upTo` (null = no upper bound) pay
+ * `rate` of the labor, capped at `cap` (null = uncapped). Tiers are matched in ascending `upTo`.
+ * Tiers resolve worker override > promotion > category > default; the largest applicable
+ * discountPercent (promotion, worker override or the worker's subscription plan) is then taken off the fee.
+ */
+const DEFAULT_FEE_RULES = {
+  default: {
+    tiers: [
+      { upTo: 300, rate: 0.10, cap: 15, tier: 'A' },
+      { upTo: 800, rate: 0.08, cap: 50, tier: 'B' },
+      { upTo: null, rate: 0.07, cap: 200, tier: 'C' },
+    ],
+  },
+  categories: {},
+  promotions: [],
+  workerOverrides: [],
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+let _activeCache = null; // { schedule, expiresAt }
+
+const categoryKey = (category) => String(category || '').trim().toLowerCase();
+
+function isActiveWindow(entry, at) {
+  if (entry.startsAt && new Date(entry.startsAt) > at) return false;
+  if (entry.endsAt && new Date(entry.endsAt) <= at) return false;
+  return true;
+}
+
+// Returns an error message, or null when the tiers are usable
+function validateTiers(tiers, label) {
+  if (!Array.isArray(tiers) || tiers.length === 0) return `${label}: tiers must be a non-empty array`;
+  let previous = 0;
+  for (const [i, t] of tiers.entries()) {
+    const last = i === tiers.length - 1;
+    if (!(Number(t.rate) >= 0 && Number(t.rate) <= 1)) return `${label}: tier ${i + 1} rate must be between 0 and 1`;
+    if (t.cap !== null && t.cap !== undefined && !(Number(t.cap) >= 0)) return `${label}: tier ${i + 1} cap must be a non-negative number or null`;
+    if (last && t.upTo !== null && t.upTo !== undefined) return `${label}: the last tier must have upTo null`;
+    if (!last && !(Number(t.upTo) > previous)) return `${label}: tier upTo values must increase`;
+    if (!last) previous = Number(t.upTo);
+  }
+  return null;
+}
+
+const normalizeTiers = (tiers) => tiers.map((t, i) => ({
+  upTo: t.upTo === null || t.upTo === undefined ? null : Number(t.upTo),
+  rate: Number(t.rate),
+  cap: t.cap === null || t.cap === undefined ? null : Number(t.cap),
+  tier: String(t.tier || String.fromCharCode(65 + i)),
+}));
+
+function normalizeAdjustment(entry, label) {
+  const out = {};
+  if (entry.tiers !== undefined) {
+    const error = validateTiers(entry.tiers, label);
+    if (error) return { error };
+    out.tiers = normalizeTiers(entry.tiers);
+  }
+  if (entry.discountPercent !== undefined) {
+    const pct = Number(entry.discountPercent);
+    if (!(pct >= 0 && pct <= 100)) return { error: `${label}: discountPercent must be between 0 and 100` };
+    out.discountPercent = pct;
+  }
+  if (!out.tiers && out.discountPercent === undefined) return { error: `${label}: needs tiers or discountPercent` };
+  for (const field of ['startsAt', 'endsAt']) {
+    if (entry[field] === undefined || entry[field] === null || entry[field] === '') continue;
+    const d = new Date(entry[field]);
+    if (isNaN(d.getTime())) return { error: `${label}: invalid ${field}` };
+    out[field] = d;
+  }
+  if (out.startsAt && out.endsAt && out.endsAt <= out.startsAt) return { error: `${label}: endsAt must be after startsAt` };
+  return { value: out };
+}
+
+/**
+ * Validate and normalize admin-submitted rules.
+ * @returns {{ rules?: object, error?: string }}
+ */
+function validateFeeRules(input = {}) {
+  const rules = { default: null, categories: {}, promotions: [], workerOverrides: [] };
+  const defaultError = validateTiers(input.default?.tiers, 'default');
+  if (defaultError) return { error: defaultError };
+  rules.default = { tiers: normalizeTiers(input.default.tiers) };
+
+  for (const [name, entry] of Object.entries(input.categories || {})) {
+    const error = validateTiers(entry?.tiers, `category "${name}"`);
+    if (error) return { error };
+    rules.categories[categoryKey(name)] = { tiers: normalizeTiers(entry.tiers) };
+  }
+  for (const [i, promo] of (input.promotions || []).entries()) {
+    const label = `promotion ${promo?.name || i + 1}`;
+    if (!promo?.name || !promo.startsAt || !promo.endsAt) return { error: `${label}: name, startsAt and endsAt are required` };
+    const { value, error } = normalizeAdjustment(promo, label);
+    if (error) return { error };
+    rules.promotions.push({ name: String(promo.name), category: promo.category ? categoryKey(promo.category) : null, ...value });
+  }
+  const seen = new Set();
+  for (const [i, override] of (input.workerOverrides || []).entries()) {
+    const label = `worker override ${i + 1}`;
+    if (!override?.workerId) return { error: `${label}: workerId is required` };
+    if (seen.has(String(override.workerId))) return { error: `${label}: duplicate workerId ${override.workerId}` };
+    seen.add(String(override.workerId));
+    const { value, error } = normalizeAdjustment(override, label);
+    if (error) return { error };
+    rules.workerOverrides.push({ workerId: String(override.workerId), reason: override.reason ? String(override.reason) : null, ...value });
+  }
+  return { rules };
+}
+
+/**
+ * Pure fee computation against a schedule version.
+ * @returns {{ fee, tier, rate, cap, version, source, category, promotion, discountPercent }}
+ */
+function applyFeeSchedule(schedule, laborAmount, { category = null, workerId = null, subscriptionDiscountPercent = 0, at = new Date() } = {}) {
+  const rules = schedule?.rules || DEFAULT_FEE_RULES;
+  const version = schedule?.version ?? 0;
+  const key = categoryKey(category);
+  const result = { fee: 0, tier: 'A', rate: 0, cap: null, version, source: 'default', category: key || null, promotion: null, discountPercent: 0 };
+  if (!laborAmount || laborAmount <= 0) return result;
+
+  let tiers = rules.default.tiers;
+  if (key && rules.categories?.[key]) { tiers = rules.categories[key].tiers; result.source = 'category'; }
+
+  const promotions = (rules.promotions || []).filter((p) => isActiveWindow(p, at) && (!p.category || p.category === key));
+  // A category-specific promotion beats a platform-wide one
+  const promotion = promotions.find((p) => p.category) || promotions[0] || null;
+  if (promotion) {
+    result.promotion = promotion.name;
+    if (promotion.tiers) { tiers = promotion.tiers; result.source = 'promotion'; }
+  }
+  const override = workerId ? (rules.workerOverrides || []).find((o) => o.workerId === String(workerId) && isActiveWindow(o, at)) : null;
+  if (override?.tiers) { tiers = override.tiers; result.source = 'worker_override'; }
+
+  const match = tiers.find((t) => t.upTo === null || laborAmount <= t.upTo) || tiers[tiers.length - 1];
+  let fee = laborAmount * match.rate;
+  if (match.cap !== null) fee = Math.min(fee, match.cap);
+  // On a tie the earlier entry wins
+  const [discountSource, discountPercent] = [['worker_override', override?.discountPercent], ['promotion', promotion?.discountPercent], ['subscription', subscriptionDiscountPercent]]
+    .reduce((best, entry) => ((entry[1] || 0) > best[1] ? entry : best), [null, 0]);
+  if (discountPercent > 0) {
+    fee *= 1 - discountPercent / 100;
+    result.discountPercent = discountPercent;
+    if (!(discountSource === 'promotion' && result.source === 'worker_override')) result.source = discountSource;
+  }
+  return { ...result, fee: Math.max(0, Math.round(fee)), tier: match.tier, rate: match.rate, cap: match.cap };
+}
+
+// Active schedule = most recently activated version; falls back to the built-in rules (version 0)
+async function getActiveFeeSchedule() {
+  if (_activeCache && Date.now() < _activeCache.expiresAt) return _activeCache.schedule;
+  const [latest] = await collections.feeSchedules.find({ activatedAt: { $exists: true } }).sort({ activatedAt: -1 }).limit(1).toArray();
+  const schedule = latest || { version: 0, rules: DEFAULT_FEE_RULES };
+  _activeCache = { schedule, expiresAt: Date.now() + CACHE_TTL_MS };
+  return schedule;
+}
+
+function invalidateFeeScheduleCache() {
+  _activeCache = null;
+}
+
+// context.schedule prices against a given schedule instead of the active one (admin previews)
+async function calculatePlatformFee(laborAmount, { schedule, ...context } = {}) {
+  const subscriptionDiscountPercent = context.workerId ? (await getWorkerEntitlements(context.workerId)).feeDiscountPercent : 0;
+  return applyFeeSchedule(schedule || (await getActiveFeeSchedule()), Number(laborAmount) || 0, { ...context, subscriptionDiscountPercent });
+}
+
+module.exports = {
+  DEFAULT_FEE_RULES,
+  validateFeeRules,
+  applyFeeSchedule,
+  getActiveFeeSchedule,
+  invalidateFeeScheduleCache,
+  calculatePlatformFee,
+};
@@ -0,0 +1,243 @@
+// utils/financeReports.js — Admin finance reports over a date range: GMV, revenue, dues aging, collection rate, payment split, refunds
+const { collections } = require('../config/db');
+const { resolveEarningsRange } = require('./earnings');
+
+/**
+ * Every report takes a range resolved by resolveReportRange (?from&to, plus ?groupBy=day|week|month for
+ * the series reports, same rules as the worker earnings dashboard) and resolves to
+ *   { from, to, ..., csv: { columns: string[], rows: any[][] } }
+ * so GET /api/admin/reports/:name can answer with JSON or a CSV of the report's main table.
+ *
+ * Money sources: applications (completed jobs) for GMV, ledgers for revenue and dues, paymentRequests and
+ * cashCollections for how clients and workers paid, refunds for refunds.
+ */
+const REPORT_TIMEZONE = 'Asia/Dhaka';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGING_BUCKETS = [
+  { label: '0-30 days', max: 30 },
+  { label: '31-60 days', max: 60 },
+  { label: '61-90 days', max: 90 },
+  { label: '90+ days', max: Infinity },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const percent = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : null);
+const dayFormat = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+const toNumber = (expr) => ({ $convert: { input: expr, to: 'double', onError: 0, onNull: 0 } });
+
+function resolveReportRange(query = {}) {
+  return resolveEarningsRange({ groupBy: query.groupBy || 'day', from: query.from, to: query.to });
+}
+
+// Completed jobs: labor plus approved extras and tips, and what was refunded on them
+async function gmvReport({ from, to, groupBy }) {
+  const [facets] = await collections.applications.aggregate([
+    { $match: { status: 'completed', completedAt: { $gte: from, $lt: to } } },
+    {
+      $addFields: {
+        gross: {
+          $add: [
+            { $ifNull: ['$laborAmount', toNumber({ $ifNull: ['$finalPrice', '$proposedPrice'] })] },
+            toNumber('$approvedExtrasAmount'),
+            toNumber('$approvedTipsAmount'),
+          ],
+        },
+        refunded: toNumber('$refundedAmount'),
+        channel: { $cond: [{ $eq: ['$paymentStatus', 'PAID'] }, { $cond: [{ $eq: ['$paymentMethod', 'WALLET'] }, 'wallet', 'gateway'] }, 'cash'] },
+      },
+    },
+    {
+      $facet: {
+        series: [
+          { $group: { _id: { $dateToString: { format: dayFormat[groupBy], date: '$completedAt', timezone: REPORT_TIMEZONE } }, jobs: { $sum: 1 }, gross: { $sum: '$gross' }, refunded: { $sum: '$refunded' } } },
+          { $sort: { _id: 1 } },
+        ],
+        byChannel: [{ $group: { _id: '$channel', jobs: { $sum: 1 }, gross: { $sum: '$gross' } } }],
+      },
+    },
+  ]).toArray();
+  const series = (facets?.series || []).map((s) => ({ period: s._id, jobs: s.jobs, gross: round2(s.gross), refunded: round2(s.refunded), net: round2(s.gross - s.refunded) }));
+  const totals = series.reduce((acc, s) => ({ jobs: acc.jobs + s.jobs, gross: round2(acc.gross + s.gross), refunded: round2(acc.refunded + s.refunded), net: round2(acc.net + s.net) }), { jobs: 0, gross: 0, refunded: 0, net: 0 });
+  return {
+    from, to, groupBy, totals, series,
+    byChannel: (facets?.byChannel || []).map((c) => ({ channel: c._id, jobs: c.jobs, gross: round2(c.gross) })),
+    csv: { columns: ['Period', 'Jobs', 'Gross', 'Refunded', 'Net'], rows: series.map((s) => [s.period, s.jobs, s.gross, s.refunded, s.net]) },
+  };
+}
+
+// Net platform_revenue (fees earned minus fees reversed) by job category and by the worker's district
+async function revenueReport({ from, to }) {
+  const [facets] = await collections.ledgers.aggregate([
+    { $match: { account: 'platform_revenue', createdAt: { $gte: from, $lt: to } } },
+    { $addFields: { signed: { $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', { $multiply: ['$amount', -1] }] } } },
+    { $lookup: { from: 'applications', localField: 'orderId', foreignField: '_id', as: 'app' } },
+    { $addFields: { jobIdObj: { $convert: { input: { $first: '$app.jobId' }, to: 'objectId', onError: null, onNull: null } } } },
+    { $lookup: { from: 'browseJobs', localField: 'jobIdObj', foreignField: '_id', as: 'job' } },
+    { $lookup: { from: 'users', localField: 'workerId', foreignField: 'uid', as: 'worker' } },
+    {
+      $facet: {
+        total: [{ $group: { _id: null, revenue: { $sum: '$signed' }, entries: { $sum: 1 } } }],
+        byCategory: [
+          { $group: { _id: { $ifNull: [{ $first: '$job.category' }, 'Uncategorized'] }, revenue: { $sum: '$signed' }, jobs: { $addToSet: '$orderId' } } },
+          { $sort: { revenue: -1 } },
+        ],
+        byDistrict: [
+          { $group: { _id: { $ifNull: [{ $first: '$worker.district' }, 'Unknown'] }, revenue: { $sum: '$signed' }, jobs: { $addToSet: '$orderId' } } },
+          { $sort: { revenue: -1 } },
+        ],
+      },
+    },
+  ]).toArray();
+  const row = (r) => ({ revenue: round2(r.revenue), jobs: (r.jobs || []).filter(Boolean).length });
+  const byCategory = (facets?.byCategory || []).map((r) => ({ category: r._id, ...row(r) }));
+  const byDistrict = (facets?.byDistrict || []).map((r) => ({ district: r._id, ...row(r) }));
+  return {
+    from, to,
+    totalRevenue: round2(facets?.total?.[0]?.revenue || 0),
+    byCategory,
+    byDistrict,
+    csv: {
+      columns: ['Dimension', 'Value', 'Revenue', 'Jobs'],
+      rows: [...byCategory.map((r) => ['category', r.category, r.revenue, r.jobs]), ...byDistrict.map((r) => ['district', r.district, r.revenue, r.jobs])],
+    },
+  };
+}
+
+/**
+ * Outstanding dues (users.dueBalance) aged as of `to`. Payments clear the oldest dues first, so what is
+ * still owed is made of the most recent due debits; each part is aged by when it was posted.
+ */
+async function duesAgingReport({ to }) {
+  const workers = await collections.users.find({ role: 'worker', dueBalance: { $gt: 0 } }).project({ uid: 1, displayName: 1, firstName: 1, lastName: 1, district: 1, dueBalance: 1 }).toArray();
+  const debits = workers.length ? await collections.ledgers.aggregate([
+    { $match: { account: 'worker_due', direction: 'DEBIT', workerId: { $in: workers.map((w) => String(w.uid)) }, createdAt: { $lt: to } } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$workerId', legs: { $push: { amount: '$amount', createdAt: '$createdAt' } } } },
+  ]).toArray() : [];
+  const legsByWorker = new Map(debits.map((d) => [String(d._id), d.legs]));
+
+  const buckets = AGING_BUCKETS.map((b) => ({ label: b.label, amount: 0, workers: 0 }));
+  const rows = workers.map((w) => {
+    const aged = AGING_BUCKETS.map(() => 0);
+    let remaining = round2(Number(w.dueBalance) || 0);
+    let oldest = null;
+    for (const leg of legsByWorker.get(String(w.uid)) || []) {
+      if (remaining <= 0) break;
+      const part = Math.min(remaining, Number(leg.amount) || 0);
+      const ageDays = Math.max(0, Math.floor((to - new Date(leg.createdAt)) / DAY_MS));
+      aged[AGING_BUCKETS.findIndex((b) => ageDays <= b.max)] += part;
+      remaining = round2(remaining - part);
+      oldest = leg.createdAt;
+    }
+    // Dues with no ledger history (set before the ledger existed) count as the oldest bucket
+    if (remaining > 0) aged[aged.length - 1] += remaining;
+    aged.forEach((amount, i) => { if (amount > 0) { buckets[i].amount = round2(buckets[i].amount + amount); buckets[i].workers += 1; } });
+    return {
+      workerId: String(w.uid),
+      name: w.displayName || [w.firstName, w.lastName].filter(Boolean).join(' ') || String(w.uid),
+      district: w.district || null,
+      dueBalance: round2(Number(w.dueBalance) || 0),
+      oldestDueAt: oldest,
+      buckets: Object.fromEntries(AGING_BUCKETS.map((b, i) => [b.label, round2(aged[i])])),
+    };
+  }).sort((a, b) => b.dueBalance - a.dueBalance);
+
+  return {
+    asOf: to,
+    totalOutstanding: round2(rows.reduce((sum, r) => sum + r.dueBalance, 0)),
+    buckets,
+    workers: rows,
+    csv: { columns: ['Worker ID', 'Name', 'District', 'Due balance', ...AGING_BUCKETS.map((b) => b.label), 'Oldest due at'], rows: rows.map((r) => [r.workerId, r.name, r.district, r.dueBalance, ...AGING_BUCKETS.map((b) => r.buckets[b.label]), r.oldestDueAt]) },
+  };
+}
+
+// Fees charged in the range against what was actually collected: withheld online, or paid as dues
+async function collectionRateReport({ from, to }) {
+  const rows = await collections.ledgers.aggregate([
+    { $match: { direction: 'DEBIT', createdAt: { $gte: from, $lt: to }, type: { $in: ['PLATFORM_FEE_DUE', 'PLATFORM_FEE_DUE_REVERSED', 'PLATFORM_FEE_WITHHELD', 'PLATFORM_FEE_REVERSED', 'DUE_PAYMENT', 'DUE_OFFSET'] } } },
+    { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+  ]).toArray();
+  const sum = (type) => round2(rows.find((r) => r._id === type)?.amount || 0);
+  const duesAccrued = round2(sum('PLATFORM_FEE_DUE') - sum('PLATFORM_FEE_DUE_REVERSED'));
+  const feesWithheld = round2(sum('PLATFORM_FEE_WITHHELD') - sum('PLATFORM_FEE_REVERSED'));
+  const duesCollected = round2(sum('DUE_PAYMENT') + sum('DUE_OFFSET'));
+  const feesCharged = round2(duesAccrued + feesWithheld);
+  const collected = round2(feesWithheld + duesCollected);
+  const result = {
+    from, to,
+    feesCharged, feesWithheld, duesAccrued, duesCollected,
+    duesCollectedByChannel: { payment: sum('DUE_PAYMENT'), offsetFromPayouts: sum('DUE_OFFSET') },
+    dueCollectionRate: percent(duesCollected, duesAccrued),
+    overallCollectionRate: percent(collected, feesCharged),
+  };
+  return {
+    ...result,
+    csv: { columns: ['Metric', 'Value'], rows: Object.entries(result).filter(([k]) => !['from', 'to', 'duesCollectedByChannel'].includes(k)).map(([k, v]) => [k, v]) },
+  };
+}
+
+// Money received by channel (gateway, wallet, manual verification, cash) and purpose
+async function paymentSplitReport({ from, to }) {
+  const [requests, cash] = await Promise.all([
+    collections.paymentRequests.aggregate([
+      { $match: { status: { $in: ['VERIFIED', 'APPROVED'] }, createdAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: {
+            channel: { $cond: [{ $eq: ['$gateway', 'wallet'] }, 'wallet', { $cond: [{ $eq: ['$status', 'APPROVED'] }, 'manual', 'gateway'] }] },
+            purpose: { $cond: [{ $eq: ['$isDuePayment', true] }, 'DUE_PAYMENT', { $ifNull: ['$purpose', 'OTHER'] }] },
+          },
+          amount: { $sum: toNumber('$amount') },
+          count: { $sum: 1 },
+        },
+      },
+    ]).toArray(),
+    collections.cashCollections.aggregate([
+      { $match: { $or: [{ kind: 'JOB_PAYMENT', status: 'CONFIRMED' }, { kind: 'AGENT_COLLECTION', workerId: { $ne: null } }], createdAt: { $gte: from, $lt: to } } },
+      { $group: { _id: { channel: 'cash', purpose: { $cond: [{ $eq: ['$kind', 'JOB_PAYMENT'] }, 'JOB_PAYMENT', 'DUE_PAYMENT'] } }, amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+    ]).toArray(),
+  ]);
+  const rows = [...requests, ...cash].map((r) => ({ channel: r._id.channel, purpose: r._id.purpose, count: r.count, amount: round2(r.amount) }));
+  const total = round2(rows.reduce((sum, r) => sum + r.amount, 0));
+  const byChannel = {};
+  for (const r of rows) byChannel[r.channel] = round2((byChannel[r.channel] || 0) + r.amount);
+  return {
+    from, to, total,
+    byChannel: Object.entries(byChannel).map(([channel, amount]) => ({ channel, amount, share: percent(amount, total) })),
+    rows,
+    csv: { columns: ['Channel', 'Purpose', 'Count', 'Amount'], rows: rows.map((r) => [r.channel, r.purpose, r.count, r.amount]) },
+  };
+}
+
+async function refundsReport({ from, to }) {
+  const rows = await collections.refunds.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    { $group: { _id: { status: '$status', method: '$method', kind: '$kind' }, count: { $sum: 1 }, amount: { $sum: '$amount' }, feeReversed: { $sum: toNumber('$reversal.fee') } } },
+    { $sort: { '_id.status': 1, '_id.method': 1 } },
+  ]).toArray();
+  const list = rows.map((r) => ({ status: r._id.status, method: r._id.method, kind: r._id.kind, count: r.count, amount: round2(r.amount), feeReversed: round2(r.feeReversed) }));
+  const completed = list.filter((r) => r.status === 'COMPLETED');
+  return {
+    from, to,
+    completed: {
+      count: completed.reduce((sum, r) => sum + r.count, 0),
+      amount: round2(completed.reduce((sum, r) => sum + r.amount, 0)),
+      feeReversed: round2(completed.reduce((sum, r) => sum + r.feeReversed, 0)),
+    },
+    pendingAmount: round2(list.filter((r) => ['PENDING', 'PROCESSING'].includes(r.status)).reduce((sum, r) => sum + r.amount, 0)),
+    failedCount: list.filter((r) => r.status === 'FAILED').reduce((sum, r) => sum + r.count, 0),
+    rows: list,
+    csv: { columns: ['Status', 'Method', 'Kind', 'Count', 'Amount', 'Fee reversed'], rows: list.map((r) => [r.status, r.method, r.kind, r.count, r.amount, r.feeReversed]) },
+  };
+}
+
+const FINANCE_REPORTS = {
+  gmv: gmvReport,
+  revenue: revenueReport,
+  'dues-aging': duesAgingReport,
+  'collection-rate': collectionRateReport,
+  'payment-split': paymentSplitReport,
+  refunds: refundsReport,
+};
+
+module.exports = { FINANCE_REPORTS, AGING_BUCKETS, resolveReportRange };
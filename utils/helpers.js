@@ -27,7 +27,7 @@ function buildUserSet(body = {}) {
     'termsVersion', 'privacyVersion',
     'ageConfirmedAt', 'workerAccountStatus',
     'servicesOffered', 'serviceArea', 'certifications', 'portfolio',
-    'experienceYears', 'locationGeo', 'emailVerified',
+    'experienceYears', 'locationGeo',
   ];
 
   const set = {};
@@ -271,6 +271,12 @@ function getConversationId(senderId, recipientId, jobId) {
   return jobId ? `${jobId}_${sorted.join('_')}` : sorted.join('_');
 }
 
+// Helper: does uid belong to conversationId ("uidA_uidB" or "jobId_uidA_uidB")
+function isConversationParticipant(conversationId, uid) {
+  if (!conversationId || !uid) return false;
+  return String(conversationId).split('_').includes(String(uid));
+}
+
 module.exports = {
   pruneEmpty,
   buildUserSet,
@@ -278,4 +284,5 @@ module.exports = {
   getWorkerIdentity,
   computeUserStats,
   getConversationId,
+  isConversationParticipant,
 };
@@ -0,0 +1,232 @@
+// utils/invoices.js — Numbered client invoices, worker fee statements and due receipts (HTML/PDF)
+const PDFDocument = require('pdfkit');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { sendInvoiceEmail } = require('./emailService');
+
+/**
+ * invoices collection, one document per (type, sourceId):
+ *   client_invoice  INV-<year>-<seq>  to the client when an application is settled: labor, approved extras and tips
+ *   fee_statement   FST-<year>-<seq>  to the worker for the same settlement: the platform fee and how it was collected
+ *   due_receipt     RCT-<year>-<seq>  to the worker when a due payment is verified
+ * Amounts are copied onto the document when it is issued, so it never changes afterwards.
+ */
+const INVOICE_TYPES = {
+  client_invoice: { prefix: 'INV', title: 'Invoice' },
+  fee_statement: { prefix: 'FST', title: 'Platform Fee Statement' },
+  due_receipt: { prefix: 'RCT', title: 'Payment Receipt' },
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const money = (amount, currency = 'BDT') => `${currency} ${round2(Number(amount) || 0).toFixed(2)}`;
+const displayName = (user, fallback) => user?.displayName || [user?.firstName, user?.lastName].filter(Boolean).join(' ') || fallback;
+
+// Numbers are sequential per series and year; a counter document is incremented atomically for each one
+async function nextInvoiceNumber(type, now = new Date()) {
+  const { prefix } = INVOICE_TYPES[type];
+  const year = now.getFullYear();
+  const { value } = await collections.counters.findOneAndUpdate(
+    { _id: `invoice:${prefix}:${year}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return `${prefix}-${year}-${String(value.seq).padStart(6, '0')}`;
+}
+
+/**
+ * Store a document once per (type, sourceId). A repeat call returns the stored one; a concurrent
+ * duplicate loses on the unique index and also gets the stored one (its number is left unused).
+ */
+async function issueInvoice(type, sourceId, fields) {
+  const existing = await collections.invoices.findOne({ type, sourceId: String(sourceId) });
+  if (existing) return { invoice: existing, created: false };
+  const now = new Date();
+  const lineTotal = round2(fields.lineItems.reduce((sum, line) => sum + (Number(line.amount) || 0), 0));
+  const invoice = { _id: new ObjectId(), number: await nextInvoiceNumber(type, now), type, sourceId: String(sourceId), currency: 'BDT', discount: 0, notes: [], ...fields, subtotal: lineTotal, issuedAt: now, createdAt: now };
+  invoice.total = round2(invoice.subtotal - invoice.discount);
+  try {
+    await collections.invoices.insertOne(invoice);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return { invoice: await collections.invoices.findOne({ type, sourceId: String(sourceId) }), created: false };
+  }
+  return { invoice, created: true };
+}
+
+/**
+ * Client invoice and worker fee statement for a settled application (called from processJobSettlement).
+ * Each new document is emailed with its PDF attached.
+ */
+async function issueSettlementDocuments(applicationId) {
+  const app = await collections.applications.findOne({ _id: new ObjectId(String(applicationId)) });
+  if (!app || app.settlementStatus !== 'SETTLED') return [];
+  const job = ObjectId.isValid(app.jobId) ? await collections.browseJobs.findOne({ _id: new ObjectId(app.jobId) }) : null;
+  const [client, worker] = await Promise.all([
+    app.clientId ? collections.users.findOne({ uid: String(app.clientId) }) : null,
+    app.workerId ? collections.users.findOne({ uid: String(app.workerId) }) : null,
+  ]);
+  const approved = await collections.additionalCharges.find({ applicationId: app._id, status: 'APPROVED' }).toArray();
+  const jobTitle = job?.title || app.jobTitle || 'Service job';
+  const paidOnline = app.paymentStatus === 'PAID';
+  const common = { applicationId: String(app._id), jobId: app.jobId ? String(app.jobId) : null, jobTitle, category: job?.category || null };
+  const clientParty = { uid: app.clientId ? String(app.clientId) : null, name: displayName(client, 'Client'), email: client?.email || app.clientEmail || null, phone: client?.phone || null };
+  const workerParty = { uid: app.workerId ? String(app.workerId) : null, name: displayName(worker, app.workerName || 'Worker'), email: worker?.email || app.workerEmail || null, phone: worker?.phone || app.workerPhone || null };
+
+  const laborAmount = Number(app.laborAmount ?? (app.finalPrice || app.proposedPrice)) || 0;
+  const clientLines = [{ description: `Labor — ${jobTitle}`, amount: laborAmount }];
+  for (const charge of approved) {
+    clientLines.push({ description: charge.type === 'EXTRA_COST' ? `Extra cost${charge.description ? ` — ${charge.description}` : ''}` : `Tip${charge.description ? ` — ${charge.description}` : ''}`, amount: Number(charge.amount) || 0 });
+  }
+  const promoDiscount = paidOnline ? Number(app.promoDiscount) || 0 : 0;
+  const issued = [];
+  if (clientParty.uid) {
+    issued.push(await issueInvoice('client_invoice', app._id, {
+      ...common,
+      userId: clientParty.uid,
+      recipient: clientParty,
+      counterparty: { role: 'worker', name: workerParty.name },
+      lineItems: clientLines,
+      discount: promoDiscount,
+      discountLabel: promoDiscount > 0 ? `Promo code ${app.promo?.code || ''}`.trim() : null,
+      payment: paidOnline
+        ? { method: 'online', gateway: app.paymentMethod || 'SSLCOMMERZ', reference: app.paymentRequestId || null, paidAt: app.paidAt || null, amount: Number(app.paidAmount) || 0 }
+        : { method: 'cash', paidTo: workerParty.name },
+    }));
+  }
+
+  if (workerParty.uid) {
+    const rule = app.feeRule || {};
+    const scheduledFee = Number(app.scheduledFee ?? app.platformFee) || 0;
+    const feeLines = [{ description: `Platform fee on labor of ${money(laborAmount)}${rule.rate !== undefined ? ` (tier ${app.feeTier || '-'}, ${round2(rule.rate * 100)}%${rule.cap ? `, capped at ${money(rule.cap)}` : ''})` : ''}`, amount: scheduledFee }];
+    const notes = [];
+    if (rule.discountPercent > 0) notes.push(`Includes a ${rule.discountPercent}% fee discount (${String(rule.source || '').replace('_', ' ')}).`);
+    notes.push(app.feeCollection === 'ONLINE'
+      ? `Withheld from the online payment; ${money(app.workerPayableAmount)} is payable to you.`
+      : 'Added to your platform dues; pay it from your wallet.');
+    issued.push(await issueInvoice('fee_statement', app._id, {
+      ...common,
+      userId: workerParty.uid,
+      recipient: workerParty,
+      counterparty: { role: 'client', name: clientParty.name },
+      lineItems: feeLines,
+      discount: Number(app.feeDiscount) || 0,
+      discountLabel: app.feeDiscount > 0 ? `Promo code ${app.workerPromo?.code || ''}`.trim() : null,
+      feeCollection: app.feeCollection || null,
+      notes,
+    }));
+  }
+  await emailNewInvoices(issued);
+  return issued.map(({ invoice }) => invoice);
+}
+
+// Receipt for a verified due payment: 'online' from the gateway callback, 'manual' when an admin verified it
+async function issueDueReceipt(payment, { method = 'online' } = {}) {
+  const worker = await collections.users.findOne({ uid: String(payment.workerId) });
+  const result = await issueInvoice('due_receipt', payment._id, {
+    paymentRequestId: String(payment._id),
+    userId: String(payment.workerId),
+    recipient: { uid: String(payment.workerId), name: displayName(worker, 'Worker'), email: worker?.email || null, phone: worker?.phone || null },
+    lineItems: [{ description: 'Platform dues payment', amount: Number(payment.amount) || 0 }],
+    payment: { method, gateway: payment.gateway || null, reference: payment.transactionId || null, paidAt: payment.paidAt || new Date(), amount: Number(payment.amount) || 0 },
+    notes: [`Remaining dues after this payment: ${money(worker?.dueBalance || 0)}.`],
+  });
+  await emailNewInvoices([result]);
+  return result.invoice;
+}
+
+async function emailNewInvoices(results) {
+  for (const { invoice, created } of results) {
+    if (created && invoice.recipient?.email) await emailInvoice(invoice).catch((err) => console.error(`Failed to email ${invoice.number}:`, err));
+  }
+}
+
+async function emailInvoice(invoice) {
+  const pdf = await renderInvoicePdf(invoice);
+  const result = await sendInvoiceEmail(invoice.recipient.email, invoice.recipient.name, { number: invoice.number, title: INVOICE_TYPES[invoice.type].title, total: money(invoice.total, invoice.currency) }, pdf);
+  if (result?.success) await collections.invoices.updateOne({ _id: invoice._id }, { $set: { emailedAt: new Date() } });
+  return result;
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function paymentLine(invoice) {
+  const p = invoice.payment;
+  if (!p) return null;
+  if (p.method === 'cash') return `Paid in cash to ${p.paidTo}`;
+  return `Paid ${money(p.amount, invoice.currency)} via ${p.gateway || p.method}${p.reference ? ` (ref ${p.reference})` : ''}${p.paidAt ? ` on ${new Date(p.paidAt).toDateString()}` : ''}`;
+}
+
+function renderInvoiceHtml(invoice) {
+  const { title } = INVOICE_TYPES[invoice.type];
+  const rows = invoice.lineItems.map((line) => `<tr><td style="padding:8px;border-bottom:1px solid #eee;">${escapeHtml(line.description)}</td><td style="padding:8px;border-bottom:1px solid #eee;text-align:right;">${money(line.amount, invoice.currency)}</td></tr>`).join('');
+  const payment = paymentLine(invoice);
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(invoice.number)}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto; color: #333;">
+  <h1 style="color: #1DC66C; margin-bottom: 0;">Hire Mistri</h1>
+  <h2 style="margin-top: 4px;">${title} ${escapeHtml(invoice.number)}</h2>
+  <p>Issued ${new Date(invoice.issuedAt).toDateString()}</p>
+  <p><strong>To:</strong> ${escapeHtml(invoice.recipient?.name)}${invoice.recipient?.email ? `<br>${escapeHtml(invoice.recipient.email)}` : ''}</p>
+  ${invoice.jobTitle ? `<p><strong>Job:</strong> ${escapeHtml(invoice.jobTitle)}${invoice.counterparty ? ` — ${invoice.counterparty.role} ${escapeHtml(invoice.counterparty.name)}` : ''}</p>` : ''}
+  <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+    <thead><tr><th style="text-align:left;padding:8px;border-bottom:2px solid #333;">Description</th><th style="text-align:right;padding:8px;border-bottom:2px solid #333;">Amount</th></tr></thead>
+    <tbody>${rows}</tbody>
+    <tfoot>
+      <tr><td style="padding:8px;text-align:right;">Subtotal</td><td style="padding:8px;text-align:right;">${money(invoice.subtotal, invoice.currency)}</td></tr>
+      ${invoice.discount > 0 ? `<tr><td style="padding:8px;text-align:right;">${escapeHtml(invoice.discountLabel || 'Discount')}</td><td style="padding:8px;text-align:right;">-${money(invoice.discount, invoice.currency)}</td></tr>` : ''}
+      <tr><td style="padding:8px;text-align:right;"><strong>Total</strong></td><td style="padding:8px;text-align:right;"><strong>${money(invoice.total, invoice.currency)}</strong></td></tr>
+    </tfoot>
+  </table>
+  ${payment ? `<p>${escapeHtml(payment)}</p>` : ''}
+  ${(invoice.notes || []).map((note) => `<p style="color: #666;">${escapeHtml(note)}</p>`).join('')}
+</body></html>`;
+}
+
+// Resolves to a PDF Buffer with the same content as renderInvoiceHtml
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: invoice.number, Author: 'Hire Mistri' } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const right = doc.page.width - 50;
+    const row = (label, amount, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(label, 50, y, { width: 360 });
+      const after = doc.y;
+      doc.text(amount, 410, y, { width: right - 410, align: 'right' });
+      doc.y = Math.max(after, doc.y) + 4;
+    };
+
+    doc.fillColor('#1DC66C').font('Helvetica-Bold').fontSize(22).text('Hire Mistri');
+    doc.fillColor('#333333').fontSize(16).text(`${INVOICE_TYPES[invoice.type].title} ${invoice.number}`);
+    doc.font('Helvetica').fontSize(10).text(`Issued ${new Date(invoice.issuedAt).toDateString()}`).moveDown();
+    doc.fontSize(11).text(`To: ${invoice.recipient?.name || ''}${invoice.recipient?.email ? ` <${invoice.recipient.email}>` : ''}`);
+    if (invoice.jobTitle) doc.text(`Job: ${invoice.jobTitle}${invoice.counterparty ? ` — ${invoice.counterparty.role} ${invoice.counterparty.name}` : ''}`);
+    doc.moveDown();
+    row('Description', 'Amount', true);
+    doc.moveTo(50, doc.y).lineTo(right, doc.y).stroke().moveDown(0.5);
+    for (const line of invoice.lineItems) row(line.description, money(line.amount, invoice.currency));
+    doc.moveTo(50, doc.y).lineTo(right, doc.y).stroke().moveDown(0.5);
+    row('Subtotal', money(invoice.subtotal, invoice.currency));
+    if (invoice.discount > 0) row(invoice.discountLabel || 'Discount', `-${money(invoice.discount, invoice.currency)}`);
+    row('Total', money(invoice.total, invoice.currency), true);
+    doc.moveDown();
+    const payment = paymentLine(invoice);
+    if (payment) doc.font('Helvetica').text(payment);
+    for (const note of invoice.notes || []) doc.fillColor('#666666').text(note);
+    doc.end();
+  });
+}
+
+module.exports = {
+  INVOICE_TYPES,
+  nextInvoiceNumber,
+  issueSettlementDocuments,
+  issueDueReceipt,
+  emailInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+};
@@ -0,0 +1,79 @@
+// utils/jobOffers.js — Private job offer negotiation trail (jobOfferHistory + chat system messages)
+const { collections } = require('../config/db');
+const { findOrCreateConversationId, sendSystemMessage } = require('./messaging');
+const { invalidateConversationJobsCache } = require('./cache');
+
+const MAX_PROPOSAL_MESSAGE = 1000;
+
+// Validate { price, date, message } from a counter request; returns { proposal } or { error }.
+// Terms the counter leaves out are carried over from the ones currently on the table.
+function parseProposal(body = {}, job = {}) {
+  const { price: currentPrice, date: currentDate, currency } = currentTerms(job);
+  const proposal = { currency, ...(currentPrice !== undefined ? { price: currentPrice } : {}), ...(currentDate ? { date: currentDate } : {}) };
+  const hasPrice = body.price !== undefined && body.price !== null && body.price !== '';
+  if (!hasPrice && !body.date) return { error: 'A counter-proposal needs a price or a date' };
+  if (hasPrice) {
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price <= 0) return { error: 'price must be a positive number' };
+    proposal.price = price;
+  }
+  if (body.date) {
+    const date = new Date(body.date);
+    if (isNaN(date.getTime())) return { error: 'Invalid date format' };
+    if (date <= new Date()) return { error: 'Proposed date must be in the future' };
+    proposal.date = date;
+  }
+  const message = body.message != null ? String(body.message).trim() : '';
+  if (message.length > MAX_PROPOSAL_MESSAGE) return { error: `message must be at most ${MAX_PROPOSAL_MESSAGE} characters` };
+  if (message) proposal.message = message;
+  return { proposal };
+}
+
+// Terms currently on the table: the latest counter, or the client's original offer
+function currentTerms(job = {}) {
+  if (job.currentProposal) return job.currentProposal;
+  const price = Number(job.budget);
+  return {
+    ...(Number.isFinite(price) && price > 0 ? { price } : {}),
+    currency: job.currency || 'BDT',
+    ...(job.scheduledDate ? { date: job.scheduledDate } : {}),
+    ...(job.clientId ? { proposedBy: String(job.clientId) } : {}),
+  };
+}
+
+function describeProposal(proposal = {}) {
+  const lines = [];
+  if (proposal.price !== undefined) lines.push(`💰 Price: ${proposal.price} ${proposal.currency || 'BDT'}`);
+  if (proposal.date) lines.push(`📅 Date: ${new Date(proposal.date).toISOString().split('T')[0]}`);
+  if (proposal.message) lines.push(`💬 ${proposal.message}`);
+  return lines.join('\n');
+}
+
+/**
+ * Append a step to the offer's negotiation trail and, when `message` is given,
+ * post it as a system message in the offer's conversation (from actor to the other party).
+ */
+async function recordOfferEvent(job, { action, actorId, actorRole, proposal = null, reason = null, createdAt = new Date() }, message = null) {
+  const entry = {
+    jobId: String(job._id),
+    clientId: job.clientId ? String(job.clientId) : null,
+    workerId: job.targetWorkerId ? String(job.targetWorkerId) : null,
+    action,
+    actorId: actorId ? String(actorId) : null,
+    actorRole: actorRole || null,
+    proposal,
+    reason: reason ? String(reason) : null,
+    createdAt,
+  };
+  await collections.jobOfferHistory.insertOne(entry);
+
+  if (message && entry.clientId && entry.workerId) {
+    const conversationId = job.conversationId || await findOrCreateConversationId(entry.jobId, entry.clientId, entry.workerId);
+    const recipientId = entry.actorId === entry.clientId ? entry.workerId : entry.clientId;
+    await sendSystemMessage(conversationId, entry.actorId || entry.clientId, recipientId, entry.jobId, message);
+    invalidateConversationJobsCache(conversationId);
+  }
+  return entry;
+}
+
+module.exports = { parseProposal, currentTerms, describeProposal, recordOfferEvent };
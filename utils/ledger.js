@@ -0,0 +1,175 @@
+// utils/ledger.js — Double-entry ledger: fixed entry types, balanced legs, running balances
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { evaluateWorkerDue } = require('./duePolicy');
+
+// `normal` is the side that increases the account. Per-worker accounts keep one balance per worker.
+const ACCOUNTS = {
+  worker_due: { normal: 'DEBIT', perWorker: true },       // owed by the worker to the platform (mirrors users.dueBalance)
+  worker_payable: { normal: 'CREDIT', perWorker: true },  // owed by the platform to the worker
+  platform_revenue: { normal: 'CREDIT' },                 // platform fees earned
+  platform_cash: { normal: 'DEBIT' },                     // money held through the gateway / bank
+  payout_clearing: { normal: 'CREDIT' },                  // payouts reserved in a batch, not yet confirmed
+  adjustments: { normal: 'DEBIT' },                       // manual corrections by finance
+  promo_expense: { normal: 'DEBIT' },                     // client promo discounts the platform pays for
+};
+
+// Every posting is one of these; each moves `amount` from the credit account to the debit account
+const ENTRY_TYPES = {
+  PLATFORM_FEE_DUE: { debit: 'worker_due', credit: 'platform_revenue' },           // fee on a job the worker was paid for directly
+  PLATFORM_FEE_WITHHELD: { debit: 'worker_payable', credit: 'platform_revenue' },  // fee kept from an online job payment
+  JOB_PAYMENT_RECEIVED: { debit: 'platform_cash', credit: 'worker_payable' },      // client paid a job online
+  DUE_PAYMENT: { debit: 'platform_cash', credit: 'worker_due' },                   // worker paid dues (gateway or verified manual)
+  DUE_OFFSET: { debit: 'worker_payable', credit: 'worker_due' },                   // dues cleared from the worker's payable
+  PAYOUT_RESERVED: { debit: 'worker_payable', credit: 'payout_clearing' },         // payable placed in a payout batch
+  PAYOUT_SENT: { debit: 'payout_clearing', credit: 'platform_cash' },              // provider confirmed the transfer
+  PAYOUT_REVERSED: { debit: 'payout_clearing', credit: 'worker_payable' },         // transfer failed, returned to payable
+  PROMO_DISCOUNT_FUNDED: { debit: 'promo_expense', credit: 'worker_payable' },     // platform tops up a client's promo discount
+  // Refunds and settlement reversals (utils/refunds.js)
+  REFUND_PAID: { debit: 'worker_payable', credit: 'platform_cash' },               // online job payment returned to the client
+  JOB_PAYMENT_UNSETTLED: { debit: 'worker_payable', credit: 'platform_cash' },     // settlement undone; the payment is held again, unledgered
+  PROMO_DISCOUNT_REVERSED: { debit: 'worker_payable', credit: 'promo_expense' },   // refunded share of a client promo top-up
+  PLATFORM_FEE_REVERSED: { debit: 'platform_revenue', credit: 'worker_payable' },  // fee given back to the worker's payable
+  PLATFORM_FEE_DUE_REVERSED: { debit: 'platform_revenue', credit: 'worker_due' },  // fee taken off the worker's outstanding dues
+  PAYABLE_DEFICIT_TO_DUE: { debit: 'worker_due', credit: 'worker_payable' },       // reversal left the payable negative (already paid out)
+  DUE_ADJUSTMENT_UP: { debit: 'worker_due', credit: 'adjustments' },
+  DUE_ADJUSTMENT_DOWN: { debit: 'adjustments', credit: 'worker_due' },
+};
+
+// Single-row entry types written before this module existed, for scripts/migrateLedger.js
+const LEGACY_TYPES = {
+  platform_fee_debit: 'PLATFORM_FEE_DUE',
+  DUE_PAYMENT_CREDIT: 'DUE_PAYMENT',
+  due_payment_credit: 'DUE_PAYMENT',
+  ADMIN_MANUAL_ADJUSTMENT: (doc) => (doc.direction === 'DEBIT' ? 'DUE_ADJUSTMENT_UP' : 'DUE_ADJUSTMENT_DOWN'),
+  job_earning_credit: 'JOB_PAYMENT_RECEIVED',
+  platform_fee_credit: 'PLATFORM_FEE_WITHHELD',
+  due_offset_debit: 'DUE_OFFSET',
+  payout_reserved_debit: 'PAYOUT_RESERVED',
+  payout_sent: 'PAYOUT_SENT',
+  payout_reversal_credit: 'PAYOUT_REVERSED',
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Signed change a leg makes to its account's balance
+function legDelta(account, direction, amount) {
+  return ACCOUNTS[account].normal === direction ? amount : -amount;
+}
+
+function balanceKey(account, workerId) {
+  return { account, workerId: ACCOUNTS[account].perWorker ? String(workerId) : null };
+}
+
+async function bumpBalance(account, workerId, delta) {
+  const { value } = await collections.ledgerBalances.findOneAndUpdate(
+    balanceKey(account, workerId),
+    { $inc: { balance: delta }, $set: { updatedAt: new Date() } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return round2(Number(value?.balance) || 0);
+}
+
+/**
+ * Post one balanced transaction: a DEBIT leg and a CREDIT leg of the same amount sharing a transactionId.
+ * Each leg stores the running balance of its account after the posting. Postings that touch
+ * worker_due also move users.dueBalance by the same amount, so the two only drift through
+ * out-of-band writes (see GET /api/admin/ledger/reconciliation). They also re-run the
+ * worker's due escalation check (utils/duePolicy.js).
+ *
+ * @param {string} type    one of ENTRY_TYPES
+ * @param {object} options { workerId, amount, refs?, memo?, createdBy?, createdAt? }
+ * @returns {Promise<{ transactionId: string, legs: object[], balances: object }>}
+ */
+async function postLedgerTransaction(type, { workerId, amount, refs = {}, memo = null, createdBy = null, createdAt = new Date() }) {
+  const def = ENTRY_TYPES[type];
+  if (!def) throw new Error(`Unknown ledger entry type: ${type}`);
+  const value = round2(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) throw new Error('Ledger amount must be a positive number');
+  if (!workerId) throw new Error('Ledger postings require a workerId');
+
+  const transactionId = new ObjectId().toString();
+  const legs = [];
+  const balances = {};
+  for (const [direction, account] of [['DEBIT', def.debit], ['CREDIT', def.credit]]) {
+    const balanceAfter = await bumpBalance(account, workerId, legDelta(account, direction, value));
+    balances[account] = balanceAfter;
+    legs.push({ transactionId, type, account, direction, amount: value, balanceAfter, workerId: String(workerId), ...refs, memo, createdBy, createdAt });
+  }
+  for (const leg of legs) await collections.ledgers.insertOne(leg);
+
+  const dueDelta = legs.filter((l) => l.account === 'worker_due').reduce((sum, l) => sum + legDelta('worker_due', l.direction, l.amount), 0);
+  if (dueDelta !== 0) {
+    await collections.users.updateOne({ uid: String(workerId) }, { $inc: { dueBalance: dueDelta } });
+    await evaluateWorkerDue(String(workerId)).catch((err) => console.error(`Due escalation check for ${workerId} failed:`, err));
+  }
+  return { transactionId, legs, balances };
+}
+
+// Current running balance of a per-worker account
+async function getAccountBalance(account, workerId) {
+  const doc = await collections.ledgerBalances.findOne(balanceKey(account, workerId));
+  return round2(Number(doc?.balance) || 0);
+}
+
+// Map of workerId -> running balance of a per-worker account
+async function getAccountBalances(account, workerIds) {
+  const docs = await collections.ledgerBalances.find({ account, workerId: { $in: workerIds.map(String) } }).toArray();
+  return new Map(docs.map((d) => [String(d.workerId), round2(Number(d.balance) || 0)]));
+}
+
+/**
+ * Recompute worker_due from ledger legs and compare with users.dueBalance and the running balance.
+ * Returns rows for every worker that has either a ledger history or a non-zero dueBalance.
+ */
+async function reconcileWorkerDues({ workerIds = null, tolerance = 0.01 } = {}) {
+  const match = { account: 'worker_due' };
+  if (workerIds) match.workerId = { $in: workerIds.map(String) };
+  const sums = await collections.ledgers.aggregate([
+    { $match: match },
+    { $group: { _id: '$workerId', debits: { $sum: { $cond: [{ $eq: ['$direction', 'DEBIT'] }, '$amount', 0] } }, credits: { $sum: { $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', 0] } } } },
+  ]).toArray();
+  const fromLedger = new Map(sums.map((s) => [String(s._id), round2(s.debits - s.credits)]));
+
+  const userQuery = { role: 'worker', $or: [{ uid: { $in: [...fromLedger.keys()] } }, { dueBalance: { $nin: [0, null] } }] };
+  if (workerIds) userQuery.uid = { $in: workerIds.map(String) };
+  const workers = await collections.users.find(userQuery).project({ uid: 1, displayName: 1, firstName: 1, lastName: 1, email: 1, dueBalance: 1 }).toArray();
+  const running = await getAccountBalances('worker_due', workers.map((w) => w.uid));
+
+  return workers.map((w) => {
+    const ledgerDue = fromLedger.get(String(w.uid)) || 0;
+    const dueBalance = round2(Number(w.dueBalance) || 0);
+    const runningBalance = running.get(String(w.uid)) || 0;
+    const drift = round2(dueBalance - ledgerDue);
+    return {
+      workerId: String(w.uid),
+      name: w.displayName || [w.firstName, w.lastName].filter(Boolean).join(' ') || w.email || String(w.uid),
+      dueBalance,
+      ledgerDue,
+      runningBalance,
+      drift,
+      hasDrift: Math.abs(drift) > tolerance || Math.abs(runningBalance - ledgerDue) > tolerance,
+    };
+  });
+}
+
+// Transactions whose legs do not net to zero (should always be empty)
+async function findUnbalancedTransactions(limit = 50) {
+  return collections.ledgers.aggregate([
+    { $match: { account: { $exists: true } } },
+    { $group: { _id: '$transactionId', debits: { $sum: { $cond: [{ $eq: ['$direction', 'DEBIT'] }, '$amount', 0] } }, credits: { $sum: { $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', 0] } }, legs: { $sum: 1 } } },
+    { $match: { $expr: { $or: [{ $ne: ['$legs', 2] }, { $gt: [{ $abs: { $subtract: ['$debits', '$credits'] } }, 0.001] }] } } },
+    { $limit: limit },
+  ]).toArray();
+}
+
+module.exports = {
+  ACCOUNTS,
+  ENTRY_TYPES,
+  LEGACY_TYPES,
+  postLedgerTransaction,
+  getAccountBalance,
+  getAccountBalances,
+  reconcileWorkerDues,
+  findUnbalancedTransactions,
+};
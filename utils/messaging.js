@@ -1,6 +1,22 @@
-// utils/messaging.js — Conversation ID helpers and system message sender
+// utils/messaging.js — Conversation ID helpers, system message sender, message edit/unsend and delivery states
 const { ObjectId } = require('mongodb');
 const { collections } = require('../config/db');
+const { discardMessageAttachments } = require('./attachments');
+const { BLOCKED_MESSAGE, isBlockedBetween } = require('./blocks');
+const { recordConversationMessage, refreshConversationPreview, syncConversationUnread, encodeCursor, decodeCursor } = require('./conversations');
+
+/**
+ * Message states: status 'sent' (stored) -> 'delivered' (the recipient's client acknowledged it) ->
+ * 'read', with deliveredAt/readAt. `read: true` is kept alongside status for older clients.
+ * Senders can edit the text for MESSAGE_EDIT_WINDOW_MS (earlier versions go to editHistory) and unsend at
+ * any time, which blanks the message and removes its attachments for both sides. System messages are
+ * neither editable nor unsendable.
+ */
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const MESSAGE_STATUSES = ['sent', 'delivered', 'read'];
+const MESSAGES_PAGE_DEFAULT = 30;
+const MESSAGES_PAGE_MAX = 100;
+const CATCH_UP_MAX = 500;
 
 let _io = null;
 
@@ -33,6 +49,14 @@ async function findOrCreateConversationId(jobId, clientId, workerId) {
   }
 }
 
+// Push a stored message to both participants' sockets (messages sent over HTTP and system messages)
+function emitNewMessage(message) {
+  if (!_io || !message) return;
+  _io.to(`user_${message.senderId}`).emit('new_message', message);
+  _io.to(`user_${message.recipientId}`).emit('new_message', message);
+  _io.to(message.conversationId).emit('new_message', message);
+}
+
 // Insert a system-generated chat message and emit via WebSocket
 async function sendSystemMessage(conversationId, senderId, recipientId, jobId, message, options = {}) {
   try {
@@ -76,18 +100,16 @@ async function sendSystemMessage(conversationId, senderId, recipientId, jobId, m
       senderName: 'System',
       recipientName: '',
       read: false,
+      status: 'sent',
       createdAt: new Date(),
       isSystemMessage: true,
     };
 
     const result = await collections.messages.insertOne(systemMessage);
     const insertedMessage = await collections.messages.findOne({ _id: result.insertedId });
+    await recordConversationMessage(insertedMessage);
 
-    if (_io) {
-      _io.to(`user_${senderId}`).emit('new_message', insertedMessage);
-      _io.to(`user_${recipientId}`).emit('new_message', insertedMessage);
-      _io.to(conversationId).emit('new_message', insertedMessage);
-    }
+    emitNewMessage(insertedMessage);
 
     return insertedMessage;
   } catch (err) {
@@ -96,4 +118,160 @@ async function sendSystemMessage(conversationId, senderId, recipientId, jobId, m
   }
 }
 
-module.exports = { findOrCreateConversationId, sendSystemMessage, setIo };
+// Emit to both participants and anyone watching the conversation room
+function emitToConversation(message, event, payload) {
+  if (!_io) return;
+  _io.to(`user_${message.senderId}`).to(`user_${message.recipientId}`).to(String(message.conversationId)).emit(event, payload);
+}
+
+async function loadOwnMessage(messageId, userId, action) {
+  if (!ObjectId.isValid(messageId)) return { status: 400, error: 'Invalid message id' };
+  const message = await collections.messages.findOne({ _id: new ObjectId(messageId) });
+  if (!message) return { status: 404, error: 'Message not found' };
+  if (String(message.senderId) !== String(userId)) return { status: 403, error: `Only the sender can ${action} a message` };
+  if (message.isSystemMessage) return { status: 403, error: `System messages cannot be ${action === 'edit' ? 'edited' : 'unsent'}` };
+  if (message.deletedAt) return { status: 410, error: 'This message was unsent' };
+  return { message };
+}
+
+/**
+ * Replace a message's text within the edit window, keeping the earlier version.
+ * @returns {Promise<{ status: number, message?: object, error?: string }>}
+ */
+async function editMessage(messageId, { userId, message: text }, now = new Date()) {
+  const loaded = await loadOwnMessage(messageId, userId, 'edit');
+  if (loaded.error) return loaded;
+  const { message } = loaded;
+  const next = String(text || '').trim();
+  if (!next) return { status: 400, error: 'message is required' };
+  if (now - new Date(message.createdAt) > MESSAGE_EDIT_WINDOW_MS) return { status: 409, error: `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MS / 60000} minutes of sending` };
+  if (next === message.message) return { status: 200, message };
+  if (await isBlockedBetween(message.senderId, message.recipientId)) return { status: 403, error: BLOCKED_MESSAGE };
+
+  const claim = await collections.messages.updateOne(
+    { _id: message._id, message: message.message, deletedAt: { $exists: false } },
+    { $set: { message: next, editedAt: now, updatedAt: now }, $push: { editHistory: { message: message.message, editedAt: now } } }
+  );
+  if (!claim.modifiedCount) return { status: 409, error: 'The message changed in the meantime; reload and try again' };
+  const updated = await collections.messages.findOne({ _id: message._id });
+  await refreshConversationPreview(updated);
+  emitToConversation(updated, 'message:edited', updated);
+  return { status: 200, message: updated };
+}
+
+/**
+ * Unsend a message for both sides: text, attachments and edit history are removed, a placeholder stays.
+ * @returns {Promise<{ status: number, message?: object, error?: string }>}
+ */
+async function unsendMessage(messageId, { userId }, now = new Date()) {
+  const loaded = await loadOwnMessage(messageId, userId, 'unsend');
+  if (loaded.error) return loaded;
+  const { message } = loaded;
+  const hadAttachments = Boolean(message.attachments?.length);
+  const claim = await collections.messages.updateOne(
+    { _id: message._id, deletedAt: { $exists: false } },
+    { $set: { message: '', attachments: [], editHistory: [], deletedAt: now, deletedBy: String(userId), updatedAt: now } }
+  );
+  if (!claim.modifiedCount) return { status: 410, error: 'This message was unsent' };
+  if (hadAttachments) await discardMessageAttachments(message._id);
+  const updated = await collections.messages.findOne({ _id: message._id });
+  await refreshConversationPreview(updated);
+  emitToConversation(updated, 'message:deleted', { messageId: String(message._id), conversationId: updated.conversationId, deletedAt: now });
+  return { status: 200, message: updated };
+}
+
+/**
+ * The recipient's client received these messages: move them from sent to delivered and tell each sender.
+ * @returns {Promise<number>} how many messages changed state
+ */
+async function markMessagesDelivered(userId, messageIds, now = new Date()) {
+  const ids = [...new Set((Array.isArray(messageIds) ? messageIds : [messageIds]).map(String))].filter((id) => ObjectId.isValid(id));
+  if (!ids.length) return 0;
+  const pending = await collections.messages.find({ _id: { $in: ids.map((id) => new ObjectId(id)) }, recipientId: String(userId), status: 'sent' }).toArray();
+  const bySender = new Map();
+  for (const message of pending) {
+    const claim = await collections.messages.updateOne({ _id: message._id, status: 'sent' }, { $set: { status: 'delivered', deliveredAt: now, updatedAt: now } });
+    if (!claim.modifiedCount) continue;
+    const key = `${message.senderId}|${message.conversationId}`;
+    if (!bySender.has(key)) bySender.set(key, { senderId: String(message.senderId), conversationId: message.conversationId, messageIds: [] });
+    bySender.get(key).messageIds.push(String(message._id));
+  }
+  if (_io) {
+    for (const { senderId, conversationId, messageIds: delivered } of bySender.values()) {
+      _io.to(`user_${senderId}`).emit('message:delivered', { conversationId, messageIds: delivered, deliveredAt: now });
+    }
+  }
+  return [...bySender.values()].reduce((sum, group) => sum + group.messageIds.length, 0);
+}
+
+/**
+ * Mark what was addressed to userId in the conversation as read: everything, or only messages up to and
+ * including `upTo` (a message id, for clients that read as they scroll). The other side gets messages_read.
+ * @returns {Promise<number|{ status: number, error: string }>} how many messages changed, or an error for a bad upTo
+ */
+async function markConversationRead(conversationId, userId, { senderId = null, upTo = null } = {}, now = new Date()) {
+  const query = { conversationId: String(conversationId), recipientId: String(userId), read: false };
+  if (senderId) query.senderId = String(senderId);
+  if (upTo) {
+    const last = ObjectId.isValid(upTo) ? await collections.messages.findOne({ _id: new ObjectId(upTo), conversationId: String(conversationId) }) : null;
+    if (!last) return { status: 404, error: 'upTo message not found in this conversation' };
+    query.createdAt = { $lte: last.createdAt };
+  }
+  const result = await collections.messages.updateMany(query, { $set: { read: true, readAt: now, status: 'read', updatedAt: now } });
+  await syncConversationUnread(conversationId, userId);
+  const otherId = senderId ? String(senderId) : String(conversationId).split('_').slice(-2).find((id) => id !== String(userId));
+  if (_io && result.modifiedCount && otherId) _io.to(`user_${otherId}`).emit('messages_read', { conversationId: String(conversationId), readerId: String(userId), readAt: now });
+  return result.modifiedCount;
+}
+
+/**
+ * A conversation's messages, oldest first within the page.
+ *   default       the latest `limit` messages
+ *   before=cursor the `limit` messages before that point ("load older"; nextCursor is the next page)
+ *   since=date    everything created or changed (edited, unsent, delivered, read) after that time, for
+ *                 catching up after a socket reconnect; truncated=true means reload the latest page instead
+ * @returns {Promise<{ messages: object[], nextCursor?: string|null, truncated?: boolean } | { status: number, error: string }>}
+ */
+async function listConversationMessages(conversationId, { limit, before, since } = {}) {
+  const base = { conversationId: String(conversationId) };
+  if (since) {
+    const at = new Date(since);
+    if (Number.isNaN(at.getTime())) return { status: 400, error: 'since must be a date' };
+    const rows = await collections.messages
+      .find({ ...base, $or: [{ createdAt: { $gt: at } }, { updatedAt: { $gt: at } }] })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(CATCH_UP_MAX + 1)
+      .toArray();
+    return { messages: rows.slice(0, CATCH_UP_MAX), truncated: rows.length > CATCH_UP_MAX, serverTime: new Date() };
+  }
+
+  const size = Math.min(MESSAGES_PAGE_MAX, Math.max(1, parseInt(limit, 10) || MESSAGES_PAGE_DEFAULT));
+  const query = { ...base };
+  if (before) {
+    const cursor = decodeCursor(before);
+    if (!cursor || !ObjectId.isValid(cursor.id)) return { status: 400, error: 'Invalid cursor' };
+    query.$or = [{ createdAt: { $lt: cursor.at } }, { createdAt: cursor.at, _id: { $lt: new ObjectId(cursor.id) } }];
+  }
+  const rows = await collections.messages.find(query).sort({ createdAt: -1, _id: -1 }).limit(size + 1).toArray();
+  const page = rows.slice(0, size);
+  const oldest = page[page.length - 1];
+  return {
+    messages: page.reverse(),
+    nextCursor: rows.length > size ? encodeCursor(oldest.createdAt, oldest._id) : null,
+    serverTime: new Date(),
+  };
+}
+
+module.exports = {
+  MESSAGE_EDIT_WINDOW_MS,
+  MESSAGE_STATUSES,
+  findOrCreateConversationId,
+  sendSystemMessage,
+  emitNewMessage,
+  editMessage,
+  unsendMessage,
+  markMessagesDelivered,
+  markConversationRead,
+  listConversationMessages,
+  setIo,
+};
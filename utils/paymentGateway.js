@@ -0,0 +1,124 @@
+// utils/paymentGateway.js — Pluggable card/MFS gateway (SSLCommerz by default, in-memory mock for local work)
+const { ObjectId } = require('mongodb');
+const SSLCommerzPayment = require('sslcommerz-lts');
+
+const STORE_ID = process.env.STORE_ID || 'testbox';
+const STORE_PASSWD = process.env.STORE_PASSWD || 'testpass';
+const IS_LIVE = process.env.IS_LIVE === 'true';
+
+// Frontends the gateway callbacks may send the browser back to (comma-separated origins); the first is the default
+const PAYMENT_REDIRECT_ORIGINS = (process.env.PAYMENT_REDIRECT_ORIGINS || [process.env.CLIENT_APP_URL || 'http://localhost:5173', process.env.WORKER_APP_URL || 'http://localhost:5174'].join(','))
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+/**
+ * A payment gateway is any object with:
+ *   name: string
+ *   initSession(data): Promise<{ url: string|null, sessionKey?: string, raw?: object }>
+ *     `data` uses SSLCommerz init field names (total_amount, currency, tran_id, success_url, ...).
+ *   validate({ valId }): Promise<{ valid: boolean, status: string, tranId?: string, amount?: number,
+ *                                  currency?: string, bankTranId?: string, raw?: object }>
+ * and, to support refunds (utils/refunds.js):
+ *   refund({ bankTranId, amount, refundId, remarks }): Promise<RefundResult>
+ *   refundStatus({ refundRefId }): Promise<RefundResult>
+ *     RefundResult = { status: 'COMPLETED'|'PROCESSING'|'FAILED', refundRefId?: string, error?: string, raw?: object }
+ * Register a different gateway at startup with setPaymentGateway().
+ */
+const sslcommerzGateway = {
+  name: 'sslcommerz',
+  async initSession(data) {
+    const sslcz = new SSLCommerzPayment(STORE_ID, STORE_PASSWD, IS_LIVE);
+    const raw = await sslcz.init(data);
+    return { url: raw?.GatewayPageURL || null, sessionKey: raw?.sessionkey, raw };
+  },
+  async validate({ valId }) {
+    if (!valId) return { valid: false, status: 'MISSING_VAL_ID' };
+    const sslcz = new SSLCommerzPayment(STORE_ID, STORE_PASSWD, IS_LIVE);
+    const raw = await sslcz.validate({ val_id: encodeURIComponent(String(valId)) });
+    const status = String(raw?.status || 'INVALID');
+    return {
+      valid: status === 'VALID' || status === 'VALIDATED',
+      status,
+      tranId: raw?.tran_id,
+      // currency_amount/currency_type carry the amount in the currency the session was opened with
+      amount: Number(raw?.currency_amount ?? raw?.amount),
+      currency: raw?.currency_type || raw?.currency,
+      bankTranId: raw?.bank_tran_id,
+      raw,
+    };
+  },
+  // SSLCommerz accepts a refund request first and settles it later; poll refundStatus until it leaves PROCESSING.
+  // Only an explicit rejection is FAILED: an API error or an unreadable answer stays PROCESSING and is retried.
+  async refund({ bankTranId, amount, refundId, remarks }) {
+    if (!bankTranId) return { status: 'FAILED', error: 'No bank transaction id on the payment' };
+    const sslcz = new SSLCommerzPayment(STORE_ID, STORE_PASSWD, IS_LIVE);
+    const raw = await sslcz.initiateRefund({ refund_amount: Number(amount).toFixed(2), refund_remarks: encodeURIComponent(String(remarks || 'Refund').slice(0, 200)), bank_tran_id: encodeURIComponent(String(bankTranId)), refe_id: String(refundId) });
+    const status = String(raw?.status || '').toLowerCase();
+    if (raw?.APIConnect === 'INVALID_REQUEST' || (raw?.APIConnect === 'DONE' && status === 'failed')) return { status: 'FAILED', error: raw?.errorReason || 'Refund rejected by gateway', raw };
+    if (raw?.APIConnect !== 'DONE' || !raw?.refund_ref_id) return { status: 'PROCESSING', error: raw?.errorReason || `Gateway answered ${raw?.APIConnect || 'nothing'}`, raw };
+    return { status: 'PROCESSING', refundRefId: raw.refund_ref_id, raw };
+  },
+  async refundStatus({ refundRefId }) {
+    const sslcz = new SSLCommerzPayment(STORE_ID, STORE_PASSWD, IS_LIVE);
+    const raw = await sslcz.refundQuery({ refund_ref_id: encodeURIComponent(String(refundRefId)) });
+    const status = String(raw?.status || '').toLowerCase();
+    if (status === 'refunded') return { status: 'COMPLETED', refundRefId, raw };
+    if (raw?.APIConnect === 'DONE' && status === 'cancelled') return { status: 'FAILED', refundRefId, error: raw?.errorReason || 'Refund cancelled', raw };
+    return { status: 'PROCESSING', refundRefId, error: raw?.APIConnect === 'DONE' ? null : raw?.errorReason || `Gateway answered ${raw?.APIConnect || 'nothing'}`, raw };
+  },
+};
+
+// Mock gateway: sessions live in memory; call mockGateway.complete(tranId) to get the val_id a real gateway would post back
+const mockSessions = new Map();
+const mockGateway = {
+  name: 'mock',
+  async initSession(data) {
+    const valId = `mock-${new ObjectId().toString()}`;
+    mockSessions.set(valId, { tranId: String(data.tran_id), amount: Number(data.total_amount), currency: data.currency || 'BDT' });
+    return { url: `${data.success_url}${data.success_url.includes('?') ? '&' : '?'}val_id=${valId}`, sessionKey: valId };
+  },
+  async validate({ valId }) {
+    const session = mockSessions.get(String(valId));
+    if (!session) return { valid: false, status: 'INVALID_TRANSACTION' };
+    return { valid: true, status: 'VALID', tranId: session.tranId, amount: session.amount, currency: session.currency, bankTranId: `mock-bank-${session.tranId}`, raw: { ...session, val_id: valId } };
+  },
+  async refund({ bankTranId, amount, refundId }) {
+    if (!bankTranId) return { status: 'FAILED', error: 'No bank transaction id on the payment' };
+    return { status: 'COMPLETED', refundRefId: `mock-refund-${refundId}`, raw: { bankTranId, amount } };
+  },
+  async refundStatus({ refundRefId }) {
+    return { status: 'COMPLETED', refundRefId };
+  },
+  complete(tranId) {
+    for (const [valId, session] of mockSessions) if (session.tranId === String(tranId)) return valId;
+    return null;
+  },
+  reset() {
+    mockSessions.clear();
+  },
+};
+
+// The origin of a client-supplied redirectUrl if it is on the allow-list, otherwise the default frontend
+function resolveFrontendUrl(redirectUrl) {
+  try {
+    const { origin } = new URL(String(redirectUrl));
+    if (PAYMENT_REDIRECT_ORIGINS.includes(origin)) return origin;
+  } catch (err) { /* not a URL */ }
+  return PAYMENT_REDIRECT_ORIGINS[0];
+}
+
+let _gateway = process.env.PAYMENT_GATEWAY === 'mock' ? mockGateway : sslcommerzGateway;
+
+function setPaymentGateway(gateway) {
+  if (!gateway || typeof gateway.initSession !== 'function' || typeof gateway.validate !== 'function') {
+    throw new Error('Payment gateway must implement initSession(data) and validate({ valId })');
+  }
+  _gateway = gateway;
+}
+
+function getPaymentGateway() {
+  return _gateway;
+}
+
+module.exports = { getPaymentGateway, setPaymentGateway, resolveFrontendUrl, sslcommerzGateway, mockGateway };
@@ -0,0 +1,73 @@
+// utils/payoutProviders.js — Mobile wallet payout adapters (bKash / Nagad / Rocket bulk files, fake adapter for local work)
+const { ObjectId } = require('mongodb');
+const { toCsv } = require('./csv');
+
+/**
+ * A payout adapter is any object with:
+ *   name: string
+ *   exportFile(batch, items): { filename: string, contentType: string, content: string }
+ *     Builds the bulk-disbursement upload file the provider's merchant portal accepts.
+ *   disburse?(batch, items): Promise<Array<{ itemId, status: 'sent'|'failed', reference?, reason? }>>
+ *     Optional; adapters with an API push the payouts themselves.
+ * Register a different adapter for a provider with setPayoutAdapter().
+ */
+
+const itemReference = (batch, item) => `HM-${batch.batchNumber || batch._id}-${item._id}`;
+
+// Local numbers are 01XXXXXXXXX; bKash and Nagad bulk files expect the same 11-digit form
+const walletAccount = (number) => String(number || '').replace(/\D/g, '').replace(/^88(?=01)/, '');
+
+function bulkCsvAdapter(name, header, row) {
+  return {
+    name,
+    exportFile(batch, items) {
+      return {
+        filename: `${name}-payouts-${batch.batchNumber || batch._id}.csv`,
+        contentType: 'text/csv',
+        content: toCsv([header, ...items.map((item, index) => row(batch, item, index))]),
+      };
+    },
+  };
+}
+
+const bkashAdapter = bulkCsvAdapter(
+  'bkash',
+  ['SL', 'Wallet Number', 'Amount', 'Reference'],
+  (batch, item, index) => [index + 1, walletAccount(item.walletNumber), item.amount.toFixed(2), itemReference(batch, item)]
+);
+
+const nagadAdapter = bulkCsvAdapter(
+  'nagad',
+  ['Serial', 'Account No', 'Amount', 'Remarks'],
+  (batch, item, index) => [index + 1, walletAccount(item.walletNumber), item.amount.toFixed(2), itemReference(batch, item)]
+);
+
+// Rocket (DBBL) account numbers carry a check digit after the mobile number; workers register the full 12 digits
+const rocketAdapter = bulkCsvAdapter(
+  'rocket',
+  ['Account Number', 'Amount', 'Narration'],
+  (batch, item) => [String(item.walletNumber || '').replace(/\D/g, ''), item.amount.toFixed(2), itemReference(batch, item)]
+);
+
+// Fake adapter: writes a generic CSV and "sends" every payout instantly
+const fakeAdapter = {
+  ...bulkCsvAdapter('fake', ['Provider', 'Wallet Number', 'Amount', 'Reference'], (batch, item) => [item.provider, item.walletNumber, item.amount.toFixed(2), itemReference(batch, item)]),
+  async disburse(batch, items) {
+    return items.map((item) => ({ itemId: String(item._id), status: 'sent', reference: `FAKE-${new ObjectId().toString()}` }));
+  },
+};
+
+const PAYOUT_PROVIDERS = ['bkash', 'nagad', 'rocket'];
+const _adapters = { bkash: bkashAdapter, nagad: nagadAdapter, rocket: rocketAdapter };
+
+function getPayoutAdapter(provider) {
+  if (process.env.PAYOUT_ADAPTER === 'fake') return fakeAdapter;
+  return _adapters[String(provider || '').toLowerCase()] || null;
+}
+
+function setPayoutAdapter(provider, adapter) {
+  if (!adapter || typeof adapter.exportFile !== 'function') throw new Error('Payout adapter must implement exportFile(batch, items)');
+  _adapters[String(provider).toLowerCase()] = adapter;
+}
+
+module.exports = { PAYOUT_PROVIDERS, getPayoutAdapter, setPayoutAdapter, fakeAdapter };
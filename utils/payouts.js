@@ -0,0 +1,136 @@
+// utils/payouts.js — Worker payable balances and payout settlement batches
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { createNotification } = require('./notifications');
+const { PAYOUT_PROVIDERS } = require('./payoutProviders');
+const { postLedgerTransaction, getAccountBalances } = require('./ledger');
+
+const MIN_PAYOUT_AMOUNT = Number(process.env.MIN_PAYOUT_AMOUNT) || 100;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Workers with a registered wallet on `provider`, their payable balance, dues to offset and the net payout
+async function listPayableWorkers(provider, { workerIds = null, minAmount = MIN_PAYOUT_AMOUNT } = {}) {
+  const query = { role: 'worker', payoutWalletProvider: provider, payoutWalletNumber: { $exists: true } };
+  if (workerIds) query.uid = { $in: workerIds.map(String) };
+  const workers = await collections.users.find(query).toArray();
+  if (workers.length === 0) return [];
+  const uids = workers.map((w) => String(w.uid));
+  const balances = await getAccountBalances('worker_payable', uids);
+  const open = await collections.payoutItems.find({ workerId: { $in: uids }, status: 'pending' }).toArray();
+  const inFlight = new Set(open.map((item) => String(item.workerId)));
+
+  return workers
+    .map((w) => {
+      const payable = balances.get(String(w.uid)) || 0;
+      const dueOffset = round2(Math.min(Math.max(0, Number(w.dueBalance) || 0), Math.max(0, payable)));
+      return {
+        workerId: String(w.uid),
+        name: w.displayName || [w.firstName, w.lastName].filter(Boolean).join(' ') || w.email || String(w.uid),
+        walletNumber: w.payoutWalletNumber,
+        payable,
+        dueOffset,
+        amount: round2(payable - dueOffset),
+        inFlight: inFlight.has(String(w.uid)),
+      };
+    })
+    .filter((row) => !row.inFlight && row.amount >= minAmount);
+}
+
+/**
+ * Create a payout batch (a `settlements` document of type payout_batch) for one provider.
+ * Outstanding dues are offset from each worker's payable first (DUE_OFFSET); the rest moves to
+ * payout_clearing (PAYOUT_RESERVED) until finance marks the item sent or failed (returned to payable).
+ */
+async function createPayoutBatch({ provider, workerIds = null, minAmount = MIN_PAYOUT_AMOUNT, createdBy = null }) {
+  const providerKey = String(provider || '').toLowerCase();
+  if (!PAYOUT_PROVIDERS.includes(providerKey)) throw Object.assign(new Error(`provider must be one of ${PAYOUT_PROVIDERS.join(', ')}`), { status: 400 });
+  const rows = await listPayableWorkers(providerKey, { workerIds, minAmount });
+  if (rows.length === 0) return { batch: null, items: [] };
+
+  const now = new Date();
+  const batchId = new ObjectId();
+  const batch = {
+    _id: batchId,
+    type: 'payout_batch',
+    batchNumber: `PB-${now.toISOString().slice(0, 10).replace(/-/g, '')}-${batchId.toString().slice(-6).toUpperCase()}`,
+    provider: providerKey,
+    status: 'pending',
+    itemCount: 0,
+    amount: 0,
+    dueOffsetAmount: 0,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await collections.settlements.insertOne(batch);
+
+  const items = [];
+  for (const row of rows) {
+    const item = { _id: new ObjectId(), settlementId: batchId, workerId: row.workerId, workerName: row.name, provider: providerKey, walletNumber: row.walletNumber, amount: row.amount, dueOffset: row.dueOffset, status: 'pending', createdAt: now, updatedAt: now };
+    try {
+      await collections.payoutItems.insertOne(item);
+    } catch (err) {
+      // Unique index on pending items: another batch picked this worker up concurrently
+      if (err.code === 11000) continue;
+      throw err;
+    }
+    const refs = { settlementId: batchId, payoutItemId: item._id };
+    if (row.dueOffset > 0) await postLedgerTransaction('DUE_OFFSET', { workerId: row.workerId, amount: row.dueOffset, refs, createdBy });
+    await postLedgerTransaction('PAYOUT_RESERVED', { workerId: row.workerId, amount: row.amount, refs, createdBy });
+    items.push(item);
+  }
+  Object.assign(batch, {
+    itemCount: items.length,
+    amount: round2(items.reduce((sum, i) => sum + i.amount, 0)),
+    dueOffsetAmount: round2(items.reduce((sum, i) => sum + i.dueOffset, 0)),
+    ...(items.length === 0 ? { status: 'cancelled' } : {}),
+  });
+  await collections.settlements.updateOne({ _id: batchId }, { $set: { itemCount: batch.itemCount, amount: batch.amount, dueOffsetAmount: batch.dueOffsetAmount, status: batch.status } });
+  return { batch, items };
+}
+
+// Recompute a batch's status from its items
+async function refreshBatchStatus(settlementId) {
+  const items = await collections.payoutItems.find({ settlementId }).toArray();
+  const count = (status) => items.filter((i) => i.status === status).length;
+  const sent = count('sent');
+  const failed = count('failed');
+  let status = null;
+  if (count('pending') === 0 && items.length > 0) status = failed === 0 ? 'completed' : sent === 0 ? 'failed' : 'partially_failed';
+  const $set = { sentCount: sent, failedCount: failed, updatedAt: new Date() };
+  if (status) $set.status = status;
+  await collections.settlements.updateOne({ _id: settlementId }, { $set });
+  return status;
+}
+
+/**
+ * Resolve one pending payout item as 'sent' or 'failed' and write the matching ledger entry.
+ * Returns false when the item was already resolved (so repeated calls never double-post).
+ */
+async function resolvePayoutItem(item, status, { reference = null, reason = null, resolvedBy = null } = {}) {
+  const now = new Date();
+  const result = await collections.payoutItems.updateOne(
+    { _id: item._id, status: 'pending' },
+    { $set: { status, reference: reference ? String(reference) : null, failureReason: status === 'failed' ? String(reason || 'Payout failed') : null, resolvedBy, resolvedAt: now, updatedAt: now } }
+  );
+  if (!result.modifiedCount) return false;
+
+  const refs = { settlementId: item.settlementId, payoutItemId: item._id, reference: reference ? String(reference) : null };
+  if (status === 'sent') {
+    await postLedgerTransaction('PAYOUT_SENT', { workerId: item.workerId, amount: item.amount, refs, createdBy: resolvedBy });
+    await createNotification(item.workerId, 'Payout sent', `${item.amount} BDT has been sent to your ${item.provider} wallet ${item.walletNumber}.`, 'success', null, '/wallet').catch(() => {});
+  } else {
+    await postLedgerTransaction('PAYOUT_REVERSED', { workerId: item.workerId, amount: item.amount, refs, memo: String(reason || 'Payout failed'), createdBy: resolvedBy });
+    await createNotification(item.workerId, 'Payout failed', `Your payout of ${item.amount} BDT to ${item.provider} could not be completed and has been returned to your balance. Please check your wallet number.`, 'warning', null, '/wallet').catch(() => {});
+  }
+  return true;
+}
+
+module.exports = {
+  MIN_PAYOUT_AMOUNT,
+  listPayableWorkers,
+  createPayoutBatch,
+  resolvePayoutItem,
+  refreshBatchStatus,
+};
@@ -0,0 +1,176 @@
+// utils/promoCodes.js — Promo code rules, discount computation and capped redemption
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+
+/**
+ * A promo code (promoCodes collection):
+ *   code:         upper-case, unique
+ *   appliesTo:    'job_payment'  — client discount on an online job payment (funded by the platform)
+ *                 'platform_fee' — worker discount on the platform fee of a job
+ *   type:         'percentage' | 'flat' | 'fee_waiver' (platform_fee only; waives the whole fee)
+ *   value:        percent (1–100) or BDT amount; unused for fee_waiver
+ *   maxDiscount:  optional BDT cap for percentage codes
+ *   minAmount:    optional minimum amount the code applies to
+ *   usageLimit:   optional total redemptions; redemptionCount is incremented atomically against it
+ *   perUserLimit: redemptions per user (default 1), counted in promoCodeUsage
+ *   startsAt / endsAt, categories (lower-cased; empty = all), isActive
+ */
+const PROMO_TARGETS = ['job_payment', 'platform_fee'];
+const PROMO_TYPES = ['percentage', 'flat', 'fee_waiver'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+const categoryKey = (category) => String(category || '').trim().toLowerCase();
+
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Validate admin input. With `existing`, only the supplied fields are checked and merged.
+ * @returns {{ promo?: object, error?: string }}
+ */
+function validatePromoInput(input = {}, existing = null) {
+  const promo = existing ? { ...existing } : { perUserLimit: 1, categories: [], isActive: true, redemptionCount: 0 };
+  const has = (field) => input[field] !== undefined;
+
+  if (!existing || has('code')) {
+    const code = normalizeCode(input.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) return { error: 'code must be 3–32 letters, digits, - or _' };
+    promo.code = code;
+  }
+  if (has('description')) promo.description = String(input.description || '').trim().slice(0, 300);
+  if (!existing || has('appliesTo')) {
+    if (!PROMO_TARGETS.includes(input.appliesTo)) return { error: `appliesTo must be one of ${PROMO_TARGETS.join(', ')}` };
+    promo.appliesTo = input.appliesTo;
+  }
+  if (!existing || has('type')) {
+    if (!PROMO_TYPES.includes(input.type)) return { error: `type must be one of ${PROMO_TYPES.join(', ')}` };
+    promo.type = input.type;
+  }
+  if (promo.type === 'fee_waiver' && promo.appliesTo !== 'platform_fee') return { error: 'fee_waiver codes must apply to platform_fee' };
+  if (has('value') || (!existing && promo.type !== 'fee_waiver')) promo.value = optionalNumber(input.value);
+  if (promo.type === 'fee_waiver') promo.value = null;
+  else if (promo.type === 'percentage' && !(promo.value > 0 && promo.value <= 100)) return { error: 'value must be a percentage between 0 and 100' };
+  else if (promo.type === 'flat' && !(promo.value > 0)) return { error: 'value must be a positive amount' };
+
+  for (const field of ['maxDiscount', 'minAmount', 'usageLimit']) {
+    if (!has(field)) continue;
+    const value = optionalNumber(input[field]);
+    if (value !== null && !(value >= 0)) return { error: `${field} must be a non-negative number or null` };
+    promo[field] = field === 'usageLimit' && value !== null ? Math.floor(value) : value;
+  }
+  if (has('perUserLimit')) {
+    const value = Math.floor(Number(input.perUserLimit));
+    if (!(value >= 1)) return { error: 'perUserLimit must be at least 1' };
+    promo.perUserLimit = value;
+  }
+  for (const field of ['startsAt', 'endsAt']) {
+    if (!has(field)) continue;
+    const date = input[field] ? new Date(input[field]) : null;
+    if (date && isNaN(date.getTime())) return { error: `Invalid ${field}` };
+    promo[field] = date;
+  }
+  if (promo.startsAt && promo.endsAt && promo.endsAt <= promo.startsAt) return { error: 'endsAt must be after startsAt' };
+  if (has('categories')) {
+    if (!Array.isArray(input.categories)) return { error: 'categories must be an array' };
+    promo.categories = [...new Set(input.categories.map(categoryKey).filter(Boolean))];
+  }
+  if (has('isActive')) promo.isActive = Boolean(input.isActive);
+  return { promo };
+}
+
+// Discount the code gives on `amount` (the payment total or the platform fee)
+function computeDiscount(promo, amount) {
+  const base = Math.max(0, Number(amount) || 0);
+  let discount = 0;
+  if (promo.type === 'fee_waiver') discount = base;
+  else if (promo.type === 'percentage') discount = base * (promo.value / 100);
+  else if (promo.type === 'flat') discount = promo.value;
+  if (promo.maxDiscount !== null && promo.maxDiscount !== undefined) discount = Math.min(discount, promo.maxDiscount);
+  return round2(Math.min(discount, base));
+}
+
+/**
+ * Check a code against its rules for one user and context. Read-only: nothing is counted.
+ * @returns {{ ok: boolean, promo?: object, reason?: string }}
+ */
+async function checkPromoCode(code, { userId, appliesTo, category = null, amount = 0, now = new Date() }) {
+  const promo = await collections.promoCodes.findOne({ code: normalizeCode(code) });
+  if (!promo || !promo.isActive) return { ok: false, reason: 'Promo code not found' };
+  if (promo.appliesTo !== appliesTo) return { ok: false, reason: appliesTo === 'platform_fee' ? 'This code is for client payments' : 'This code is for worker platform fees' };
+  if (promo.startsAt && new Date(promo.startsAt) > now) return { ok: false, reason: 'This code is not active yet' };
+  if (promo.endsAt && new Date(promo.endsAt) <= now) return { ok: false, reason: 'This code has expired' };
+  if (promo.categories?.length && !promo.categories.includes(categoryKey(category))) return { ok: false, reason: 'This code does not apply to this service category' };
+  if (promo.minAmount && Number(amount) < promo.minAmount) return { ok: false, reason: `This code needs a minimum amount of ${promo.minAmount} BDT` };
+  if (promo.usageLimit !== null && promo.usageLimit !== undefined && (promo.redemptionCount || 0) >= promo.usageLimit) return { ok: false, reason: 'This code has reached its usage limit' };
+  const usage = await collections.promoCodeUsage.findOne({ promoCodeId: promo._id, userId: String(userId) });
+  if ((usage?.count || 0) >= (promo.perUserLimit || 1)) return { ok: false, reason: 'You have already used this code' };
+  return { ok: true, promo };
+}
+
+/**
+ * Count one redemption against the per-user and per-code caps. Both counters are guarded
+ * updates, so concurrent redemptions can never push either past its limit; a per-code
+ * failure hands the per-user slot back.
+ * @returns {Promise<{ ok: boolean, redemption?: object, reason?: string }>}
+ */
+async function redeemPromoCode(promo, { userId, applicationId, discount, amount }) {
+  const uid = String(userId);
+  try {
+    const userClaim = await collections.promoCodeUsage.updateOne(
+      { promoCodeId: promo._id, userId: uid, count: { $lt: promo.perUserLimit || 1 } },
+      { $inc: { count: 1 }, $set: { updatedAt: new Date() } },
+      { upsert: true }
+    );
+    if (!userClaim.matchedCount && !userClaim.upsertedId) return { ok: false, reason: 'You have already used this code' };
+  } catch (err) {
+    // Upsert hit the unique (promoCodeId, userId) index: the user's counter exists and is at the limit
+    if (err.code === 11000) return { ok: false, reason: 'You have already used this code' };
+    throw err;
+  }
+
+  const codeQuery = { _id: promo._id, isActive: true };
+  if (promo.usageLimit !== null && promo.usageLimit !== undefined) codeQuery.redemptionCount = { $lt: promo.usageLimit };
+  const codeClaim = await collections.promoCodes.updateOne(codeQuery, { $inc: { redemptionCount: 1 }, $set: { lastRedeemedAt: new Date() } });
+  if (!codeClaim.modifiedCount) {
+    await collections.promoCodeUsage.updateOne({ promoCodeId: promo._id, userId: uid }, { $inc: { count: -1 } });
+    return { ok: false, reason: 'This code has reached its usage limit' };
+  }
+
+  const redemption = { _id: new ObjectId(), promoCodeId: promo._id, code: promo.code, appliesTo: promo.appliesTo, userId: uid, applicationId: String(applicationId), amount: round2(Number(amount) || 0), discount, status: 'applied', createdAt: new Date() };
+  await collections.promoRedemptions.insertOne(redemption);
+  return { ok: true, redemption };
+}
+
+// The payment or settlement used the discount; the redemption can no longer be released
+async function markPromoRedeemed(redemptionId, details = {}) {
+  if (!redemptionId) return false;
+  const result = await collections.promoRedemptions.updateOne({ _id: new ObjectId(String(redemptionId)), status: 'applied' }, { $set: { status: 'redeemed', ...details, redeemedAt: new Date() } });
+  return result.modifiedCount > 0;
+}
+
+// Give a redemption back (code removed before the payment or settlement used it)
+async function releasePromoRedemption(redemptionId, reason = 'released') {
+  const now = new Date();
+  const result = await collections.promoRedemptions.updateOne({ _id: new ObjectId(String(redemptionId)), status: 'applied' }, { $set: { status: 'released', releaseReason: reason, releasedAt: now } });
+  if (!result.modifiedCount) return false;
+  const redemption = await collections.promoRedemptions.findOne({ _id: new ObjectId(String(redemptionId)) });
+  await collections.promoCodes.updateOne({ _id: redemption.promoCodeId }, { $inc: { redemptionCount: -1 } });
+  await collections.promoCodeUsage.updateOne({ promoCodeId: redemption.promoCodeId, userId: redemption.userId }, { $inc: { count: -1 } });
+  return true;
+}
+
+// Terms copied onto the application so later price changes recompute the same discount
+const promoSnapshot = (promo, redemption) => ({ promoCodeId: promo._id, redemptionId: redemption._id, code: promo.code, type: promo.type, value: promo.value ?? null, maxDiscount: promo.maxDiscount ?? null });
+
+module.exports = {
+  PROMO_TARGETS,
+  PROMO_TYPES,
+  normalizeCode,
+  validatePromoInput,
+  computeDiscount,
+  checkPromoCode,
+  redeemPromoCode,
+  markPromoRedeemed,
+  releasePromoRedemption,
+  promoSnapshot,
+};
@@ -0,0 +1,297 @@
+// utils/refunds.js — Full/partial job refunds and settlement reversals with compensating ledger entries
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { createNotification } = require('./notifications');
+const { getPaymentGateway } = require('./paymentGateway');
+const { postLedgerTransaction, getAccountBalance } = require('./ledger');
+const { creditWallet } = require('./wallet');
+
+/**
+ * refunds collection:
+ *   applicationId, jobId, clientId, workerId, amount, currency, reason
+ *   source:  'admin' | 'booking_status'
+ *   method:  'gateway' — returned through the payment gateway (job paid online)
+ *            'wallet'  — credited to the client's wallet (job paid from the wallet, or toWallet was asked for)
+ *            'cash'    — the worker returned cash to the client; only the platform fee is reversed
+ *   status:  PENDING -> PROCESSING (gateway accepted, or its answer was unclear) -> COMPLETED | FAILED
+ *            FAILED only when the gateway explicitly rejects or cancels the refund; PROCESSING refunds are
+ *            polled by cron/refundMonitor.js
+ *   reversal: ledger amounts posted on completion
+ *
+ * applications.refundedAmount holds every refund that is not FAILED and is claimed before the gateway is
+ * called, so concurrent refunds can never exceed what was paid. Ledger entries are only written on
+ * COMPLETED; for an application that has not been settled yet there is nothing to reverse, and
+ * processJobSettlement nets the refunded share out instead.
+ */
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const paidOnline = (app) => app.paymentStatus === 'PAID' && !!app.paymentRequestId;
+
+// What the client paid for the job: the online payment, or labor plus approved extras and tips for cash jobs
+async function refundableGross(app) {
+  if (paidOnline(app)) return round2(Number(app.paidAmount) || 0);
+  const charges = await collections.additionalCharges.find({ applicationId: app._id, status: 'APPROVED' }).toArray();
+  const labor = Number(app.laborAmount ?? (app.finalPrice || app.proposedPrice)) || 0;
+  return round2(labor + charges.reduce((sum, c) => sum + (Number(c.amount) || 0), 0));
+}
+
+async function notifyParties(app, { client, worker }) {
+  const link = app.jobId ? `/My-Posted-Job-Details/${app.jobId}` : null;
+  if (client && app.clientId) await createNotification(String(app.clientId), client.title, client.message, 'info', app.jobId || null, link).catch(() => {});
+  if (worker && app.workerId) await createNotification(String(app.workerId), worker.title, worker.message, 'info', app.jobId || null, '/wallet').catch(() => {});
+}
+
+// Give back `amount` of platform fee: first off the worker's outstanding dues, the rest to their payable
+async function reverseFee(workerId, amount, refs) {
+  const out = { dueReduced: 0, feeToPayable: 0 };
+  if (!(amount > 0)) return out;
+  const due = await getAccountBalance('worker_due', workerId);
+  out.dueReduced = round2(Math.min(amount, Math.max(0, due)));
+  out.feeToPayable = round2(amount - out.dueReduced);
+  if (out.dueReduced > 0) await postLedgerTransaction('PLATFORM_FEE_DUE_REVERSED', { workerId, amount: out.dueReduced, refs });
+  if (out.feeToPayable > 0) await postLedgerTransaction('PLATFORM_FEE_REVERSED', { workerId, amount: out.feeToPayable, refs });
+  return out;
+}
+
+// Money already paid out cannot be taken back from the payable, so a negative payable becomes a due
+async function moveDeficitToDue(workerId, refs) {
+  const payable = await getAccountBalance('worker_payable', workerId);
+  if (payable >= 0) return 0;
+  await postLedgerTransaction('PAYABLE_DEFICIT_TO_DUE', { workerId, amount: -payable, refs });
+  return round2(-payable);
+}
+
+/**
+ * Post the compensating entries for `share` (0–1) of what is still settled on a settled application:
+ * the remaining platform fee, the remaining promo top-up and, when `paymentEntry` is given, the
+ * worker's share of the online payment (`paymentAmount`).
+ */
+async function postSettlementReversal(app, { share, paymentEntry = null, paymentAmount = 0, refs, memo }) {
+  const reversal = { payment: 0, promo: 0, fee: 0, dueReduced: 0, feeToPayable: 0, deficitToDue: 0 };
+  if (!app.workerId) return reversal;
+  const workerId = String(app.workerId);
+  const online = app.feeCollection === 'ONLINE';
+  reversal.fee = round2(Math.max(0, (Number(app.platformFee) || 0) - (Number(app.reversedFee) || 0)) * share);
+  if (online) {
+    reversal.payment = round2(paymentAmount);
+    reversal.promo = round2(Math.max(0, (Number(app.promoFundedAmount) || 0) - (Number(app.reversedPromo) || 0)) * share);
+    if (reversal.payment > 0 && paymentEntry) await postLedgerTransaction(paymentEntry, { workerId, amount: reversal.payment, refs, memo });
+    if (reversal.promo > 0) await postLedgerTransaction('PROMO_DISCOUNT_REVERSED', { workerId, amount: reversal.promo, refs, memo });
+    // The fee was withheld from the payable, so it goes back there
+    if (reversal.fee > 0) {
+      await postLedgerTransaction('PLATFORM_FEE_REVERSED', { workerId, amount: reversal.fee, refs, memo });
+      reversal.feeToPayable = reversal.fee;
+    }
+    reversal.deficitToDue = await moveDeficitToDue(workerId, refs);
+  } else {
+    Object.assign(reversal, await reverseFee(workerId, reversal.fee, refs));
+  }
+  await collections.applications.updateOne({ _id: app._id }, { $inc: { reversedFee: reversal.fee, reversedPromo: reversal.promo } });
+  return reversal;
+}
+
+/**
+ * Start a full (amount omitted) or partial refund. Online payments are refunded through the gateway,
+ * or straight to the client's wallet when the job was paid from it or `toWallet` is set;
+ * cash jobs only need the platform fee reversed, and must have been settled.
+ * @returns {Promise<{ refund?: object, error?: string, status?: number }>}
+ */
+async function requestRefund(applicationId, { amount = null, reason, source = 'admin', requestedBy = null, toWallet = false } = {}) {
+  if (!ObjectId.isValid(String(applicationId))) return { status: 400, error: 'Invalid applicationId' };
+  const trimmedReason = String(reason || '').trim().slice(0, 500);
+  if (!trimmedReason) return { status: 400, error: 'A reason is required' };
+  const app = await collections.applications.findOne({ _id: new ObjectId(String(applicationId)) });
+  if (!app) return { status: 404, error: 'Application not found' };
+  const online = paidOnline(app);
+  if (!online && app.settlementStatus !== 'SETTLED') return { status: 409, error: 'Nothing was paid online or settled for this job' };
+
+  const gross = await refundableGross(app);
+  const alreadyRefunded = round2(Number(app.refundedAmount) || 0);
+  const remaining = round2(gross - alreadyRefunded);
+  const value = amount === null || amount === undefined || amount === 'full' ? remaining : round2(Number(amount));
+  if (!(value > 0)) return { status: 400, error: remaining > 0 ? 'amount must be a positive number' : 'This job has already been fully refunded' };
+  if (value > remaining) return { status: 422, error: `At most ${remaining} can still be refunded` };
+
+  // Claim the amount before anything leaves the platform
+  const claim = await collections.applications.updateOne(
+    { _id: app._id, $or: [{ refundedAmount: { $exists: false } }, { refundedAmount: { $lte: round2(gross - value) } }] },
+    { $inc: { refundedAmount: value }, $set: { updatedAt: new Date() } }
+  );
+  if (!claim.modifiedCount) return { status: 409, error: 'Another refund for this job was recorded at the same time' };
+
+  const now = new Date();
+  const refund = {
+    _id: new ObjectId(),
+    applicationId: String(app._id),
+    jobId: app.jobId ? String(app.jobId) : null,
+    clientId: app.clientId ? String(app.clientId) : null,
+    workerId: app.workerId ? String(app.workerId) : null,
+    amount: value,
+    currency: 'BDT',
+    kind: round2(alreadyRefunded + value) >= gross ? 'full' : 'partial',
+    // Estimate only; completeRefund recomputes it from completed refunds before reversing the fee and promo top-up
+    share: remaining > 0 ? value / remaining : 1,
+    reason: trimmedReason,
+    source,
+    method: !online ? 'cash' : app.paymentMethod === 'WALLET' || toWallet ? 'wallet' : 'gateway',
+    paymentRequestId: app.paymentRequestId || null,
+    status: 'PENDING',
+    requestedBy,
+    history: [{ status: 'PENDING', at: now, by: requestedBy }],
+    createdAt: now,
+    updatedAt: now,
+  };
+  await collections.refunds.insertOne(refund);
+
+  if (refund.method !== 'gateway') return { refund: await completeRefund(refund._id) };
+
+  return { refund: await submitGatewayRefund(refund) };
+}
+
+/**
+ * Send a gateway refund (again). A thrown error or an unclear answer leaves the refund PROCESSING
+ * without a refundRefId, so the refund monitor submits it again; the gateway gets our refund id as
+ * reference every time, which keeps a retry from paying out twice.
+ */
+async function submitGatewayRefund(refund) {
+  const gateway = getPaymentGateway();
+  const payment = await collections.paymentRequests.findOne({ _id: new ObjectId(String(refund.paymentRequestId)) });
+  let result;
+  try {
+    result = typeof gateway.refund === 'function'
+      ? await gateway.refund({ bankTranId: payment?.gatewayTransactionId, amount: refund.amount, refundId: String(refund._id), remarks: refund.reason })
+      : { status: 'FAILED', error: `Gateway ${gateway.name} does not support refunds` };
+  } catch (err) {
+    result = { status: 'PROCESSING', error: err.message };
+  }
+  const now = new Date();
+  await collections.refunds.updateOne(
+    { _id: refund._id },
+    {
+      $set: { 'gateway.name': gateway.name, 'gateway.refundRefId': result.refundRefId || null, 'gateway.error': result.error || null, 'gateway.response': result.raw || null, 'gateway.lastAttemptAt': now, updatedAt: now },
+      $inc: { 'gateway.attempts': 1 },
+    }
+  );
+  return applyGatewayRefundResult(refund._id, result);
+}
+
+async function applyGatewayRefundResult(refundId, result) {
+  if (result.status === 'COMPLETED') return completeRefund(refundId);
+  if (result.status === 'FAILED') return failRefund(refundId, result.error);
+  await collections.refunds.updateOne({ _id: refundId, status: 'PENDING' }, { $set: { status: 'PROCESSING', updatedAt: new Date() }, $push: { history: { status: 'PROCESSING', at: new Date() } } });
+  return collections.refunds.findOne({ _id: refundId });
+}
+
+// Ask the gateway about a PROCESSING refund and complete or fail it; one the gateway never took is sent again
+async function refreshRefund(refundId) {
+  const refund = await collections.refunds.findOne({ _id: new ObjectId(String(refundId)) });
+  if (!refund || refund.status !== 'PROCESSING' || refund.method !== 'gateway') return refund;
+  if (!refund.gateway?.refundRefId) return submitGatewayRefund(refund);
+  const gateway = getPaymentGateway();
+  if (typeof gateway.refundStatus !== 'function') return refund;
+  let result;
+  try {
+    result = await gateway.refundStatus({ refundRefId: refund.gateway.refundRefId });
+  } catch (err) {
+    result = { status: 'PROCESSING', error: err.message };
+  }
+  await collections.refunds.updateOne({ _id: refund._id }, { $set: { 'gateway.error': result.error || null, 'gateway.lastCheckedAt': new Date(), updatedAt: new Date() } });
+  return applyGatewayRefundResult(refund._id, result);
+}
+
+async function failRefund(refundId, error) {
+  const now = new Date();
+  const claim = await collections.refunds.updateOne(
+    { _id: refundId, status: { $in: ['PENDING', 'PROCESSING'] } },
+    { $set: { status: 'FAILED', failureReason: error || null, failedAt: now, updatedAt: now }, $push: { history: { status: 'FAILED', at: now, error: error || null } } }
+  );
+  const refund = await collections.refunds.findOne({ _id: refundId });
+  if (claim.modifiedCount) {
+    await collections.applications.updateOne({ _id: new ObjectId(refund.applicationId) }, { $inc: { refundedAmount: -refund.amount } });
+  }
+  return refund;
+}
+
+/**
+ * Share (0–1) of what was still unrefunded that this refund takes back, counting only refunds that have
+ * completed: one still PROCESSING may fail and hand its amount back, so it must not shrink the base.
+ */
+async function completedRefundShare(app, refund) {
+  const completed = await collections.refunds.find({ applicationId: refund.applicationId, status: 'COMPLETED', _id: { $ne: refund._id } }).toArray();
+  const remaining = round2((await refundableGross(app)) - completed.reduce((sum, r) => sum + (Number(r.amount) || 0), 0));
+  return remaining > 0 ? Math.min(1, refund.amount / remaining) : 1;
+}
+
+// Write the compensating entries once, update the application and tell both parties
+async function completeRefund(refundId) {
+  const now = new Date();
+  const claim = await collections.refunds.updateOne(
+    { _id: refundId, status: { $in: ['PENDING', 'PROCESSING'] } },
+    { $set: { status: 'COMPLETED', completedAt: now, updatedAt: now }, $push: { history: { status: 'COMPLETED', at: now } } }
+  );
+  const refund = await collections.refunds.findOne({ _id: refundId });
+  if (!claim.modifiedCount) return refund;
+
+  const app = await collections.applications.findOne({ _id: new ObjectId(refund.applicationId) });
+  const refs = { orderId: app._id, refundId: String(refund._id) };
+  if (refund.method === 'wallet') {
+    await creditWallet(refund.clientId, refund.amount, { type: 'REFUND', key: `refund:${refund._id}`, refs: { applicationId: refund.applicationId, refundId: String(refund._id) }, memo: refund.reason });
+  }
+  const paidBack = refund.method === 'gateway' || refund.method === 'wallet';
+  const share = await completedRefundShare(app, refund);
+  // Before settlement nothing is on the ledger yet; processJobSettlement nets the refund out later
+  const reversal = app.settlementStatus !== 'SETTLED' ? null : await postSettlementReversal(app, {
+    share,
+    paymentEntry: paidBack ? 'REFUND_PAID' : null,
+    paymentAmount: paidBack ? refund.amount : 0,
+    refs,
+    memo: refund.reason,
+  });
+  await collections.refunds.updateOne({ _id: refund._id }, { $set: { share, reversal } });
+  await collections.applications.updateOne({ _id: app._id }, { $set: { refundStatus: refund.kind === 'full' ? 'REFUNDED' : 'PARTIALLY_REFUNDED', lastRefundAt: now, updatedAt: now } });
+
+  const amountText = `${refund.amount} ${refund.currency}`;
+  await notifyParties(app, {
+    client: { title: 'Refund processed', message: { gateway: `${amountText} is being returned to your original payment method.`, wallet: `${amountText} was credited to your wallet.` }[refund.method] || `A cash refund of ${amountText} has been recorded for your job.` },
+    worker: { title: 'Job refunded', message: `${amountText} of a job payment was refunded to the client (${refund.reason}).${reversal?.fee > 0 ? ` ${reversal.fee} ${refund.currency} of platform fee was reversed.` : ''}${reversal?.deficitToDue > 0 ? ` ${reversal.deficitToDue} ${refund.currency} already paid out to you was added to your dues.` : ''}` },
+  });
+  return { ...refund, reversal };
+}
+
+/**
+ * Undo the settlement of an application that is no longer completed (e.g. an admin set the booking back).
+ * Everything still settled is reversed, the client payment stays with the platform and the application
+ * goes back to PENDING settlement, so completing it again settles it afresh.
+ */
+async function reverseSettlement(applicationId, { reason = null, actor = null } = {}) {
+  const _id = new ObjectId(String(applicationId));
+  const app = await collections.applications.findOne({ _id });
+  if (!app || app.settlementStatus !== 'SETTLED') return null;
+  const now = new Date();
+  const claim = await collections.applications.updateOne({ _id, settlementStatus: 'SETTLED' }, { $set: { settlementStatus: 'REVERSING', updatedAt: now } });
+  if (!claim.modifiedCount) return null;
+
+  const refs = { orderId: _id, reversal: 'settlement' };
+  const heldPayment = app.feeCollection === 'ONLINE' ? round2((Number(app.paidAmount) || 0) - (Number(app.refundedAmount) || 0)) : 0;
+  const reversal = await postSettlementReversal(app, { share: 1, paymentEntry: 'JOB_PAYMENT_UNSETTLED', paymentAmount: heldPayment, refs, memo: reason });
+  await collections.applications.updateOne(
+    { _id },
+    {
+      $set: { settlementStatus: 'PENDING', updatedAt: now },
+      $unset: { workerPayableAmount: '', promoFundedAmount: '' },
+      $push: { settlementReversals: { at: now, by: actor, reason, platformFee: app.platformFee || 0, ...reversal } },
+    }
+  );
+  await notifyParties(app, {
+    worker: { title: 'Job settlement reversed', message: `The settlement of a completed job was reversed${reason ? ` (${reason})` : ''}.${reversal.fee > 0 ? ` ${reversal.fee} BDT of platform fee was reversed.` : ''}` },
+  });
+  return reversal;
+}
+
+module.exports = {
+  refundableGross,
+  requestRefund,
+  refreshRefund,
+  completeRefund,
+  reverseSettlement,
+};
@@ -0,0 +1,50 @@
+// utils/sms.js — Pluggable SMS sender (console/file stand-in for local work)
+const fs = require('fs');
+const path = require('path');
+
+const outboxDir = path.join(__dirname, '..', 'logs');
+const outboxFile = path.join(outboxDir, 'sms-outbox.log');
+
+/**
+ * An SMS provider is any object with:
+ *   name: string
+ *   send(to: string, text: string): Promise<{ success: boolean, messageId?: string, error?: string }>
+ * Register a real gateway at startup with setSmsProvider().
+ */
+const consoleProvider = {
+  name: 'console',
+  async send(to, text) {
+    const line = `${new Date().toISOString()} to=${to} ${JSON.stringify(text)}\n`;
+    console.log(`📱 [sms:console] to=${to}: ${text}`);
+    try {
+      if (!fs.existsSync(outboxDir)) fs.mkdirSync(outboxDir, { recursive: true });
+      fs.appendFileSync(outboxFile, line);
+    } catch (e) {
+      console.warn('SMS outbox write failed:', e.message);
+    }
+    return { success: true, messageId: `console-${Date.now()}` };
+  },
+};
+
+let _provider = consoleProvider;
+
+function setSmsProvider(provider) {
+  if (!provider || typeof provider.send !== 'function') throw new Error('SMS provider must implement send(to, text)');
+  _provider = provider;
+}
+
+function getSmsProvider() {
+  return _provider;
+}
+
+// Send an SMS through the active provider; never throws
+async function sendSms(to, text) {
+  try {
+    return await _provider.send(String(to), String(text));
+  } catch (err) {
+    console.error(`❌ SMS send via ${_provider.name} failed:`, err);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { sendSms, setSmsProvider, getSmsProvider, consoleProvider };
@@ -0,0 +1,193 @@
+// utils/subscriptions.js — Worker subscription plans: entitlements, activation/renewal, expiry
+const { ObjectId } = require('mongodb');
+const { collections } = require('../config/db');
+const { createNotification } = require('./notifications');
+
+/**
+ * subscriptionPlans.entitlements:
+ *   feeDiscountPercent:      0–100, taken off the platform fee (utils/fees.js)
+ *   featuredPlacement:       listed first in GET /api/browse-workers
+ *   monthlyApplicationQuota: new applications per calendar month; null = unlimited
+ *   verifiedBadge:           shown on the worker's card
+ * The entitlements are copied onto the userSubscriptions document when it is paid for, and onto
+ * users.subscription while it is active, so later plan edits only affect new purchases.
+ */
+const DEFAULT_ENTITLEMENTS = { feeDiscountPercent: 0, featuredPlacement: false, monthlyApplicationQuota: null, verifiedBadge: false };
+
+// New applications per month for workers without a plan; unlimited unless FREE_MONTHLY_APPLICATION_QUOTA is set
+const FREE_MONTHLY_APPLICATION_QUOTA = Number(process.env.FREE_MONTHLY_APPLICATION_QUOTA) || null;
+
+// An abandoned subscription checkout stops blocking a new one after this long
+const SUBSCRIPTION_CHECKOUT_TTL_MS = 30 * 60 * 1000;
+
+const INTERVAL_DAYS = { month: 30, year: 365 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns { error } or { entitlements } merged over `current`
+function validateEntitlements(input = {}, current = DEFAULT_ENTITLEMENTS) {
+  const out = { ...DEFAULT_ENTITLEMENTS, ...current };
+  if (input.feeDiscountPercent !== undefined) {
+    const pct = Number(input.feeDiscountPercent);
+    if (!(pct >= 0 && pct <= 100)) return { error: 'feeDiscountPercent must be between 0 and 100' };
+    out.feeDiscountPercent = pct;
+  }
+  if (input.monthlyApplicationQuota !== undefined) {
+    const quota = input.monthlyApplicationQuota === null || input.monthlyApplicationQuota === '' ? null : Math.floor(Number(input.monthlyApplicationQuota));
+    if (quota !== null && !(quota >= 1)) return { error: 'monthlyApplicationQuota must be at least 1, or null for unlimited' };
+    out.monthlyApplicationQuota = quota;
+  }
+  if (input.featuredPlacement !== undefined) out.featuredPlacement = Boolean(input.featuredPlacement);
+  if (input.verifiedBadge !== undefined) out.verifiedBadge = Boolean(input.verifiedBadge);
+  return { entitlements: out };
+}
+
+// The subscription a user's entitlements come from, if it is still within its paid period
+function activeSubscriptionOf(user, now = new Date()) {
+  const sub = user?.subscription;
+  if (!sub || sub.status !== 'active' || !sub.currentPeriodEnd || new Date(sub.currentPeriodEnd) <= now) return null;
+  return sub;
+}
+
+async function getWorkerEntitlements(workerId, now = new Date()) {
+  const user = await collections.users.findOne({ uid: String(workerId) });
+  const sub = activeSubscriptionOf(user, now);
+  if (!sub) return { ...DEFAULT_ENTITLEMENTS, monthlyApplicationQuota: FREE_MONTHLY_APPLICATION_QUOTA, planId: null };
+  const entitlements = { ...DEFAULT_ENTITLEMENTS, ...sub.entitlements, planId: sub.planId };
+  // A plan never lowers the free quota
+  const planQuota = entitlements.monthlyApplicationQuota;
+  entitlements.monthlyApplicationQuota = planQuota === null || FREE_MONTHLY_APPLICATION_QUOTA === null ? null : Math.max(planQuota, FREE_MONTHLY_APPLICATION_QUOTA);
+  return entitlements;
+}
+
+const startOfMonth = (now) => new Date(now.getFullYear(), now.getMonth(), 1);
+
+async function countApplicationsThisMonth(workerId, now = new Date()) {
+  return collections.applications.countDocuments({ workerId: String(workerId), createdAt: { $gte: startOfMonth(now) } });
+}
+
+// { ok } or { ok: false, quota, used } when the worker has used this month's new applications
+async function checkApplicationQuota(workerId, now = new Date()) {
+  const { monthlyApplicationQuota: quota } = await getWorkerEntitlements(workerId, now);
+  if (quota === null) return { ok: true, quota: null };
+  const used = await countApplicationsThisMonth(workerId, now);
+  return { ok: used < quota, quota, used };
+}
+
+/**
+ * Mark a subscription checkout as started on the user, unless they already have an active plan or a
+ * checkout that is still fresh. The conditional update keeps two concurrent subscribes from both paying.
+ */
+async function claimSubscriptionCheckout(uid, now = new Date()) {
+  const claim = await collections.users.updateOne(
+    {
+      uid: String(uid),
+      $and: [
+        { $or: [{ 'subscription.status': { $ne: 'active' } }, { 'subscription.currentPeriodEnd': { $lte: now } }] },
+        { $or: [{ subscriptionCheckoutAt: { $exists: false } }, { subscriptionCheckoutAt: { $lte: new Date(now.getTime() - SUBSCRIPTION_CHECKOUT_TTL_MS) } }] },
+      ],
+    },
+    { $set: { subscriptionCheckoutAt: now } }
+  );
+  return claim.modifiedCount > 0;
+}
+
+async function releaseSubscriptionCheckout(uid) {
+  await collections.users.updateOne({ uid: String(uid) }, { $unset: { subscriptionCheckoutAt: '' } });
+}
+
+const userSummary = (sub) => ({
+  subscriptionId: sub._id,
+  planId: sub.planId,
+  planName: sub.planName,
+  status: sub.status,
+  currentPeriodEnd: sub.currentPeriodEnd,
+  cancelAtPeriodEnd: !!sub.cancelAtPeriodEnd,
+  entitlements: sub.entitlements,
+});
+
+/**
+ * Apply a verified subscription payment (paymentRequests.purpose === 'SUBSCRIPTION').
+ * A first purchase opens a period from now; a renewal extends the current period from its end
+ * (or from now when it already lapsed). The payment id is recorded so a replay cannot extend twice.
+ */
+async function activateSubscriptionPayment(payment, now = new Date()) {
+  const plan = await collections.subscriptionPlans.findOne({ _id: new ObjectId(String(payment.planId)) });
+  if (!plan) throw new Error(`Subscription plan ${payment.planId} not found`);
+  const days = INTERVAL_DAYS[payment.interval || plan.interval] || INTERVAL_DAYS.month;
+  const existing = payment.subscriptionId
+    ? await collections.userSubscriptions.findOne({ _id: new ObjectId(String(payment.subscriptionId)) })
+    : null;
+
+  let sub;
+  if (existing) {
+    if ((existing.paymentIds || []).map(String).includes(String(payment._id))) return existing;
+    const from = existing.status === 'active' && new Date(existing.currentPeriodEnd) > now ? new Date(existing.currentPeriodEnd) : now;
+    const currentPeriodEnd = new Date(from.getTime() + days * DAY_MS);
+    const $set = { status: 'active', currentPeriodEnd, cancelAtPeriodEnd: false, renewedAt: now, updatedAt: now };
+    if (from === now) $set.currentPeriodStart = now;
+    await collections.userSubscriptions.updateOne({ _id: existing._id }, { $set, $push: { paymentIds: String(payment._id) } });
+    sub = { ...existing, ...$set };
+  } else {
+    sub = {
+      _id: new ObjectId(),
+      userId: String(payment.userId),
+      planId: String(plan._id),
+      planName: plan.name,
+      price: Number(payment.amount) || 0,
+      interval: plan.interval,
+      entitlements: { ...DEFAULT_ENTITLEMENTS, ...(plan.entitlements || {}) },
+      status: 'active',
+      currentPeriodStart: now,
+      currentPeriodEnd: new Date(now.getTime() + days * DAY_MS),
+      cancelAtPeriodEnd: false,
+      paymentIds: [String(payment._id)],
+      createdAt: now,
+      updatedAt: now,
+    };
+    await collections.userSubscriptions.insertOne(sub);
+  }
+  await collections.users.updateOne({ uid: sub.userId }, { $set: { subscription: userSummary(sub) }, $unset: { subscriptionCheckoutAt: '' } });
+  await createNotification(sub.userId, existing ? 'Subscription renewed' : 'Subscription active', `Your ${sub.planName} plan is active until ${new Date(sub.currentPeriodEnd).toDateString()}.`, 'success', null, '/subscription').catch(() => {});
+  return sub;
+}
+
+// Cancel at the end of the paid period; entitlements stay until then
+async function cancelSubscription(sub, { reason = null, now = new Date() } = {}) {
+  const result = await collections.userSubscriptions.updateOne(
+    { _id: sub._id, status: 'active', cancelAtPeriodEnd: { $ne: true } },
+    { $set: { cancelAtPeriodEnd: true, cancelledAt: now, cancelReason: reason ? String(reason).slice(0, 300) : null, updatedAt: now } }
+  );
+  if (!result.modifiedCount) return false;
+  await collections.users.updateOne({ uid: sub.userId }, { $set: { subscription: userSummary({ ...sub, cancelAtPeriodEnd: true }) } });
+  return true;
+}
+
+// Close subscriptions whose period ended and drop the entitlements from the user (cron, hourly)
+async function expireSubscriptions(now = new Date()) {
+  const due = await collections.userSubscriptions.find({ status: 'active', currentPeriodEnd: { $lte: now } }).toArray();
+  let expired = 0;
+  for (const sub of due) {
+    const claim = await collections.userSubscriptions.updateOne({ _id: sub._id, status: 'active' }, { $set: { status: 'expired', expiredAt: now, updatedAt: now } });
+    if (!claim.modifiedCount) continue;
+    await collections.users.updateOne({ uid: sub.userId, 'subscription.subscriptionId': sub._id }, { $unset: { subscription: '' } });
+    await createNotification(sub.userId, 'Subscription ended', `Your ${sub.planName} plan has ended. Renew it to keep its benefits.`, 'info', null, '/subscription').catch(() => {});
+    expired++;
+  }
+  return expired;
+}
+
+module.exports = {
+  DEFAULT_ENTITLEMENTS,
+  FREE_MONTHLY_APPLICATION_QUOTA,
+  INTERVAL_DAYS,
+  validateEntitlements,
+  activeSubscriptionOf,
+  getWorkerEntitlements,
+  countApplicationsThisMonth,
+  checkApplicationQuota,
+  claimSubscriptionCheckout,
+  releaseSubscriptionCheckout,
+  activateSubscriptionPayment,
+  cancelSubscription,
+  expireSubscriptions,
+};
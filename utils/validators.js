@@ -6,8 +6,13 @@ function isValidBdMobile(phone) {
   return BD_MOBILE_REGEX.test(String(phone || '').trim());
 }
 
+// Strip spaces/dashes and a +88/88 country prefix: '+880 1712-345678' -> '01712345678'
+function normalizeBdMobile(phone) {
+  return String(phone || '').replace(/[\s-]/g, '').replace(/^\+?88(?=01)/, '');
+}
+
 function isValidNid(nid) {
   return NID_REGEX.test(String(nid || '').trim());
 }
 
-module.exports = { BD_MOBILE_REGEX, NID_REGEX, isValidBdMobile, isValidNid };
+module.exports = { BD_MOBILE_REGEX, NID_REGEX, isValidBdMobile, normalizeBdMobile, isValidNid };
@@ -0,0 +1,97 @@
+// utils/wallet.js — Client wallet: balance on users.walletBalance, one transactions row per movement
+const { collections } = require('../config/db');
+const { createNotification } = require('./notifications');
+
+/**
+ * transactions collection (also read by GET /api/admin/customers/:uid/transactions):
+ *   userId, type, direction ('CREDIT' | 'DEBIT'), amount, balanceAfter, currency, refs, memo, createdAt
+ *   type: TOP_UP (SSLCommerz), REFUND (job refund credited to the wallet), JOB_PAYMENT (booking paid
+ *         from the balance), JOB_PAYMENT_REVERSED (a balance payment that could not be completed)
+ *   idempotencyKey: unique; a second movement with the same key is a no-op, so gateway replays and
+ *                   retried refunds never move the balance twice
+ *
+ * Money in the wallet is held by the platform and stays off the double-entry ledger until it pays for a
+ * job, like a job payment that has not been settled yet.
+ */
+const WALLET_CURRENCY = 'BDT';
+const WALLET_TOPUP_MIN = 50;
+const WALLET_TOPUP_MAX = 50000;
+const WALLET_TRANSACTION_TYPES = ['TOP_UP', 'REFUND', 'JOB_PAYMENT', 'JOB_PAYMENT_REVERSED'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+async function getWalletBalance(userId) {
+  const user = await collections.users.findOne({ uid: String(userId) });
+  return round2(Number(user?.walletBalance) || 0);
+}
+
+async function recordTransaction(userId, { type, direction, amount, key, refs = {}, memo = null, createdBy = null }) {
+  const doc = { userId: String(userId), type, direction, amount, balanceAfter: null, currency: WALLET_CURRENCY, idempotencyKey: key, refs, memo, createdBy, createdAt: new Date() };
+  try {
+    const { insertedId } = await collections.transactions.insertOne(doc);
+    return { _id: insertedId, ...doc };
+  } catch (err) {
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+}
+
+/**
+ * Add `amount` to a user's wallet once per idempotency key.
+ * @returns {Promise<{ transaction: object, balance: number, duplicate?: boolean }>}
+ */
+async function creditWallet(userId, amount, { type, key, refs, memo, createdBy } = {}) {
+  const value = round2(Number(amount));
+  if (!(value > 0)) throw new Error('Wallet amount must be a positive number');
+  if (!key) throw new Error('Wallet movements require an idempotency key');
+  const existing = await collections.transactions.findOne({ idempotencyKey: key });
+  const transaction = existing ? null : await recordTransaction(userId, { type, direction: 'CREDIT', amount: value, key, refs, memo, createdBy });
+  if (!transaction) return { transaction: existing || (await collections.transactions.findOne({ idempotencyKey: key })), balance: await getWalletBalance(userId), duplicate: true };
+
+  await collections.users.updateOne({ uid: String(userId) }, { $inc: { walletBalance: value }, $set: { updatedAt: new Date() } });
+  const balance = await getWalletBalance(userId);
+  await collections.transactions.updateOne({ _id: transaction._id }, { $set: { balanceAfter: balance } });
+  return { transaction: { ...transaction, balanceAfter: balance }, balance };
+}
+
+/**
+ * Take `amount` from a user's wallet if the balance covers it. Resolves to null when it does not.
+ * @returns {Promise<{ transaction: object, balance: number, duplicate?: boolean } | null>}
+ */
+async function debitWallet(userId, amount, { type, key, refs, memo, createdBy } = {}) {
+  const value = round2(Number(amount));
+  if (!(value > 0)) throw new Error('Wallet amount must be a positive number');
+  if (!key) throw new Error('Wallet movements require an idempotency key');
+  const existing = await collections.transactions.findOne({ idempotencyKey: key });
+  if (existing) return { transaction: existing, balance: await getWalletBalance(userId), duplicate: true };
+
+  const taken = await collections.users.updateOne({ uid: String(userId), walletBalance: { $gte: value } }, { $inc: { walletBalance: -value }, $set: { updatedAt: new Date() } });
+  if (!taken.modifiedCount) return null;
+  const transaction = await recordTransaction(userId, { type, direction: 'DEBIT', amount: value, key, refs, memo, createdBy });
+  if (!transaction) {
+    // Lost a race with the same key: give the money back
+    await collections.users.updateOne({ uid: String(userId) }, { $inc: { walletBalance: value } });
+    return { transaction: await collections.transactions.findOne({ idempotencyKey: key }), balance: await getWalletBalance(userId), duplicate: true };
+  }
+  const balance = await getWalletBalance(userId);
+  await collections.transactions.updateOne({ _id: transaction._id }, { $set: { balanceAfter: balance } });
+  return { transaction: { ...transaction, balanceAfter: balance }, balance };
+}
+
+// A verified WALLET_TOPUP payment request (routes/payments.js confirmGatewayPayment)
+async function applyWalletTopUp(payment) {
+  const { balance, duplicate } = await creditWallet(payment.userId, payment.amount, { type: 'TOP_UP', key: `topup:${payment._id}`, refs: { paymentRequestId: String(payment._id), gateway: payment.gateway || null } });
+  if (!duplicate) await createNotification(String(payment.userId), 'Wallet topped up', `${payment.amount} ${payment.currency || WALLET_CURRENCY} was added to your wallet. Balance: ${balance} ${WALLET_CURRENCY}.`, 'success', null, '/wallet').catch(() => {});
+  return balance;
+}
+
+module.exports = {
+  WALLET_CURRENCY,
+  WALLET_TOPUP_MIN,
+  WALLET_TOPUP_MAX,
+  WALLET_TRANSACTION_TYPES,
+  getWalletBalance,
+  creditWallet,
+  debitWallet,
+  applyWalletTopUp,
+};